@@ -0,0 +1,93 @@
+// --- Collision Grid ---
+// Spatial index for axis-aligned boxes, bucketed by maze cell so a collision query only looks at
+// the handful of cells the player box overlaps instead of every wall in the maze.
+// Boxes are anything shaped like THREE.Box3 ({ min: { x, y, z }, max: { x, y, z } }), computed once
+// and cached. Static entries (walls, secret walls) live in the cell buckets and can be removed one
+// by one; dynamic entries (AI, anything that moves) sit in a small separate list and are updated
+// in place every frame.
+// Cell (x, y) covers world x in [x * cellSize - cellSize / 2, x * cellSize + cellSize / 2], same for z.
+
+function boxesIntersect(a, b) {
+    return a.min.x <= b.max.x && a.max.x >= b.min.x &&
+        a.min.y <= b.max.y && a.max.y >= b.min.y &&
+        a.min.z <= b.max.z && a.max.z >= b.min.z;
+}
+
+export function createCollisionGrid(cellSize) {
+    const buckets = new Map(); // cellKey -> Set of static owners
+    const staticBoxes = new Map(); // owner -> { box, keys }
+    const dynamicBoxes = new Map(); // owner -> box
+
+    const toCell = (world) => Math.floor(world / cellSize + 0.5);
+
+    function cellKeysFor(box) {
+        const keys = [];
+        for (let y = toCell(box.min.z); y <= toCell(box.max.z); y++) {
+            for (let x = toCell(box.min.x); x <= toCell(box.max.x); x++) keys.push(`${x},${y}`);
+        }
+        return keys;
+    }
+
+    function addStatic(owner, box) {
+        removeStatic(owner);
+        const keys = cellKeysFor(box);
+        for (const key of keys) {
+            if (!buckets.has(key)) buckets.set(key, new Set());
+            buckets.get(key).add(owner);
+        }
+        staticBoxes.set(owner, { box, keys });
+    }
+
+    function removeStatic(owner) {
+        const entry = staticBoxes.get(owner);
+        if (!entry) return false;
+        for (const key of entry.keys) buckets.get(key).delete(owner);
+        staticBoxes.delete(owner);
+        return true;
+    }
+
+    // The box is kept by reference, so callers can also mutate it in place each frame
+    function setDynamic(owner, box) {
+        dynamicBoxes.set(owner, box);
+    }
+
+    function removeDynamic(owner) {
+        return dynamicBoxes.delete(owner);
+    }
+
+    // Owner of the first box that overlaps, or null
+    function findIntersection(box) {
+        const checked = new Set(); // Big boxes (outer walls) sit in many buckets
+        for (const key of cellKeysFor(box)) {
+            const owners = buckets.get(key);
+            if (!owners) continue;
+            for (const owner of owners) {
+                if (checked.has(owner)) continue;
+                checked.add(owner);
+                if (boxesIntersect(box, staticBoxes.get(owner).box)) return owner;
+            }
+        }
+        for (const [owner, dynamicBox] of dynamicBoxes) {
+            if (boxesIntersect(box, dynamicBox)) return owner;
+        }
+        return null;
+    }
+
+    function clear() {
+        buckets.clear();
+        staticBoxes.clear();
+        dynamicBoxes.clear();
+    }
+
+    return {
+        addStatic,
+        removeStatic,
+        setDynamic,
+        removeDynamic,
+        findIntersection,
+        intersectsBox: (box) => findIntersection(box) !== null,
+        clear,
+        get staticCount() { return staticBoxes.size; },
+        get dynamicCount() { return dynamicBoxes.size; }
+    };
+}
@@ -0,0 +1,28 @@
+import * as THREE from 'three';
+
+// --- Ghost Figure ---
+// Translucent stand-in for a recorded player (replays, racing your best run): a body, a head and
+// a nose so you can tell which way it looks. Poses come from maze_replay.js poseAt(), with y at
+// eye height like the camera.
+
+export function createGhostFigure({ eyeHeight, radius, color = 0x88ccff }) {
+    const material = new THREE.MeshBasicMaterial({ color, transparent: true, opacity: 0.35, depthWrite: false });
+    const figure = new THREE.Group();
+
+    const bodyHeight = eyeHeight * 0.8;
+    const body = new THREE.Mesh(new THREE.CylinderGeometry(radius * 0.8, radius, bodyHeight, 12), material);
+    body.position.y = bodyHeight / 2 - eyeHeight; // Group origin sits at the eyes
+    const head = new THREE.Mesh(new THREE.SphereGeometry(radius * 0.7, 12, 8), material);
+    const nose = new THREE.Mesh(new THREE.ConeGeometry(radius * 0.25, radius * 0.8, 8), material);
+    nose.rotation.x = -Math.PI / 2; // Points down -Z, the way a camera at yaw 0 looks
+    nose.position.z = -radius * 0.9;
+
+    figure.add(body, head, nose);
+    figure.visible = false;
+    return figure;
+}
+
+export function setGhostPose(figure, pose) {
+    figure.position.set(pose.x, pose.y, pose.z);
+    figure.rotation.set(0, pose.yaw, 0);
+}
@@ -0,0 +1,236 @@
+import { CELL } from './maze_core.js';
+import { portalPairHue } from './maze_portals.js';
+import { EDITOR_TOOLS, createBlankMaze, createEditor } from './maze_editor.js';
+
+// --- Level Editor ---
+// Top-down editor drawn into `container`: a toolbar, the grid on a canvas (left button paints
+// with the selected tool, right button paints floor) and playtest/save buttons. Editing state
+// lives in maze_editor.js; what happens to a finished maze is up to the caller:
+//   onPlaytest(maze), onSave(maze) - only called once the maze passes the solvability check
+//   onClose()
+
+const COLORS = {
+    background: '#000000',
+    wall: '#ffffff',
+    path: '#3a3a3a',
+    secret: '#bbbbbb',
+    start: '#55cc55',
+    end: '#ffffff',
+    grid: '#222222',
+    spikes: '#cc5555',
+    slow: '#5577cc',
+    drain: '#ccaa44',
+    collapse: '#885533'
+};
+const TOOL_LABELS = {
+    wall: 'Wall', path: 'Floor', start: 'Start', end: 'Exit', secret: 'Secret wall', portal: 'Portal',
+    spikes: 'Spikes', slow: 'Slow zone', drain: 'Time drain', collapse: 'Collapsing floor'
+};
+
+export function createLevelEditor(container, { onPlaytest, onSave, onClose }) {
+    let editor = null;
+    let tool = 'wall';
+    let painting = null; // Tool being dragged, null while no button is held
+
+    // Toolbar, canvas and status line
+    const toolbar = document.createElement('div');
+    toolbar.className = 'editor-toolbar';
+    const toolButtons = EDITOR_TOOLS.map((name, index) => {
+        const button = addButton(toolbar, TOOL_LABELS[name], () => selectTool(name));
+        button.title = `Key ${(index + 1) % 10}`;
+        return button;
+    });
+    const actions = document.createElement('div');
+    actions.className = 'editor-toolbar';
+    const undoButton = addButton(actions, 'Undo', () => history('undo'));
+    const redoButton = addButton(actions, 'Redo', () => history('redo'));
+    const sizeInput = document.createElement('input');
+    sizeInput.type = 'number';
+    sizeInput.min = 5;
+    sizeInput.step = 2;
+    sizeInput.value = 21;
+    sizeInput.title = 'Size of a new maze (odd)';
+    actions.appendChild(sizeInput);
+    addButton(actions, 'New', () => {
+        const size = Number(sizeInput.value);
+        try {
+            open(createBlankMaze(size, size));
+        } catch (error) {
+            setStatus(error.message, true);
+        }
+    });
+    addButton(actions, 'Check', () => report(editor.check()));
+    addButton(actions, 'Playtest', () => finish(onPlaytest));
+    addButton(actions, 'Save', () => finish(onSave));
+    addButton(actions, 'Close', () => {
+        close();
+        onClose();
+    });
+    const canvas = document.createElement('canvas');
+    const status = document.createElement('div');
+    status.className = 'editor-status';
+    container.append(toolbar, actions, canvas, status);
+    const context = canvas.getContext('2d');
+
+    function addButton(parent, label, onClick) {
+        const button = document.createElement('button');
+        button.textContent = label;
+        button.addEventListener('click', onClick);
+        parent.appendChild(button);
+        return button;
+    }
+
+    function setStatus(text, isError = false) {
+        status.textContent = text;
+        status.classList.toggle('error', isError);
+    }
+
+    function report(result) {
+        if (result.ok) setStatus('The exit can be reached.');
+        else setStatus(result.error, true);
+        return result.ok;
+    }
+
+    // Playtest/save only a maze that can be played
+    function finish(callback) {
+        if (!report(editor.check())) return;
+        callback(editor.toMaze());
+    }
+
+    function selectTool(name) {
+        tool = name;
+        toolButtons.forEach((button, index) => button.classList.toggle('current', EDITOR_TOOLS[index] === name));
+        setStatus(name === 'portal' ? 'Click two cells to place a linked pair of portals.' : `Painting: ${TOOL_LABELS[name]}`);
+    }
+
+    function history(step) {
+        if (editor[step]()) draw();
+    }
+
+    // --- Drawing ---
+    function layout() {
+        const grid = editor.grid;
+        const cellPixels = Math.max(4, Math.floor(Math.min(canvas.width / grid[0].length, canvas.height / grid.length)));
+        const originX = Math.floor((canvas.width - grid[0].length * cellPixels) / 2);
+        const originY = Math.floor((canvas.height - grid.length * cellPixels) / 2);
+        return { cellPixels, originX, originY };
+    }
+
+    function draw() {
+        canvas.width = canvas.clientWidth;
+        canvas.height = canvas.clientHeight;
+        const grid = editor.grid;
+        const { cellPixels, originX, originY } = layout();
+        context.fillStyle = COLORS.background;
+        context.fillRect(0, 0, canvas.width, canvas.height);
+
+        for (let y = 0; y < grid.length; y++) {
+            for (let x = 0; x < grid[y].length; x++) {
+                const cell = grid[y][x];
+                if (cell === CELL.WALL) context.fillStyle = COLORS.wall;
+                else if (cell === CELL.SECRET) context.fillStyle = COLORS.secret;
+                else if (cell === CELL.START) context.fillStyle = COLORS.start;
+                else if (cell === CELL.TRAP) context.fillStyle = COLORS[editor.trapAt(x, y)];
+                else context.fillStyle = COLORS.path;
+                context.fillRect(originX + x * cellPixels, originY + y * cellPixels, cellPixels, cellPixels);
+                context.strokeStyle = COLORS.grid;
+                context.strokeRect(originX + x * cellPixels + 0.5, originY + y * cellPixels + 0.5, cellPixels - 1, cellPixels - 1);
+                if (cell === CELL.END) {
+                    context.strokeStyle = COLORS.end;
+                    context.lineWidth = Math.max(1, cellPixels * 0.15);
+                    context.strokeRect(originX + (x + 0.2) * cellPixels, originY + (y + 0.2) * cellPixels, cellPixels * 0.6, cellPixels * 0.6);
+                    context.lineWidth = 1;
+                }
+            }
+        }
+
+        // Portals in their pair colors (as in the game); a pending end is just outlined
+        const drawPortal = (end, fill) => {
+            context.beginPath();
+            context.arc(originX + (end.x + 0.5) * cellPixels, originY + (end.y + 0.5) * cellPixels, cellPixels * 0.35, 0, Math.PI * 2);
+            if (fill) {
+                context.fillStyle = fill;
+                context.fill();
+            } else {
+                context.strokeStyle = COLORS.wall;
+                context.stroke();
+            }
+        };
+        editor.pairs.forEach((pair, index) => pair.forEach(end => drawPortal(end, `hsl(${portalPairHue(index)}, 80%, 55%)`)));
+        if (editor.pending) drawPortal(editor.pending, null);
+
+        undoButton.disabled = !editor.canUndo();
+        redoButton.disabled = !editor.canRedo();
+    }
+
+    // --- Painting ---
+    function cellAt(event) {
+        const { cellPixels, originX, originY } = layout();
+        const rect = canvas.getBoundingClientRect();
+        return {
+            x: Math.floor((event.clientX - rect.left - originX) / cellPixels),
+            y: Math.floor((event.clientY - rect.top - originY) / cellPixels)
+        };
+    }
+
+    function paintAt(event) {
+        const { x, y } = cellAt(event);
+        if (y < 0 || y >= editor.grid.length || x < 0 || x >= editor.grid[0].length) return;
+        if (editor.paint(x, y, painting)) draw();
+    }
+
+    canvas.addEventListener('contextmenu', event => event.preventDefault());
+    canvas.addEventListener('mousedown', event => {
+        painting = event.button === 2 ? 'path' : tool;
+        editor.beginStroke();
+        paintAt(event);
+    });
+    canvas.addEventListener('mousemove', event => {
+        if (painting && painting !== 'portal') paintAt(event); // Portals are placed one click at a time
+    });
+    const stopPainting = () => {
+        painting = null;
+        if (editor) editor.endStroke();
+    };
+    window.addEventListener('mouseup', stopPainting);
+    canvas.addEventListener('mouseleave', stopPainting);
+
+    window.addEventListener('keydown', event => {
+        if (!isOpen() || event.target === sizeInput) return;
+        const key = event.key.toLowerCase();
+        if ((event.ctrlKey || event.metaKey) && key === 'z') history(event.shiftKey ? 'redo' : 'undo');
+        else if ((event.ctrlKey || event.metaKey) && key === 'y') history('redo');
+        else if (/^[0-9]$/.test(key)) selectTool(EDITOR_TOOLS[(Number(key) + 9) % 10]);
+        else return;
+        event.preventDefault();
+    });
+    window.addEventListener('resize', () => {
+        if (isOpen()) draw();
+    });
+    container.addEventListener('click', event => event.stopPropagation()); // Clicks here don't start the game
+
+    // --- Open/Close ---
+    // maze: { grid, traps, portalPairs }; undo history starts fresh
+    function open(maze) {
+        editor = createEditor(maze);
+        show();
+    }
+
+    // Back to the maze being edited, history kept (e.g. after a playtest)
+    function show() {
+        container.style.display = '';
+        selectTool(tool);
+        draw();
+    }
+
+    function close() {
+        container.style.display = 'none';
+        stopPainting();
+    }
+
+    function isOpen() {
+        return container.style.display !== 'none';
+    }
+
+    return { open, show, close, isOpen, hasMaze: () => editor !== null };
+}
@@ -1,4 +1,7 @@
 import * as THREE from 'three';
+import { createRandom, generateSeed, readSeedFromUrl } from './seeded_random.js';
+import { MAZE_GENERATORS, carveMaze } from './maze_generators.js';
+import { findStartPos } from './maze_core.js';
 
 // --- Configuration ---
 const MAZE_WIDTH = 15; // Must be odd
@@ -35,8 +38,10 @@ function init() {
     renderer.setSize(window.innerWidth, window.innerHeight);
     document.body.appendChild(renderer.domElement);
 
-    // Maze Generation
-    mazeGrid = generateMaze(MAZE_WIDTH, MAZE_HEIGHT);
+    // Maze Generation (?seed= reproduces a layout)
+    const seed = readSeedFromUrl(window.location.search) ?? generateSeed();
+    console.log(`Maze seed: ${seed}`);
+    mazeGrid = generateMaze(MAZE_WIDTH, MAZE_HEIGHT, createRandom(seed));
 
     // Create 3D Geometry from Maze Data
     createMazeGeometry(mazeGrid);
@@ -56,55 +61,16 @@ function init() {
     animate();
 }
 
-// --- Maze Generation (Recursive Backtracker) ---
-function generateMaze(width, height) {
-    // Initialize grid full of walls (1)
-    const grid = Array(height).fill(null).map(() => Array(width).fill(1));
-    const stack = [];
-    let currentX = 1, currentY = 1; // Start carving from an inner cell
-
-    grid[currentY][currentX] = 0; // Mark start as path
-    stack.push({ x: currentX, y: currentY });
-
-    const directions = [
-        { dx: 0, dy: -2, wallDx: 0, wallDy: -1 }, // North
-        { dx: 2, dy: 0, wallDx: 1, wallDy: 0 },   // East
-        { dx: 0, dy: 2, wallDx: 0, wallDy: 1 },   // South
-        { dx: -2, dy: 0, wallDx: -1, wallDy: 0 }, // West
-    ];
-
-    while (stack.length > 0) {
-        const current = stack[stack.length - 1]; // Peek
-        currentX = current.x;
-        currentY = current.y;
-
-        const neighbors = [];
-        // Shuffle directions for randomness
-        directions.sort(() => Math.random() - 0.5);
-
-        for (const dir of directions) {
-            const nextX = currentX + dir.dx;
-            const nextY = currentY + dir.dy;
-
-            // Check bounds and if neighbor is unvisited (still a wall)
-            if (nextY >= 0 && nextY < height && nextX >= 0 && nextX < width && grid[nextY][nextX] === 1) {
-                neighbors.push({ ...dir, nextX, nextY });
-            }
-        }
-
-        if (neighbors.length > 0) {
-            const chosen = neighbors[0]; // Pick the first (shuffled) neighbor
-            const wallX = currentX + chosen.wallDx;
-            const wallY = currentY + chosen.wallDy;
-
-            grid[chosen.nextY][chosen.nextX] = 0; // Carve path to neighbor
-            grid[wallY][wallX] = 0; // Carve wall between
-
-            stack.push({ x: chosen.nextX, y: chosen.nextY }); // Move to neighbor
-        } else {
-            stack.pop(); // Backtrack
-        }
+// --- Maze Generation ---
+function generateMaze(width, height, random) {
+    // Paths only (0/1); ?algorithm= picks any registered generator
+    let algorithm = new URLSearchParams(window.location.search).get('algorithm') || 'backtracker';
+    if (!MAZE_GENERATORS[algorithm]) {
+        console.warn(`Unknown maze algorithm "${algorithm}", using backtracker. Available: ${Object.keys(MAZE_GENERATORS).join(', ')}`);
+        algorithm = 'backtracker';
     }
+    const grid = carveMaze(width, height, random, { algorithm });
+
     // Ensure entrance/exit (optional, here we just start inside)
      grid[1][0] = 0; // Example entrance on the edge if needed
      grid[height-2][width-1] = 0; // Example exit
@@ -195,20 +161,6 @@ function createMazeGeometry(grid) {
 
 }
 
-// --- Find Starting Position ---
-function findStartPos(grid) {
-    // Find the first available path cell (typically near 1,1)
-    for (let y = 1; y < grid.length; y += 2) {
-        for (let x = 1; x < grid[y].length; x += 2) {
-            if (grid[y][x] === 0) {
-                return { x, y };
-            }
-        }
-    }
-    return { x: 1, y: 1 }; // Fallback
-}
-
-
 // --- Controls ---
 function setupControls() {
     window.addEventListener('keydown', (event) => {
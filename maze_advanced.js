@@ -1,130 +1,300 @@
 import * as THREE from 'three';
 import { PointerLockControls } from 'three/addons/controls/PointerLockControls.js';
-// import { BufferGeometryUtils } from 'three/addons/utils/BufferGeometryUtils.js'; // Optional for merging
+import { OrbitControls } from 'three/addons/controls/OrbitControls.js';
+import { createRandom, generateSeed, readSeedFromUrl, buildSeedUrl } from './seeded_random.js';
+import { CELL, cellKey, cloneGrid, findCells, findStartOrEndPos, createPortalLinks, getGridSize, pairPortals } from './maze_core.js';
+import { MAZE_GENERATORS, GROWING_TREE_PICKS } from './maze_generators.js';
+import { createMinimap } from './minimap.js';
+import { AI_DIFFICULTY, createAIAgent, pickSpawnCells, updateAIAgent } from './maze_ai.js';
+import { createCollisionGrid } from './collision_grid.js';
+import { createWallInstances, hideWallInstance, showWallInstance, wallRecordFromIntersection } from './maze_walls.js';
+import { buildWallPlacements } from './maze_wall_builder.js';
+import { createSoundEngine } from './sound_engine.js';
+import { buildPortalPairs, portalExit } from './maze_portals.js';
+import { createTrapField, resetTrapField, updateTrapField } from './maze_traps.js';
+import { ITEM_KINDS, createItemField, resetItemField, collectItem, unlockDoor, itemFieldState, findHintRoute } from './maze_items.js';
+import { buildLevelGrid, layoutLevel } from './maze_levels.js';
+import { parseMazeFile, mazeToAscii, mazeToJson } from './maze_format.js';
+import { createLevelEditor } from './level_editor.js';
+import { createBlankMaze } from './maze_editor.js';
+import {
+    createRecorder, poseAt, eventsBetween, encodeRecording, decodeRecording, recordingFileName, levelId, loadGhost, saveGhost
+} from './maze_replay.js';
+import { createGhostFigure, setGhostPose } from './ghost_figure.js';
+import {
+    configId, configLabel, recordResult, boardFor, loadLeaderboard, saveLeaderboard, parseLeaderboard, mergeLeaderboards
+} from './maze_leaderboard.js';
+import { SAVE_VERSION, validateLevel, parseRun, saveRun, loadRun, clearRun, exportFileName } from './maze_save.js';
+import {
+    CAMPAIGN_LEVELS, FREE_PLAY_PARAMS, campaignLevel, readLevelFromUrl, buildLevelUrl,
+    loadProgress, saveProgress, isLevelUnlocked, recordEscape
+} from './maze_campaign.js';
+import { loadSettings, saveSettings, normalizeSettings, actionForKey } from './maze_settings.js';
+import { createSettingsPanel } from './settings_panel.js';
+import { readGamepad, combineMoves } from './maze_input.js';
+import { createTouchControls } from './touch_controls.js';
+import { MAX_FLOORS, groundAt, ceilingAt, floorAt } from './maze_floors.js';
+import { findPathToNearest } from './maze_pathfinding.js';
+import { DIFFICULTY_BANDS, analyzeMaze, difficultyScore, difficultyOf } from './maze_analysis.js';
+import { POSE_INTERVAL, INTERPOLATION_DELAY, raceServerUrl, interpolatePose, playerHue } from './maze_race.js';
+import { createRaceClient } from './race_client.js';
 
 // --- Configuration ---
-const MAZE_WIDTH = 21; // Odd number
-const MAZE_HEIGHT = 21; // Odd number
+// Free-play maze size and time limit, speed, jumping, hunter count, FOV, shadows, antialiasing,
+// mouse and keys are player settings (see maze_settings.js and the Settings panel)
 const CELL_SIZE = 4;
-const WALL_HEIGHT = 3.5;
+const WALL_HEIGHT = 3.5; // Walls are built (and collide) at exactly this height and thickness
 const WALL_THICKNESS = 0.4;
+const SLAB_THICKNESS = 0.2; // Floor between two storeys of a multi-floor maze
+const FLOOR_HEIGHT = WALL_HEIGHT + SLAB_THICKNESS; // Ground to ground, one floor up
+const MAZE_ALGORITHM = 'backtracker'; // See MAZE_GENERATORS; override with ?algorithm=prim
+const GROWING_TREE_PICK = 'mixed'; // newest | oldest | middle | random | mixed; override with ?pick=
+// Loops so there is more than one route: ?braid=0.5&loops=0.05&rooms=2 (all 0 = perfect maze)
+const BRAID_OPTIONS = { deadEndRemoval: 0.25, loopFraction: 0.02, rooms: 1, roomMinSize: 2, roomMaxSize: 3 };
+const TRAP_COUNT = 6; // Spikes, slow zones, time drains and collapsing floors; override with ?traps=
+const FLOOR_COUNT = 1; // Stacked floors joined by ramps (see maze_floors.js); override with ?floors=3
+const ITEM_COUNTS = { doors: 2, bonuses: 3, relics: 3 }; // Locked doors (one key each), time pickups, relics; override with ?doors= ?bonuses= ?relics=
 
 const PLAYER_HEIGHT = WALL_HEIGHT * 0.5;
-const PLAYER_SPEED = 5.0;
 const PLAYER_RADIUS = 0.3; // Collision radius
 const GRAVITY = -9.8 * 2; // A bit stronger gravity
-
-const START_TIME = 120; // Seconds
+const STEP_LENGTH = 1.8; // World units walked per footstep sound
+const STEP_UP = 0.5; // Highest rise walked onto without jumping (how ramps are climbed)
+const STEP_DOWN = 0.3; // Walking down a ramp keeps you on it instead of falling a little every frame
+const HEAD_CLEARANCE = 0.1; // Between the eyes and the floor above
+
+const MOUSE_LOOK_SPEED = 0.002; // Radians per pixel at sensitivity 1 (PointerLockControls' own rate)
+const TOUCH_LOOK_SPEED = 0.005; // Radians per pixel dragged on the touch screen
+const GAMEPAD_LOOK_SPEED = 2.5; // Radians per second with the right stick fully over
 const INTERACT_DISTANCE = 1.5;
+const PORTAL_COOLDOWN = 1.0; // Seconds before any portal works again after a teleport
+const HINT_DURATION = 5; // Seconds a hint route stays on screen (its cost is settings.hintPenalty)
+const AUTOSAVE_INTERVAL = 5; // Seconds of play between autosaves (also saved on pause and when the tab closes)
+
+const DIFFICULTY = 'normal'; // easy | normal | hard (AI count, speed, re-plan rate, and how hard a new free-play maze is); override with ?difficulty=
+const AI_RADIUS = PLAYER_RADIUS * 1.5;
+const AI_CATCH_DISTANCE = PLAYER_RADIUS + AI_RADIUS + 0.3; // Touching distance (AI is also collidable)
+const AVATAR_RADIUS = PLAYER_RADIUS * 1.2; // Other racers, drawn at eye height
+const RACE_SNAPSHOTS = 20; // Poses kept per racer to interpolate between (2 s at POSE_INTERVAL)
 
 // --- Game State ---
-let scene, camera, renderer, controls, listener;
-let mazeGrid = [];
-let collidableObjects = []; // Store meshes/boxes for collision
+let scene, camera, renderer, controls, listener, directionalLight;
+let settings; // Player settings (see maze_settings.js)
+let settingsPanel; // Shows them (see settings_panel.js), told about changes made elsewhere
+let levelGroup; // Everything built for the current maze, cleared when another level starts
+let level; // Level data being played (see maze_levels.js); level.campaign is the campaign number or null
+let progress; // Campaign progress (see maze_campaign.js)
+let levelCleared = false; // Escaped this level (next lock goes on to the next campaign level)
+let reshapePending = false; // Maze settings changed during a run: rebuild free play on the next retry
+let mazeGrid = []; // Ground floor grid
+let floorGrids = []; // Every floor's grid, bottom up (floorGrids[0] is mazeGrid)
+let ramps = []; // Ramps between floors (see maze_floors.js)
+let exitFloor = 0; // The exit is on the top floor
+let hunterGrid; // mazeGrid with the ramps walled off: hunters stay on the ground floor
+let mazeAnalysis; // { metrics, score } of the ground floor as built (see maze_analysis.js), for the debug readout
+let mazeSeed; // Seed the current maze was generated from (shown in HUD, shareable via ?seed=)
+let collisionGrid = createCollisionGrid(CELL_SIZE); // Cached wall bounds by cell + moving AI boxes
+const playerCollisionBox = new THREE.Box3(); // Reused by checkCollision every probe
 let floor;
 const keysPressed = {};
 const clock = new THREE.Clock();
 let playerVelocity = new THREE.Vector3();
 let canJump = false; // Simple jump state
-let timeLeft = START_TIME;
+let timeLeft = 0; // Set from the level's time limit by resetGame
+let elapsedTime = 0; // Seconds played on this attempt (traps drain timeLeft, not this)
+let autosaveIn = AUTOSAVE_INTERVAL;
 let gameActive = false;
 let gameOver = false;
 let exitPosition = new THREE.Vector3(); // To store the maze exit world coords
-let secretWalls = []; // Store refs to meshes that are secret walls
-let portals = []; // { mesh: THREE.Mesh, targetPos: THREE.Vector3, triggerBox: THREE.Box3 }
-let aiEntities = []; // { mesh: THREE.Mesh, path: [], target: null }
+let wallMeshes = []; // InstancedMeshes holding every wall (see maze_walls.js)
+let secretWalls = []; // Instance records of secret walls still standing { mesh, index, box, cell }
+let allSecretWalls = []; // Every secret wall's record, standing or not, to put them back on a retry
+let revealedSecrets = new Set(); // cellKey()s of secret walls the player has opened
+let portals = []; // { mesh, cell, color, target: portalExit() (grid units + facing), triggerBox: THREE.Box3 }
+let portalCooldown = 0; // Seconds left until portals work again
+let aiEntities = []; // { mesh: THREE.Mesh, spawn: { x, y }, stepDistance, ...createAIAgent() (x, y, path, target, mode) }
+let aiSettings = AI_DIFFICULTY[DIFFICULTY];
+let aiRandom; // Separate stream so AI choices don't shift the maze layout for a seed
+let portalLinks = new Map(); // Portal cellKey -> paired cell, for AI pathfinding
+let minimap; // The map of the floor the player is on
+let minimaps = []; // One per floor
+let sound; // Procedural sound engine (see sound_engine.js)
+let stepDistance = 0; // Distance walked since the last footstep
+let wasBlocked = false; // Bump once per contact, not every frame spent pushing into a wall
+let trapField; // Trap kinds and states by cellKey (see maze_traps.js)
+let trapMeshes = new Map(); // cellKey -> floor tile mesh
+let trapSpeedFactor = 1; // < 1 while standing in a slow zone
+let itemField; // Keys held, pickups taken and doors opened (see maze_items.js)
+let itemMeshes = new Map(); // cellKey -> pickup mesh
+let doorRecords = []; // { door (itemField entry), mesh, box } for every locked door, open or not
+let levelEditor; // Top-down editor overlay (see level_editor.js)
+let playtestLevel = null; // Level last built from the editor; reopening the editor then keeps its history
+let recorder = null; // Records the attempt being played (see maze_replay.js); resumed runs aren't recorded
+let lastRecording = null; // Most recent finished attempt, for "Watch last run"
+let ghostRun = null; // Best escape on this level, retraced by ghostFigure while racing your ghost
+let ghostFigure; // Translucent player figure for ghosts and replays (see ghost_figure.js)
+let replay = null; // { recording, time, playing, speed, follow } while watching a replay
+let orbitControls; // Free replay camera
+let leaderboard; // Escape times per maze configuration (see maze_leaderboard.js)
+let distanceTraveled = 0; // World units walked this attempt (teleports don't count)
+let touchMode = false; // Last pointer was a finger: play without pointer lock, with on-screen controls
+let touchControls; // See touch_controls.js
+let gamepad = null; // This frame's readGamepad() snapshot of the first connected pad
+let hintsUsed = 0; // Hints asked for on this attempt
+let hint = null; // { route: [{ x, y }], floor, timeLeft (s), group (breadcrumb meshes) } while a hint shows
+let race = null; // { client, room, id, host, players: [{ id, name }], racing, countdown (s), poseIn (s), done, results: Map(id -> text) } while in a race room
+let raceAvatars = new Map(); // Player id -> { mesh, snapshots: [{ time, x, y, z, yaw }] } for the other racers
 
 // --- DOM Elements ---
 const blocker = document.getElementById('blocker');
 const instructions = document.getElementById('instructions');
 const timerElement = document.getElementById('timer');
 const messageElement = document.getElementById('message');
+const seedElement = document.getElementById('seed');
+const copySeedLinkButton = document.getElementById('copy-seed-link');
+const minimapContainer = document.getElementById('minimap-container');
+const minimapCanvas = document.getElementById('minimap-canvas');
+const debugElement = document.getElementById('debug');
+const inventoryElement = document.getElementById('inventory');
+const flashElement = document.getElementById('flash');
+const volumeControls = document.getElementById('volume-controls');
+const masterVolumeInput = document.getElementById('master-volume');
+const sfxVolumeInput = document.getElementById('sfx-volume');
+const muteInput = document.getElementById('mute');
+const levelSelect = document.getElementById('level-select');
+const resumeButton = document.getElementById('resume-run');
+const runControls = document.getElementById('run-controls');
+const exportButton = document.getElementById('export-run');
+const importButton = document.getElementById('import-run');
+const importInput = document.getElementById('import-file');
+const exportMazeJsonButton = document.getElementById('export-maze-json');
+const exportMazeAsciiButton = document.getElementById('export-maze-ascii');
+const editorContainer = document.getElementById('editor');
+const showSettingsButton = document.getElementById('show-settings');
+const settingsContainer = document.getElementById('settings');
+const openEditorButton = document.getElementById('open-editor');
+const watchReplayButton = document.getElementById('watch-replay');
+const importReplayButton = document.getElementById('import-replay');
+const replayInput = document.getElementById('replay-file');
+const raceGhostInput = document.getElementById('race-ghost');
+const raceGhostLabel = document.getElementById('race-ghost-label');
+const replayControls = document.getElementById('replay-controls');
+const replayPlayButton = document.getElementById('replay-play');
+const replayScrub = document.getElementById('replay-scrub');
+const replayTimeElement = document.getElementById('replay-time');
+const replaySpeedSelect = document.getElementById('replay-speed');
+const replayCameraButton = document.getElementById('replay-camera');
+const replayExportButton = document.getElementById('replay-export');
+const replayExitButton = document.getElementById('replay-exit');
+const resultsElement = document.getElementById('results');
+const showLeaderboardButton = document.getElementById('show-leaderboard');
+const leaderboardPanel = document.getElementById('leaderboard');
+const leaderboardSelect = document.getElementById('leaderboard-board');
+const leaderboardTable = document.getElementById('leaderboard-table');
+const exportLeaderboardButton = document.getElementById('export-leaderboard');
+const importLeaderboardButton = document.getElementById('import-leaderboard');
+const leaderboardInput = document.getElementById('leaderboard-file');
+const raceLobby = document.getElementById('race-lobby');
+const raceNameInput = document.getElementById('race-name');
+const raceRoomInput = document.getElementById('race-room');
+const raceJoinButton = document.getElementById('race-join');
+const raceStartButton = document.getElementById('race-start');
+const raceLeaveButton = document.getElementById('race-leave');
+const racePlayersElement = document.getElementById('race-players');
+const raceStatusElement = document.getElementById('race-status');
+const storage = (() => {
+    try {
+        return window.localStorage;
+    } catch (error) {
+        return null; // Blocked (e.g. sandboxed iframe): campaign progress just isn't kept
+    }
+})();
 
 // --- Initialization ---
 function init() {
+    settings = loadSettings(storage);
+
     // Scene
     scene = new THREE.Scene();
     scene.background = new THREE.Color(0x000000);
-    // scene.fog = new THREE.Fog(0x000000, CELL_SIZE * 2, CELL_SIZE * MAZE_WIDTH * 0.6); // Optional fog
+    // scene.fog = new THREE.Fog(0x000000, CELL_SIZE * 2, CELL_SIZE * settings.mazeSize * 0.6); // Optional fog
 
     // Camera
-    camera = new THREE.PerspectiveCamera(75, window.innerWidth / window.innerHeight, 0.1, 1000);
+    camera = new THREE.PerspectiveCamera(settings.fov, window.innerWidth / window.innerHeight, 0.1, 1000);
     camera.position.y = PLAYER_HEIGHT;
 
     // Audio Listener
     listener = new THREE.AudioListener();
     camera.add(listener);
-
-    // Renderer
-    renderer = new THREE.WebGLRenderer({ antialias: true });
-    renderer.setSize(window.innerWidth, window.innerHeight);
-    renderer.shadowMap.enabled = true; // Enable shadows
-    renderer.shadowMap.type = THREE.PCFSoftShadowMap; // Softer shadows
-    document.body.appendChild(renderer.domElement);
+    sound = createSoundEngine(listener, { refDistance: CELL_SIZE, ...settings.volumes });
 
     // Lighting
     const ambientLight = new THREE.AmbientLight(0x101010); // Very dim ambient light
     scene.add(ambientLight);
 
-    const directionalLight = new THREE.DirectionalLight(0xffffff, 2.0); // Strong white light
-    directionalLight.position.set(MAZE_WIDTH * CELL_SIZE * 0.3, 30, MAZE_HEIGHT * CELL_SIZE * 0.3);
+    directionalLight = new THREE.DirectionalLight(0xffffff, 2.0); // Strong white light; aimed per maze in fitLightToMaze
     directionalLight.castShadow = true;
     directionalLight.shadow.mapSize.width = 1024; // Adjust for quality/performance
     directionalLight.shadow.mapSize.height = 1024;
     directionalLight.shadow.camera.near = 0.5;
-    directionalLight.shadow.camera.far = MAZE_WIDTH * CELL_SIZE * 1.5;
-    // Optimize shadow camera frustum
-    const shadowCamSize = Math.max(MAZE_WIDTH, MAZE_HEIGHT) * CELL_SIZE / 2;
-    directionalLight.shadow.camera.left = -shadowCamSize;
-    directionalLight.shadow.camera.right = shadowCamSize;
-    directionalLight.shadow.camera.top = shadowCamSize;
-    directionalLight.shadow.camera.bottom = -shadowCamSize;
     scene.add(directionalLight);
+    scene.add(directionalLight.target);
     // const shadowHelper = new THREE.CameraHelper( directionalLight.shadow.camera ); // Debug shadows
     // scene.add( shadowHelper );
 
+    // Renderer (rebuilt when antialiasing is switched, see createRenderer)
+    createRenderer();
 
-    // Controls (Pointer Lock)
+    // Controls (Pointer Lock); mouse look is ours (sensitivity, invert Y), the controls only lock the pointer
     controls = new PointerLockControls(camera, document.body);
+    controls.pointerSpeed = 0;
+    document.addEventListener('mousemove', onMouseLook);
     scene.add(controls.getObject()); // Add camera pivot to scene
+    ghostFigure = createGhostFigure({ eyeHeight: PLAYER_HEIGHT, radius: PLAYER_RADIUS * 1.2 });
+    scene.add(ghostFigure);
 
     blocker.addEventListener('click', () => {
-        controls.lock();
+        if (replay) return;
+        sound.resume(); // Audio may only start after a user gesture
+        if (touchMode) startPlaying();
+        else controls.lock();
     });
-    controls.addEventListener('lock', () => {
-        instructions.style.display = 'none';
-        blocker.style.display = 'none';
-        gameActive = true; // Start game logic when pointer locked
-        if (gameOver) resetGame(); // Reset if starting after game over
-    });
-    controls.addEventListener('unlock', () => {
-        blocker.style.display = 'flex';
-        instructions.style.display = '';
-        gameActive = false;
+    controls.addEventListener('lock', startPlaying);
+    controls.addEventListener('unlock', pausePlaying);
+    // Touch screens play without pointer lock, using the on-screen controls
+    window.addEventListener('pointerdown', (event) => { touchMode = event.pointerType === 'touch'; });
+    touchControls = createTouchControls(document.getElementById('touch-controls'), {
+        onPress: (action) => {
+            if (action === 'interact') interact();
+            else if (action === 'map') minimap.toggleExpanded();
+            else if (action === 'hint') showHint();
+            else if (action === 'pause') stopPlaying();
+        }
     });
 
-    // Maze Generation
-    mazeGrid = generateMaze(MAZE_WIDTH, MAZE_HEIGHT);
-
-    // Create 3D Geometry
-    createMazeGeometry(mazeGrid);
-    addSpecialFeatures(mazeGrid); // Add portals, exits etc. after basic walls
-
-    // Place Camera at Start
-    const startPos = findStartOrEndPos(mazeGrid, true); // true for start
-    controls.getObject().position.x = startPos.x * CELL_SIZE;
-    controls.getObject().position.z = startPos.y * CELL_SIZE;
-    controls.getObject().position.y = PLAYER_HEIGHT;
-
-    // Find Exit Position
-    const endPos = findStartOrEndPos(mazeGrid, false); // false for end
-    exitPosition.set(endPos.x * CELL_SIZE, 0, endPos.y * CELL_SIZE); // Store exit world coords
-
-     // Add Placeholder AI
-     addAIEntities();
+    // Campaign by default; a shared ?seed= link (or other maze options) is free play
+    levelGroup = new THREE.Group();
+    scene.add(levelGroup);
+    progress = loadProgress(storage);
+    leaderboard = loadLeaderboard(storage);
+    debugElement.style.display = new URLSearchParams(window.location.search).has('debug') ? '' : 'none';
+    startLevel(chooseStartingLevel(window.location.search));
+    renderLevelSelect();
+    renderResumeButton();
+    const mazeUrl = new URLSearchParams(window.location.search).get('maze');
+    if (mazeUrl) loadMazeFromUrl(mazeUrl); // Replaces the free-play maze once it arrives
 
     // Input Listeners
     setupInputListeners();
+    setupSeedLink();
+    setupVolumeControls();
+    setupRunControls();
+    setupMazeFiles();
+    setupLevelEditor();
+    setupReplays();
+    setupLeaderboard();
+    setupSettings();
+    setupRaceLobby();
 
     // Handle Window Resize
     window.addEventListener('resize', onWindowResize, false);
@@ -133,296 +303,882 @@ function init() {
     animate();
 }
 
-// --- Maze Generation (Recursive Backtracker) ---
-function generateMaze(width, height) {
-    // Grid: 0=path, 1=wall, 2=start, 3=end, 4=potential secret, 5=potential portal, 6=potential trap
-    const grid = Array(height).fill(null).map(() => Array(width).fill(1));
-    const stack = [];
-    let currentX = 1, currentY = 1;
+// --- Levels ---
+function chooseStartingLevel(search) {
+    const params = new URLSearchParams(search);
+    if (FREE_PLAY_PARAMS.some(name => params.has(name))) return freePlayLevel(search);
+    return campaignLevel(Math.min(readLevelFromUrl(search) ?? progress.unlocked, progress.unlocked)); // No skipping ahead of the unlocks
+}
 
-    grid[currentY][currentX] = 0;
-    stack.push({ x: currentX, y: currentY });
+// Free play: the classic single maze, tuned from the URL (shape: size and time limit to use instead of its own)
+function freePlayLevel(search, { size, timeLimit } = readMazeShape(search)) {
+    return {
+        name: 'Free play',
+        campaign: null,
+        seed: readSeedFromUrl(search) ?? generateSeed(),
+        width: size,
+        height: size,
+        generator: readGeneratorOptions(search),
+        braid: readBraidOptions(search, size),
+        traps: readTrapCount(search),
+        ai: readHunters(search),
+        timeLimit,
+        floors: readFloorCount(search),
+        items: readItemCounts(search),
+        targetDifficulty: readMazeBand(search)
+    };
+}
 
-    const directions = [ { dx: 0, dy: -2 }, { dx: 2, dy: 0 }, { dx: 0, dy: 2 }, { dx: -2, dy: 0 } ];
+// Tears down the current maze and builds `next` (seeded, so a layout can be reproduced and shared)
+function startLevel(next) {
+    clearLevel();
+    reshapePending = false; // A different maze now, nothing left to rebuild
+    level = next;
+    mazeSeed = level.seed;
+    const { grid, traps, portalPairs, floors, ramps: rampList, doors, items } = buildLevelGrid(level);
+    mazeGrid = grid;
+    floorGrids = floors;
+    ramps = rampList;
+    hunterGrid = cloneGrid(grid);
+    findCells(grid, CELL.RAMP).forEach(({ x, y }) => { hunterGrid[y][x] = CELL.WALL; });
+    const unlocked = cloneGrid(grid); // Scored as generated: doors open, the way up as the goal
+    doors.forEach(({ x, y }) => { unlocked[y][x] = CELL.PATH; });
+    const metrics = analyzeMaze(unlocked, { goals: rampList.length > 0 ? findCells(grid, CELL.RAMP) : null });
+    mazeAnalysis = { metrics, score: difficultyScore(metrics) };
+    const floorText = floors.length > 1 ? `, ${floors.length} floors` : '';
+    if (level.campaign) seedElement.textContent = `Level ${level.campaign}/${CAMPAIGN_LEVELS.length} | Seed: ${mazeSeed}`;
+    else if (level.layout) seedElement.textContent = `Maze: ${level.name}`;
+    else seedElement.textContent = `Seed: ${mazeSeed} (${level.generator.algorithm}${floorText})`;
+    console.log(`${level.name}: seed ${mazeSeed}, ${level.width}x${level.height}${floorText}, algorithm ${level.generator.algorithm}`);
 
-    while (stack.length > 0) {
-        const current = stack[stack.length - 1];
-        currentX = current.x; currentY = current.y;
+    // Create 3D Geometry
+    fitLightToMaze();
+    createMazeGeometry(floorGrids, ramps);
+    addSpecialFeatures(mazeGrid, portalPairs); // Add portals, exits etc. after basic walls
+    addTraps(traps);
+    addItems(doors, items);
 
-        const neighbors = [];
-        directions.sort(() => Math.random() - 0.5); // Shuffle directions
+    // Find Exit Position
+    exitFloor = floorGrids.length - 1;
+    const endPos = findStartOrEndPos(floorGrids[exitFloor], false); // false for end
+    exitPosition.set(endPos.x * CELL_SIZE, exitFloor * FLOOR_HEIGHT, endPos.y * CELL_SIZE); // Store exit world coords
+
+    // Add AI Hunters
+    aiSettings = level.ai;
+    aiRandom = createRandom(mazeSeed ^ 0x5EED);
+    addAIEntities();
+
+    // Minimaps (fog-of-war over each floor's grid)
+    if (minimap && minimap.isExpanded()) minimap.toggleExpanded();
+    minimaps = floorGrids.map(floorGrid => createMinimap(minimapContainer, minimapCanvas, floorGrid));
+    minimap = minimaps[0];
+
+    levelCleared = false;
+    resetGame(); // Timer, player at the start
+}
 
-        for (const dir of directions) {
-            const nextX = currentX + dir.dx;
-            const nextY = currentY + dir.dy;
-            if (nextY >= 0 && nextY < height && nextX >= 0 && nextX < width && grid[nextY][nextX] === 1) {
-                neighbors.push({ nextX, nextY, wallX: currentX + dir.dx / 2, wallY: currentY + dir.dy / 2 });
-            }
-        }
+function clearLevel() {
+    for (const object of [...levelGroup.children]) {
+        sound.detach(object); // Positional emitters ride on hunters, portals and traps
+        levelGroup.remove(object);
+        if (object.geometry) object.geometry.dispose();
+    }
+    collisionGrid.clear();
+    portals = [];
+    aiEntities = [];
+    trapMeshes = new Map();
+    itemMeshes = new Map();
+    doorRecords = [];
+    hint = null;
+}
 
-        if (neighbors.length > 0) {
-            const chosen = neighbors[0];
-            grid[chosen.nextY][chosen.nextX] = 0; // Carve path
-            grid[chosen.wallY][chosen.wallX] = 0; // Carve wall
+// Keeps the sun over the middle of the maze with a shadow frustum that covers all of it
+function fitLightToMaze() {
+    const { width, height } = getGridSize(mazeGrid);
+    const extent = Math.max(width, height) * CELL_SIZE;
+    const center = new THREE.Vector3((width - 1) * CELL_SIZE / 2, 0, (height - 1) * CELL_SIZE / 2);
+    directionalLight.target.position.copy(center);
+    directionalLight.position.set(center.x + extent * 0.3, 30, center.z + extent * 0.3);
+    const shadowCamera = directionalLight.shadow.camera;
+    shadowCamera.left = shadowCamera.bottom = -extent * 0.75;
+    shadowCamera.right = shadowCamera.top = extent * 0.75;
+    shadowCamera.far = extent * 1.5 + 30;
+    shadowCamera.updateProjectionMatrix();
+}
+
+// --- Level Select (pause screen) ---
+function renderLevelSelect() {
+    levelSelect.replaceChildren();
+    const title = document.createElement('div');
+    title.textContent = level.campaign ? 'Campaign' : 'Campaign (you are in free play)';
+    levelSelect.appendChild(title);
+
+    CAMPAIGN_LEVELS.forEach((step, index) => {
+        const number = index + 1;
+        const unlocked = isLevelUnlocked(progress, number);
+        const best = progress.best[number];
+        const button = document.createElement('button');
+        button.textContent = best !== undefined ? `${number} (${best}s)` : String(number);
+        button.title = unlocked ? `${step.size}x${step.size}, ${step.hunters} hunter(s)` : 'Escape the previous level first';
+        button.disabled = !unlocked || isRacing();
+        button.classList.toggle('current', level.campaign === number);
+        button.addEventListener('click', () => {
+            if (!refuseDuringRace()) startLevel(campaignLevel(number)); // The blocker click then starts it
+        });
+        levelSelect.appendChild(button);
+    });
+}
 
-             // Occasionally mark walls as potential secrets or path cells for portals/traps
-            if (Math.random() < 0.1) { // 10% chance to be a potential secret wall
-                 grid[chosen.wallY][chosen.wallX] = 4;
-            } else if (Math.random() < 0.05 && grid[chosen.nextY][chosen.nextX] === 0) { // 5% chance for portal on path
-                 grid[chosen.nextY][chosen.nextX] = 5;
-            } // Add more rules for traps etc.
+// --- Maze Generation Options ---
+// Algorithm is picked at startup: ?algorithm=kruskal&pick=random (pick only affects growingTree)
+function readGeneratorOptions(search) {
+    const params = new URLSearchParams(search);
+    let algorithm = params.get('algorithm') || MAZE_ALGORITHM;
+    if (!MAZE_GENERATORS[algorithm]) {
+        console.warn(`Unknown maze algorithm "${algorithm}", using ${MAZE_ALGORITHM}. Available: ${Object.keys(MAZE_GENERATORS).join(', ')}`);
+        algorithm = MAZE_ALGORITHM;
+    }
+    let pick = params.get('pick') || GROWING_TREE_PICK;
+    if (!GROWING_TREE_PICKS[pick]) {
+        console.warn(`Unknown growing tree pick "${pick}", using ${GROWING_TREE_PICK}. Available: ${Object.keys(GROWING_TREE_PICKS).join(', ')}`);
+        pick = GROWING_TREE_PICK;
+    }
+    return { algorithm, pick };
+}
 
-            stack.push({ x: chosen.nextX, y: chosen.nextY });
-        } else {
-            stack.pop(); // Backtrack
-        }
+function readDifficultyName(search) {
+    const name = new URLSearchParams(search).get('difficulty') || DIFFICULTY;
+    if (!AI_DIFFICULTY[name]) {
+        console.warn(`Unknown difficulty "${name}", using ${DIFFICULTY}`);
+        return DIFFICULTY;
+    }
+    return name;
+}
+
+function readDifficulty(search) {
+    return AI_DIFFICULTY[readDifficultyName(search)];
+}
+
+// ?size= and ?time= (shared free-play links carry both) win over the player's own settings, so a
+// link builds the same maze with the same clock for everyone
+function readMazeShape(search) {
+    const params = new URLSearchParams(search);
+    const shape = normalizeSettings({ mazeSize: params.get('size') ?? settings.mazeSize, timeLimit: params.get('time') ?? settings.timeLimit });
+    return { size: shape.mazeSize, timeLimit: shape.timeLimit };
+}
+
+// Band a free-play maze is generated in: ?band= (links to a banded maze carry it), else the
+// difficulty's for a new random maze. A ?seed= link without one builds the maze it always has.
+function readMazeBand(search) {
+    const params = new URLSearchParams(search);
+    const name = params.get('band');
+    if (name === null) return params.has('seed') ? undefined : readDifficultyName(search);
+    if (!DIFFICULTY_BANDS[name]) {
+        console.warn(`Unknown maze band "${name}", building the seed's maze as carved`);
+        return undefined;
+    }
+    return name;
+}
+
+// Difficulty preset, with the hunter count from settings unless that's on auto
+function readHunters(search) {
+    const difficulty = readDifficulty(search);
+    return settings.aiCount === null ? difficulty : { ...difficulty, count: settings.aiCount };
+}
+
+function readTrapCount(search) {
+    const params = new URLSearchParams(search);
+    const count = Number(params.get('traps'));
+    return params.has('traps') && Number.isInteger(count) && count >= 0 ? count : TRAP_COUNT;
+}
+
+function readFloorCount(search) {
+    const params = new URLSearchParams(search);
+    const count = Number(params.get('floors'));
+    if (!params.has('floors')) return FLOOR_COUNT;
+    if (!Number.isInteger(count) || count < 1 || count > MAX_FLOORS) {
+        console.warn(`Floor count must be 1-${MAX_FLOORS}, using ${FLOOR_COUNT}`);
+        return FLOOR_COUNT;
     }
-    // Designate Start and End (ensure they are path cells)
-    grid[1][1] = 2; // Start top-left
-    grid[height - 2][width - 2] = 3; // End bottom-right
+    return count;
+}
+
+function readItemCounts(search) {
+    const params = new URLSearchParams(search);
+    const count = (name) => {
+        const value = Number(params.get(name));
+        return params.has(name) && Number.isInteger(value) && value >= 0 ? value : ITEM_COUNTS[name];
+    };
+    return { doors: count('doors'), bonuses: count('bonuses'), relics: count('relics') };
+}
 
-    return grid;
+// ?braid= and ?loops= are shares (0-1), ?rooms= a whole number up to the cells in a size x size
+// maze: the limits saves and races check (see maze_save.js). Out of range is clamped, not a
+// number at all falls back to the default.
+function readBraidOptions(search, size) {
+    const params = new URLSearchParams(search);
+    const number = (name, fallback, max, isValid = Number.isFinite) => {
+        if (!params.has(name)) return fallback;
+        const value = Number(params.get(name));
+        if (!isValid(value)) {
+            console.warn(`?${name}=${params.get(name)} is not usable, using ${fallback}`);
+            return fallback;
+        }
+        return Math.min(max, Math.max(0, value));
+    };
+    const cells = ((size - 1) / 2) ** 2;
+    return {
+        ...BRAID_OPTIONS,
+        deadEndRemoval: number('braid', BRAID_OPTIONS.deadEndRemoval, 1),
+        loopFraction: number('loops', BRAID_OPTIONS.loopFraction, 1),
+        rooms: number('rooms', BRAID_OPTIONS.rooms, cells, Number.isInteger)
+    };
 }
 
 
 // --- Create 3D Maze Geometry ---
-function createMazeGeometry(grid) {
-    const wallMaterial = new THREE.MeshStandardMaterial({ color: 0xffffff }); // White, reacts to light
-    const wallGeometry = new THREE.BoxGeometry(CELL_SIZE, WALL_HEIGHT, WALL_THICKNESS);
-    const wallGeometryZ = new THREE.BoxGeometry(WALL_THICKNESS, WALL_HEIGHT, CELL_SIZE);
+// grids: one per floor, bottom up; floor n stands on top of floor n - 1's walls
+function createMazeGeometry(grids, rampList) {
+    const wallMaterial = new THREE.MeshStandardMaterial({ color: 0xffffff }); // White, reacts to light; shared by every wall
+    const { width, height } = getGridSize(grids[0]);
 
-    collidableObjects = []; // Reset collidables
+    collisionGrid.clear(); // Reset collidables
     secretWalls = [];
+    allSecretWalls = [];
 
-    // Floor
-    const floorSize = Math.max(MAZE_WIDTH, MAZE_HEIGHT) * CELL_SIZE * 1.2; // Slightly larger floor
+    // Floor (under the whole maze, with some margin)
+    const floorSize = Math.max(width, height) * CELL_SIZE * 1.2; // Slightly larger floor
     const floorGeometry = new THREE.PlaneGeometry(floorSize, floorSize);
     const floorMaterial = new THREE.MeshStandardMaterial({ color: 0xdddddd }); // Light gray floor
     floor = new THREE.Mesh(floorGeometry, floorMaterial);
     floor.rotation.x = -Math.PI / 2;
-    floor.position.y = 0; // Floor at y=0
+    floor.position.set((width - 1) * CELL_SIZE / 2, 0, (height - 1) * CELL_SIZE / 2); // Floor at y=0
     floor.receiveShadow = true; // Floor receives shadows
-    scene.add(floor);
-    // Add floor to collidables? Only needed if player can fall off edges, but we add outer walls.
-
-    // Walls from Grid
-    for (let y = 0; y < grid.length; y++) {
-        for (let x = 0; x < grid[y].length; x++) {
-            const cellType = grid[y][x];
-            if (cellType === 1 || cellType === 4) { // 1 = Wall, 4 = Secret Wall
-                let wallMesh;
-                const posX = x * CELL_SIZE;
-                const posZ = y * CELL_SIZE;
-                const posY = WALL_HEIGHT / 2; // Center wall vertically
-
-                // Basic wall orientation detection (can be improved)
-                let isHorizontal = (y > 0 && grid[y - 1][x] !== 1 && grid[y - 1][x] !== 4) || (y < grid.length - 1 && grid[y + 1][x] !== 1 && grid[y + 1][x] !== 4);
-                 let isVertical = (x > 0 && grid[y][x - 1] !== 1 && grid[y][x - 1] !== 4) || (x < grid[y].length - 1 && grid[y][x + 1] !== 1 && grid[y][x + 1] !== 4);
-
-                // Prioritize longer segments for geometry choice
-                if (isHorizontal && !isVertical) { // Runs along Z
-                    wallMesh = new THREE.Mesh(wallGeometry, wallMaterial.clone()); // Clone material if changing props later
-                    wallMesh.position.set(posX, posY, posZ);
-                } else { // Runs along X or is a pillar (use Z geometry for simplicity here)
-                    wallMesh = new THREE.Mesh(wallGeometryZ, wallMaterial.clone());
-                    wallMesh.position.set(posX, posY, posZ);
-                }
-
-                wallMesh.castShadow = true;
-                wallMesh.receiveShadow = true; // Walls can receive shadows too
-                scene.add(wallMesh);
-                collidableObjects.push(wallMesh); // Add mesh for collision detection
-
-                if (cellType === 4) {
-                    wallMesh.isSecret = true; // Mark the mesh
-                    // Optionally change appearance slightly (e.g., slightly darker? needs careful handling for B&W)
-                    // wallMesh.material.color.set(0xeeeeee);
-                    secretWalls.push(wallMesh);
-                }
-            }
-            // Other cell types (0, 2, 3, 5, 6) are paths or handled in addSpecialFeatures
+    levelGroup.add(floor);
+    // Add floor to collidables? Only needed if player can fall off edges, but the border rows are walls.
+
+    // Walls from Grid: continuous runs joined at pillars, secret walls as separate boxes.
+    // The outer border is part of the grid, so it comes out as four long runs.
+    wallMeshes = [];
+    grids.forEach((grid, floorIndex) => {
+        const baseY = floorIndex * FLOOR_HEIGHT;
+        const wallPlacements = buildWallPlacements(grid, { cellSize: CELL_SIZE, wallHeight: WALL_HEIGHT, wallThickness: WALL_THICKNESS })
+            .map(placement => ({ ...placement, y: placement.y + baseY }));
+
+        // One draw call for all plain walls, one for secret walls (per floor)
+        const { meshes, walls, secrets } = createWallInstances(wallPlacements, wallMaterial);
+        meshes.forEach(mesh => levelGroup.add(mesh));
+        walls.forEach(wall => collisionGrid.addStatic(wall, wall.box)); // Bounds cached once, walls never move
+        secrets.forEach(secret => collisionGrid.addStatic(secret, secret.box));
+        wallMeshes.push(...meshes);
+        secretWalls.push(...secrets);
+        allSecretWalls.push(...secrets);
+        if (floorIndex > 0) addFloorSlab(grid, floorIndex, rampList);
+    });
+    rampList.forEach(addRampMesh);
+}
+
+// --- Floors & Ramps (see maze_floors.js) ---
+// Floors and ramps don't go in the collision grid: standing on them and bumping your head on them
+// is handled by groundHeight / ceilingHeight in the movement code.
+const slabMaterial = new THREE.MeshStandardMaterial({ color: 0xdddddd }); // Same gray as the ground
+const rampMaterial = new THREE.MeshStandardMaterial({ color: 0xbbbbbb });
+
+// The floor of an upper storey: one tile per lattice cell, left out where a ramp comes up
+function addFloorSlab(grid, floorIndex, rampList) {
+    const { width, height } = getGridSize(grid);
+    const holes = new Set(rampList.filter(ramp => ramp.floor === floorIndex - 1).map(ramp => cellKey(ramp.x, ramp.y)));
+    const tiles = [];
+    for (let y = 1; y < height; y += 2) {
+        for (let x = 1; x < width; x += 2) {
+            if (!holes.has(cellKey(x, y))) tiles.push({ x, y });
         }
     }
+    const slab = new THREE.InstancedMesh(new THREE.BoxGeometry(CELL_SIZE * 2, SLAB_THICKNESS, CELL_SIZE * 2), slabMaterial, tiles.length);
+    const matrix = new THREE.Matrix4();
+    tiles.forEach((tile, index) => {
+        matrix.makeTranslation(tile.x * CELL_SIZE, floorIndex * FLOOR_HEIGHT - SLAB_THICKNESS / 2, tile.y * CELL_SIZE);
+        slab.setMatrixAt(index, matrix);
+    });
+    slab.castShadow = true;
+    slab.receiveShadow = true;
+    levelGroup.add(slab);
+}
+
+// A slab tilted across its cell, from wall line to wall line, one floor up
+function addRampMesh(ramp) {
+    const run = CELL_SIZE * 2;
+    const length = Math.hypot(run, FLOOR_HEIGHT);
+    const alongX = ramp.dx !== 0;
+    const width = run - WALL_THICKNESS;
+    const geometry = new THREE.BoxGeometry(alongX ? length : width, SLAB_THICKNESS, alongX ? width : length);
+    const mesh = new THREE.Mesh(geometry, rampMaterial);
+    const tilt = Math.atan2(FLOOR_HEIGHT, run);
+    if (alongX) mesh.rotation.z = ramp.dx * tilt; // Uphill end raised
+    else mesh.rotation.x = -ramp.dy * tilt;
+    mesh.position.set(ramp.x * CELL_SIZE, (ramp.floor + 0.5) * FLOOR_HEIGHT - SLAB_THICKNESS / 2, ramp.y * CELL_SIZE);
+    mesh.castShadow = true;
+    mesh.receiveShadow = true;
+    levelGroup.add(mesh);
+}
 
-     // Add Outer Bounding Walls (Thicker)
-     const outerWallThickness = CELL_SIZE;
-     const halfWidth = (MAZE_WIDTH * CELL_SIZE) / 2 - CELL_SIZE / 2;
-     const halfHeight = (MAZE_HEIGHT * CELL_SIZE) / 2 - CELL_SIZE / 2;
-     const outerMat = new THREE.MeshStandardMaterial({ color: 0xffffff });
+// Which floor the player is on (past halfway up a ramp counts as the floor above)
+function currentFloor() {
+    return floorAt((controls.getObject().position.y - PLAYER_HEIGHT) / FLOOR_HEIGHT, floorGrids.length);
+}
 
-     const wallN = new THREE.Mesh(new THREE.BoxGeometry(MAZE_WIDTH * CELL_SIZE + outerWallThickness, WALL_HEIGHT, outerWallThickness), outerMat);
-     wallN.position.set(halfWidth, WALL_HEIGHT / 2, -outerWallThickness / 2);
-     const wallS = new THREE.Mesh(new THREE.BoxGeometry(MAZE_WIDTH * CELL_SIZE + outerWallThickness, WALL_HEIGHT, outerWallThickness), outerMat);
-     wallS.position.set(halfWidth, WALL_HEIGHT / 2, MAZE_HEIGHT * CELL_SIZE - CELL_SIZE + outerWallThickness / 2);
-     const wallW = new THREE.Mesh(new THREE.BoxGeometry(outerWallThickness, WALL_HEIGHT, MAZE_HEIGHT * CELL_SIZE + outerWallThickness), outerMat);
-     wallW.position.set(-outerWallThickness / 2, WALL_HEIGHT / 2, halfHeight);
-     const wallE = new THREE.Mesh(new THREE.BoxGeometry(outerWallThickness, WALL_HEIGHT, MAZE_HEIGHT * CELL_SIZE + outerWallThickness), outerMat);
-     wallE.position.set(MAZE_WIDTH * CELL_SIZE - CELL_SIZE + outerWallThickness / 2, WALL_HEIGHT / 2, halfHeight);
+// World height of the floor or ramp under `position` for feet at `feet`, counting surfaces up to
+// `stepUp` above them
+function groundHeight(position, feet, stepUp = 0) {
+    return groundAt(ramps, floorGrids.length, position.x / CELL_SIZE, position.z / CELL_SIZE, feet / FLOOR_HEIGHT, stepUp / FLOOR_HEIGHT) * FLOOR_HEIGHT;
+}
 
-     [wallN, wallS, wallW, wallE].forEach(wall => {
-         wall.castShadow = true;
-         wall.receiveShadow = true;
-         scene.add(wall);
-         collidableObjects.push(wall);
-     });
+// Underside of the floor above, Infinity under open sky
+function ceilingHeight(position, feet) {
+    return ceilingAt(ramps, floorGrids.length, position.x / CELL_SIZE, position.z / CELL_SIZE, feet / FLOOR_HEIGHT) * FLOOR_HEIGHT - SLAB_THICKNESS;
 }
 
 // --- Add Special Features ---
-function addSpecialFeatures(grid) {
+function addSpecialFeatures(grid, linkedPairs = null) {
     portals = [];
-    const portalMaterial = new THREE.MeshBasicMaterial({ color: 0x555555, side: THREE.DoubleSide, transparent: true, opacity: 0.5 }); // Placeholder visual
     const portalGeometry = new THREE.PlaneGeometry(CELL_SIZE * 0.6, WALL_HEIGHT * 0.8);
-    let portalPair = [];
-
-    for (let y = 0; y < grid.length; y++) {
-        for (let x = 0; x < grid[y].length; x++) {
-            if (grid[y][x] === 5) { // Potential Portal Location
-                const posX = x * CELL_SIZE;
-                const posZ = y * CELL_SIZE;
-
-                // Simple: Create pairs as they are found
-                if (portalPair.length === 0) {
-                    portalPair.push({x: posX, z: posZ});
-                } else {
-                    const posA = portalPair[0];
-                    const posB = {x: posX, z: posZ};
-                    portalPair = []; // Reset for next pair
-
-                    // Create portal A
-                    const portalA = new THREE.Mesh(portalGeometry, portalMaterial);
-                    portalA.position.set(posA.x, WALL_HEIGHT / 2, posA.z);
-                     // Orient portal visualization (basic)
-                    if (x > 0 && grid[y][x-1] === 1) portalA.rotation.y = Math.PI / 2; // Facing right
-                    else if (x < grid[0].length-1 && grid[y][x+1] === 1) portalA.rotation.y = -Math.PI / 2; // Facing left
-                    else if (y < grid.length-1 && grid[y+1][x] === 1) portalA.rotation.y = Math.PI; // Facing back
-
-                    const boxA = new THREE.Box3().setFromCenterAndSize(
-                        portalA.position,
-                        new THREE.Vector3(WALL_THICKNESS * 2, WALL_HEIGHT, WALL_THICKNESS * 2) // Trigger volume
-                    );
-                    scene.add(portalA);
-                    portals.push({ mesh: portalA, targetPos: new THREE.Vector3(posB.x, PLAYER_HEIGHT, posB.z), triggerBox: boxA });
-
-                    // Create portal B
-                    const portalB = new THREE.Mesh(portalGeometry, portalMaterial);
-                    portalB.position.set(posB.x, WALL_HEIGHT / 2, posB.z);
-                     if (x > 0 && grid[y][x-1] === 1) portalB.rotation.y = Math.PI / 2;
-                    else if (x < grid[0].length-1 && grid[y][x+1] === 1) portalB.rotation.y = -Math.PI / 2;
-                    else if (y < grid.length-1 && grid[y+1][x] === 1) portalB.rotation.y = Math.PI;
-
-                    const boxB = new THREE.Box3().setFromCenterAndSize(
-                        portalB.position,
-                         new THREE.Vector3(WALL_THICKNESS * 2, WALL_HEIGHT, WALL_THICKNESS * 2)
-                    );
-                    scene.add(portalB);
-                    portals.push({ mesh: portalB, targetPos: new THREE.Vector3(posA.x, PLAYER_HEIGHT, posA.z), triggerBox: boxB });
-
-                     // Make the grid spaces non-collidable if a portal is there
-                     // This assumes portals replace walls/are in openings. More complex logic needed otherwise.
-                }
-            }
-            // Add logic for traps (cellType 6), fake exits etc. here
+    const triggerSize = new THREE.Vector3(WALL_THICKNESS * 2, WALL_HEIGHT, WALL_THICKNESS * 2);
+
+    // Every portal has a partner and faces out of its own cell (see maze_portals.js)
+    const pairs = buildPortalPairs(grid, linkedPairs); // Maze files may link portals explicitly
+    for (const pair of pairs) {
+        const color = new THREE.Color().setHSL(pair.hue / 360, 0.8, 0.55); // Linked portals share a color
+        const portalMaterial = new THREE.MeshBasicMaterial({ color, side: THREE.DoubleSide, transparent: true, opacity: 0.6 });
+
+        for (const [end, other] of [[pair.a, pair.b], [pair.b, pair.a]]) {
+            const portal = new THREE.Mesh(portalGeometry, portalMaterial);
+            portal.position.set(end.x * CELL_SIZE, WALL_HEIGHT / 2, end.y * CELL_SIZE);
+            portal.rotation.y = Math.atan2(end.facing.dx, end.facing.dy); // Plane normal (+Z) points out of the cell
+            levelGroup.add(portal);
+            portals.push({
+                mesh: portal,
+                cell: { x: end.x, y: end.y },
+                color,
+                target: portalExit(other), // Step out of the partner, clear of its trigger
+                triggerBox: new THREE.Box3().setFromCenterAndSize(portal.position, triggerSize)
+            });
         }
     }
+    portalLinks = createPortalLinks(pairs.map(pair => [pair.a, pair.b]));
 }
 
+// --- Traps ---
+// Each trap is a floor tile tinted just slightly off the floor color; collapsed floors turn into holes
+const TRAP_COLORS = { spikes: 0xc8c8c8, slow: 0xd2d2de, drain: 0xded6c8, collapse: 0xd4d4d4 };
+const TRAP_SOUNDS = { spikes: 'spikes', slow: 'slow', drain: 'drain', collapse: 'crumble' };
+const trapMaterials = Object.fromEntries(Object.entries(TRAP_COLORS).map(([kind, color]) => [kind, new THREE.MeshStandardMaterial({ color })]));
+const holeMaterial = new THREE.MeshBasicMaterial({ color: 0x000000 });
+
+function addTraps(traps) {
+    const tileGeometry = new THREE.PlaneGeometry(CELL_SIZE * 0.95, CELL_SIZE * 0.95);
+    trapField = createTrapField(traps);
+    trapMeshes = new Map();
+    for (const [key, trap] of trapField.traps) {
+        const tile = new THREE.Mesh(tileGeometry, trapMaterials[trap.kind]);
+        tile.rotation.x = -Math.PI / 2;
+        tile.position.set(trap.x * CELL_SIZE, 0.01, trap.y * CELL_SIZE); // Just above the floor
+        tile.receiveShadow = true;
+        levelGroup.add(tile);
+        trapMeshes.set(key, tile);
+    }
+}
 
-// --- Add Placeholder AI ---
-function addAIEntities() {
-    // Simple Example: Add one AI sphere
-    const aiGeometry = new THREE.SphereGeometry(PLAYER_RADIUS * 1.5, 16, 8);
-    const aiMaterial = new THREE.MeshStandardMaterial({ color: 0xeeeeee }); // Slightly off-white AI
-    const aiMesh = new THREE.Mesh(aiGeometry, aiMaterial);
-    aiMesh.castShadow = true;
-
-    // Find a starting path cell for the AI
-    let aiStartX = 5, aiStartY = 5; // Example start
-    for (let y = 1; y < mazeGrid.length - 1; y+=2) {
-        for (let x = 1; x < mazeGrid[0].length - 1; x+=2) {
-            if (mazeGrid[y][x] === 0) { // Find first path cell
-                 aiStartX = x; aiStartY = y; break;
-            }
-        }
-         if(mazeGrid[aiStartY][aiStartX] === 0) break;
+// Mirrors a trap's state onto its tile
+function updateTrapMesh(trap) {
+    const tile = trapMeshes.get(cellKey(trap.x, trap.y));
+    tile.material = trap.state === 'collapsed' ? holeMaterial : trapMaterials[trap.kind];
+    tile.position.y = trap.state === 'crumbling' ? 0.005 : 0.01;
+}
+
+function updateTraps(deltaTime) {
+    const playerPos = controls.getObject().position;
+    const onTrapFloor = canJump && currentFloor() === 0; // Airborne = jumping over; traps are all on the ground floor
+    const result = updateTrapField(trapField, onTrapFloor ? worldToCell(playerPos) : null, deltaTime);
+    trapSpeedFactor = result.speedFactor;
+    timeLeft -= result.timeDrain;
+    result.triggered.forEach(trap => playSound(TRAP_SOUNDS[trap.kind], trapMeshes.get(cellKey(trap.x, trap.y))));
+    result.changed.forEach(updateTrapMesh);
+    if (result.timeDrain > 0) showMessage(`-${result.timeDrain}s`, 1000);
+
+    // Crumbling floor wobbles as a last warning
+    for (const trap of trapField.traps.values()) {
+        if (trap.state === 'crumbling') trapMeshes.get(cellKey(trap.x, trap.y)).position.y = 0.005 + Math.random() * 0.01;
+    }
+
+    if (result.respawn) {
+        placePlayerAtStart();
+        showMessage('Back to the start!', 1500);
+    }
+}
+
+// --- Items & Doors (see maze_items.js) ---
+// Pickups float and spin over their cell and are taken by walking into it; doors fill the gap
+// between two pillars and are opened with the interact key while holding their key.
+const KEY_HEX = { red: 0xd04040, blue: 0x4060d0, green: 0x40a040, yellow: 0xd0c040 };
+const ITEM_HEX = { time: 0x88ccff, relic: 0xffcc44 };
+const ITEM_SPIN = 1.5; // Radians per second
+
+const itemHex = (item) => item.kind === 'key' ? KEY_HEX[item.color] : ITEM_HEX[item.kind];
+const cssHex = (hex) => `#${hex.toString(16).padStart(6, '0')}`;
+
+function addItems(doors, items) {
+    itemField = createItemField(doors, items);
+    const shapes = {
+        key: new THREE.TorusGeometry(0.25, 0.08, 8, 16),
+        time: new THREE.OctahedronGeometry(0.3),
+        relic: new THREE.IcosahedronGeometry(0.3)
+    };
+    for (const [key, item] of itemField.items) {
+        const color = itemHex(item);
+        const mesh = new THREE.Mesh(shapes[item.kind], new THREE.MeshStandardMaterial({ color, emissive: color, emissiveIntensity: 0.3 }));
+        mesh.position.set(item.x * CELL_SIZE, PLAYER_HEIGHT * 0.6, item.y * CELL_SIZE);
+        mesh.castShadow = true;
+        levelGroup.add(mesh);
+        itemMeshes.set(key, mesh);
     }
 
+    const length = CELL_SIZE * 2 - WALL_THICKNESS; // Pillar face to pillar face, like a secret wall
+    for (const door of itemField.doors.values()) {
+        const alongX = door.y % 2 === 0; // Gap in a row of walls running along X
+        const size = alongX ? new THREE.Vector3(length, WALL_HEIGHT, WALL_THICKNESS) : new THREE.Vector3(WALL_THICKNESS, WALL_HEIGHT, length);
+        const mesh = new THREE.Mesh(new THREE.BoxGeometry(size.x, size.y, size.z), new THREE.MeshStandardMaterial({ color: KEY_HEX[door.color] }));
+        mesh.position.set(door.x * CELL_SIZE, WALL_HEIGHT / 2, door.y * CELL_SIZE);
+        mesh.castShadow = true;
+        mesh.receiveShadow = true;
+        levelGroup.add(mesh);
+        const record = { door, mesh, box: new THREE.Box3().setFromCenterAndSize(mesh.position, size) };
+        collisionGrid.addStatic(record, record.box);
+        doorRecords.push(record);
+    }
+    renderInventory();
+}
 
-    aiMesh.position.set(aiStartX * CELL_SIZE, PLAYER_RADIUS * 1.5, aiStartY * CELL_SIZE);
-    scene.add(aiMesh);
-    aiEntities.push({ mesh: aiMesh, path: [], target: null }); // Add pathfinding data later
-     collidableObjects.push(aiMesh); // AI can also be an obstacle
+// Everything back where it was generated, every door locked again (a fresh attempt)
+function resetItems() {
+    resetItemField(itemField);
+    itemMeshes.forEach(mesh => { mesh.visible = true; });
+    for (const record of doorRecords) {
+        record.mesh.visible = true;
+        collisionGrid.addStatic(record, record.box);
+        mazeGrid[record.door.y][record.door.x] = CELL.DOOR;
+        hunterGrid[record.door.y][record.door.x] = CELL.DOOR;
+    }
+    renderInventory();
 }
 
-// --- Find Start/End ---
-function findStartOrEndPos(grid, findStart) {
-    const targetType = findStart ? 2 : 3; // 2 for start, 3 for end
-    for (let y = 0; y < grid.length; y++) {
-        for (let x = 0; x < grid[y].length; x++) {
-            if (grid[y][x] === targetType) {
-                return { x, y };
-            }
-        }
+function updateItems(deltaTime) {
+    itemMeshes.forEach(mesh => { mesh.rotation.y += ITEM_SPIN * deltaTime; });
+    if (currentFloor() !== 0) return; // Items are all on the ground floor
+    const item = collectItem(itemField, worldToCell(controls.getObject().position));
+    if (!item) return;
+    takeItem(item);
+    playSound('pickup');
+    if (recorder) recorder.event(elapsedTime, 'pickup', { x: item.x, y: item.y });
+    if (item.kind === 'time') {
+        timeLeft += ITEM_KINDS.time.seconds;
+        showMessage(`+${ITEM_KINDS.time.seconds}s`, 1000);
+    } else if (item.kind === 'key') {
+        showMessage(`Picked up the ${item.color} key`, 1500);
+    } else {
+        showMessage(`Relic ${itemField.relics}/${itemField.relicTotal}`, 1500);
+    }
+}
+
+// Hides an item that has been picked up
+function takeItem(item) {
+    itemMeshes.get(cellKey(item.x, item.y)).visible = false;
+    renderInventory();
+}
+
+// Uses a held key on the door, or says which key it needs
+function tryDoor(record) {
+    const { opened } = unlockDoor(itemField, record.door);
+    if (!opened) {
+        showMessage(`Locked: needs the ${record.door.color} key`, 1500);
+        return;
+    }
+    openDoor(record);
+    playSound('unlock', record.mesh);
+    if (recorder) recorder.event(elapsedTime, 'door', { x: record.door.x, y: record.door.y });
+}
+
+// Takes the door away: no mesh, no collision, plain path for hunters and the minimap
+function openDoor(record) {
+    record.door.open = true;
+    record.mesh.visible = false;
+    collisionGrid.removeStatic(record);
+    mazeGrid[record.door.y][record.door.x] = CELL.PATH;
+    hunterGrid[record.door.y][record.door.x] = CELL.PATH;
+    renderInventory();
+    minimap.reveal(worldToCell(controls.getObject().position), revealedSecrets, true); // Can see through it now
+}
+
+// Keys held and relics found, in the HUD (hidden on levels without items)
+function renderInventory() {
+    const parts = [...itemField.keys].map(color => {
+        const part = document.createElement('span');
+        part.textContent = `${color} key`;
+        part.style.color = cssHex(KEY_HEX[color]);
+        return part;
+    });
+    if (itemField.relicTotal > 0) parts.push(`Relics ${itemField.relics}/${itemField.relicTotal}`);
+    inventoryElement.replaceChildren(...parts.flatMap((part, index) => index > 0 ? [' | ', part] : [part]));
+    inventoryElement.style.display = itemField.doors.size + itemField.items.size > 0 ? '' : 'none';
+}
+
+// --- Hints ---
+// The shortest way on from the player's cell over the floor they're on: to the exit, or on a
+// lower floor to the nearest ramp up. Revealed secret walls and portals count, locked doors
+// don't. Shown for a while as breadcrumbs on the floor and a line on the minimap.
+const hintMaterial = new THREE.MeshBasicMaterial({ color: 0x66ffcc, transparent: true, opacity: 0.8, depthWrite: false });
+const crumbGeometry = new THREE.CircleGeometry(0.3, 16);
+
+function showHint() {
+    if (!gameActive || gameOver) return;
+    const onFloor = currentFloor();
+    const grid = floorGrids[onFloor];
+    const goals = onFloor === exitFloor ? [findStartOrEndPos(grid, false)] : ramps.filter(ramp => ramp.floor === onFloor);
+    const from = roomCell(controls.getObject().position);
+    const route = onFloor === 0
+        ? findHintRoute(grid, from, goals, itemField, { secretsOpen: revealedSecrets, portalLinks }) // Behind a locked door: to its key
+        : findPathToNearest(grid, from, goals, { secretsOpen: revealedSecrets }); // Doors, keys and portals are all on the ground floor
+    if (!route) {
+        showMessage('No open way on from here', 2000); // Free: nothing to show
+        return;
+    }
+    hintsUsed++;
+    timeLeft -= settings.hintPenalty;
+    showMessage(settings.hintPenalty > 0 ? `Hint: -${settings.hintPenalty}s` : 'Hint', 1500);
+    if (recorder) recorder.event(elapsedTime, 'hint');
+
+    clearHint();
+    const group = new THREE.Group();
+    for (const cell of route.slice(1)) {
+        const crumb = new THREE.Mesh(crumbGeometry, hintMaterial);
+        crumb.rotation.x = -Math.PI / 2;
+        crumb.position.set(cell.x * CELL_SIZE, onFloor * FLOOR_HEIGHT + 0.03, cell.y * CELL_SIZE); // Just above the floor (and trap tiles)
+        group.add(crumb);
+    }
+    levelGroup.add(group);
+    hint = { route, floor: onFloor, timeLeft: HINT_DURATION, group };
+}
+
+function updateHint(deltaTime) {
+    if (!hint) return;
+    hint.timeLeft -= deltaTime;
+    hintMaterial.opacity = 0.8 * Math.min(1, hint.timeLeft); // Fades out over the last second
+    if (hint.timeLeft <= 0) clearHint();
+}
+
+function clearHint() {
+    if (!hint) return;
+    levelGroup.remove(hint.group);
+    hint = null;
+    hintMaterial.opacity = 0.8;
+}
+
+// --- Add AI Hunters ---
+function addAIEntities() {
+    const aiGeometry = new THREE.SphereGeometry(AI_RADIUS, 16, 8);
+    const startCell = findStartOrEndPos(hunterGrid, true);
+    const spawnCells = pickSpawnCells(hunterGrid, startCell, aiSettings.count, aiRandom, { minDistance: Math.floor(getGridSize(hunterGrid).width / 2) });
+
+    aiEntities = [];
+    for (const spawn of spawnCells) {
+        const aiMaterial = new THREE.MeshStandardMaterial({ color: 0xeeeeee }); // Slightly off-white AI, glows red when chasing
+        const aiMesh = new THREE.Mesh(aiGeometry, aiMaterial);
+        aiMesh.castShadow = true;
+        aiMesh.position.set(spawn.x * CELL_SIZE, AI_RADIUS, spawn.y * CELL_SIZE);
+        levelGroup.add(aiMesh);
+        const collisionBox = new THREE.Box3().setFromObject(aiMesh);
+        aiEntities.push({ mesh: aiMesh, spawn, collisionBox, stepDistance: 0, ...createAIAgent(spawn) });
+        collisionGrid.setDynamic(aiMesh, collisionBox); // AI can also be an obstacle (box follows it, see updateAI)
     }
-    return { x: 1, y: 1 }; // Fallback
 }
 
 // --- Input Handling ---
 function setupInputListeners() {
     window.addEventListener('keydown', (event) => {
         keysPressed[event.code] = true;
+        const action = actionForKey(settings.keys, event.code); // Bindings from the settings panel
         // Interaction Key
-        if (event.code === 'KeyE' && gameActive && !gameOver) {
+        if (action === 'interact' && gameActive && !gameOver) {
             interact();
         }
+        // Full-screen map overlay
+        if (action === 'map' && !event.repeat) {
+            minimap.toggleExpanded();
+        }
+        if (action === 'hint' && !event.repeat) {
+            showHint();
+        }
+        if (action === 'mute' && !event.repeat) {
+            muteInput.checked = !muteInput.checked;
+            sound.setVolumes({ muted: muteInput.checked });
+            storeVolumes();
+        }
+        if (event.code === 'F3') {
+            event.preventDefault(); // Browser find bar
+            debugElement.style.display = debugElement.style.display === 'none' ? '' : 'none';
+        }
     });
     window.addEventListener('keyup', (event) => {
         keysPressed[event.code] = false;
     });
 }
 
+function isActionPressed(action) {
+    return settings.keys[action].some(code => keysPressed[code]);
+}
+
+function onMouseLook(event) {
+    if (!controls.isLocked) return;
+    turnView(-event.movementX * MOUSE_LOOK_SPEED, -event.movementY * MOUSE_LOOK_SPEED);
+}
+
+// Turns the camera by yaw (left) and pitch (up) radians, scaled by the player's sensitivity
+function turnView(yaw, pitch) {
+    lookEuler.setFromQuaternion(camera.quaternion);
+    lookEuler.y += yaw * settings.sensitivity;
+    lookEuler.x += pitch * settings.sensitivity * (settings.invertY ? -1 : 1);
+    lookEuler.x = Math.max(-Math.PI / 2, Math.min(Math.PI / 2, lookEuler.x)); // No looking past straight up/down
+    camera.quaternion.setFromEuler(lookEuler);
+}
+
+// --- Play / Pause ---
+// Mouse and keyboard play under pointer lock (its lock/unlock events land here); touch and
+// gamepad play starts and stops directly.
+function startPlaying() {
+    instructions.style.display = 'none';
+    blocker.style.display = 'none';
+    resultsElement.style.display = 'none';
+    if (gameOver) {
+        // Escaped a campaign level: on to the next one (not in a race room). Otherwise try the same maze again.
+        if (levelCleared && level.campaign && level.campaign < CAMPAIGN_LEVELS.length && !race) startLevel(campaignLevel(level.campaign + 1));
+        else if (reshapePending && !race) reshapeFreePlay();
+        else resetGame();
+    }
+    if (touchMode) touchControls.show();
+    gameActive = true; // Start game logic
+}
+
+function pausePlaying() {
+    touchControls.hide();
+    blocker.style.display = 'flex';
+    instructions.style.display = '';
+    gameActive = false;
+    if (isRunInProgress()) saveRun(storage, captureRun()); // Pausing is a good moment to save
+    renderLevelSelect();
+    renderResumeButton();
+    renderReplayControls();
+}
+
+// Ends play however it was started (releasing pointer lock pauses through its unlock event)
+function stopPlaying() {
+    if (controls.isLocked) controls.unlock();
+    else pausePlaying();
+}
+
+// --- Gamepad & Touch ---
+// Reads the first connected gamepad; its buttons start, pause and act like the keys do
+function pollGamepad() {
+    const pads = navigator.getGamepads ? [...navigator.getGamepads()].filter(Boolean) : [];
+    gamepad = pads.length > 0 ? readGamepad(pads[0], gamepad ? gamepad.held : {}) : null;
+    if (!gamepad) return;
+    const { pressed } = gamepad;
+    if (gameActive && !gameOver) {
+        if (pressed.interact) interact();
+        if (pressed.map) minimap.toggleExpanded();
+        if (pressed.hint) showHint();
+        if (pressed.pause) stopPlaying();
+    } else if ((pressed.pause || pressed.jump) && blocker.style.display !== 'none' && !replay && !levelEditor.isOpen()) {
+        sound.resume();
+        startPlaying();
+    }
+}
+
+// Right stick and touch drags turn the view (the mouse has onMouseLook)
+function updateAnalogLook(deltaTime) {
+    const drag = touchControls.takeLook();
+    let yaw = -drag.dx * TOUCH_LOOK_SPEED;
+    let pitch = -drag.dy * TOUCH_LOOK_SPEED;
+    if (gamepad) {
+        yaw -= gamepad.look.x * GAMEPAD_LOOK_SPEED * deltaTime;
+        pitch += gamepad.look.y * GAMEPAD_LOOK_SPEED * deltaTime;
+    }
+    if (yaw !== 0 || pitch !== 0) turnView(yaw, pitch);
+}
+
+// --- Shareable Seed Link ---
+function setupSeedLink() {
+    copySeedLinkButton.addEventListener('click', (event) => {
+        event.stopPropagation(); // Don't start the game (blocker click locks the pointer)
+        const link = level.campaign ? buildLevelUrl(window.location.href, level.campaign) : buildFreePlayUrl(window.location.href);
+        const confirmCopied = () => { copySeedLinkButton.textContent = 'Link copied!'; };
+
+        if (navigator.clipboard && navigator.clipboard.writeText) {
+            navigator.clipboard.writeText(link).then(confirmCopied, () => window.prompt('Copy this link:', link));
+        } else {
+            window.prompt('Copy this link:', link); // Fallback for insecure contexts (file://, plain http)
+        }
+    });
+}
+
+// Seed plus size, time limit and band, which come from each player's settings otherwise
+function buildFreePlayUrl(href) {
+    const url = new URL(buildSeedUrl(href, mazeSeed));
+    url.searchParams.set('size', String(level.width));
+    url.searchParams.set('time', String(level.timeLimit));
+    if (level.targetDifficulty) url.searchParams.set('band', level.targetDifficulty);
+    else url.searchParams.delete('band');
+    return url.toString();
+}
+
+// --- Volume Controls (pause screen) ---
+function setupVolumeControls() {
+    const volumes = sound.volumes;
+    masterVolumeInput.value = volumes.master;
+    sfxVolumeInput.value = volumes.sfx;
+    muteInput.checked = volumes.muted;
+
+    const update = () => {
+        sound.setVolumes({
+            master: Number(masterVolumeInput.value),
+            sfx: Number(sfxVolumeInput.value),
+            muted: muteInput.checked
+        });
+        storeVolumes();
+    };
+    [masterVolumeInput, sfxVolumeInput, muteInput].forEach(input => input.addEventListener('input', update));
+    volumeControls.addEventListener('click', event => event.stopPropagation()); // Don't start the game
+}
+
+// --- Settings (see maze_settings.js) ---
+// A new WebGLRenderer (antialiasing can only be chosen when one is created), canvas swapped in place
+function createRenderer() {
+    const previous = renderer;
+    renderer = new THREE.WebGLRenderer({ antialias: settings.antialias });
+    renderer.setSize(window.innerWidth, window.innerHeight);
+    if (previous) {
+        previous.domElement.replaceWith(renderer.domElement);
+        previous.dispose();
+    } else {
+        document.body.appendChild(renderer.domElement);
+    }
+    applyShadowQuality();
+
+    // The free replay camera listens to the canvas, so it moves over too
+    const target = orbitControls ? orbitControls.target.clone() : new THREE.Vector3();
+    const enabled = orbitControls ? orbitControls.enabled : false;
+    if (orbitControls) orbitControls.dispose();
+    orbitControls = new OrbitControls(camera, renderer.domElement); // Replays only (free camera)
+    orbitControls.target.copy(target);
+    orbitControls.enabled = enabled;
+}
+
+function applyShadowQuality() {
+    renderer.shadowMap.enabled = settings.shadows !== 'off';
+    renderer.shadowMap.type = settings.shadows === 'soft' ? THREE.PCFSoftShadowMap : THREE.BasicShadowMap;
+    renderer.shadowMap.needsUpdate = true;
+    scene.traverse(object => { // Materials compile shadow support in or out
+        if (object.material) [].concat(object.material).forEach(material => { material.needsUpdate = true; });
+    });
+}
+
+// Applies a change from the settings panel straight away
+function applySettings(next) {
+    const previous = settings;
+    settings = next;
+    saveSettings(storage, settings);
+
+    camera.fov = settings.fov;
+    camera.updateProjectionMatrix();
+    if (settings.antialias !== previous.antialias) createRenderer();
+    else if (settings.shadows !== previous.shadows) applyShadowQuality();
+
+    // A different free-play maze shape: rebuild it now (same seed), or on the next retry if a run on
+    // it is under way. A race keeps the room's maze.
+    const reshaped = ['mazeSize', 'timeLimit', 'aiCount'].some(name => settings[name] !== previous[name]);
+    if (!reshaped || level.campaign || level.layout || race) return;
+    if (isRunInProgress()) reshapePending = true;
+    else reshapeFreePlay();
+}
+
+// Free play again with the size, time limit and hunters from the settings, on the same seed
+function reshapeFreePlay() {
+    startLevel({
+        ...freePlayLevel(window.location.search, { size: settings.mazeSize, timeLimit: settings.timeLimit }),
+        seed: level.seed
+    });
+    renderResumeButton();
+}
+
+function setupSettings() {
+    settingsPanel = createSettingsPanel(settingsContainer, settings, applySettings);
+    showSettingsButton.addEventListener('click', (event) => {
+        event.stopPropagation(); // Don't start the game
+        settingsContainer.style.display = settingsContainer.style.display === 'none' ? '' : 'none';
+    });
+}
+
+// Volumes are kept with the other settings
+function storeVolumes() {
+    settings = { ...settings, volumes: { ...sound.volumes } };
+    saveSettings(storage, settings);
+    if (settingsPanel) settingsPanel.update(settings); // Or its next change would save the old volumes
+}
+
 // --- Interaction Logic ---
 function interact() {
      // Simple Raycast for interaction
      const raycaster = new THREE.Raycaster(camera.position, camera.getWorldDirection(new THREE.Vector3()), 0, INTERACT_DISTANCE);
-     const intersects = raycaster.intersectObjects(secretWalls); // Only check against secret walls
-
-     if (intersects.length > 0) {
-         const intersectedWall = intersects[0].object;
-         if (intersectedWall.isSecret) {
-             console.log("Found secret wall!");
-             // Reveal the wall: remove it visually and from collision checks
-             scene.remove(intersectedWall);
-             collidableObjects = collidableObjects.filter(obj => obj !== intersectedWall);
-             secretWalls = secretWalls.filter(wall => wall !== intersectedWall);
-             // Play sound effect (placeholder)
-             playSound('reveal');
-         }
+     const secretMeshes = [...new Set(secretWalls.map(secret => secret.mesh))];
+     const intersects = raycaster.intersectObjects(secretMeshes); // Only check against secret walls
+     const hit = intersects.map(wallRecordFromIntersection).find(record => record); // Skip already revealed instances
+
+     if (hit) {
+         console.log("Found secret wall!");
+         revealSecretWall(hit);
+         playSound('reveal');
+         if (recorder) recorder.event(elapsedTime, 'secret', hit.cell);
+         return;
      }
+
+     const lockedDoors = doorRecords.filter(record => !record.door.open);
+     const [doorHit] = raycaster.intersectObjects(lockedDoors.map(record => record.mesh));
+     if (doorHit) tryDoor(lockedDoors.find(record => record.mesh === doorHit.object));
  }
 
+// Hides a secret wall's instance and removes it from collision checks
+function revealSecretWall(record) {
+    hideWallInstance(record);
+    collisionGrid.removeStatic(record);
+    secretWalls = secretWalls.filter(wall => wall !== record);
+    revealedSecrets.add(cellKey(record.cell.x, record.cell.y));
+    minimap.reveal(worldToCell(controls.getObject().position), revealedSecrets, true); // Can see through it now
+}
+
 // --- Movement & Collision ---
 function handleMovementAndCollision(deltaTime) {
-    const speed = PLAYER_SPEED;
+    const speed = settings.playerSpeed * trapSpeedFactor;
     const moveDirection = new THREE.Vector3(); // Direction relative to player's view
     let moveDistance = 0;
 
-    // Calculate movement direction based on input
-    if (keysPressed['KeyW'] || keysPressed['ArrowUp']) {
-        moveDirection.z = -1;
-    }
-    if (keysPressed['KeyS'] || keysPressed['ArrowDown']) {
-        moveDirection.z = 1;
-    }
-    if (keysPressed['KeyA'] || keysPressed['ArrowLeft']) {
-        moveDirection.x = -1;
-    }
-    if (keysPressed['KeyD'] || keysPressed['ArrowRight']) {
-        moveDirection.x = 1;
-    }
-
-    moveDirection.normalize(); // Ensure consistent speed diagonally
+    // Keys, gamepad stick and touch joystick together; analog input keeps its magnitude, so half a
+    // stick is half speed (see maze_input.js)
+    const keyMove = {
+        x: (isActionPressed('right') ? 1 : 0) - (isActionPressed('left') ? 1 : 0),
+        y: (isActionPressed('forward') ? 1 : 0) - (isActionPressed('back') ? 1 : 0)
+    };
+    const move = combineMoves(keyMove, gamepad ? gamepad.move : { x: 0, y: 0 }, touchControls.state.move);
+    moveDirection.set(move.x, 0, -move.y); // Length <= 1, so diagonals are no faster
 
-    // Apply movement if keys are pressed
+    // Apply movement if there is any input
     if (moveDirection.lengthSq() > 0) {
          // Get camera's world direction (horizontal plane)
         const cameraDirection = new THREE.Vector3();
@@ -439,10 +1195,11 @@ function handleMovementAndCollision(deltaTime) {
         worldMoveDirection.addScaledVector(right, moveDirection.x);
         worldMoveDirection.normalize();
 
-        moveDistance = speed * deltaTime;
+        moveDistance = speed * deltaTime * moveDirection.length();
 
         // --- Collision Detection ---
         const currentPos = controls.getObject().position;
+        const before = currentPos.clone();
         let potentialPos = currentPos.clone().addScaledVector(worldMoveDirection, moveDistance);
 
         if (!checkCollision(potentialPos)) {
@@ -459,15 +1216,41 @@ function handleMovementAndCollision(deltaTime) {
                  controls.getObject().position.z = potentialZ.z;
              }
         }
+
+        // Footsteps by distance walked, one bump per time the player walks into something
+        const moved = Math.hypot(currentPos.x - before.x, currentPos.z - before.z);
+        const blocked = moved < moveDistance * 0.1;
+        if (blocked && !wasBlocked) playSound('bump');
+        wasBlocked = blocked;
+        distanceTraveled += moved;
+        stepDistance += canJump ? moved : 0; // No footsteps mid-air
+        if (stepDistance >= STEP_LENGTH) {
+            stepDistance = 0;
+            playSound('footstep');
+        }
+    } else {
+        wasBlocked = false;
     }
 
     // --- Gravity and Jumping ---
+    const position = controls.getObject().position;
+    const wasOnGround = canJump;
     playerVelocity.y += GRAVITY * deltaTime;
-    controls.getObject().position.y += playerVelocity.y * deltaTime;
+    position.y += playerVelocity.y * deltaTime;
+
+    // Ceiling: the floor above stops a jump (open sky on the top floor)
+    const ceiling = ceilingHeight(position, position.y - PLAYER_HEIGHT);
+    if (position.y + HEAD_CLEARANCE > ceiling) {
+        position.y = ceiling - HEAD_CLEARANCE;
+        playerVelocity.y = Math.min(0, playerVelocity.y);
+    }
 
-    // Floor collision / Ground check
-    if (controls.getObject().position.y < PLAYER_HEIGHT) {
-        controls.getObject().position.y = PLAYER_HEIGHT;
+    // Floor collision / Ground check: floor or ramp underfoot, stepping up onto a rising ramp and
+    // staying on one that goes down
+    const feet = position.y - PLAYER_HEIGHT;
+    const ground = groundHeight(position, feet, STEP_UP);
+    if (feet <= ground || (wasOnGround && playerVelocity.y <= 0 && feet - ground < STEP_DOWN)) {
+        position.y = ground + PLAYER_HEIGHT;
         playerVelocity.y = 0;
         canJump = true; // Allow jumping when on floor
     } else {
@@ -475,88 +1258,172 @@ function handleMovementAndCollision(deltaTime) {
     }
 
     // Simple jump
-    if (keysPressed['Space'] && canJump) {
+    const jumpHeld = isActionPressed('jump') || touchControls.state.jump || Boolean(gamepad && gamepad.held.jump);
+    if (settings.jump && jumpHeld && canJump) {
         playerVelocity.y = Math.sqrt(-2 * GRAVITY * (WALL_HEIGHT * 0.6)); // Jump velocity to reach certain height
         canJump = false;
-        playSound('jump'); // Placeholder
+        playSound('jump');
     }
 
      // --- Portal Collision ---
-     checkPortalCollision(controls.getObject().position);
+     checkPortalCollision(controls.getObject().position, deltaTime);
 }
 
+// Only the walls bucketed in the cells around the player are tested (see collision_grid.js)
 function checkCollision(potentialPos) {
-    const playerBox = new THREE.Box3(
-        new THREE.Vector3(potentialPos.x - PLAYER_RADIUS, potentialPos.y - PLAYER_HEIGHT, potentialPos.z - PLAYER_RADIUS),
-        new THREE.Vector3(potentialPos.x + PLAYER_RADIUS, potentialPos.y, potentialPos.z + PLAYER_RADIUS)
-    );
+    // Feet a step up, so the top of the wall below doesn't catch them at the top of a ramp
+    playerCollisionBox.min.set(potentialPos.x - PLAYER_RADIUS, potentialPos.y - PLAYER_HEIGHT + STEP_UP, potentialPos.z - PLAYER_RADIUS);
+    playerCollisionBox.max.set(potentialPos.x + PLAYER_RADIUS, potentialPos.y, potentialPos.z + PLAYER_RADIUS);
 
-    for (const obj of collidableObjects) {
-        // Assuming collidableObjects contains Meshes
-        const wallBox = new THREE.Box3().setFromObject(obj);
-        if (playerBox.intersectsBox(wallBox)) {
-             playSound('bump'); // Placeholder
-            return true; // Collision detected
-        }
-    }
-    return false; // No collision
+    return collisionGrid.intersectsBox(playerCollisionBox); // Probes are silent, bumps are played by the caller
 }
 
-function checkPortalCollision(playerPos) {
-     const playerBoxSimple = new THREE.Box3( // Simplified box centered at player feet
+function checkPortalCollision(playerPos, deltaTime) {
+    portalCooldown = Math.max(0, portalCooldown - deltaTime);
+    if (portalCooldown > 0) return; // Just came through, don't bounce straight back
+
+    const playerBoxSimple = new THREE.Box3( // Simplified box centered at player feet
         new THREE.Vector3(playerPos.x - PLAYER_RADIUS, playerPos.y - PLAYER_HEIGHT, playerPos.z - PLAYER_RADIUS),
         new THREE.Vector3(playerPos.x + PLAYER_RADIUS, playerPos.y, playerPos.z + PLAYER_RADIUS)
     );
 
-    for (const portal of portals) {
-        if (playerBoxSimple.intersectsBox(portal.triggerBox)) {
-            // Teleport the player instantly
-            controls.getObject().position.copy(portal.targetPos);
-            playerVelocity.y = 0; // Reset vertical velocity after teleport
-            playSound('portal'); // Placeholder
-            // Add cooldown maybe? To prevent instant return teleport
-            break; // Assume only one portal can be triggered at a time
-        }
-    }
+    const portal = portals.find(candidate => playerBoxSimple.intersectsBox(candidate.triggerBox));
+    if (!portal) return;
+
+    playSound('portal');
+    if (recorder) recorder.event(elapsedTime, 'portal', portal.cell);
+    const { target } = portal;
+    controls.getObject().position.set(target.x * CELL_SIZE, PLAYER_HEIGHT, target.y * CELL_SIZE);
+    playerVelocity.y = 0; // Reset vertical velocity after teleport
+    faceDirection(target.facing.dx, target.facing.dy); // Exit looking out of the destination portal
+    portalCooldown = PORTAL_COOLDOWN;
+    flashScreen(portal.color);
+}
+
+// Turns the camera to look along a grid direction, keeping the current pitch
+const lookEuler = new THREE.Euler(0, 0, 0, 'YXZ'); // Same rotation order PointerLockControls uses
+function faceDirection(dx, dy) {
+    lookEuler.setFromQuaternion(camera.quaternion);
+    lookEuler.y = Math.atan2(-dx, -dy); // Camera looks down -Z at yaw 0
+    lookEuler.z = 0;
+    camera.quaternion.setFromEuler(lookEuler);
 }
 
-// --- Update AI (Placeholder) ---
+function flashScreen(color) {
+    flashElement.style.transition = 'none';
+    flashElement.style.background = `#${color.getHexString()}`;
+    flashElement.style.opacity = '0.7';
+    flashElement.getBoundingClientRect(); // Commit the start state so the fade below animates
+    flashElement.style.transition = 'opacity 0.4s ease-out';
+    flashElement.style.opacity = '0';
+}
+
+// --- Update AI ---
+const aiBoxSize = new THREE.Vector3(AI_RADIUS * 2, AI_RADIUS * 2, AI_RADIUS * 2);
+
 function updateAI(deltaTime) {
+    const playerPos = controls.getObject().position;
+    const player = currentFloor() === 0 ? { x: playerPos.x / CELL_SIZE, y: playerPos.z / CELL_SIZE } : null; // Upstairs is out of reach
+
     aiEntities.forEach(ai => {
-        // Simple patrol or pathfinding logic would go here
-        // Example: Move AI slightly
-        // ai.mesh.position.x += 0.5 * deltaTime;
-        // Need collision detection for AI too
+        const from = ai.mesh.position.clone();
+        const { spotted, teleported } = updateAIAgent(ai, deltaTime, {
+            grid: hunterGrid,
+            player,
+            settings: aiSettings,
+            random: aiRandom,
+            secretsOpen: revealedSecrets,
+            portalLinks
+        });
+        placeAIMesh(ai);
+        ai.mesh.material.emissive.setHex(ai.mode === 'chase' ? 0x550000 : 0x000000);
+
+        // Positional cues, heard from where the hunter is
+        if (spotted) playSound('alert', ai.mesh);
+        if (teleported) playSound('portal', portalAt(worldToCell(ai.mesh.position)) || ai.mesh);
+        ai.stepDistance += teleported ? 0 : from.distanceTo(ai.mesh.position);
+        if (ai.stepDistance >= STEP_LENGTH) {
+            ai.stepDistance = 0;
+            playSound('footstep', ai.mesh);
+        }
     });
 }
 
+function placeAIMesh(ai) {
+    ai.mesh.position.set(ai.x * CELL_SIZE, AI_RADIUS, ai.y * CELL_SIZE);
+    ai.collisionBox.setFromCenterAndSize(ai.mesh.position, aiBoxSize);
+}
+
+// Portal mesh standing on a grid cell, if any
+function portalAt(cell) {
+    const portal = portals.find(candidate => candidate.cell.x === cell.x && candidate.cell.y === cell.y);
+    return portal ? portal.mesh : null;
+}
+
+function isCaughtByAI(playerPos) {
+    if (currentFloor() !== 0) return false;
+    return aiEntities.some(ai => Math.hypot(ai.mesh.position.x - playerPos.x, ai.mesh.position.z - playerPos.z) < AI_CATCH_DISTANCE);
+}
+
 // --- Game Logic (Timer, Win/Lose) ---
 function updateGameLogic(deltaTime) {
     if (gameOver) return;
 
     // Timer
     timeLeft -= deltaTime;
+    elapsedTime += deltaTime;
     timerElement.textContent = `Time: ${Math.max(0, Math.ceil(timeLeft))}`;
 
     if (timeLeft <= 0) {
         // Game Over - Time Ran Out
         gameOver = true;
         gameActive = false; // Stop movement processing
+        clearRun(storage); // A finished run can't be resumed
+        finishRecording('timeout');
+        reportRaceResult('timeout');
         showMessage("Time's Up!");
-        controls.unlock(); // Release pointer lock
-        playSound('lose'); // Placeholder
+        stopPlaying(); // Release pointer lock
+        playSound('lose');
+        return;
+    }
+
+    // Caught by a hunter - same as running out of time
+    if (isCaughtByAI(controls.getObject().position)) {
+        gameOver = true;
+        gameActive = false;
+        clearRun(storage);
+        finishRecording('caught');
+        reportRaceResult('caught');
+        showMessage("You Were Caught!");
+        stopPlaying();
+        playSound('lose');
+        return;
     }
 
     // Check Win Condition
     const playerPos = controls.getObject().position;
     const distanceToExit = playerPos.distanceTo(exitPosition);
 
-    if (distanceToExit < CELL_SIZE * 0.7) { // Player is near the exit
+    if (currentFloor() === exitFloor && distanceToExit < CELL_SIZE * 0.7) { // Player is near the exit, on its floor
         gameOver = true;
         gameActive = false;
-        showMessage("You Escaped!");
-        controls.unlock();
-        playSound('win'); // Placeholder
+        clearRun(storage);
+        levelCleared = true;
+        const newBest = finishRecording('escaped');
+        reportRaceResult('escaped');
+        recordLeaderboardEntry();
+        if (level.campaign) {
+            const seconds = Math.round(elapsedTime * 10) / 10;
+            progress = recordEscape(progress, level.campaign, seconds);
+            saveProgress(storage, progress);
+            showMessage(level.campaign < CAMPAIGN_LEVELS.length
+                ? `Level ${level.campaign} cleared in ${seconds}s! Click for level ${level.campaign + 1}`
+                : `Campaign complete in ${seconds}s!`, 0);
+        } else {
+            showMessage(newBest ? "You Escaped! New best run saved as your ghost" : "You Escaped!");
+        }
+        stopPlaying();
+        playSound('win');
     }
 }
 
@@ -571,42 +1438,54 @@ function showMessage(text, duration = 3000) {
     }
 }
 
-// --- Sound Placeholders ---
-const soundEffects = {
-    // Load actual AudioBuffers here using THREE.AudioLoader
-    'footstep': null, 'jump': null, 'bump': null,
-    'portal': null, 'reveal': null, 'win': null, 'lose': null
-};
-
-function playSound(name) {
-    console.log(`Playing sound: ${name}`); // Log instead of playing
-    // Implementation requires loading sounds first
-    // Example:
-    // const sound = new THREE.Audio(listener);
-    // if (soundEffects[name]) {
-    //     sound.setBuffer(soundEffects[name]);
-    //     sound.setVolume(0.5);
-    //     sound.play();
-    // }
+// --- Sound ---
+// source: Object3D to play from (positional), or nothing for a plain cue
+function playSound(name, source = null) {
+    sound.play(name, { at: source });
 }
 
 // --- Reset Game ---
 function resetGame() {
     console.log("Resetting game...");
-    timeLeft = START_TIME;
+    timeLeft = level.timeLimit;
+    elapsedTime = 0;
+    distanceTraveled = 0;
+    hintsUsed = 0;
+    clearHint();
+    autosaveIn = AUTOSAVE_INTERVAL;
     gameOver = false;
     gameActive = false; // Will become true on next pointer lock
     messageElement.style.display = 'none';
 
     // Reset player position to start
-    const startPos = findStartOrEndPos(mazeGrid, true);
-    controls.getObject().position.set(startPos.x * CELL_SIZE, PLAYER_HEIGHT, startPos.y * CELL_SIZE);
-    playerVelocity.set(0, 0, 0);
+    placePlayerAtStart();
+
+    // Re-arm traps, collapsed floors come back
+    resetTrapField(trapField);
+    trapField.traps.forEach(updateTrapMesh);
+    resetItems();
+    trapSpeedFactor = 1;
+    portalCooldown = 0;
+
+    // Send hunters back to where they spawned
+    aiEntities.forEach(ai => {
+        Object.assign(ai, createAIAgent(ai.spawn));
+        placeAIMesh(ai);
+    });
 
-    // Reset any dynamic elements (like revealed secret walls - harder, might need regeneration)
-    // For simplicity, we might just regenerate the maze or reload the page
-    // Or, rebuild the geometry if secret walls were only hidden/moved
-    // NOTE: Simple reset here doesn't restore removed secret walls. Full reset = regenerate/reload.
+    // Secret walls found on an earlier attempt go back up (they were only hidden)
+    allSecretWalls.filter(record => record.revealed).forEach(record => {
+        showWallInstance(record);
+        collisionGrid.addStatic(record, record.box);
+    });
+    secretWalls = [...allSecretWalls];
+    revealedSecrets = new Set();
+
+    // Record this attempt; race the best one so far if asked to
+    recorder = createRecorder(level);
+    ghostRun = raceGhostInput.checked ? loadGhost(storage, level) : null;
+    if (ghostRun) setGhostPose(ghostFigure, poseAt(ghostRun, 0));
+    ghostFigure.visible = ghostRun !== null;
 
     // Clear keys pressed
     for (const key in keysPressed) {
@@ -618,17 +1497,821 @@ function resetGame() {
 function animate() {
     requestAnimationFrame(animate);
     const deltaTime = clock.getDelta();
+    pollGamepad();
+    updateRace(deltaTime);
 
-    if (controls.isLocked === true && gameActive && !gameOver) {
+    if (gameActive && !gameOver && !(race && race.countdown > 0)) { // Held on the line while a race counts down
+        updateAnalogLook(deltaTime);
         handleMovementAndCollision(deltaTime);
+        updateTraps(deltaTime);
+        updateItems(deltaTime);
+        updateHint(deltaTime);
         updateGameLogic(deltaTime);
         updateAI(deltaTime); // Update AI logic
+        updateRecording();
+        autosave(deltaTime);
+    } else if (replay) {
+        updateReplay(deltaTime);
     }
 
     renderer.render(scene, camera);
+    updateMinimap();
+    updateDebugReadout();
+}
+
+// --- Save / Resume ---
+// The whole run as plain data (see maze_save.js); the level rebuilds the grid, the rest is replayed on top
+function captureRun() {
+    return {
+        version: SAVE_VERSION,
+        savedAt: Date.now(),
+        level,
+        player: currentPose(),
+        timeLeft,
+        elapsedTime,
+        distance: distanceTraveled,
+        hints: hintsUsed,
+        revealedSecrets: [...revealedSecrets],
+        explored: [...minimaps[0].explored],
+        exploredAbove: minimaps.slice(1).map(floorMap => [...floorMap.explored]),
+        ai: aiEntities.map(ai => ({ x: ai.x, y: ai.y, mode: ai.mode, lastSeen: ai.lastSeen })),
+        traps: [...trapField.traps.values()].map(({ x, y, state, timer }) => ({ x, y, state, timer })),
+        items: itemFieldState(itemField)
+    };
+}
+
+// Where the player is and looks: { x, y, z (world), yaw, pitch (radians) }
+function currentPose() {
+    const position = controls.getObject().position;
+    lookEuler.setFromQuaternion(camera.quaternion);
+    return { x: position.x, y: position.y, z: position.z, yaw: lookEuler.y, pitch: lookEuler.x };
+}
+
+function resumeRun(run) {
+    startLevel(run.level);
+    recorder = null; // A replay needs the whole run from the start
+
+    // Secret walls found so far come down again
+    for (const key of run.revealedSecrets) {
+        const record = secretWalls.find(secret => cellKey(secret.cell.x, secret.cell.y) === key);
+        if (record) revealSecretWall(record);
+    }
+
+    const { player } = run;
+    controls.getObject().position.set(player.x, player.y, player.z);
+    lookEuler.set(player.pitch, player.yaw, 0);
+    camera.quaternion.setFromEuler(lookEuler);
+    timeLeft = run.timeLeft;
+    elapsedTime = run.elapsedTime;
+    distanceTraveled = run.distance || 0; // Saves from before distance was kept
+    hintsUsed = run.hints || 0;
+    timerElement.textContent = `Time: ${Math.max(0, Math.ceil(timeLeft))}`;
+
+    // Hunters pick up where they were (paths are re-planned on the next update)
+    run.ai.forEach((saved, index) => {
+        const ai = aiEntities[index];
+        if (!ai) return;
+        Object.assign(ai, createAIAgent({ x: Math.round(saved.x), y: Math.round(saved.y) }), {
+            x: saved.x,
+            y: saved.y,
+            mode: saved.mode === 'chase' ? 'chase' : 'patrol',
+            lastSeen: saved.lastSeen || null
+        });
+        placeAIMesh(ai);
+    });
+
+    for (const saved of run.traps) {
+        const trap = trapField.traps.get(cellKey(saved.x, saved.y));
+        if (!trap) continue;
+        trap.state = saved.state;
+        trap.timer = saved.timer;
+        updateTrapMesh(trap);
+    }
+
+    // Pickups first, so the keys for the opened doors are held when those are used
+    const { taken, opened } = run.items || { taken: [], opened: [] };
+    for (const key of taken) {
+        const [x, y] = key.split(',').map(Number);
+        const item = collectItem(itemField, { x, y });
+        if (item) takeItem(item);
+    }
+    for (const key of opened) {
+        const record = doorRecords.find(candidate => cellKey(candidate.door.x, candidate.door.y) === key);
+        if (record && unlockDoor(itemField, record.door).opened) openDoor(record);
+    }
+
+    run.explored.forEach(key => minimaps[0].explored.add(key));
+    (run.exploredAbove || []).forEach((keys, index) => {
+        if (minimaps[index + 1]) keys.forEach(key => minimaps[index + 1].explored.add(key));
+    });
+    showFloorMap(currentFloor());
+    minimap.reveal(worldToCell(controls.getObject().position), revealedSecrets, true);
+}
+
+function isRunInProgress() {
+    return !gameOver && elapsedTime > 0;
+}
+
+function autosave(deltaTime) {
+    autosaveIn -= deltaTime;
+    if (autosaveIn > 0) return;
+    autosaveIn = AUTOSAVE_INTERVAL;
+    saveRun(storage, captureRun());
+}
+
+// "Resume" shows up when there's a saved run and nothing is being played right now
+function renderResumeButton() {
+    const saved = loadRun(storage);
+    resumeButton.style.display = saved && !isRunInProgress() && !isRacing() ? '' : 'none';
+    if (saved) resumeButton.textContent = `Resume saved run (${saved.level.name}, ${Math.max(0, Math.ceil(saved.timeLeft))}s left)`;
+}
+
+function setupRunControls() {
+    resumeButton.addEventListener('click', () => {
+        const saved = loadRun(storage);
+        if (saved && !refuseDuringRace()) resumeRun(saved); // The blocker click then starts it
+    });
+
+    exportButton.addEventListener('click', () => {
+        const run = isRunInProgress() ? captureRun() : loadRun(storage);
+        if (!run) {
+            showMessage('Nothing to export yet', 1500);
+            return;
+        }
+        downloadFile(exportFileName(run), JSON.stringify(run, null, 2), 'application/json');
+    });
+
+    importButton.addEventListener('click', () => {
+        if (!refuseDuringRace()) importInput.click();
+    });
+    importInput.addEventListener('change', () => {
+        const file = importInput.files[0];
+        importInput.value = ''; // Same file can be picked again
+        if (!file) return;
+        file.text().then(text => {
+            if (refuseDuringRace()) return; // Started while the file was being picked
+            resumeRun(parseRun(text));
+            saveRun(storage, captureRun());
+            renderLevelSelect();
+            renderResumeButton();
+            showMessage('Run imported, click to continue', 2000);
+        }).catch(error => showMessage(error.message, 4000));
+    });
+    runControls.addEventListener('click', event => event.stopPropagation()); // Don't start the game
+
+    // Closing the tab mid-run keeps it
+    window.addEventListener('pagehide', () => {
+        if (isRunInProgress()) saveRun(storage, captureRun());
+    });
+}
+
+function downloadFile(name, text, type) {
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(new Blob([text], { type }));
+    link.download = name;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(link.href), 0); // After the download has started
+}
+
+// --- Maze Files (see maze_format.js) ---
+// Plays a parsed maze file with this page's difficulty (?difficulty=) for the hunters
+function playMazeFile(maze) {
+    startLevel(layoutLevel(maze, { ai: readHunters(window.location.search), timeLimit: settings.timeLimit }));
+    renderLevelSelect();
+    renderResumeButton();
+    showMessage(`Loaded "${level.name}", click to play`, 2000);
+}
+
+function loadMazeFromUrl(url) {
+    fetch(url)
+        .then(response => {
+            if (!response.ok) throw new Error(`Couldn't load maze file ${url} (${response.status})`);
+            return response.text();
+        })
+        .then(text => playMazeFile(parseMazeFile(text)))
+        .catch(error => showMessage(error.message, 5000));
+}
+
+// The level as built (before anything was opened or collapsed), in maze file shape; null for a
+// multi-floor maze (maze files are one floor). Maze files have no items, so doors are left open.
+function currentMaze() {
+    const { grid, traps, portalPairs, floors, doors } = buildLevelGrid(level);
+    if (floors.length > 1) return null;
+    doors.forEach(({ x, y }) => { grid[y][x] = CELL.PATH; });
+    return { grid, traps, portalPairs: portalPairs || pairPortals(grid).pairs, name: level.name, timeLimit: level.timeLimit };
+}
+
+function exportMaze(format) {
+    const maze = currentMaze();
+    if (!maze) {
+        showMessage("Multi-floor mazes can't be saved as maze files", 3000);
+        return;
+    }
+    const name = level.campaign ? `level-${level.campaign}` : level.layout ? 'custom' : `seed-${level.seed}`;
+    if (format === 'json') downloadFile(`maze-${name}.json`, JSON.stringify(mazeToJson(maze), null, 2), 'application/json');
+    else downloadFile(`maze-${name}.txt`, `; ${level.name}\n${mazeToAscii(maze.grid, maze.traps)}`, 'text/plain');
+}
+
+function setupMazeFiles() {
+    exportMazeJsonButton.addEventListener('click', () => exportMaze('json'));
+    exportMazeAsciiButton.addEventListener('click', () => exportMaze('ascii'));
+
+    // Drop a .txt or .json maze file anywhere on the page to play it
+    window.addEventListener('dragover', event => event.preventDefault());
+    window.addEventListener('drop', event => {
+        event.preventDefault();
+        const file = event.dataTransfer.files[0];
+        if (!file || gameActive || refuseDuringRace()) return;
+        file.text()
+            .then(text => playMazeFile(parseMazeFile(text)))
+            .catch(error => showMessage(error.message, 5000));
+    });
+}
+
+// --- Recording, Replays & Ghosts (see maze_replay.js) ---
+function updateRecording() {
+    if (recorder) recorder.sample(elapsedTime, currentPose());
+    if (ghostRun) setGhostPose(ghostFigure, poseAt(ghostRun, elapsedTime));
+}
+
+// Ends the recording of this attempt; returns true if it became the ghost to race on this level
+function finishRecording(result) {
+    if (!recorder) return false;
+    lastRecording = recorder.finish(elapsedTime, result, currentPose());
+    recorder = null;
+    return saveGhost(storage, lastRecording);
+}
+
+const REPLAY_RESULTS = { escaped: 'Escaped!', caught: 'Caught!', timeout: "Time's up!" };
+const REBUILT_EVENTS = ['secret', 'pickup', 'door']; // Events that change the maze for good
+
+function startReplay(recording) {
+    buildReplayLevel(recording);
+    replay = { recording, time: 0, playing: true, speed: Number(replaySpeedSelect.value), follow: true };
+    blocker.style.display = 'none';
+    minimapContainer.style.display = 'none';
+    replayControls.style.display = '';
+    replayScrub.max = recording.duration;
+    setReplayCamera(true);
+}
+
+function exitReplay() {
+    const { recording } = replay;
+    replay = null;
+    orbitControls.enabled = false;
+    replayControls.style.display = 'none';
+    minimapContainer.style.display = '';
+    startLevel(recording.level); // Ready for a real attempt, camera back at the start
+    blocker.style.display = 'flex';
+    renderLevelSelect();
+    renderResumeButton();
+    renderReplayControls();
+}
+
+// Fresh walls (secrets come down as the replay reaches them), no hunters (they aren't recorded)
+function buildReplayLevel(recording) {
+    startLevel(recording.level);
+    recorder = null;
+    aiEntities.forEach(ai => { ai.mesh.visible = false; });
+    ghostFigure.visible = true;
+}
+
+// Moves the replay to `time`; going back past a revealed secret wall, a pickup or an opened door
+// rebuilds the maze to put it back
+function seekReplay(time) {
+    const { recording } = replay;
+    const target = Math.min(Math.max(time, 0), recording.duration);
+    if (target < replay.time) {
+        if (eventsBetween(recording, target, replay.time).some(event => REBUILT_EVENTS.includes(event.type))) {
+            const viewpoint = camera.position.clone(); // Free camera stays put
+            buildReplayLevel(recording);
+            camera.position.copy(viewpoint);
+            applyReplayEvents(-Infinity, target, false);
+        }
+    } else {
+        applyReplayEvents(replay.time, target, replay.playing);
+    }
+    replay.time = target;
+}
+
+// live: played through (not jumped over), so show flashes and messages too
+function applyReplayEvents(from, to, live) {
+    for (const event of eventsBetween(replay.recording, from, to)) {
+        if (event.type === 'secret') {
+            const record = secretWalls.find(secret => secret.cell.x === event.x && secret.cell.y === event.y);
+            if (record) revealSecretWall(record);
+        } else if (event.type === 'pickup') {
+            const item = collectItem(itemField, event);
+            if (item) takeItem(item);
+        } else if (event.type === 'door') {
+            const record = doorRecords.find(candidate => candidate.door.x === event.x && candidate.door.y === event.y);
+            if (record && !record.door.open) openDoor(record);
+        } else if (event.type === 'portal' && live) {
+            const portal = portals.find(candidate => candidate.cell.x === event.x && candidate.cell.y === event.y);
+            if (portal) flashScreen(portal.color);
+        } else if (event.type === 'hint' && live) {
+            showMessage('Hint used', 1500);
+        } else if (REPLAY_RESULTS[event.type] && live) {
+            showMessage(REPLAY_RESULTS[event.type], 2000);
+        }
+    }
+}
+
+function updateReplay(deltaTime) {
+    const { recording } = replay;
+    if (replay.playing) {
+        seekReplay(replay.time + deltaTime * replay.speed);
+        if (replay.time >= recording.duration) setReplayPlaying(false);
+    }
+    const pose = poseAt(recording, replay.time);
+    setGhostPose(ghostFigure, pose);
+    if (replay.follow) {
+        // Chase camera: behind and above the figure, looking down at it over the walls
+        camera.position.set(pose.x + Math.sin(pose.yaw) * CELL_SIZE * 0.75, pose.y + WALL_HEIGHT, pose.z + Math.cos(pose.yaw) * CELL_SIZE * 0.75);
+        camera.lookAt(pose.x, pose.y, pose.z);
+    } else {
+        orbitControls.update();
+    }
+    replayScrub.value = replay.time;
+    replayTimeElement.textContent = `${replay.time.toFixed(1)} / ${recording.duration.toFixed(1)}s`;
+}
+
+function setReplayPlaying(playing) {
+    if (playing && replay.time >= replay.recording.duration) seekReplay(0); // Play again from the top
+    replay.playing = playing;
+    replayPlayButton.textContent = playing ? 'Pause' : 'Play';
+}
+
+function setReplayCamera(follow) {
+    replay.follow = follow;
+    orbitControls.enabled = !follow;
+    replayCameraButton.textContent = follow ? 'Camera: follow' : 'Camera: free';
+    if (!follow) {
+        orbitControls.target.copy(ghostFigure.position); // Orbit around where the figure is now
+        orbitControls.update();
+    }
+}
+
+// Pause screen: what can be replayed, and the ghost toggle with the time to beat
+function renderReplayControls() {
+    const ghost = loadGhost(storage, level);
+    watchReplayButton.disabled = (!lastRecording && !ghost) || isRacing();
+    watchReplayButton.textContent = lastRecording ? 'Watch last run' : 'Watch best run';
+    raceGhostLabel.lastChild.textContent = ghost ? ` Race your ghost (${ghost.duration.toFixed(1)}s)` : ' Race your ghost (escape once first)';
+}
+
+function setupReplays() {
+    watchReplayButton.addEventListener('click', () => {
+        const recording = lastRecording || loadGhost(storage, level);
+        if (recording && !refuseDuringRace()) startReplay(recording);
+    });
+    importReplayButton.addEventListener('click', () => {
+        if (!refuseDuringRace()) replayInput.click();
+    });
+    replayInput.addEventListener('change', () => {
+        const file = replayInput.files[0];
+        replayInput.value = ''; // Same file can be picked again
+        if (!file) return;
+        file.text()
+            .then(text => {
+                const recording = decodeRecording(text);
+                if (!refuseDuringRace()) startReplay(recording);
+            })
+            .catch(error => showMessage(error.message, 4000));
+    });
+    raceGhostInput.addEventListener('change', () => {
+        if (isRunInProgress()) return; // Takes effect on the next attempt
+        ghostRun = raceGhostInput.checked ? loadGhost(storage, level) : null;
+        if (ghostRun) setGhostPose(ghostFigure, poseAt(ghostRun, 0));
+        ghostFigure.visible = ghostRun !== null;
+    });
+
+    replayPlayButton.addEventListener('click', () => setReplayPlaying(!replay.playing));
+    replayScrub.addEventListener('input', () => {
+        setReplayPlaying(false);
+        seekReplay(Number(replayScrub.value));
+    });
+    replaySpeedSelect.addEventListener('change', () => { replay.speed = Number(replaySpeedSelect.value); });
+    replayCameraButton.addEventListener('click', () => setReplayCamera(!replay.follow));
+    replayExportButton.addEventListener('click', () => {
+        downloadFile(recordingFileName(replay.recording), encodeRecording(replay.recording), 'application/json');
+    });
+    replayExitButton.addEventListener('click', exitReplay);
+    renderReplayControls();
+}
+
+// --- Leaderboard (see maze_leaderboard.js) ---
+const roundTenth = (seconds) => Math.round(seconds * 10) / 10;
+
+function recordLeaderboardEntry() {
+    const entry = {
+        time: roundTenth(elapsedTime),
+        timeLeft: roundTenth(Math.max(0, timeLeft)),
+        secrets: revealedSecrets.size,
+        distance: Math.round(distanceTraveled),
+        date: Date.now(),
+        hints: hintsUsed
+    };
+    const result = recordResult(leaderboard, level, entry);
+    leaderboard = result.leaderboard;
+    saveLeaderboard(storage, leaderboard);
+    renderResults(entry, result);
+}
+
+// Results screen, shown on the pause overlay until the next attempt starts
+function renderResults(entry, { rank, best, delta }) {
+    const lines = [`Escaped in ${entry.time}s`];
+    if (rank) lines.push(`Rank #${rank} of ${boardFor(leaderboard, level).entries.length} on this maze`);
+    if (best === null) lines.push('First escape on this maze');
+    else if (delta < 0) lines.push(`New personal best! ${delta.toFixed(1)}s (was ${best}s)`);
+    else lines.push(`Personal best ${best}s (+${delta.toFixed(1)}s)`);
+    lines.push(`Time left ${entry.timeLeft}s | Secrets found ${entry.secrets} | Distance ${entry.distance}m | Hints used ${entry.hints}`);
+    if (itemField.relicTotal > 0) lines.push(`Relics found ${itemField.relics}/${itemField.relicTotal}`);
+    resultsElement.replaceChildren(...lines.map(text => {
+        const line = document.createElement('div');
+        line.textContent = text;
+        return line;
+    }));
+    resultsElement.style.display = '';
+}
+
+// Best times, one maze configuration at a time (the current one first)
+function renderLeaderboard() {
+    const current = configId(level);
+    const ids = [...new Set([current, ...Object.keys(leaderboard.boards)])];
+    const selected = ids.includes(leaderboardSelect.value) ? leaderboardSelect.value : current;
+    leaderboardSelect.replaceChildren(...ids.map(id => {
+        const option = document.createElement('option');
+        option.value = id;
+        option.textContent = id === current ? `${configLabel(level)} (this maze)` : leaderboard.boards[id].label;
+        return option;
+    }));
+    leaderboardSelect.value = selected;
+
+    const board = leaderboard.boards[selected];
+    const rows = [['#', 'Time', 'Left', 'Secrets', 'Hints', 'Distance', 'Date']];
+    if (board) {
+        board.entries.forEach((entry, index) => rows.push([
+            index + 1, `${entry.time}s`, `${entry.timeLeft}s`, entry.secrets, entry.hints ?? '-', `${entry.distance}m`,
+            new Date(entry.date).toLocaleDateString()
+        ]));
+    }
+    leaderboardTable.replaceChildren(...rows.map((cells, index) => {
+        const row = document.createElement('tr');
+        row.append(...cells.map(text => {
+            const cell = document.createElement(index === 0 ? 'th' : 'td');
+            cell.textContent = text;
+            return cell;
+        }));
+        return row;
+    }));
+    if (!board) leaderboardTable.insertRow().insertCell().textContent = 'No escapes on this maze yet';
+}
+
+function setupLeaderboard() {
+    showLeaderboardButton.addEventListener('click', (event) => {
+        event.stopPropagation(); // Don't start the game
+        const open = leaderboardPanel.style.display === 'none';
+        leaderboardPanel.style.display = open ? '' : 'none';
+        if (open) {
+            leaderboardSelect.value = '';
+            renderLeaderboard();
+        }
+    });
+    leaderboardSelect.addEventListener('change', renderLeaderboard);
+    exportLeaderboardButton.addEventListener('click', () => {
+        downloadFile(`maze-leaderboard-${new Date().toISOString().slice(0, 10)}.json`, JSON.stringify(leaderboard, null, 2), 'application/json');
+    });
+    importLeaderboardButton.addEventListener('click', () => leaderboardInput.click());
+    leaderboardInput.addEventListener('change', () => {
+        const file = leaderboardInput.files[0];
+        leaderboardInput.value = ''; // Same file can be picked again
+        if (!file) return;
+        file.text().then(text => {
+            leaderboard = mergeLeaderboards(leaderboard, parseLeaderboard(text));
+            saveLeaderboard(storage, leaderboard);
+            renderLeaderboard();
+            showMessage('Times merged into the leaderboard', 2000);
+        }).catch(error => showMessage(error.message, 4000));
+    });
+    leaderboardPanel.addEventListener('click', event => event.stopPropagation()); // Don't start the game
+}
+
+// --- Race Mode (see maze_race.js; rooms are hosted by race_server.js) ---
+// Racing others through the same maze: the lobby on the pause screen joins a room, the host
+// starts the race and everyone builds the room's level from its data. Rivals are drawn from the
+// poses the server relays, a little in the past so there are two to interpolate between.
+const avatarGeometry = new THREE.SphereGeometry(AVATAR_RADIUS, 16, 8);
+const noseGeometry = new THREE.ConeGeometry(AVATAR_RADIUS * 0.3, AVATAR_RADIUS, 8);
+const raceClock = () => performance.now() / 1000; // Seconds, when poses arrived
+
+const RACE_HANDLERS = {
+    welcome: ({ id, host, level: raceLevel, players }) => {
+        Object.assign(race, { id, host, players });
+        if (!playRaceLevel(raceLevel)) return;
+        setRaceStatus(`In room "${race.room}": ${host === id ? 'start the race when everyone is in' : 'waiting for the host to start'}`);
+    },
+    players: ({ host, players }) => {
+        Object.assign(race, { host, players });
+        [...raceAvatars.keys()].filter(id => !players.some(player => player.id === id)).forEach(removeRaceAvatar);
+    },
+    start: ({ level: raceLevel, countdown }) => {
+        if (!playRaceLevel(raceLevel)) return;
+        Object.assign(race, { racing: true, countdown, poseIn: 0, done: false, results: new Map() });
+        renderRaceLocks();
+        [...raceAvatars.keys()].forEach(removeRaceAvatar);
+        setRaceStatus('Race on! Click to play, the clock starts after the countdown');
+        showMessage(`Race starts in ${countdown}`, 0);
+    },
+    pose: ({ id, x, y, z, yaw }) => {
+        const avatar = raceAvatars.get(id) || addRaceAvatar(id);
+        avatar.snapshots.push({ time: raceClock(), x, y, z, yaw });
+        if (avatar.snapshots.length > RACE_SNAPSHOTS) avatar.snapshots.shift();
+    },
+    finished: ({ id, name, time, place }) => {
+        race.results.set(id, `#${place} in ${time}s`);
+        removeRaceAvatar(id); // Out of the maze
+        if (place === 1) {
+            const winner = id === race.id ? 'You win' : `${name} wins`;
+            showMessage(`${winner} the race in ${time}s!`, 4000);
+            setRaceStatus(`${winner} the race in ${time}s!`);
+        }
+    },
+    retired: ({ id }) => {
+        race.results.set(id, 'out');
+        removeRaceAvatar(id);
+    },
+    over: ({ standings }) => {
+        race.racing = false;
+        race.countdown = 0;
+        renderRaceLocks();
+        const winner = standings.find(standing => standing.place === 1);
+        setRaceStatus(`Race over: ${winner ? `${winner.name} won in ${winner.time}s` : 'nobody made it out'}. ${race.host === race.id ? 'Start another when ready' : 'Waiting for the host'}`);
+    },
+    error: ({ message }) => {
+        if (race.id === null) leaveRace(message); // Never got in (bad name, room full...)
+        else setRaceStatus(message);
+    }
+};
+
+function setupRaceLobby() {
+    const params = new URLSearchParams(window.location.search);
+    raceNameInput.value = params.get('name') || '';
+    raceRoomInput.value = params.get('race') || '';
+    raceLobby.addEventListener('click', event => event.stopPropagation()); // Don't start the game
+    raceLobby.addEventListener('keydown', (event) => {
+        event.stopPropagation(); // Typing a name isn't playing (H, M, N...)
+        if (event.key === 'Enter' && !race) joinRace();
+    });
+    raceJoinButton.addEventListener('click', joinRace);
+    raceStartButton.addEventListener('click', () => race.client.send({ type: 'start', level })); // The maze the host has up
+    raceLeaveButton.addEventListener('click', () => leaveRace('Left the race'));
+    if (params.has('race')) joinRace();
+    renderRaceLobby();
+}
+
+function joinRace() {
+    const url = raceServerUrl(window.location, window.location.search);
+    if (!url) {
+        setRaceStatus('Races need the race server: run npm run race-server and open the page it shows');
+        return;
+    }
+    const client = createRaceClient(url, {
+        onMessage: (message) => {
+            if (race && race.client === client && RACE_HANDLERS[message.type]) {
+                RACE_HANDLERS[message.type](message);
+                renderRaceLobby();
+            }
+        },
+        onClose: (reason) => {
+            if (race && race.client === client) leaveRace(reason);
+        }
+    });
+    race = { client, room: raceRoomInput.value.trim(), id: null, host: null, players: [], racing: false, countdown: 0, poseIn: 0, done: false, results: new Map() };
+    client.send({ type: 'join', room: race.room, name: raceNameInput.value, level });
+    setRaceStatus('Joining...');
+    renderRaceLobby();
+}
+
+// Closes the connection (leaving the room) and clears the rivals away; reason goes in the lobby
+function leaveRace(reason) {
+    const { client } = race;
+    race = null;
+    client.close();
+    [...raceAvatars.keys()].forEach(removeRaceAvatar);
+    setRaceStatus(reason);
+    renderRaceLobby();
+    renderRaceLocks();
+}
+
+function isRacing() {
+    return race !== null && race.racing;
+}
+
+// Level select, resume, imports, replays, dropped files and playtests would swap the maze out
+// from under a race: refused, with a message, while one is on
+function refuseDuringRace() {
+    if (!isRacing()) return false;
+    showMessage('Not during a race (leave it first)', 2000);
+    return true;
+}
+
+// Greys out the ways to another maze as a race starts, back once it's over
+function renderRaceLocks() {
+    importButton.disabled = isRacing();
+    importReplayButton.disabled = isRacing();
+    renderLevelSelect();
+    renderResumeButton();
+    renderReplayControls();
+}
+
+// Everyone races the room's maze: its level data builds the same grid on every machine. One that
+// won't build leaves the race before the current maze is torn down; returns whether it's playing.
+function playRaceLevel(raceLevel) {
+    try {
+        buildLevelGrid(validateLevel(raceLevel));
+    } catch (error) {
+        leaveRace(`Left the race, its maze can't be built: ${error.message}`);
+        return false;
+    }
+    if (replay) exitReplay();
+    stopPlaying();
+    startLevel(raceLevel);
+    renderLevelSelect();
+    return true;
+}
+
+// Tells the room how this attempt ended: escaping finishes the race, anything else retires
+function reportRaceResult(result) {
+    if (!race || !race.racing || race.done) return;
+    race.done = true;
+    race.client.send(result === 'escaped' ? { type: 'finish', levelId: levelId(level) } : { type: 'retire' });
+}
+
+function updateRace(deltaTime) {
+    if (!race) return;
+    if (race.countdown > 0) {
+        const shown = Math.ceil(race.countdown);
+        race.countdown -= deltaTime;
+        const left = Math.ceil(race.countdown);
+        if (left !== shown) showMessage(left > 0 ? `Race starts in ${left}` : 'Go!', left > 0 ? 0 : 1000);
+    }
+    if (race.racing && !race.done) {
+        race.poseIn -= deltaTime;
+        if (race.poseIn <= 0) {
+            race.poseIn = POSE_INTERVAL;
+            const { x, y, z, yaw } = currentPose();
+            race.client.send({ type: 'pose', x, y, z, yaw });
+        }
+    }
+    const time = raceClock() - INTERPOLATION_DELAY;
+    raceAvatars.forEach(avatar => {
+        const pose = interpolatePose(avatar.snapshots, time);
+        avatar.mesh.position.set(pose.x, pose.y, pose.z);
+        avatar.mesh.rotation.y = pose.yaw;
+    });
+}
+
+const raceColor = (id) => new THREE.Color().setHSL(playerHue(id), 0.7, 0.55);
+
+// A sphere in the racer's color with a nose showing which way they look (like the hunters, but
+// at eye height and without collision: racers pass through each other)
+function addRaceAvatar(id) {
+    const material = new THREE.MeshStandardMaterial({ color: raceColor(id) });
+    const mesh = new THREE.Mesh(avatarGeometry, material);
+    const nose = new THREE.Mesh(noseGeometry, material);
+    nose.rotation.x = -Math.PI / 2; // Points down -Z, the way a camera at yaw 0 looks
+    nose.position.z = -AVATAR_RADIUS;
+    mesh.add(nose);
+    mesh.castShadow = true;
+    scene.add(mesh);
+    const avatar = { mesh, snapshots: [] };
+    raceAvatars.set(id, avatar);
+    return avatar;
+}
+
+function removeRaceAvatar(id) {
+    const avatar = raceAvatars.get(id);
+    if (!avatar) return;
+    scene.remove(avatar.mesh);
+    avatar.mesh.material.dispose();
+    raceAvatars.delete(id);
+}
+
+function setRaceStatus(text) {
+    raceStatusElement.textContent = text;
+}
+
+function renderRaceLobby() {
+    const joined = race !== null;
+    raceNameInput.disabled = joined;
+    raceRoomInput.disabled = joined;
+    raceJoinButton.style.display = joined ? 'none' : '';
+    raceLeaveButton.style.display = joined ? '' : 'none';
+    raceStartButton.style.display = joined && race.id !== null && race.host === race.id && !race.racing ? '' : 'none';
+    racePlayersElement.replaceChildren(...(joined ? race.players : []).map(player => {
+        const row = document.createElement('div');
+        row.style.color = `#${raceColor(player.id).getHexString()}`;
+        const result = race.results.get(player.id);
+        row.textContent = [player.name, player.id === race.id && '(you)', player.id === race.host && '(host)', result].filter(Boolean).join(' ');
+        return row;
+    }));
+}
+
+// --- Level Editor ---
+function setupLevelEditor() {
+    levelEditor = createLevelEditor(editorContainer, {
+        onPlaytest: (maze) => {
+            if (refuseDuringRace()) return;
+            playtestLevel = layoutLevel({ ...maze, name: 'Playtest' }, { ai: readHunters(window.location.search), timeLimit: settings.timeLimit });
+            startLevel(playtestLevel);
+            levelEditor.close();
+            blocker.style.display = 'flex';
+            if (touchMode) startPlaying();
+            else controls.lock(); // Straight in (the button click counts as the gesture)
+        },
+        onSave: (maze) => downloadFile('maze-custom.json', JSON.stringify(mazeToJson(maze), null, 2), 'application/json'),
+        onClose: () => {
+            blocker.style.display = 'flex';
+            renderLevelSelect();
+            renderResumeButton();
+        }
+    });
+
+    // Opens on the maze being played; back from a playtest it picks up where editing left off
+    openEditorButton.addEventListener('click', (event) => {
+        event.stopPropagation(); // Don't start the game
+        if (level === playtestLevel && levelEditor.hasMaze()) levelEditor.show();
+        else levelEditor.open(currentMaze() || createBlankMaze(level.width, level.height)); // Nothing to edit in a multi-floor maze
+        blocker.style.display = 'none';
+    });
+}
+
+// --- Debug Readout (F3 or ?debug) ---
+function updateDebugReadout() {
+    if (debugElement.style.display === 'none') return;
+    const materials = new Set();
+    scene.traverse(object => {
+        if (!object.material) return;
+        (Array.isArray(object.material) ? object.material : [object.material]).forEach(material => materials.add(material));
+    });
+    const wallInstances = wallMeshes.reduce((total, mesh) => total + mesh.count, 0);
+    const { metrics, score } = mazeAnalysis;
+    debugElement.textContent = [
+        `Draw calls: ${renderer.info.render.calls} | Materials: ${materials.size} | Wall instances: ${wallInstances}`,
+        `Maze score: ${score ?? '-'} (${difficultyOf(score) ?? 'no route'}${level.targetDifficulty ? `, asked for ${level.targetDifficulty}` : ''})`,
+        `Route: ${metrics.solutionLength ?? '-'} cells, start to end ${metrics.startEndDistance ?? '-'} apart, ${metrics.decisions} junctions on it`,
+        `Dead ends: ${metrics.deadEnds} | Junctions: ${metrics.junctions} | Branching: ${metrics.branching} | Open cells: ${metrics.cells}`
+    ].join('\n');
+}
+
+// --- Minimap ---
+function updateMinimap() {
+    const playerPos = controls.getObject().position;
+    const lookDirection = camera.getWorldDirection(new THREE.Vector3());
+    const onFloor = currentFloor();
+    showFloorMap(onFloor);
+    minimap.reveal(worldToCell(playerPos), revealedSecrets);
+    minimap.draw({
+        player: { x: playerPos.x / CELL_SIZE, y: playerPos.z / CELL_SIZE, dirX: lookDirection.x, dirY: lookDirection.z },
+        exit: onFloor === exitFloor ? findStartOrEndPos(floorGrids[exitFloor], false) : null,
+        portals: onFloor === 0 ? portals.map(portal => ({ ...portal.cell, color: `#${portal.color.getHexString()}` })) : [],
+        ai: onFloor === 0 ? aiEntities.map(ai => ({ x: ai.mesh.position.x / CELL_SIZE, y: ai.mesh.position.z / CELL_SIZE })) : [],
+        secretsOpen: revealedSecrets,
+        doors: onFloor === 0 ? doorRecords.filter(record => !record.door.open).map(({ door }) => ({ ...door, color: cssHex(KEY_HEX[door.color]) })) : [],
+        items: onFloor === 0 ? [...itemField.items.values()].filter(item => !item.taken).map(item => ({ x: item.x, y: item.y, color: cssHex(itemHex(item)) })) : [],
+        route: hint && hint.floor === onFloor ? hint.route : [],
+        label: floorGrids.length > 1 ? `Floor ${onFloor + 1}/${floorGrids.length}` : ''
+    });
+}
+
+// Switches the minimap to another floor's, staying expanded if it was
+function showFloorMap(floorIndex) {
+    if (minimap === minimaps[floorIndex]) return;
+    const expanded = minimap.isExpanded();
+    if (expanded) minimap.toggleExpanded();
+    minimap = minimaps[floorIndex];
+    if (expanded) minimap.toggleExpanded();
 }
 
 // --- Utility ---
+function placePlayerAtStart() {
+    const startPos = findStartOrEndPos(mazeGrid, true); // true for start
+    controls.getObject().position.set(startPos.x * CELL_SIZE, PLAYER_HEIGHT, startPos.y * CELL_SIZE);
+    playerVelocity.set(0, 0, 0);
+}
+
+function worldToCell(position) {
+    return { x: Math.round(position.x / CELL_SIZE), y: Math.round(position.z / CELL_SIZE) };
+}
+
+// Lattice cell the player is in: walls stand on the even lines, so the nearest odd square is
+// always on the player's side of them (worldToCell can land on a wall square next to one)
+function roomCell(position) {
+    const nearestOdd = (value) => Math.round((value / CELL_SIZE - 1) / 2) * 2 + 1;
+    return { x: nearestOdd(position.x), y: nearestOdd(position.z) };
+}
+
 function onWindowResize() {
     camera.aspect = window.innerWidth / window.innerHeight;
     camera.updateProjectionMatrix();
@@ -0,0 +1,130 @@
+import { CELL, cellKey, hasLineOfSight, isLatticeCell } from './maze_core.js';
+import { findPath, findDistances } from './maze_pathfinding.js';
+import { shuffle, pick } from './seeded_random.js';
+
+// --- AI Hunters ---
+// Grid-space AI: positions are in grid units (world / CELL_SIZE) and movement follows BFS paths,
+// so hunters never clip walls, only pass secret walls the player has revealed, and use portals.
+// They patrol between random cells until they have line of sight to the player, then chase,
+// re-planning every replanInterval seconds. Losing sight sends them to where the player was
+// last seen, then back to patrolling. The renderer just copies x/y onto a mesh.
+
+// speed in cells per second (the player does PLAYER_SPEED / CELL_SIZE), sightRange in cells
+export const AI_DIFFICULTY = {
+    easy: { count: 1, speed: 0.6, replanInterval: 1.5, sightRange: 6 },
+    normal: { count: 2, speed: 0.9, replanInterval: 0.8, sightRange: 9 },
+    hard: { count: 3, speed: 1.15, replanInterval: 0.4, sightRange: 14 }
+};
+
+const PORTAL_JUMP_DISTANCE = 1.5; // A path step further than this can only be a teleport
+
+// Plain floor lattice cells at least minDistance steps from the start (closest-to-that if the
+// maze is too small), so nobody gets caught in the first second
+export function pickSpawnCells(grid, start, count, random, { minDistance = 10 } = {}) {
+    const distances = findDistances(grid, start, { secretsOpen: true });
+    const candidates = [];
+    for (const [key, distance] of distances) {
+        const [x, y] = key.split(',').map(Number);
+        if (isLatticeCell(x, y) && grid[y][x] === CELL.PATH) candidates.push({ x, y, distance });
+    }
+    const farEnough = candidates.filter(cell => cell.distance >= minDistance);
+    const pool = farEnough.length >= count ? shuffle(farEnough, random) : candidates.sort((a, b) => b.distance - a.distance);
+    return pool.slice(0, count).map(({ x, y }) => ({ x, y }));
+}
+
+export function createAIAgent(cell) {
+    return { x: cell.x, y: cell.y, path: [], target: null, mode: 'patrol', replanIn: 0, lastSeen: null };
+}
+
+function currentCell(agent) {
+    return { x: Math.round(agent.x), y: Math.round(agent.y) };
+}
+
+function pickPatrolTarget(grid, from, random, options) {
+    const reachable = [];
+    for (const key of findDistances(grid, from, options).keys()) {
+        const [x, y] = key.split(',').map(Number);
+        if (isLatticeCell(x, y) && key !== cellKey(from.x, from.y)) reachable.push({ x, y });
+    }
+    return reachable.length > 0 ? pick(reachable, random) : null;
+}
+
+// Moves along the path by `distance` cells; returns true if a portal was taken
+function followPath(agent, distance) {
+    let teleported = false;
+    while (distance > 0 && agent.path.length > 0) {
+        const next = agent.path[0];
+        const dx = next.x - agent.x;
+        const dy = next.y - agent.y;
+        const gap = Math.hypot(dx, dy);
+
+        if (gap > PORTAL_JUMP_DISTANCE) { // Portal: jump straight to the paired cell
+            agent.x = next.x;
+            agent.y = next.y;
+            agent.path.shift();
+            teleported = true;
+        } else if (gap <= distance) {
+            agent.x = next.x;
+            agent.y = next.y;
+            agent.path.shift();
+            distance -= gap;
+        } else {
+            agent.x += (dx / gap) * distance;
+            agent.y += (dy / gap) * distance;
+            distance = 0;
+        }
+    }
+    return teleported;
+}
+
+// world: { grid, player: { x, y } (grid units; null when out of reach, e.g. on another floor),
+//          settings: AI_DIFFICULTY entry, random, secretsOpen: Set of revealed secret cellKey()s,
+//          portalLinks: Map (createPortalLinks) }
+// Returns { spotted, teleported } so the caller can play cues
+export function updateAIAgent(agent, deltaTime, { grid, player, settings, random, secretsOpen, portalLinks }) {
+    const options = { secretsOpen, portalLinks };
+    const here = currentCell(agent);
+    const playerCell = player && { x: Math.round(player.x), y: Math.round(player.y) };
+    const seesPlayer = player !== null && Math.hypot(player.x - agent.x, player.y - agent.y) <= settings.sightRange &&
+        hasLineOfSight(grid, here, playerCell, { secretsOpen });
+    let spotted = false;
+
+    agent.replanIn -= deltaTime;
+    if (seesPlayer) {
+        if (agent.mode !== 'chase') {
+            agent.replanIn = 0; // React right away
+            spotted = true;
+        }
+        agent.mode = 'chase';
+        agent.lastSeen = playerCell;
+    }
+
+    if (agent.mode === 'chase' && agent.replanIn <= 0) {
+        agent.target = agent.lastSeen;
+        agent.path = findPath(grid, here, agent.target, options) || [];
+        agent.replanIn = settings.replanInterval;
+    }
+
+    if (agent.path.length === 0) {
+        if (agent.mode === 'chase' && !seesPlayer) agent.mode = 'patrol'; // Reached last sighting, lost them
+        if (agent.mode === 'patrol') {
+            agent.target = pickPatrolTarget(grid, here, random, options);
+            agent.path = (agent.target && findPath(grid, here, agent.target, options)) || [];
+        }
+    }
+
+    const step = settings.speed * deltaTime;
+    if (agent.mode === 'chase' && seesPlayer && agent.path.length === 0) {
+        // Path used up with the player in sight: close in directly (line of sight = the straight line is clear)
+        const dx = player.x - agent.x;
+        const dy = player.y - agent.y;
+        const gap = Math.hypot(dx, dy);
+        if (gap > 0) {
+            const move = Math.min(step, gap);
+            agent.x += (dx / gap) * move;
+            agent.y += (dy / gap) * move;
+        }
+        return { spotted, teleported: false };
+    }
+    return { spotted, teleported: followPath(agent, step) };
+}
@@ -0,0 +1,117 @@
+import { CELL, DIRECTIONS, cellKey, cloneGrid, findCells, isLatticeCell, isWalkable, createPortalLinks, pairPortals } from './maze_core.js';
+import { findPathToNearest } from './maze_pathfinding.js';
+import { shuffle } from './seeded_random.js';
+
+// --- Maze Analysis ---
+// Measures how hard a grid is to solve and boils it down to one score, so a difficulty name can
+// ask for a maze in a band of scores instead of whatever the seed happens to carve. Counted in
+// lattice cells (the rooms on odd coordinates), with secret walls open and portals linked.
+//   metrics: { cells (open ones), solutionLength (cells on the shortest route, start and end
+//              included; null if there is none), startEndDistance (cells apart, straight along
+//              the grid), deadEnds, junctions (3+ ways on), decisions (junctions on the route),
+//              branching (average ways out of a cell) }
+
+// Score bands (0-100) for each difficulty name
+export const DIFFICULTY_BANDS = {
+    easy: { min: 0, max: 38 },
+    normal: { min: 38, max: 48 },
+    hard: { min: 48, max: 100 }
+};
+export const BAND_ATTEMPTS = 12; // Mazes generated before settling for the closest one
+export const MIN_END_SPREAD = 0.25; // A moved end stays this share of (width + height) from the start
+
+// options: { goals (cells to route to, default the end) }
+export function analyzeMaze(grid, { goals = null } = {}) {
+    const options = { secretsOpen: true, portalLinks: createPortalLinks(pairPortals(grid).pairs) };
+    const waysOut = (x, y) => DIRECTIONS.filter(dir => isWalkable(grid, x + dir.dx, y + dir.dy, options)).length;
+    const ends = new Set([...findCells(grid, CELL.START), ...findCells(grid, CELL.END)].map(({ x, y }) => cellKey(x, y)));
+
+    let cells = 0;
+    let deadEnds = 0;
+    let totalWays = 0;
+    const junctionKeys = new Set();
+    for (let y = 1; y < grid.length; y += 2) {
+        for (let x = 1; x < grid[y].length; x += 2) {
+            if (!isWalkable(grid, x, y, options)) continue;
+            const ways = waysOut(x, y);
+            cells++;
+            totalWays += ways;
+            if (ways === 1 && !ends.has(cellKey(x, y))) deadEnds++;
+            if (ways >= 3) junctionKeys.add(cellKey(x, y));
+        }
+    }
+
+    const start = findCells(grid, CELL.START)[0];
+    const targets = goals || findCells(grid, CELL.END);
+    const route = start ? findPathToNearest(grid, start, targets, options) : null;
+    const routeCells = route ? route.filter(({ x, y }) => isLatticeCell(x, y)) : [];
+    const finish = route ? route[route.length - 1] : null;
+    return {
+        cells,
+        solutionLength: route ? routeCells.length : null,
+        startEndDistance: finish ? (Math.abs(finish.x - start.x) + Math.abs(finish.y - start.y)) / 2 : null,
+        deadEnds,
+        junctions: junctionKeys.size,
+        decisions: routeCells.filter(({ x, y }) => junctionKeys.has(cellKey(x, y))).length,
+        branching: cells > 0 ? Math.round(totalWays / cells * 100) / 100 : 0
+    };
+}
+
+const clamp01 = (value) => Math.min(1, Math.max(0, value));
+
+// 0 (walk straight there) to 100 (long winding route through a maze full of wrong turns); null
+// without a route. Each part is scaled to where it stops making a maze noticeably harder.
+export function difficultyScore(metrics) {
+    if (metrics.solutionLength === null) return null;
+    const winding = clamp01((metrics.solutionLength / Math.max(1, metrics.startEndDistance + 1) - 1) / 4); // Route vs straight line
+    const coverage = clamp01(metrics.solutionLength / metrics.cells / 0.4); // Share of the maze the route crosses
+    const deadEnds = clamp01(metrics.deadEnds / metrics.cells / 0.25);
+    const decisions = clamp01(metrics.decisions / metrics.solutionLength / 0.4); // Wrong turns on offer along the way
+    return Math.round(100 * (0.3 * winding + 0.3 * coverage + 0.2 * deadEnds + 0.2 * decisions));
+}
+
+// Name of the band a score falls in (bands share their edges; the harder one wins)
+export function difficultyOf(score) {
+    if (score === null) return null;
+    const names = Object.keys(DIFFICULTY_BANDS);
+    return names.reverse().find(name => score >= DIFFICULTY_BANDS[name].min) || names[names.length - 1];
+}
+
+const missBy = (score, band) => score === null ? Infinity : Math.max(0, band.min - score, score - band.max);
+
+// Calls build(random) (which returns a grid with a start and an end) until its score lands in
+// `band`, all from the same random stream so it stays deterministic. If none of `attempts` mazes
+// does, the closest one is mutated: its end is moved to other open cells (a far, winding end is
+// harder, a near one easier, but never one a few steps from the start) until one lands or they
+// run out. Returns { grid, metrics, score, attempts (mazes built) } for the best there was.
+export function generateInBand(build, random, band, { attempts = BAND_ATTEMPTS } = {}) {
+    let best = null;
+    let built = 0;
+    const consider = (grid) => {
+        const metrics = analyzeMaze(grid);
+        const score = difficultyScore(metrics);
+        const miss = missBy(score, band);
+        if (!best || miss < best.miss) best = { grid, metrics, score, miss };
+    };
+    while (built < attempts && (!best || best.miss > 0)) {
+        consider(build(random));
+        built++;
+    }
+
+    const end = best.miss > 0 && findCells(best.grid, CELL.END)[0];
+    const start = end && findCells(best.grid, CELL.START)[0];
+    if (start) {
+        const minDistance = MIN_END_SPREAD * (best.grid[0].length + best.grid.length) / 2; // In cells
+        const farEnough = ({ x, y }) => (Math.abs(x - start.x) + Math.abs(y - start.y)) / 2 >= minDistance;
+        const candidates = shuffle(findCells(best.grid, CELL.PATH).filter(({ x, y }) => isLatticeCell(x, y) && farEnough({ x, y })), random);
+        for (const cell of candidates.slice(0, attempts * 2)) {
+            if (best.miss === 0) break;
+            const moved = cloneGrid(best.grid);
+            moved[end.y][end.x] = CELL.PATH;
+            moved[cell.y][cell.x] = CELL.END;
+            consider(moved);
+        }
+    }
+    const { grid, metrics, score } = best;
+    return { grid, metrics, score, attempts: built };
+}
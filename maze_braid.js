@@ -0,0 +1,113 @@
+import { shuffle, pick, randomInt } from './seeded_random.js';
+import { CELL } from './maze_core.js';
+
+// --- Braiding (Post-Processing) ---
+// Turns a perfect maze into one with loops, so there is more than one route and wall-following
+// stops being a guaranteed win. Only opens plain walls (1 -> 0): start/end, portals and secret
+// walls keep their cells, so addSpecialFeatures sees the same markings (a secret wall that ends up
+// inside a room is the one exception, it becomes floor).
+
+const LATTICE_DIRECTIONS = [ { dx: 0, dy: -1 }, { dx: 1, dy: 0 }, { dx: 0, dy: 1 }, { dx: -1, dy: 0 } ];
+
+function isInterior(grid, x, y) {
+    return x > 0 && y > 0 && y < grid.length - 1 && x < grid[0].length - 1;
+}
+
+// Open wall gaps around a cell (secret walls count as openings, they are part of the maze)
+function openSides(grid, x, y) {
+    return LATTICE_DIRECTIONS.filter(dir => grid[y + dir.dy][x + dir.dx] !== CELL.WALL);
+}
+
+function isDeadEnd(grid, x, y) {
+    return grid[y][x] !== CELL.WALL && openSides(grid, x, y).length === 1;
+}
+
+function findDeadEnds(grid) {
+    const deadEnds = [];
+    for (let y = 1; y < grid.length - 1; y += 2) {
+        for (let x = 1; x < grid[0].length - 1; x += 2) {
+            if (isDeadEnd(grid, x, y)) deadEnds.push({ x, y });
+        }
+    }
+    return deadEnds;
+}
+
+// --- Dead-End Removal ---
+// Each dead end is removed with the given probability by knocking out one of its walls,
+// preferring a wall that also fixes a neighboring dead end
+function removeDeadEnds(grid, random, fraction) {
+    let removed = 0;
+    for (const cell of shuffle(findDeadEnds(grid), random)) {
+        if (!isDeadEnd(grid, cell.x, cell.y)) continue; // Already fixed by an earlier removal
+        if (random() >= fraction) continue;
+
+        const candidates = LATTICE_DIRECTIONS
+            .filter(dir => grid[cell.y + dir.dy][cell.x + dir.dx] === CELL.WALL)
+            .filter(dir => isInterior(grid, cell.x + dir.dx * 2, cell.y + dir.dy * 2));
+        if (candidates.length === 0) continue;
+
+        const preferred = candidates.filter(dir => isDeadEnd(grid, cell.x + dir.dx * 2, cell.y + dir.dy * 2));
+        const dir = pick(preferred.length > 0 ? preferred : candidates, random);
+        grid[cell.y + dir.dy][cell.x + dir.dx] = CELL.PATH;
+        removed++;
+    }
+    return removed;
+}
+
+// --- Extra Loops ---
+// Opens a fraction of the remaining interior walls between two cells
+function carveLoops(grid, random, fraction) {
+    const candidates = [];
+    for (let y = 1; y < grid.length - 1; y++) {
+        for (let x = 1; x < grid[0].length - 1; x++) {
+            const isWallGap = (x % 2) !== (y % 2);
+            if (isWallGap && grid[y][x] === CELL.WALL) candidates.push({ x, y });
+        }
+    }
+    const count = Math.round(candidates.length * fraction);
+    shuffle(candidates, random).slice(0, count).forEach(({ x, y }) => { grid[y][x] = CELL.PATH; });
+    return count;
+}
+
+// --- Rooms ---
+// Opens rectangular chambers aligned to the cell lattice. Sizes are in cells (a 3x3 room covers
+// 5x5 grid squares). Secret walls swallowed by a room become plain floor, everything else is kept.
+function carveRooms(grid, random, count, minSize, maxSize) {
+    const columns = (grid[0].length - 1) / 2;
+    const rows = (grid.length - 1) / 2;
+    const rooms = [];
+
+    for (let i = 0; i < count; i++) {
+        const roomWidth = Math.min(columns, randomInt(random, minSize, maxSize + 1));
+        const roomHeight = Math.min(rows, randomInt(random, minSize, maxSize + 1));
+        const left = 1 + 2 * randomInt(random, 0, columns - roomWidth + 1);
+        const top = 1 + 2 * randomInt(random, 0, rows - roomHeight + 1);
+        const right = left + (roomWidth - 1) * 2;
+        const bottom = top + (roomHeight - 1) * 2;
+
+        for (let y = top; y <= bottom; y++) {
+            for (let x = left; x <= right; x++) {
+                if (grid[y][x] === CELL.WALL || grid[y][x] === CELL.SECRET) grid[y][x] = CELL.PATH;
+            }
+        }
+        rooms.push({ x: left, y: top, width: right - left + 1, height: bottom - top + 1 });
+    }
+    return rooms;
+}
+
+// options: {
+//   deadEndRemoval: 0..1 chance each dead end is opened up,
+//   loopFraction: 0..1 share of remaining interior walls knocked out,
+//   rooms: number of chambers, roomMinSize / roomMaxSize: chamber side length in cells
+// }
+// Mutates the grid in place; returns it along with what was carved (for debugging)
+export function braidMaze(grid, random, { deadEndRemoval = 0, loopFraction = 0, rooms = 0, roomMinSize = 2, roomMaxSize = 3 } = {}) {
+    const carvedRooms = rooms > 0 ? carveRooms(grid, random, rooms, roomMinSize, roomMaxSize) : [];
+    const deadEndsRemoved = deadEndRemoval > 0 ? removeDeadEnds(grid, random, deadEndRemoval) : 0;
+    const loopsCarved = loopFraction > 0 ? carveLoops(grid, random, loopFraction) : 0;
+    return { grid, rooms: carvedRooms, deadEndsRemoved, loopsCarved };
+}
+
+export function countDeadEnds(grid) {
+    return findDeadEnds(grid).length;
+}
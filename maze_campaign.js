@@ -0,0 +1,98 @@
+import { parseSeed } from './seeded_random.js';
+import { AI_DIFFICULTY } from './maze_ai.js';
+
+// --- Campaign ---
+// A fixed run of levels that get bigger and busier: more secret walls, portals, traps and hunters,
+// and hunters that get faster. Every level has a fixed seed, so level 3 is the same maze for
+// everyone. Progress (highest unlocked level, best escape times) is kept in localStorage.
+
+// size: grid width/height (odd), hunters: AI count, difficulty: AI_DIFFICULTY speed/sight preset
+export const CAMPAIGN_LEVELS = [
+    { size: 11, secretChance: 0.04, portalChance: 0, traps: 0, rooms: 0, hunters: 0, difficulty: 'easy', timeLimit: 60 },
+    { size: 13, secretChance: 0.06, portalChance: 0.03, traps: 1, rooms: 0, hunters: 1, difficulty: 'easy', timeLimit: 75 },
+    { size: 15, secretChance: 0.07, portalChance: 0.04, traps: 2, rooms: 1, hunters: 1, difficulty: 'easy', timeLimit: 90 },
+    { size: 17, secretChance: 0.08, portalChance: 0.04, traps: 3, rooms: 1, hunters: 1, difficulty: 'normal', timeLimit: 100 },
+    { size: 21, secretChance: 0.1, portalChance: 0.05, traps: 5, rooms: 1, hunters: 2, difficulty: 'normal', timeLimit: 120 },
+    { size: 25, secretChance: 0.11, portalChance: 0.05, traps: 7, rooms: 2, hunters: 2, difficulty: 'normal', timeLimit: 150 },
+    { size: 29, secretChance: 0.12, portalChance: 0.06, traps: 9, rooms: 2, hunters: 2, difficulty: 'hard', timeLimit: 180 },
+    { size: 33, secretChance: 0.13, portalChance: 0.06, traps: 12, rooms: 3, hunters: 3, difficulty: 'hard', timeLimit: 210 }
+];
+
+export const CAMPAIGN_STORAGE_KEY = 'maze.campaign';
+
+// Level data (see maze_levels.js) for campaign level `number` (1-based)
+export function campaignLevel(number) {
+    const step = CAMPAIGN_LEVELS[number - 1];
+    if (!step) throw new Error(`No campaign level ${number} (1-${CAMPAIGN_LEVELS.length})`);
+    return {
+        name: `Level ${number}`,
+        campaign: number,
+        seed: parseSeed(`campaign-${number}`),
+        width: step.size,
+        height: step.size,
+        generator: { algorithm: 'backtracker', secretChance: step.secretChance, portalChance: step.portalChance },
+        braid: { deadEndRemoval: 0.25, loopFraction: 0.02, rooms: step.rooms, roomMinSize: 2, roomMaxSize: 3 },
+        traps: step.traps,
+        ai: { ...AI_DIFFICULTY[step.difficulty], count: step.hunters },
+        timeLimit: step.timeLimit
+    };
+}
+
+// Any of these in the URL means a free-play maze instead of the campaign (?maze=<url> then loads a maze file)
+export const FREE_PLAY_PARAMS = ['seed', 'size', 'time', 'algorithm', 'pick', 'braid', 'loops', 'rooms', 'traps', 'difficulty', 'band', 'maze', 'floors', 'doors', 'bonuses', 'relics'];
+
+// Reads ?level= (1-based), null if missing or not a campaign level
+export function readLevelFromUrl(search) {
+    const number = Number(new URLSearchParams(search).get('level'));
+    return Number.isInteger(number) && number >= 1 && number <= CAMPAIGN_LEVELS.length ? number : null;
+}
+
+// Same page, free-play options dropped (campaign levels have their own maze), level set
+export function buildLevelUrl(href, number) {
+    const url = new URL(href);
+    FREE_PLAY_PARAMS.forEach(name => url.searchParams.delete(name));
+    url.searchParams.set('level', String(number));
+    return url.toString();
+}
+
+// --- Progress ---
+// { unlocked: highest playable level, best: { [level]: fastest escape in seconds } }
+export function createProgress() {
+    return { unlocked: 1, best: {} };
+}
+
+// storage: anything shaped like localStorage; missing, broken or blocked storage means a fresh start
+export function loadProgress(storage) {
+    try {
+        const saved = JSON.parse(storage.getItem(CAMPAIGN_STORAGE_KEY));
+        if (!saved || !Number.isInteger(saved.unlocked)) return createProgress();
+        return {
+            unlocked: Math.min(Math.max(saved.unlocked, 1), CAMPAIGN_LEVELS.length),
+            best: typeof saved.best === 'object' && saved.best !== null ? saved.best : {}
+        };
+    } catch (error) {
+        return createProgress();
+    }
+}
+
+export function saveProgress(storage, progress) {
+    try {
+        storage.setItem(CAMPAIGN_STORAGE_KEY, JSON.stringify(progress));
+        return true;
+    } catch (error) {
+        return false; // Private mode / quota: progress just isn't kept
+    }
+}
+
+export function isLevelUnlocked(progress, number) {
+    return number >= 1 && number <= progress.unlocked;
+}
+
+// Returns updated progress (the original is left alone): next level unlocked, best time kept
+export function recordEscape(progress, number, seconds) {
+    const previous = progress.best[number];
+    return {
+        unlocked: Math.min(Math.max(progress.unlocked, number + 1), CAMPAIGN_LEVELS.length),
+        best: { ...progress.best, [number]: previous === undefined ? seconds : Math.min(previous, seconds) }
+    };
+}
@@ -0,0 +1,213 @@
+// --- Maze Model ---
+// Pure grid logic: no Three.js, no DOM, so it runs (and is tested) in Node as well as the browser.
+// A maze is a row-major array of rows, grid[y][x], always odd-sized: cells on odd coordinates,
+// the squares between them are walls or the gaps connecting two cells.
+
+// Grid: 0=path, 1=wall, 2=start, 3=end, 4=potential secret, 5=potential portal, 6=trap (kind kept in the trap list, see maze_traps.js),
+// 7=ramp between floors (direction kept in the ramp list, see maze_floors.js), 8=locked door (color kept in the door list, see maze_items.js)
+export const CELL = {
+    PATH: 0, WALL: 1, START: 2, END: 3, SECRET: 4, PORTAL: 5, TRAP: 6, RAMP: 7, DOOR: 8
+};
+
+export const DIRECTIONS = [ { dx: 0, dy: -1 }, { dx: 1, dy: 0 }, { dx: 0, dy: 1 }, { dx: -1, dy: 0 } ]; // N, E, S, W
+
+// --- Grid Creation ---
+export function createGrid(width, height, fill = CELL.WALL) {
+    if (!Number.isInteger(width) || !Number.isInteger(height) || width < 3 || height < 3) {
+        throw new Error(`Maze size must be whole numbers of at least 3, got ${width}x${height}`);
+    }
+    if (width % 2 === 0 || height % 2 === 0) {
+        throw new Error(`Maze size must be odd, got ${width}x${height}`);
+    }
+    return Array(height).fill(null).map(() => Array(width).fill(fill));
+}
+
+export function cloneGrid(grid) {
+    return grid.map(row => row.slice());
+}
+
+export function getGridSize(grid) {
+    return { width: grid[0].length, height: grid.length };
+}
+
+// --- Cell Queries ---
+export function cellKey(x, y) {
+    return `${x},${y}`;
+}
+
+export function inBounds(grid, x, y) {
+    return y >= 0 && y < grid.length && x >= 0 && x < grid[0].length;
+}
+
+// Anything outside the grid reads as solid wall
+export function getCell(grid, x, y) {
+    return inBounds(grid, x, y) ? grid[y][x] : CELL.WALL;
+}
+
+export function setCell(grid, x, y, cellType) {
+    if (!inBounds(grid, x, y)) throw new Error(`Cell ${x},${y} is outside the maze`);
+    grid[y][x] = cellType;
+}
+
+// Secret walls block until revealed. secretsOpen: true opens all of them, a Set of cellKey()s
+// opens just those (the ones the player has revealed). Locked doors always block; an unlocked
+// door goes back to plain path in the grid.
+export function isWalkable(grid, x, y, { secretsOpen = false } = {}) {
+    const cellType = getCell(grid, x, y);
+    if (cellType === CELL.WALL || cellType === CELL.DOOR) return false;
+    if (cellType === CELL.SECRET) return secretsOpen instanceof Set ? secretsOpen.has(cellKey(x, y)) : secretsOpen === true;
+    return true;
+}
+
+// Lattice cells sit on (odd, odd); everything else is a wall square or the gap between two cells
+export function isLatticeCell(x, y) {
+    return x % 2 === 1 && y % 2 === 1;
+}
+
+// --- Neighbors ---
+// Walkable orthogonal neighbors. portalLinks (see createPortalLinks) adds the paired portal as a
+// neighbor of a portal cell, so searches understand teleports.
+export function getNeighbors(grid, x, y, { secretsOpen = false, portalLinks = null } = {}) {
+    const neighbors = [];
+    for (const dir of DIRECTIONS) {
+        const nextX = x + dir.dx;
+        const nextY = y + dir.dy;
+        if (isWalkable(grid, nextX, nextY, { secretsOpen })) neighbors.push({ x: nextX, y: nextY });
+    }
+    const linked = portalLinks && portalLinks.get(cellKey(x, y));
+    if (linked) neighbors.push({ x: linked.x, y: linked.y });
+    return neighbors;
+}
+
+// --- Start / End Lookup ---
+export function findCells(grid, cellType) {
+    const cells = [];
+    for (let y = 0; y < grid.length; y++) {
+        for (let x = 0; x < grid[y].length; x++) {
+            if (grid[y][x] === cellType) cells.push({ x, y });
+        }
+    }
+    return cells;
+}
+
+export function findCell(grid, cellType) {
+    for (let y = 0; y < grid.length; y++) {
+        for (let x = 0; x < grid[y].length; x++) {
+            if (grid[y][x] === cellType) return { x, y };
+        }
+    }
+    return null;
+}
+
+export function findStartOrEndPos(grid, findStart) {
+    return findCell(grid, findStart ? CELL.START : CELL.END) || { x: 1, y: 1 }; // Fallback
+}
+
+// Marked start if there is one, otherwise the first open lattice cell (typically near 1,1)
+export function findStartPos(grid) {
+    const start = findCell(grid, CELL.START);
+    if (start) return start;
+    for (let y = 1; y < grid.length; y += 2) {
+        for (let x = 1; x < grid[y].length; x += 2) {
+            if (grid[y][x] === CELL.PATH) return { x, y };
+        }
+    }
+    return { x: 1, y: 1 }; // Fallback
+}
+
+// --- Reachability ---
+// Breadth-first flood from `from`; returns a Set of cellKey()s
+export function findReachable(grid, from, options = {}) {
+    const reached = new Set([cellKey(from.x, from.y)]);
+    const queue = [from];
+    for (let i = 0; i < queue.length; i++) {
+        const current = queue[i];
+        for (const next of getNeighbors(grid, current.x, current.y, options)) {
+            const key = cellKey(next.x, next.y);
+            if (!reached.has(key)) {
+                reached.add(key);
+                queue.push(next);
+            }
+        }
+    }
+    return reached;
+}
+
+export function isReachable(grid, from, to, options = {}) {
+    return findReachable(grid, from, options).has(cellKey(to.x, to.y));
+}
+
+// --- Line of Sight ---
+// Samples the segment between two cell centers; blocked if any cell strictly between them is solid.
+// Passing exactly through a corner counts as blocked, so you can't peek diagonally between walls.
+export function hasLineOfSight(grid, from, to, options = {}) {
+    const dx = to.x - from.x;
+    const dy = to.y - from.y;
+    const steps = Math.ceil(Math.max(Math.abs(dx), Math.abs(dy)) * 4);
+    for (let i = 1; i < steps; i++) {
+        const x = Math.round(from.x + dx * i / steps);
+        const y = Math.round(from.y + dy * i / steps);
+        if ((x === from.x && y === from.y) || (x === to.x && y === to.y)) continue;
+        if (!isWalkable(grid, x, y, options)) return false;
+    }
+    return true;
+}
+
+// Every cell (walls included) within radius that can be seen from `from`; returns a Set of cellKey()s
+export function findVisibleCells(grid, from, radius, options = {}) {
+    const visible = new Set();
+    for (let y = from.y - radius; y <= from.y + radius; y++) {
+        for (let x = from.x - radius; x <= from.x + radius; x++) {
+            if (!inBounds(grid, x, y)) continue;
+            if ((x - from.x) ** 2 + (y - from.y) ** 2 > radius * radius) continue;
+            if (hasLineOfSight(grid, from, { x, y }, options)) visible.add(cellKey(x, y));
+        }
+    }
+    return visible;
+}
+
+// --- Feature Placement ---
+// Some carved wall gaps become secret walls, some cells become portals, then start/end are set
+export function placeFeatures(grid, random, { secretChance = 0.1, portalChance = 0.05 } = {}) {
+    const { width, height } = getGridSize(grid);
+
+    for (let y = 1; y < height - 1; y++) {
+        for (let x = 1; x < width - 1; x++) {
+            if (grid[y][x] !== CELL.PATH) continue;
+            const isWallGap = (x % 2) !== (y % 2); // Between two cells
+            if (isWallGap && random() < secretChance) {
+                grid[y][x] = CELL.SECRET;
+            } else if (isLatticeCell(x, y) && random() < portalChance) {
+                grid[y][x] = CELL.PORTAL;
+            }
+        }
+    }
+
+    // Designate Start and End (ensure they are path cells)
+    grid[1][1] = CELL.START; // Start top-left
+    grid[height - 2][width - 2] = CELL.END; // End bottom-right
+
+    // Portals only work in pairs: an odd one out goes back to plain floor
+    const { unpaired } = pairPortals(grid);
+    unpaired.forEach(({ x, y }) => { grid[y][x] = CELL.PATH; });
+    return grid;
+}
+
+// --- Portals ---
+// Pairs portal cells in scan order. An odd one out has no partner and is returned as unpaired.
+export function pairPortals(grid) {
+    const cells = findCells(grid, CELL.PORTAL);
+    const pairs = [];
+    for (let i = 0; i + 1 < cells.length; i += 2) pairs.push([cells[i], cells[i + 1]]);
+    return { pairs, unpaired: cells.length % 2 === 1 ? [cells[cells.length - 1]] : [] };
+}
+
+// Map of portal cellKey -> destination cell, for getNeighbors / findReachable
+export function createPortalLinks(pairs) {
+    const links = new Map();
+    for (const [a, b] of pairs) {
+        links.set(cellKey(a.x, a.y), b);
+        links.set(cellKey(b.x, b.y), a);
+    }
+    return links;
+}
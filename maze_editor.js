@@ -0,0 +1,156 @@
+import { CELL, cellKey, cloneGrid, createGrid, findCells } from './maze_core.js';
+import { validateMaze } from './maze_format.js';
+
+// --- Maze Editor ---
+// Editing state behind the level editor: a grid being painted cell by cell, its traps and
+// portal pairs, plus undo/redo. Mazes go in and out in the shape maze_format.js parses to
+// ({ grid, traps: [{ x, y, kind }], portalPairs: [[{ x, y }, { x, y }]] }).
+// Portals are placed in pairs: the first click leaves a pending end, the second links to it.
+// The border always stays wall, and there is always at most one start and one exit.
+
+export const EDITOR_TOOLS = ['wall', 'path', 'start', 'end', 'secret', 'portal', 'spikes', 'slow', 'drain', 'collapse'];
+
+const TOOL_CELLS = { wall: CELL.WALL, path: CELL.PATH, start: CELL.START, end: CELL.END, secret: CELL.SECRET };
+const HISTORY_LIMIT = 200; // Undo steps kept
+
+// Walled border, open floor inside, start and exit in opposite corners
+export function createBlankMaze(width, height) {
+    if (!Number.isInteger(width) || !Number.isInteger(height) || width < 5 || height < 5 || width % 2 === 0 || height % 2 === 0) {
+        throw new Error(`Maze size must be odd numbers of at least 5, got ${width}x${height}`);
+    }
+    const grid = createGrid(width, height, CELL.WALL);
+    for (let y = 1; y < height - 1; y++) {
+        for (let x = 1; x < width - 1; x++) grid[y][x] = CELL.PATH;
+    }
+    grid[1][1] = CELL.START;
+    grid[height - 2][width - 2] = CELL.END;
+    return { grid, traps: [], portalPairs: [] };
+}
+
+export function createEditor(maze) {
+    let grid = cloneGrid(maze.grid);
+    let traps = new Map(maze.traps.map(trap => [cellKey(trap.x, trap.y), trap.kind]));
+    let pairs = maze.portalPairs.map(([a, b]) => [{ x: a.x, y: a.y }, { x: b.x, y: b.y }]);
+    let pending = null; // First end of a portal pair still waiting for its partner
+    const undoStack = [];
+    let redoStack = [];
+    let inStroke = false;
+    let strokeSaved = false;
+
+    const snapshot = () => ({ grid: cloneGrid(grid), traps: new Map(traps), pairs: pairs.map(pair => [...pair]), pending });
+    const restore = (state) => ({ grid, traps, pairs, pending } = state);
+
+    // Called before every change; a whole stroke (drag) is one undo step
+    function remember() {
+        if (inStroke && strokeSaved) return;
+        strokeSaved = inStroke;
+        undoStack.push(snapshot());
+        if (undoStack.length > HISTORY_LIMIT) undoStack.shift();
+        redoStack = [];
+    }
+
+    // Clears whatever is on (x, y): a portal takes its partner (or the pending end) with it
+    function clearCell(x, y) {
+        const key = cellKey(x, y);
+        traps.delete(key);
+        if (grid[y][x] !== CELL.PORTAL) return;
+        if (pending && pending.x === x && pending.y === y) pending = null;
+        const pair = pairs.find(ends => ends.some(end => end.x === x && end.y === y));
+        if (pair) {
+            pairs = pairs.filter(ends => ends !== pair);
+            for (const end of pair) grid[end.y][end.x] = CELL.PATH;
+        }
+    }
+
+    function isSame(x, y, tool) {
+        const cell = grid[y][x];
+        if (tool in TOOL_CELLS) return cell === TOOL_CELLS[tool];
+        if (tool === 'portal') return cell === CELL.PORTAL;
+        return cell === CELL.TRAP && traps.get(cellKey(x, y)) === tool;
+    }
+
+    // Paints one cell; returns false if nothing changed (border, same content, unknown tool)
+    function paint(x, y, tool) {
+        if (!EDITOR_TOOLS.includes(tool)) return false;
+        if (y <= 0 || x <= 0 || y >= grid.length - 1 || x >= grid[0].length - 1) return false;
+        if (isSame(x, y, tool)) return false;
+        remember();
+        clearCell(x, y);
+
+        if (tool === 'start' || tool === 'end') {
+            for (const old of findCells(grid, TOOL_CELLS[tool])) grid[old.y][old.x] = CELL.PATH; // Only one of each
+        }
+        if (tool in TOOL_CELLS) {
+            grid[y][x] = TOOL_CELLS[tool];
+        } else if (tool === 'portal') {
+            grid[y][x] = CELL.PORTAL;
+            if (pending) {
+                pairs.push([pending, { x, y }]);
+                pending = null;
+            } else {
+                pending = { x, y };
+            }
+        } else {
+            grid[y][x] = CELL.TRAP;
+            traps.set(cellKey(x, y), tool);
+        }
+        return true;
+    }
+
+    function beginStroke() {
+        inStroke = true;
+        strokeSaved = false;
+    }
+
+    function endStroke() {
+        inStroke = false;
+    }
+
+    function undo() {
+        if (undoStack.length === 0) return false;
+        redoStack.push(snapshot());
+        restore(undoStack.pop());
+        return true;
+    }
+
+    function redo() {
+        if (redoStack.length === 0) return false;
+        undoStack.push(snapshot());
+        restore(redoStack.pop());
+        return true;
+    }
+
+    function toMaze() {
+        const trapList = [...traps].map(([key, kind]) => {
+            const [x, y] = key.split(',').map(Number);
+            return { x, y, kind };
+        });
+        return { grid: cloneGrid(grid), traps: trapList, portalPairs: pairs.map(([a, b]) => [{ ...a }, { ...b }]) };
+    }
+
+    // { ok: true } or { ok: false, error } with what would stop it being played (see validateMaze)
+    function check() {
+        try {
+            validateMaze(toMaze());
+            return { ok: true };
+        } catch (error) {
+            return { ok: false, error: error.message };
+        }
+    }
+
+    return {
+        paint,
+        beginStroke,
+        endStroke,
+        undo,
+        redo,
+        check,
+        toMaze,
+        canUndo: () => undoStack.length > 0,
+        canRedo: () => redoStack.length > 0,
+        get grid() { return grid; },
+        get pairs() { return pairs; },
+        get pending() { return pending; },
+        trapAt: (x, y) => traps.get(cellKey(x, y)) || null
+    };
+}
@@ -0,0 +1,170 @@
+import { CELL, DIRECTIONS, cellKey, getGridSize, isLatticeCell } from './maze_core.js';
+import { shuffle, pick } from './seeded_random.js';
+
+// --- Floors ---
+// Multi-floor mazes: grids of the same size stacked on top of each other, each carved as its own
+// maze, joined by ramps. A ramp fills one lattice cell on two floors (CELL.RAMP on both): on the
+// lower floor it is entered from one side, it rises across the cell and comes out on the opposite
+// side on the floor above. Every other side of that cell is walled on both floors, so a ramp is
+// only ever walked end to end; wherever closing those sides cut a floor apart, it is joined up
+// again through another wall.
+//   ramp: { floor (the lower one), x, y (lattice cell), dx, dy (uphill direction) }
+// Heights here are in floors (0 = ground floor, 1 = one floor up), positions in grid units; the
+// renderer scales both. A ramp cell spans one wall line to the next, (x - 1 .. x + 1).
+
+export const RAMPS_PER_FLOOR = 2; // Ramps between each floor and the one above
+export const MAX_FLOORS = 5;
+
+const opposite = ({ dx, dy }) => ({ dx: -dx, dy: -dy });
+
+// Closes every side of a ramp cell except `open` (which is opened, even if it was a secret wall)
+function wallInRamp(grid, x, y, open) {
+    for (const dir of DIRECTIONS) {
+        const isOpen = dir.dx === open.dx && dir.dy === open.dy;
+        grid[y + dir.dy][x + dir.dx] = isOpen ? CELL.PATH : CELL.WALL;
+    }
+    grid[y][x] = CELL.RAMP;
+}
+
+// Lattice cells of a grid grouped into connected regions (secret walls count as open); returns
+// { find(cellKey) -> region id, keys (every open lattice cell) }
+function findRegions(grid) {
+    const { width, height } = getGridSize(grid);
+    const parent = new Map();
+    const find = (key) => {
+        while (parent.get(key) !== key) {
+            parent.set(key, parent.get(parent.get(key)));
+            key = parent.get(key);
+        }
+        return key;
+    };
+    for (let y = 1; y < height - 1; y += 2) {
+        for (let x = 1; x < width - 1; x += 2) {
+            if (grid[y][x] !== CELL.WALL) parent.set(cellKey(x, y), cellKey(x, y));
+        }
+    }
+    for (let y = 1; y < height - 1; y++) {
+        for (let x = 1; x < width - 1; x++) {
+            if (isLatticeCell(x, y) || (x % 2 === 0 && y % 2 === 0) || grid[y][x] === CELL.WALL) continue;
+            const [a, b] = x % 2 === 0 ? [cellKey(x - 1, y), cellKey(x + 1, y)] : [cellKey(x, y - 1), cellKey(x, y + 1)];
+            if (parent.has(a) && parent.has(b)) parent.set(find(a), find(b));
+        }
+    }
+    return { find, keys: [...parent.keys()] };
+}
+
+// Opens walls between regions (never into a ramp cell) until the floor is one piece again
+function joinRegions(grid, random) {
+    const { width, height } = getGridSize(grid);
+    for (;;) {
+        const { find, keys } = findRegions(grid);
+        if (new Set(keys.map(find)).size <= 1) return;
+        const candidates = [];
+        for (let y = 1; y < height - 1; y++) {
+            for (let x = 1; x < width - 1; x++) {
+                if (grid[y][x] !== CELL.WALL || x % 2 === y % 2) continue; // Wall segments between two cells only
+                const [a, b] = x % 2 === 0 ? [[x - 1, y], [x + 1, y]] : [[x, y - 1], [x, y + 1]];
+                const cellA = grid[a[1]][a[0]];
+                const cellB = grid[b[1]][b[0]];
+                if (cellA === CELL.WALL || cellB === CELL.WALL || cellA === CELL.RAMP || cellB === CELL.RAMP) continue;
+                if (find(cellKey(...a)) !== find(cellKey(...b))) candidates.push({ x, y });
+            }
+        }
+        if (candidates.length === 0) throw new Error('Floor could not be joined up around its ramps');
+        const gap = pick(candidates, random);
+        grid[gap.y][gap.x] = CELL.PATH;
+    }
+}
+
+// Stacks the floors: the start stays on the bottom floor, the exit on the top one, and each floor
+// gets `ramps` ramps up to the next. Changes the grids in place; returns the ramp list.
+export function linkFloors(floors, random, { ramps = RAMPS_PER_FLOOR } = {}) {
+    const { width, height } = getGridSize(floors[0]);
+    const top = floors.length - 1;
+    floors.forEach((grid, floor) => {
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                if ((grid[y][x] === CELL.START && floor > 0) || (grid[y][x] === CELL.END && floor < top)) grid[y][x] = CELL.PATH;
+            }
+        }
+    });
+
+    const placed = [];
+    const reserved = floors.map(() => new Set()); // Ramp cells and their neighbors, per floor
+    const reserve = (floor, x, y) => {
+        reserved[floor].add(cellKey(x, y));
+        DIRECTIONS.forEach(dir => reserved[floor].add(cellKey(x + dir.dx * 2, y + dir.dy * 2)));
+    };
+    const isOpenCell = (grid, x, y) => x > 0 && y > 0 && x < width - 1 && y < height - 1 && grid[y][x] !== CELL.WALL && grid[y][x] !== CELL.RAMP;
+
+    for (let floor = 0; floor < top; floor++) {
+        const lower = floors[floor];
+        const upper = floors[floor + 1];
+        const candidates = [];
+        for (let y = 1; y < height - 1; y += 2) {
+            for (let x = 1; x < width - 1; x += 2) {
+                for (const dir of DIRECTIONS) candidates.push({ x, y, dx: dir.dx, dy: dir.dy });
+            }
+        }
+        let count = 0;
+        for (const { x, y, dx, dy } of shuffle(candidates, random)) {
+            if (count >= ramps) break;
+            if (lower[y][x] !== CELL.PATH || upper[y][x] !== CELL.PATH) continue;
+            if (reserved[floor].has(cellKey(x, y)) || reserved[floor + 1].has(cellKey(x, y))) continue;
+            if (!isOpenCell(lower, x - dx * 2, y - dy * 2) || !isOpenCell(upper, x + dx * 2, y + dy * 2)) continue;
+            const uphill = { dx, dy };
+            wallInRamp(lower, x, y, opposite(uphill));
+            wallInRamp(upper, x, y, uphill);
+            reserve(floor, x, y);
+            reserve(floor + 1, x, y);
+            placed.push({ floor, x, y, dx, dy });
+            count++;
+        }
+        if (count === 0) throw new Error(`No room for a ramp from floor ${floor + 1} to floor ${floor + 2}`);
+    }
+    floors.forEach(grid => joinRegions(grid, random));
+    return placed;
+}
+
+// --- Heights ---
+const covers = (ramp, x, y) => Math.abs(x - ramp.x) <= 1 && Math.abs(y - ramp.y) <= 1;
+
+// Height of a ramp's surface over (x, y): ramp.floor at its low end, one floor more at the top
+export function rampHeight(ramp, x, y) {
+    const along = ((x - ramp.x) * ramp.dx + (y - ramp.y) * ramp.dy + 1) / 2;
+    return ramp.floor + Math.min(1, Math.max(0, along));
+}
+
+// Whether floor `floor` has ground over (x, y) (not where a ramp from below comes up through it)
+function hasFloorAt(ramps, floor, x, y) {
+    return floor === 0 || !ramps.some(ramp => ramp.floor === floor - 1 && covers(ramp, x, y));
+}
+
+// Ground under a point at `height`: the highest surface at most `stepUp` above it (so walking up
+// a ramp lifts you onto it), or 0 if there is none
+export function groundAt(ramps, floorCount, x, y, height, stepUp = 0) {
+    let ground = 0;
+    for (let floor = 0; floor < floorCount; floor++) {
+        if (floor <= height + stepUp && floor > ground && hasFloorAt(ramps, floor, x, y)) ground = floor;
+    }
+    for (const ramp of ramps) {
+        if (!covers(ramp, x, y)) continue;
+        const surface = rampHeight(ramp, x, y);
+        if (surface <= height + stepUp && surface > ground) ground = surface;
+    }
+    return ground;
+}
+
+// The next floor above `height` with ground over (x, y), whose underside is the ceiling;
+// Infinity under open sky
+export function ceilingAt(ramps, floorCount, x, y, height) {
+    for (let floor = Math.floor(height) + 1; floor < floorCount; floor++) {
+        if (hasFloorAt(ramps, floor, x, y)) return floor;
+    }
+    return Infinity;
+}
+
+// Floor a height belongs to; past halfway up a ramp is the floor above
+export function floorAt(height, floorCount) {
+    return Math.min(floorCount - 1, Math.max(0, Math.round(height)));
+}
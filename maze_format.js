@@ -0,0 +1,181 @@
+import { CELL, cellKey, cloneGrid, findCells, isReachable, createPortalLinks, pairPortals } from './maze_core.js';
+import { TRAP_KINDS } from './maze_traps.js';
+
+// --- Maze Files ---
+// Hand-authored or exported mazes, as ASCII art or JSON.
+//
+// ASCII: one line per grid row, one character per square, every row the same width:
+//   #  wall            .  path          S  start (exactly one)    E  exit (exactly one)
+//   ?  secret wall     O  portal        ^  spike trap             ~  slow zone
+//   @  time drain      %  collapsing floor
+// Lines starting with ";" are comments; blank lines at the start and end are ignored.
+// Width and height must be odd (cells sit on odd coordinates, walls between them, like the
+// generated mazes) and the outer border must be solid wall. Portals pair up in reading order
+// (left to right, top to bottom), so there must be an even number of them.
+//
+// JSON: the same rows plus metadata, and optionally explicit portal pairs:
+//   { "format": "maze", "version": 1, "name": "Crossroads", "timeLimit": 90,
+//     "width": 7, "height": 5, "grid": ["#######", "#S..O.#", ...],
+//     "portals": [[[x, y], [x, y]], ...] }
+// width/height are checked against the rows when present; portals, when present, must list every
+// portal cell exactly once.
+//
+// Parsing always validates (see validateMaze) and throws an Error saying what is wrong and where.
+
+export const MAZE_FORMAT_VERSION = 1;
+
+const CHAR_CELLS = { '#': CELL.WALL, '.': CELL.PATH, 'S': CELL.START, 'E': CELL.END, '?': CELL.SECRET, 'O': CELL.PORTAL };
+const TRAP_CHARS = { '^': 'spikes', '~': 'slow', '@': 'drain', '%': 'collapse' };
+const CELL_CHARS = Object.fromEntries(Object.entries(CHAR_CELLS).map(([char, cell]) => [cell, char]));
+const KIND_CHARS = Object.fromEntries(Object.entries(TRAP_CHARS).map(([char, kind]) => [kind, char]));
+
+function fail(message) {
+    throw new Error(`Maze file: ${message}`);
+}
+
+const describeCell = (x, y) => `row ${y + 1}, column ${x + 1}`;
+
+// Rows of characters -> { grid, traps: [{ x, y, kind }] }
+function parseRows(rows) {
+    if (rows.length === 0) fail('no rows');
+    const width = rows[0].length;
+    const grid = [];
+    const traps = [];
+    rows.forEach((row, y) => {
+        if (row.length !== width) fail(`row ${y + 1} is ${row.length} characters wide, row 1 is ${width} (the grid must be rectangular)`);
+        grid.push([...row].map((char, x) => {
+            if (char in CHAR_CELLS) return CHAR_CELLS[char];
+            if (char in TRAP_CHARS) {
+                traps.push({ x, y, kind: TRAP_CHARS[char] });
+                return CELL.TRAP;
+            }
+            return fail(`unknown character "${char}" at ${describeCell(x, y)}`);
+        }));
+    });
+    return { grid, traps };
+}
+
+// Checks a parsed maze can be played; returns it, or throws the first problem found
+export function validateMaze({ grid, traps = [], portalPairs }) {
+    const height = grid.length;
+    const width = grid[0].length;
+    if (width < 3 || height < 3 || width % 2 === 0 || height % 2 === 0) {
+        fail(`size is ${width}x${height}, width and height must be odd and at least 3`);
+    }
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const onBorder = x === 0 || y === 0 || x === width - 1 || y === height - 1;
+            if (onBorder && grid[y][x] !== CELL.WALL) fail(`the border must be solid wall, found "${CELL_CHARS[grid[y][x]] || KIND_CHARS[traps.find(t => t.x === x && t.y === y)?.kind]}" at ${describeCell(x, y)}`);
+        }
+    }
+
+    const starts = findCells(grid, CELL.START);
+    const exits = findCells(grid, CELL.END);
+    if (starts.length === 0) fail('no start (S)');
+    if (starts.length > 1) fail(`${starts.length} starts (S), there must be exactly one`);
+    if (exits.length === 0) fail('no exit (E)');
+    if (exits.length > 1) fail(`${exits.length} exits (E), there must be exactly one`);
+
+    // Portals: every one paired exactly once
+    const portalCells = new Set(findCells(grid, CELL.PORTAL).map(({ x, y }) => cellKey(x, y)));
+    const paired = new Set();
+    for (const pair of portalPairs) {
+        for (const end of pair) {
+            const key = cellKey(end.x, end.y);
+            if (!portalCells.has(key)) fail(`portal link points at ${describeCell(end.x, end.y)}, which is not a portal (O)`);
+            if (paired.has(key)) fail(`portal at ${describeCell(end.x, end.y)} is linked more than once`);
+            paired.add(key);
+        }
+    }
+    for (const key of portalCells) {
+        const [x, y] = key.split(',').map(Number);
+        if (!paired.has(key)) fail(`portal at ${describeCell(x, y)} has no partner`);
+    }
+
+    // The exit must be reachable with secret walls opened, through portals, around blocking traps
+    const blocked = cloneGrid(grid);
+    traps.filter(trap => TRAP_KINDS[trap.kind].blocking).forEach(({ x, y }) => { blocked[y][x] = CELL.WALL; });
+    const options = { secretsOpen: true, portalLinks: createPortalLinks(portalPairs) };
+    if (!isReachable(blocked, starts[0], exits[0], options)) {
+        fail(`the exit at ${describeCell(exits[0].x, exits[0].y)} can't be reached from the start (spike traps and collapsing floors count as walls)`);
+    }
+    return { grid, traps, portalPairs };
+}
+
+// --- Parsing ---
+export function parseAsciiMaze(text) {
+    const lines = text.split(/\r?\n/).filter(line => !line.startsWith(';'));
+    while (lines.length > 0 && lines[0].trim() === '') lines.shift();
+    while (lines.length > 0 && lines[lines.length - 1].trim() === '') lines.pop();
+    const { grid, traps } = parseRows(lines);
+    if (grid[0].length < 3) fail('rows are too short');
+    const { pairs, unpaired } = pairPortals(grid);
+    if (unpaired.length > 0) fail(`portal at ${describeCell(unpaired[0].x, unpaired[0].y)} has no partner (portals pair up in reading order)`);
+    return validateMaze({ grid, traps, portalPairs: pairs });
+}
+
+// text or an already-parsed object; returns { grid, traps, portalPairs, name, timeLimit }
+export function parseJsonMaze(input) {
+    let data = input;
+    if (typeof input === 'string') {
+        try {
+            data = JSON.parse(input);
+        } catch (error) {
+            fail(`not valid JSON (${error.message})`);
+        }
+    }
+    if (!data || typeof data !== 'object' || data.format !== 'maze') fail('JSON is missing "format": "maze"');
+    if (data.version !== MAZE_FORMAT_VERSION) fail(`unsupported version ${data.version} (expected ${MAZE_FORMAT_VERSION})`);
+    if (!Array.isArray(data.grid) || !data.grid.every(row => typeof row === 'string')) fail('"grid" must be an array of row strings');
+
+    const { grid, traps } = parseRows(data.grid);
+    if (data.width !== undefined && data.width !== grid[0].length) fail(`"width" is ${data.width} but the rows are ${grid[0].length} wide`);
+    if (data.height !== undefined && data.height !== grid.length) fail(`"height" is ${data.height} but there are ${grid.length} rows`);
+    if (data.timeLimit !== undefined && !(Number.isFinite(data.timeLimit) && data.timeLimit > 0)) fail('"timeLimit" must be a positive number of seconds');
+
+    let portalPairs;
+    if (data.portals === undefined) {
+        portalPairs = pairPortals(grid).pairs;
+    } else {
+        const isPoint = (point) => Array.isArray(point) && point.length === 2 && point.every(Number.isInteger);
+        if (!Array.isArray(data.portals) || !data.portals.every(pair => Array.isArray(pair) && pair.length === 2 && pair.every(isPoint))) {
+            fail('"portals" must be a list of [[x, y], [x, y]] pairs');
+        }
+        portalPairs = data.portals.map(pair => pair.map(([x, y]) => ({ x, y })));
+    }
+
+    const maze = validateMaze({ grid, traps, portalPairs });
+    return { ...maze, name: typeof data.name === 'string' ? data.name : null, timeLimit: data.timeLimit ?? null };
+}
+
+// Either format: JSON if it starts with "{"
+export function parseMazeFile(text) {
+    return text.trimStart().startsWith('{') ? parseJsonMaze(text) : parseAsciiMaze(text);
+}
+
+// --- Export ---
+export function mazeToRows(grid, traps = []) {
+    const trapAt = new Map(traps.map(trap => [cellKey(trap.x, trap.y), trap.kind]));
+    return grid.map((row, y) => row.map((cell, x) => {
+        if (cell === CELL.TRAP) return KIND_CHARS[trapAt.get(cellKey(x, y))] || KIND_CHARS.spikes;
+        return CELL_CHARS[cell] || '.';
+    }).join(''));
+}
+
+export function mazeToAscii(grid, traps = []) {
+    return mazeToRows(grid, traps).join('\n') + '\n';
+}
+
+// portalPairs: [[{ x, y }, { x, y }]] as used in the game
+export function mazeToJson({ grid, traps = [], portalPairs = [], name = null, timeLimit = null }) {
+    const json = { format: 'maze', version: MAZE_FORMAT_VERSION };
+    if (name) json.name = name;
+    if (timeLimit) json.timeLimit = timeLimit;
+    Object.assign(json, {
+        width: grid[0].length,
+        height: grid.length,
+        grid: mazeToRows(grid, traps),
+        portals: portalPairs.map(pair => pair.map(({ x, y }) => [x, y]))
+    });
+    return json;
+}
@@ -0,0 +1,290 @@
+import { shuffle, pick, randomInt } from './seeded_random.js';
+import { CELL, createGrid, placeFeatures } from './maze_core.js';
+
+// --- Maze Generators ---
+// Every generator carves a perfect maze into a grid of walls: cells live on odd coordinates,
+// the cell between two of them is the wall that gets knocked out to connect them.
+// Generators only carve (0 = path, 1 = wall); start/end, secret walls and portals are marked
+// afterwards by placeFeatures so every algorithm produces the same cell codes (CELL in maze_core.js).
+
+const DIRECTIONS = [ { dx: 0, dy: -2 }, { dx: 2, dy: 0 }, { dx: 0, dy: 2 }, { dx: -2, dy: 0 } ];
+
+// --- Grid Helpers ---
+function isInside(width, height, x, y) {
+    return x > 0 && x < width - 1 && y > 0 && y < height - 1;
+}
+
+// Cells two steps away in each direction (neighbors in the cell lattice)
+function latticeNeighbors(width, height, x, y) {
+    const neighbors = [];
+    for (const dir of DIRECTIONS) {
+        const nextX = x + dir.dx;
+        const nextY = y + dir.dy;
+        if (isInside(width, height, nextX, nextY)) neighbors.push({ x: nextX, y: nextY });
+    }
+    return neighbors;
+}
+
+// Opens both cells and the wall between them
+function carvePassage(grid, from, to) {
+    grid[from.y][from.x] = CELL.PATH;
+    grid[(from.y + to.y) / 2][(from.x + to.x) / 2] = CELL.PATH;
+    grid[to.y][to.x] = CELL.PATH;
+}
+
+function randomCell(width, height, random) {
+    return {
+        x: 1 + 2 * randomInt(random, 0, (width - 1) / 2),
+        y: 1 + 2 * randomInt(random, 0, (height - 1) / 2)
+    };
+}
+
+// --- Recursive Backtracker ---
+// Long winding corridors, few but long dead ends
+function generateBacktracker(width, height, random) {
+    const grid = createGrid(width, height, CELL.WALL);
+    const stack = [{ x: 1, y: 1 }];
+    grid[1][1] = CELL.PATH;
+
+    while (stack.length > 0) {
+        const current = stack[stack.length - 1]; // Peek
+        const neighbors = shuffle(latticeNeighbors(width, height, current.x, current.y), random)
+            .filter(next => grid[next.y][next.x] === CELL.WALL);
+
+        if (neighbors.length > 0) {
+            const chosen = neighbors[0];
+            carvePassage(grid, current, chosen);
+            stack.push(chosen);
+        } else {
+            stack.pop(); // Backtrack
+        }
+    }
+    return grid;
+}
+
+// --- Randomized Prim's ---
+// Grows outward from one cell, lots of short dead ends
+function generatePrim(width, height, random) {
+    const grid = createGrid(width, height, CELL.WALL);
+    const start = randomCell(width, height, random);
+    grid[start.y][start.x] = CELL.PATH;
+
+    const frontier = [];
+    const inFrontier = new Set();
+    const addFrontier = (cell) => {
+        for (const next of latticeNeighbors(width, height, cell.x, cell.y)) {
+            const key = `${next.x},${next.y}`;
+            if (grid[next.y][next.x] === CELL.WALL && !inFrontier.has(key)) {
+                inFrontier.add(key);
+                frontier.push(next);
+            }
+        }
+    };
+    addFrontier(start);
+
+    while (frontier.length > 0) {
+        // Swap-remove a random frontier cell
+        const index = randomInt(random, 0, frontier.length);
+        const cell = frontier[index];
+        frontier[index] = frontier[frontier.length - 1];
+        frontier.pop();
+
+        const carved = latticeNeighbors(width, height, cell.x, cell.y)
+            .filter(next => grid[next.y][next.x] === CELL.PATH);
+        carvePassage(grid, pick(carved, random), cell);
+        addFrontier(cell);
+    }
+    return grid;
+}
+
+// --- Randomized Kruskal's ---
+// Merges random walls between disjoint regions, uniform-looking texture
+function generateKruskal(width, height, random) {
+    const grid = createGrid(width, height, CELL.WALL);
+    const parent = new Map();
+    const find = (key) => {
+        while (parent.get(key) !== key) {
+            parent.set(key, parent.get(parent.get(key))); // Path halving
+            key = parent.get(key);
+        }
+        return key;
+    };
+
+    const edges = [];
+    for (let y = 1; y < height - 1; y += 2) {
+        for (let x = 1; x < width - 1; x += 2) {
+            parent.set(`${x},${y}`, `${x},${y}`);
+            grid[y][x] = CELL.PATH;
+            if (x + 2 < width - 1) edges.push({ from: { x, y }, to: { x: x + 2, y } });
+            if (y + 2 < height - 1) edges.push({ from: { x, y }, to: { x, y: y + 2 } });
+        }
+    }
+
+    for (const edge of shuffle(edges, random)) {
+        const rootA = find(`${edge.from.x},${edge.from.y}`);
+        const rootB = find(`${edge.to.x},${edge.to.y}`);
+        if (rootA !== rootB) {
+            parent.set(rootA, rootB);
+            carvePassage(grid, edge.from, edge.to);
+        }
+    }
+    return grid;
+}
+
+// --- Wilson's ---
+// Loop-erased random walks: an unbiased sample of all possible perfect mazes
+function generateWilson(width, height, random) {
+    const grid = createGrid(width, height, CELL.WALL);
+    const unvisited = [];
+    for (let y = 1; y < height - 1; y += 2) {
+        for (let x = 1; x < width - 1; x += 2) unvisited.push(`${x},${y}`);
+    }
+    const remaining = new Set(unvisited);
+
+    const first = randomCell(width, height, random);
+    grid[first.y][first.x] = CELL.PATH;
+    remaining.delete(`${first.x},${first.y}`);
+
+    while (remaining.size > 0) {
+        // Start a walk from a random cell not yet in the maze
+        const pending = unvisited.filter(key => remaining.has(key));
+        const [startX, startY] = pick(pending, random).split(',').map(Number);
+
+        // Walk until we hit the maze, remembering only the last exit from each cell (erases loops)
+        const exits = new Map();
+        let current = { x: startX, y: startY };
+        while (remaining.has(`${current.x},${current.y}`)) {
+            const next = pick(latticeNeighbors(width, height, current.x, current.y), random);
+            exits.set(`${current.x},${current.y}`, next);
+            current = next;
+        }
+
+        // Carve the loop-erased path (carving opens the next cell too, so track the walk by key)
+        current = { x: startX, y: startY };
+        while (remaining.has(`${current.x},${current.y}`)) {
+            const next = exits.get(`${current.x},${current.y}`);
+            carvePassage(grid, current, next);
+            remaining.delete(`${current.x},${current.y}`);
+            current = next;
+        }
+    }
+    return grid;
+}
+
+// --- Eller's ---
+// Builds the maze one row at a time, only ever keeping one row of set ids
+function generateEller(width, height, random) {
+    const grid = createGrid(width, height, CELL.WALL);
+    const columns = (width - 1) / 2;
+    const rows = (height - 1) / 2;
+    let rowSets = Array(columns).fill(null);
+    let nextSetId = 0;
+
+    for (let row = 0; row < rows; row++) {
+        const y = 1 + row * 2;
+        const isLastRow = row === rows - 1;
+
+        for (let col = 0; col < columns; col++) {
+            if (rowSets[col] === null) rowSets[col] = nextSetId++;
+            grid[y][1 + col * 2] = CELL.PATH;
+        }
+
+        // Randomly join horizontal neighbors from different sets (always on the last row)
+        for (let col = 0; col < columns - 1; col++) {
+            if (rowSets[col] !== rowSets[col + 1] && (isLastRow || random() < 0.5)) {
+                const merged = rowSets[col + 1];
+                rowSets = rowSets.map(id => id === merged ? rowSets[col] : id);
+                carvePassage(grid, { x: 1 + col * 2, y }, { x: 3 + col * 2, y });
+            }
+        }
+        if (isLastRow) break;
+
+        // Every set extends down at least once
+        const nextRowSets = Array(columns).fill(null);
+        const members = new Map();
+        rowSets.forEach((id, col) => {
+            if (!members.has(id)) members.set(id, []);
+            members.get(id).push(col);
+        });
+        for (const [id, cols] of members) {
+            const down = shuffle(cols.slice(), random);
+            const count = randomInt(random, 1, down.length + 1);
+            for (const col of down.slice(0, count)) {
+                nextRowSets[col] = id;
+                carvePassage(grid, { x: 1 + col * 2, y }, { x: 1 + col * 2, y: y + 2 });
+            }
+        }
+        rowSets = nextRowSets;
+    }
+    return grid;
+}
+
+// --- Growing Tree ---
+// Generalizes the backtracker ('newest') and Prim's ('random'); pick tunes the texture.
+// pick: 'newest' | 'oldest' | 'middle' | 'random' | 'mixed' (newest with chance newestBias, else random)
+export const GROWING_TREE_PICKS = {
+    newest: (length) => length - 1,
+    oldest: () => 0,
+    middle: (length) => Math.floor(length / 2),
+    random: (length, random) => randomInt(random, 0, length),
+    mixed: (length, random, newestBias) => random() < newestBias ? length - 1 : randomInt(random, 0, length)
+};
+
+function generateGrowingTree(width, height, random, { pick: pickStrategy = 'mixed', newestBias = 0.75 } = {}) {
+    const choose = GROWING_TREE_PICKS[pickStrategy];
+    if (!choose) {
+        throw new Error(`Unknown growing tree pick "${pickStrategy}" (expected ${Object.keys(GROWING_TREE_PICKS).join(', ')})`);
+    }
+
+    const grid = createGrid(width, height, CELL.WALL);
+    const start = randomCell(width, height, random);
+    grid[start.y][start.x] = CELL.PATH;
+    const active = [start];
+
+    while (active.length > 0) {
+        const index = choose(active.length, random, newestBias);
+        const current = active[index];
+        const neighbors = latticeNeighbors(width, height, current.x, current.y)
+            .filter(next => grid[next.y][next.x] === CELL.WALL);
+
+        if (neighbors.length > 0) {
+            const chosen = pick(neighbors, random);
+            carvePassage(grid, current, chosen);
+            active.push(chosen);
+        } else {
+            active.splice(index, 1);
+        }
+    }
+    return grid;
+}
+
+// --- Registry ---
+export const MAZE_GENERATORS = {
+    backtracker: generateBacktracker,
+    prim: generatePrim,
+    kruskal: generateKruskal,
+    wilson: generateWilson,
+    eller: generateEller,
+    growingTree: generateGrowingTree
+};
+
+// generator(width, height, random, options) must return a width x height grid of 0/1
+export function registerGenerator(name, generator) {
+    MAZE_GENERATORS[name] = generator;
+}
+
+// Carves paths only (0/1), no start/end or special cells
+export function carveMaze(width, height, random, { algorithm = 'backtracker', ...options } = {}) {
+    const generator = MAZE_GENERATORS[algorithm];
+    if (!generator) {
+        throw new Error(`Unknown maze algorithm "${algorithm}" (expected ${Object.keys(MAZE_GENERATORS).join(', ')})`);
+    }
+    return generator(width, height, random, options);
+}
+
+// --- Full Generation ---
+// options: { algorithm, secretChance, portalChance, ...generator specific (e.g. pick, newestBias) }
+export function generateMaze(width, height, random, options = {}) {
+    const grid = carveMaze(width, height, random, options);
+    return placeFeatures(grid, random, options);
+}
@@ -0,0 +1,55 @@
+// --- Analog Input ---
+// Gamepad and touch input boiled down to what the movement code needs: a move vector
+// ({ x: strafe right, y: forward }, length at most 1, so half a stick is half speed) and look
+// rates. Gamepads use the browser's "standard" mapping.
+
+export const GAMEPAD_DEADZONE = 0.15; // Sticks rest a little off center
+
+// Standard mapping button indices
+export const GAMEPAD_BUTTONS = { jump: 0, hint: 1, interact: 2, map: 3, pause: 9 }; // A, B, X, Y, Start
+
+// Radial deadzone, rescaled so output still starts at 0 and reaches 1
+export function applyDeadzone(x, y, deadzone = GAMEPAD_DEADZONE) {
+    const length = Math.hypot(x, y);
+    if (length <= deadzone) return { x: 0, y: 0 };
+    const scaled = Math.min(1, (length - deadzone) / (1 - deadzone));
+    return { x: (x / length) * scaled, y: (y / length) * scaled };
+}
+
+// Snapshot of a Gamepad: { move, look (x right, y up, -1..1), held: { action }, pressed: { action } }.
+// `pressed` is only true on the frame a button goes down; pass the previous snapshot's `held`.
+export function readGamepad(pad, previousHeld = {}) {
+    const axis = (index) => pad.axes[index] || 0;
+    const stickLeft = applyDeadzone(axis(0), axis(1));
+    const stickRight = applyDeadzone(axis(2), axis(3));
+    const held = {};
+    const pressed = {};
+    for (const [action, index] of Object.entries(GAMEPAD_BUTTONS)) {
+        const button = pad.buttons[index];
+        held[action] = Boolean(button && button.pressed);
+        pressed[action] = held[action] && !previousHeld[action];
+    }
+    return {
+        move: { x: stickLeft.x, y: -stickLeft.y }, // Stick up is negative
+        look: { x: stickRight.x, y: -stickRight.y },
+        held,
+        pressed
+    };
+}
+
+// Virtual joystick: finger position relative to where it went down, as a vector of length <= 1
+// (y up, like a stick); `radius` is how far (px) the finger has to go for full speed
+export function joystickVector(origin, point, radius) {
+    const dx = (point.x - origin.x) / radius;
+    const dy = (origin.y - point.y) / radius; // Screen y grows downward
+    const length = Math.hypot(dx, dy);
+    return length > 1 ? { x: dx / length, y: dy / length } : { x: dx, y: dy };
+}
+
+// Adds move vectors from every input, capped at full speed
+export function combineMoves(...moves) {
+    const x = moves.reduce((sum, move) => sum + move.x, 0);
+    const y = moves.reduce((sum, move) => sum + move.y, 0);
+    const length = Math.hypot(x, y);
+    return length > 1 ? { x: x / length, y: y / length } : { x, y };
+}
@@ -0,0 +1,167 @@
+import { CELL, DIRECTIONS, cellKey, cloneGrid, isLatticeCell, isWalkable, findReachable, findStartOrEndPos, createPortalLinks, pairPortals } from './maze_core.js';
+import { findPath, findPathToNearest } from './maze_pathfinding.js';
+import { TRAP_KINDS } from './maze_traps.js';
+import { shuffle, pick } from './seeded_random.js';
+
+// --- Items & Doors (grid type 8) ---
+// Locked doors fill the gap between two cells and are marked CELL.DOOR in the grid (a closed door
+// is a wall to everything walking); which key opens one lives in the door list. Items lie on
+// plain floor cells and are not marked in the grid at all.
+//   key:   opens the door of its color (and is used up doing it)
+//   time:  adds seconds to the clock
+//   relic: nothing but bragging rights
+// Every key can be reached before the door it opens: placing a door, its key goes somewhere the
+// player can still get to with that door shut (opening any other door they can by then).
+//   door: { x, y, color }   item: { x, y, kind, color (keys only) }
+
+export const KEY_COLORS = ['red', 'blue', 'green', 'yellow']; // Also the most doors a maze gets
+
+export const ITEM_KINDS = {
+    key: {},
+    time: { seconds: 15 },
+    relic: {}
+};
+
+// Plays the maze out from `start` with the doors closed: walks everywhere it can, picks up every
+// key in reach and opens that key's door, until nothing new opens up. Returns { reached (Set of
+// cellKey()s), opened (Set of door cellKey()s) }. options go to findReachable.
+export function exploreWithKeys(grid, start, doors, items, options = {}) {
+    const open = cloneGrid(grid);
+    const opened = new Set();
+    for (;;) {
+        const reached = findReachable(open, start, options);
+        const held = new Set(items.filter(item => item.kind === 'key' && reached.has(cellKey(item.x, item.y))).map(item => item.color));
+        const unlocked = doors.filter(door => !opened.has(cellKey(door.x, door.y)) && held.has(door.color));
+        if (unlocked.length === 0) return { reached, opened };
+        for (const door of unlocked) {
+            open[door.y][door.x] = CELL.PATH;
+            opened.add(cellKey(door.x, door.y));
+        }
+    }
+}
+
+// options: { doors, bonuses (time pickups), relics, traps (already placed: blocking ones count as
+// walls), goals (cells that must be reachable once every door is open, default the end) }
+// Doors go on the way to the first goal, preferring gaps that cut it off (a door you can walk
+// around isn't much of a lock). Relics prefer dead ends.
+// Returns { doors, items } and marks the door cells CELL.DOOR
+export function placeItems(grid, random, { doors = 0, bonuses = 0, relics = 0, traps = [], goals = null } = {}) {
+    const start = findStartOrEndPos(grid, true);
+    const targets = goals || [findStartOrEndPos(grid, false)];
+    const work = cloneGrid(grid); // Blocking traps as walls, doors marked as they are placed
+    traps.filter(trap => TRAP_KINDS[trap.kind].blocking).forEach(({ x, y }) => { work[y][x] = CELL.WALL; });
+    const options = { secretsOpen: true, portalLinks: createPortalLinks(pairPortals(grid).pairs) };
+
+    const used = new Set([cellKey(start.x, start.y)]);
+    const isFree = (key) => {
+        const [x, y] = key.split(',').map(Number);
+        return isLatticeCell(x, y) && work[y][x] === CELL.PATH && !used.has(key);
+    };
+    const placedDoors = [];
+    const items = [];
+    const place = (key, item) => {
+        const [x, y] = key.split(',').map(Number);
+        used.add(key);
+        items.push({ x, y, ...item });
+    };
+
+    const way = findPath(work, start, targets[0], options) || [];
+    const gaps = shuffle(way.filter(({ x, y }) => !isLatticeCell(x, y) && work[y][x] === CELL.PATH), random);
+    for (const color of KEY_COLORS.slice(0, doors)) {
+        let choice = null; // { gap, free, cuts }
+        for (const gap of gaps) {
+            if (placedDoors.some(door => door.x === gap.x && door.y === gap.y)) continue;
+            work[gap.y][gap.x] = CELL.DOOR;
+            const { reached } = exploreWithKeys(work, start, placedDoors, items, options);
+            work[gap.y][gap.x] = CELL.PATH;
+            const free = [...reached].filter(isFree);
+            if (free.length === 0) continue;
+            const cuts = !targets.every(target => reached.has(cellKey(target.x, target.y)));
+            if (!choice || (cuts && !choice.cuts)) choice = { gap, free, cuts };
+            if (cuts) break;
+        }
+        if (!choice) break; // Nowhere left for a door (and its key), stop short like traps do
+        const { gap, free } = choice;
+        work[gap.y][gap.x] = CELL.DOOR;
+        placedDoors.push({ x: gap.x, y: gap.y, color });
+        place(pick(free, random), { kind: 'key', color });
+    }
+
+    // Everything else anywhere the player gets to with every door open
+    const opened = cloneGrid(work);
+    placedDoors.forEach(({ x, y }) => { opened[y][x] = CELL.PATH; });
+    const reachable = [...findReachable(opened, start, options)];
+    const isDeadEnd = (key) => {
+        const [x, y] = key.split(',').map(Number);
+        return DIRECTIONS.filter(dir => isWalkable(opened, x + dir.dx, y + dir.dy, options)).length === 1;
+    };
+    const shuffled = shuffle(reachable.filter(isFree), random);
+    const relicCells = [...shuffled.filter(isDeadEnd), ...shuffled.filter(key => !isDeadEnd(key))];
+    for (const key of relicCells.slice(0, relics)) place(key, { kind: 'relic' });
+    for (const key of shuffled.filter(isFree).slice(0, bonuses)) place(key, { kind: 'time' });
+
+    placedDoors.forEach(({ x, y }) => { grid[y][x] = CELL.DOOR; });
+    return { doors: placedDoors, items };
+}
+
+// --- Item State ---
+// What's been picked up and opened, so the renderer and HUD only mirror it.
+//   keys: colors held (not used on a door yet), relics: count picked up
+export function createItemField(doors, items) {
+    const field = { doors: new Map(), items: new Map(), keys: new Set(), relics: 0, relicTotal: 0 };
+    for (const door of doors) field.doors.set(cellKey(door.x, door.y), { ...door, open: false });
+    for (const item of items) field.items.set(cellKey(item.x, item.y), { ...item, taken: false });
+    field.relicTotal = items.filter(item => item.kind === 'relic').length;
+    return field;
+}
+
+export function resetItemField(field) {
+    field.items.forEach(item => { item.taken = false; });
+    field.doors.forEach(door => { door.open = false; });
+    field.keys.clear();
+    field.relics = 0;
+}
+
+// Picks up whatever lies on `cell`; returns the item, or null if there's nothing (left) there
+export function collectItem(field, cell) {
+    const item = field.items.get(cellKey(cell.x, cell.y));
+    if (!item || item.taken) return null;
+    item.taken = true;
+    if (item.kind === 'key') field.keys.add(item.color);
+    if (item.kind === 'relic') field.relics++;
+    return item;
+}
+
+// Tries the door on `cell` with the keys held; returns { door, opened } (door null if there's no
+// closed door there, opened false if its key isn't held)
+export function unlockDoor(field, cell) {
+    const door = field.doors.get(cellKey(cell.x, cell.y));
+    if (!door || door.open) return { door: null, opened: false };
+    if (!field.keys.has(door.color)) return { door, opened: false };
+    field.keys.delete(door.color);
+    door.open = true;
+    return { door, opened: true };
+}
+
+// Where a hint leads from `from`: the nearest goal if it can be reached (doors whose key is held
+// count as open, the player unlocks them on the way), else the nearest key still lying about.
+// Returns the route (see findPathToNearest), or null if neither can be reached. options go to
+// findPathToNearest.
+export function findHintRoute(grid, from, goals, field, options = {}) {
+    const open = cloneGrid(grid);
+    field.doors.forEach(door => {
+        if (!door.open && field.keys.has(door.color)) open[door.y][door.x] = CELL.PATH;
+    });
+    const route = findPathToNearest(open, from, goals, options);
+    if (route) return route;
+    const keys = [...field.items.values()].filter(item => item.kind === 'key' && !item.taken);
+    return keys.length > 0 ? findPathToNearest(open, from, keys, options) : null;
+}
+
+// cellKey()s of what's been picked up and opened, for saves
+export function itemFieldState(field) {
+    return {
+        taken: [...field.items.values()].filter(item => item.taken).map(item => cellKey(item.x, item.y)),
+        opened: [...field.doors.values()].filter(door => door.open).map(door => cellKey(door.x, door.y))
+    };
+}
@@ -0,0 +1,119 @@
+import { AI_DIFFICULTY } from './maze_ai.js';
+import { levelId } from './maze_replay.js';
+import { parseSeed } from './seeded_random.js';
+
+// --- Leaderboard ---
+// Escapes ranked per maze configuration (everything that shapes the maze, see levelId, plus the
+// hunters' settings), kept in localStorage and exportable as JSON to compare across machines.
+//   { version, boards: { [configId]: { label, entries: [entry] (fastest first) } } }
+//   entry: { time (s to escape), timeLeft (s), secrets (found), distance (world units), date (ms),
+//            hints (used; missing on older entries) }
+
+export const LEADERBOARD_VERSION = 1;
+export const LEADERBOARD_STORAGE_KEY = 'maze.leaderboard';
+export const BOARD_SIZE = 10; // Entries kept per configuration
+
+export function createLeaderboard() {
+    return { version: LEADERBOARD_VERSION, boards: {} };
+}
+
+// Preset name for a level's hunter settings, or 'custom'
+function difficultyName(ai) {
+    const match = Object.entries(AI_DIFFICULTY).find(([, preset]) => preset.speed === ai.speed && preset.sightRange === ai.sightRange);
+    return match ? match[0] : 'custom';
+}
+
+// Width x height, with the floor count for multi-floor mazes (21x21, 21x21x3)
+function sizeOf(level) {
+    return (level.floors || 1) > 1 ? `${level.width}x${level.height}x${level.floors}` : `${level.width}x${level.height}`;
+}
+
+export function configId(level) {
+    const { count, speed, replanInterval, sightRange } = level.ai;
+    return `${levelId(level)}/${parseSeed(JSON.stringify({ count, speed, replanInterval, sightRange }))}`;
+}
+
+export function configLabel(level) {
+    const where = level.campaign ? `Level ${level.campaign}` : level.layout ? level.name : `Seed ${level.seed}`;
+    return `${where}, ${sizeOf(level)}, ${level.generator.algorithm}, ${difficultyName(level.ai)}`;
+}
+
+const byTime = (a, b) => a.time - b.time || a.date - b.date;
+const sameEntry = (a, b) => a.time === b.time && a.date === b.date;
+
+// Adds an escape; returns { leaderboard (a new one), rank (1-based, null if it didn't make the
+// board), best (previous personal best time or null), delta (time - best, null without one) }
+export function recordResult(leaderboard, level, entry) {
+    const id = configId(level);
+    const board = leaderboard.boards[id] || { label: configLabel(level), entries: [] };
+    const best = board.entries.length > 0 ? board.entries[0].time : null;
+    const entries = [...board.entries, entry].sort(byTime).slice(0, BOARD_SIZE);
+    const index = entries.indexOf(entry);
+    return {
+        leaderboard: { ...leaderboard, boards: { ...leaderboard.boards, [id]: { label: board.label, entries } } },
+        rank: index === -1 ? null : index + 1,
+        best,
+        delta: best === null ? null : entry.time - best
+    };
+}
+
+export function boardFor(leaderboard, level) {
+    return leaderboard.boards[configId(level)] || null;
+}
+
+// --- Storage & Files ---
+const isNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+const isEntry = (entry) => entry && ['time', 'timeLeft', 'secrets', 'distance', 'date'].every(key => isNumber(entry[key]))
+    && (entry.hints === undefined || Number.isInteger(entry.hints));
+
+function fail(reason) {
+    throw new Error(`Not a usable leaderboard: ${reason}`);
+}
+
+export function parseLeaderboard(text) {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (error) {
+        fail('not JSON');
+    }
+    if (!data || typeof data !== 'object' || typeof data.boards !== 'object' || data.boards === null) fail('no boards');
+    if (data.version !== LEADERBOARD_VERSION) fail(`version ${data.version} (expected ${LEADERBOARD_VERSION})`);
+    for (const [id, board] of Object.entries(data.boards)) {
+        if (!board || typeof board.label !== 'string' || !Array.isArray(board.entries) || !board.entries.every(isEntry)) {
+            fail(`bad board "${id}"`);
+        }
+    }
+    return data;
+}
+
+export function loadLeaderboard(storage) {
+    try {
+        const text = storage.getItem(LEADERBOARD_STORAGE_KEY);
+        return text === null ? createLeaderboard() : parseLeaderboard(text);
+    } catch (error) {
+        return createLeaderboard();
+    }
+}
+
+export function saveLeaderboard(storage, leaderboard) {
+    try {
+        storage.setItem(LEADERBOARD_STORAGE_KEY, JSON.stringify(leaderboard));
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+// Another machine's times merged into ours (same escape twice is kept once)
+export function mergeLeaderboards(ours, theirs) {
+    const boards = { ...ours.boards };
+    for (const [id, board] of Object.entries(theirs.boards)) {
+        const entries = [...(boards[id] ? boards[id].entries : [])];
+        board.entries.forEach(entry => {
+            if (!entries.some(existing => sameEntry(existing, entry))) entries.push(entry);
+        });
+        boards[id] = { label: boards[id] ? boards[id].label : board.label, entries: entries.sort(byTime).slice(0, BOARD_SIZE) };
+    }
+    return { version: LEADERBOARD_VERSION, boards };
+}
@@ -0,0 +1,85 @@
+import { createRandom, parseSeed } from './seeded_random.js';
+import { generateMaze } from './maze_generators.js';
+import { braidMaze } from './maze_braid.js';
+import { placeTraps } from './maze_traps.js';
+import { placeItems } from './maze_items.js';
+import { DIFFICULTY_BANDS, generateInBand } from './maze_analysis.js';
+import { parseJsonMaze, mazeToJson } from './maze_format.js';
+import { CELL, findCells } from './maze_core.js';
+import { linkFloors } from './maze_floors.js';
+
+// --- Levels ---
+// A level is plain data describing one maze, so a campaign step and a shared ?seed= link go through
+// the same builder:
+//   { name, seed, width, height,
+//     generator: generateMaze options ({ algorithm, pick, secretChance, portalChance }),
+//     braid: braidMaze options, traps: count, ai: AI_DIFFICULTY-shaped settings, timeLimit (s),
+//     floors: count (optional, 1 if missing),
+//     items: { doors, bonuses, relics } (optional, none if missing; placeItems counts),
+//     targetDifficulty: easy | normal | hard (optional; the maze is re-carved until it scores in
+//                       that band, see maze_analysis.js; single-floor levels only) }
+// Everything random is drawn from the level seed in a fixed order (carve, features, braid, traps,
+// items), so the same level always builds the same grid.
+// With more than one floor every floor is carved and braided in turn, then they're joined by
+// ramps (see maze_floors.js). Secret walls, portals, traps and items are only on the ground floor.
+// A level loaded from a maze file carries the file itself as `layout` (JSON form, see
+// maze_format.js) and is used as drawn; its seed only drives the hunters.
+
+// Returns { grid (ground floor), traps, portalPairs, floors: [grid] (bottom up, floors[0] is grid),
+// ramps, doors, items } (portalPairs null: pair portals in scan order)
+export function buildLevelGrid(level) {
+    if (level.layout) {
+        const { grid, traps, portalPairs } = parseJsonMaze(level.layout);
+        return { grid, traps, portalPairs, floors: [grid], ramps: [], doors: [], items: [] };
+    }
+    const random = createRandom(level.seed);
+    if ((level.floors || 1) > 1) return buildFloors(level, random);
+    const carve = (stream) => {
+        const grid = generateMaze(level.width, level.height, stream, level.generator);
+        braidMaze(grid, stream, level.braid);
+        return grid;
+    };
+    const grid = level.targetDifficulty ? generateInBand(carve, random, difficultyBand(level.targetDifficulty)).grid : carve(random);
+    const traps = placeTraps(grid, random, { count: level.traps });
+    const { doors, items } = placeItems(grid, random, { ...level.items, traps });
+    return { grid, traps, portalPairs: null, floors: [grid], ramps: [], doors, items };
+}
+
+function difficultyBand(name) {
+    if (!DIFFICULTY_BANDS[name]) throw new Error(`Unknown maze difficulty "${name}" (expected ${Object.keys(DIFFICULTY_BANDS).join(', ')})`);
+    return DIFFICULTY_BANDS[name];
+}
+
+function buildFloors(level, random) {
+    const floors = [];
+    for (let floor = 0; floor < level.floors; floor++) {
+        const generator = floor === 0 ? level.generator : { ...level.generator, secretChance: 0, portalChance: 0 };
+        const grid = generateMaze(level.width, level.height, random, generator);
+        braidMaze(grid, random, level.braid);
+        floors.push(grid);
+    }
+    const ramps = linkFloors(floors, random);
+    const [grid] = floors;
+    const goals = findCells(grid, CELL.RAMP); // The way up stays open
+    const traps = placeTraps(grid, random, { count: level.traps, goals });
+    const { doors, items } = placeItems(grid, random, { ...level.items, traps, goals });
+    return { grid, traps, portalPairs: null, floors, ramps, doors, items };
+}
+
+// Level data for a parsed maze file (see maze_format.js); ai: AI_DIFFICULTY-shaped settings
+export function layoutLevel(maze, { ai, timeLimit = 120 } = {}) {
+    const layout = mazeToJson(maze);
+    return {
+        name: maze.name || 'Custom maze',
+        campaign: null,
+        seed: parseSeed(layout.grid.join('\n')), // Same file, same hunters
+        width: layout.width,
+        height: layout.height,
+        generator: { algorithm: 'custom' },
+        braid: {},
+        traps: maze.traps.length,
+        ai,
+        timeLimit: maze.timeLimit || timeLimit,
+        layout
+    };
+}
@@ -0,0 +1,54 @@
+import { cellKey, getNeighbors } from './maze_core.js';
+
+// --- Pathfinding ---
+// Breadth-first search over walkable cells. Every step costs the same (a portal jump included),
+// so BFS already returns shortest paths; A* would need a distance heuristic, which portals break.
+// options are passed straight to getNeighbors: { secretsOpen, portalLinks }.
+
+// Shortest path as a list of cells from `from` to `to` (both included), or null if unreachable
+export function findPath(grid, from, to, options = {}) {
+    return findPathToNearest(grid, from, [to], options);
+}
+
+// Steps from `from` to every reachable cell: Map of cellKey() -> distance
+export function findDistances(grid, from, options = {}) {
+    const distances = new Map([[cellKey(from.x, from.y), 0]]);
+    const queue = [from];
+
+    for (let i = 0; i < queue.length; i++) {
+        const current = queue[i];
+        const distance = distances.get(cellKey(current.x, current.y));
+        for (const next of getNeighbors(grid, current.x, current.y, options)) {
+            const key = cellKey(next.x, next.y);
+            if (!distances.has(key)) {
+                distances.set(key, distance + 1);
+                queue.push(next);
+            }
+        }
+    }
+    return distances;
+}
+
+// Shortest path to whichever of `goals` is nearest (both ends included), or null if none is reachable
+export function findPathToNearest(grid, from, goals, options = {}) {
+    const goalKeys = new Set(goals.map(goal => cellKey(goal.x, goal.y)));
+    const cameFrom = new Map([[cellKey(from.x, from.y), null]]);
+    const queue = [from];
+
+    for (let i = 0; i < queue.length; i++) {
+        const current = queue[i];
+        if (goalKeys.has(cellKey(current.x, current.y))) {
+            const path = [];
+            for (let step = current; step; step = cameFrom.get(cellKey(step.x, step.y))) path.push(step);
+            return path.reverse();
+        }
+        for (const next of getNeighbors(grid, current.x, current.y, options)) {
+            const key = cellKey(next.x, next.y);
+            if (!cameFrom.has(key)) {
+                cameFrom.set(key, current);
+                queue.push(next);
+            }
+        }
+    }
+    return null;
+}
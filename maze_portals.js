@@ -0,0 +1,47 @@
+import { CELL, DIRECTIONS, isWalkable, pairPortals } from './maze_core.js';
+
+// --- Portal Pairs ---
+// Turns the portal cells of a grid into pairs ready to build: every portal has a partner (an odd
+// one out goes back to floor), each end knows which way it faces (its own cell's open side, so
+// you step out of it into a corridor), and each pair gets its own hue so linked portals match.
+
+const GOLDEN_ANGLE = 137.508; // Degrees; consecutive pairs get hues far apart
+
+export function portalPairHue(index) {
+    return (index * GOLDEN_ANGLE) % 360;
+}
+
+// Open side of a portal cell as a DIRECTIONS entry. Prefers a side whose opposite is solid, so a
+// portal in a dead end or against a wall faces out into the corridor. A portal closed in by
+// secret walls faces one of them (that's the way out once it's found).
+export function portalFacing(grid, cell) {
+    const facingFor = (secretsOpen) => {
+        const isOpen = (dir) => isWalkable(grid, cell.x + dir.dx, cell.y + dir.dy, { secretsOpen });
+        const open = DIRECTIONS.filter(isOpen);
+        return open.find(dir => !isOpen({ dx: -dir.dx, dy: -dir.dy })) || open[0];
+    };
+    return facingFor(false) || facingFor(true) || DIRECTIONS[2]; // Fully walled in: face south
+}
+
+// Returns [{ index, hue, a: { x, y, facing }, b: { x, y, facing } }]; fixes unpaired cells in the grid.
+// `links` ([[{ x, y }, { x, y }]], e.g. from a maze file) overrides pairing in scan order.
+export function buildPortalPairs(grid, links = null) {
+    let pairs = links;
+    if (!pairs) {
+        const found = pairPortals(grid);
+        found.unpaired.forEach(({ x, y }) => { grid[y][x] = CELL.PATH; });
+        pairs = found.pairs;
+    }
+    return pairs.map(([a, b], index) => ({
+        index,
+        hue: portalPairHue(index),
+        a: { ...a, facing: portalFacing(grid, a) },
+        b: { ...b, facing: portalFacing(grid, b) }
+    }));
+}
+
+// Where to put someone coming out of a portal end: `distance` cells out along its facing.
+// The default stays inside the portal's own cell (clear of a secret wall it may face).
+export function portalExit(end, distance = 0.25) {
+    return { x: end.x + end.facing.dx * distance, y: end.y + end.facing.dy * distance, facing: end.facing };
+}
@@ -0,0 +1,49 @@
+import { TELEPORT_DISTANCE, lerpAngle } from './maze_replay.js';
+
+// --- Race Mode ---
+// What the race server (race_server.js, rooms in race_rooms.js) and the game agree on. Everyone in
+// a room plays the same level data, so the same seed builds the same maze on every machine; only
+// poses and results go over the wire.
+//   pose: { x, y, z (world, y at eye height), yaw (radians) }
+
+export const RACE_PATH = '/race'; // WebSocket endpoint on the race server
+export const DEFAULT_PORT = 8080;
+export const MAX_PLAYERS = 8; // Per room
+export const MAX_RACE_SIZE = 101; // Widest/tallest maze a room accepts
+export const RACE_COUNTDOWN = 3; // Seconds between the host starting a race and the clock running
+export const POSE_INTERVAL = 0.1; // Seconds between poses sent, the rate replays record at
+export const INTERPOLATION_DELAY = 0.15; // Rivals are drawn this far behind, between two poses received
+
+// WebSocket URL of the race server: ?server= if given, else the server this page came from; null
+// when the page wasn't served over HTTP (opened as a file) and there's nothing to ask
+export function raceServerUrl(location, search) {
+    const server = new URLSearchParams(search).get('server');
+    if (server) return server;
+    if (!location.host) return null;
+    return `${location.protocol === 'https:' ? 'wss' : 'ws'}://${location.host}${RACE_PATH}`;
+}
+
+// Pose at `time` from snapshots [{ time, x, y, z, yaw }] (oldest first, as received): between the
+// two around it, or the nearest end outside them. Portal jumps snap instead of sliding through walls.
+export function interpolatePose(snapshots, time) {
+    if (snapshots.length === 0) return null;
+    const next = snapshots.findIndex(snapshot => snapshot.time > time);
+    if (next === 0) return snapshots[0];
+    if (next === -1) return snapshots[snapshots.length - 1];
+    const from = snapshots[next - 1];
+    const to = snapshots[next];
+    const jumped = Math.hypot(to.x - from.x, to.z - from.z) > TELEPORT_DISTANCE;
+    const t = jumped ? 0 : (time - from.time) / (to.time - from.time);
+    return {
+        time,
+        x: from.x + (to.x - from.x) * t,
+        y: from.y + (to.y - from.y) * t,
+        z: from.z + (to.z - from.z) * t,
+        yaw: lerpAngle(from.yaw, to.yaw, t)
+    };
+}
+
+// Hue (0-1) for a player id, spread out so the first few players look nothing alike
+export function playerHue(id) {
+    return (id * 0.618034) % 1;
+}
@@ -0,0 +1,187 @@
+import { parseSeed } from './seeded_random.js';
+import { validateLevel } from './maze_save.js';
+
+// --- Run Recordings ---
+// A run as a replay: the player's pose sampled at a fixed rate plus what happened along the way.
+//   { version, level (see maze_levels.js), interval (s between frames),
+//     frames: [[x, y, z, yaw, pitch]] (world units / radians, frame i at i * interval),
+//     events: [{ time, type, ...data }] (secret { x, y }, portal { x, y }, pickup { x, y }, door { x, y },
+//             hint, escaped/caught/timeout),
+//     duration (s), result ('escaped' | 'caught' | 'timeout' | null while recording) }
+// Files store frames quantized (centimeters, milliradians) and delta-encoded, which keeps a
+// three-minute run down to tens of kilobytes.
+
+export const RECORDING_VERSION = 1;
+export const RECORD_INTERVAL = 0.1; // 10 samples a second, interpolated on playback
+export const GHOST_STORAGE_KEY = 'maze.ghosts';
+
+const POSITION_SCALE = 100; // Centimeters
+const ANGLE_SCALE = 1000; // Milliradians
+const FRAME_SCALES = [POSITION_SCALE, POSITION_SCALE, POSITION_SCALE, ANGLE_SCALE, ANGLE_SCALE];
+export const TELEPORT_DISTANCE = 2; // World units between two frames that can only be a portal jump
+
+// --- Recording ---
+export function createRecorder(level, interval = RECORD_INTERVAL) {
+    const recording = { version: RECORDING_VERSION, level, interval, frames: [], events: [], duration: 0, result: null };
+
+    // pose: { x, y, z, yaw, pitch }; call every frame, only keeps one sample per interval
+    function sample(time, pose) {
+        if (recording.result) return;
+        while (recording.frames.length * interval <= time) {
+            recording.frames.push([pose.x, pose.y, pose.z, pose.yaw, pose.pitch]);
+        }
+        recording.duration = time;
+    }
+
+    function event(time, type, data = {}) {
+        if (!recording.result) recording.events.push({ time, type, ...data });
+    }
+
+    function finish(time, result, pose) {
+        if (recording.result) return recording;
+        if (pose) sample(time, pose);
+        event(time, result);
+        recording.result = result;
+        recording.duration = time;
+        return recording;
+    }
+
+    return { sample, event, finish, recording };
+}
+
+// --- Playback ---
+export const lerpAngle = (from, to, t) => {
+    const delta = Math.atan2(Math.sin(to - from), Math.cos(to - from)); // Shortest way round
+    return from + delta * t;
+};
+
+// Pose at `time` (clamped to the recording), interpolated between frames except across teleports
+export function poseAt(recording, time) {
+    const { frames, interval } = recording;
+    if (frames.length === 0) return null;
+    const position = Math.min(Math.max(time / interval, 0), frames.length - 1);
+    const index = Math.floor(position);
+    const from = frames[index];
+    const to = frames[Math.min(index + 1, frames.length - 1)];
+    const jumped = Math.hypot(to[0] - from[0], to[2] - from[2]) > TELEPORT_DISTANCE;
+    const t = jumped ? 0 : position - index;
+    return {
+        x: from[0] + (to[0] - from[0]) * t,
+        y: from[1] + (to[1] - from[1]) * t,
+        z: from[2] + (to[2] - from[2]) * t,
+        yaw: lerpAngle(from[3], to[3], t),
+        pitch: from[4] + (to[4] - from[4]) * t
+    };
+}
+
+// Events with from < time <= to, in order
+export function eventsBetween(recording, from, to) {
+    return recording.events.filter(event => event.time > from && event.time <= to);
+}
+
+// --- Files ---
+function fail(reason) {
+    throw new Error(`Not a usable recording: ${reason}`);
+}
+
+export function encodeRecording(recording) {
+    const flat = [];
+    const previous = [0, 0, 0, 0, 0];
+    for (const frame of recording.frames) {
+        frame.forEach((value, i) => {
+            const quantized = Math.round(value * FRAME_SCALES[i]);
+            flat.push(quantized - previous[i]);
+            previous[i] = quantized;
+        });
+    }
+    const round = (time) => Math.round(time * 1000) / 1000;
+    return JSON.stringify({
+        format: 'maze-replay',
+        version: recording.version,
+        level: recording.level,
+        interval: recording.interval,
+        duration: round(recording.duration),
+        result: recording.result,
+        events: recording.events.map(event => ({ ...event, time: round(event.time) })),
+        frames: flat
+    });
+}
+
+// Throws with the first thing wrong
+export function decodeRecording(text) {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (error) {
+        fail('not JSON');
+    }
+    if (!data || data.format !== 'maze-replay') fail('not a maze replay file');
+    if (data.version !== RECORDING_VERSION) fail(`version ${data.version} (expected ${RECORDING_VERSION})`);
+    try {
+        validateLevel(data.level); // Checked here so a bad file never gets as far as tearing down the maze
+    } catch (error) {
+        fail(`bad level (${error.message})`);
+    }
+    if (!(data.interval > 0) || !Number.isFinite(data.duration)) fail('bad timing');
+    if (!Array.isArray(data.events) || !data.events.every(event => event && Number.isFinite(event.time) && typeof event.type === 'string')) fail('bad event list');
+    if (!Array.isArray(data.frames) || data.frames.length % FRAME_SCALES.length !== 0 || !data.frames.every(Number.isInteger)) fail('bad frame data');
+
+    const frames = [];
+    const current = [0, 0, 0, 0, 0];
+    for (let i = 0; i < data.frames.length; i += FRAME_SCALES.length) {
+        for (let j = 0; j < current.length; j++) current[j] += data.frames[i + j];
+        frames.push(current.map((value, j) => value / FRAME_SCALES[j]));
+    }
+    return { version: data.version, level: data.level, interval: data.interval, frames, events: data.events, duration: data.duration, result: data.result ?? null };
+}
+
+// e.g. maze-replay-level-3-2025-01-31.json
+export function recordingFileName(recording, date = new Date()) {
+    const { level } = recording;
+    const name = level.campaign ? `level-${level.campaign}` : `seed-${level.seed}`;
+    return `maze-replay-${name}-${date.toISOString().slice(0, 10)}.json`;
+}
+
+// --- Ghosts ---
+// The best escape per level, kept in localStorage to race against. Levels are told apart by
+// everything that shapes the maze, not just the seed (same seed, other algorithm = other maze).
+export function levelId(level) {
+    const { seed, width, height, generator, braid, traps, layout, floors, items, targetDifficulty } = level;
+    const stacked = floors > 1 ? floors : undefined; // Single-floor levels keep the ids they always had
+    const band = stacked || layout ? undefined : targetDifficulty; // Only a carved single floor is built to a band
+    return `${seed}:${parseSeed(JSON.stringify({ width, height, generator, braid, traps, layout, floors: stacked, items, targetDifficulty: band }))}`;
+}
+
+function loadGhostTable(storage) {
+    try {
+        const table = JSON.parse(storage.getItem(GHOST_STORAGE_KEY));
+        return table && typeof table === 'object' ? table : {};
+    } catch (error) {
+        return {};
+    }
+}
+
+// Best escape for this level, or null
+export function loadGhost(storage, level) {
+    const text = loadGhostTable(storage)[levelId(level)];
+    try {
+        return text ? decodeRecording(text) : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+// Keeps `recording` if it's an escape faster than the stored one; returns true if it was kept
+export function saveGhost(storage, recording) {
+    if (recording.result !== 'escaped') return false;
+    const best = loadGhost(storage, recording.level);
+    if (best && best.duration <= recording.duration) return false;
+    try {
+        const table = loadGhostTable(storage);
+        table[levelId(recording.level)] = encodeRecording(recording);
+        storage.setItem(GHOST_STORAGE_KEY, JSON.stringify(table));
+        return true;
+    } catch (error) {
+        return false; // Private mode / quota: no ghost this time
+    }
+}
@@ -0,0 +1,151 @@
+import { DIFFICULTY_BANDS } from './maze_analysis.js';
+import { MAZE_GENERATORS, GROWING_TREE_PICKS } from './maze_generators.js';
+import { MAX_FLOORS } from './maze_floors.js';
+import { parseJsonMaze } from './maze_format.js';
+
+// --- Saved Runs ---
+// A run in progress as plain data, so it can go to localStorage (autosave) or a JSON file
+// (export/import) and be rebuilt exactly: the level data rebuilds the same grid from its seed,
+// everything that changed since is listed on top of it.
+//   { version, savedAt (ms), level (see maze_levels.js),
+//     player: { x, y, z (world), yaw, pitch (radians) }, timeLeft, elapsedTime (s), distance (world units walked),
+//     revealedSecrets: [cellKey], explored: [cellKey] (minimap fog, ground floor),
+//     exploredAbove: [[cellKey]] (optional, same for each floor above the ground floor),
+//     ai: [{ x, y (grid units), mode, lastSeen }], traps: [{ x, y, state, timer }],
+//     items: { taken: [cellKey], opened: [cellKey] } (optional, pickups and unlocked doors),
+//     hints: count used so far (optional) }
+
+export const SAVE_VERSION = 1;
+export const SAVE_STORAGE_KEY = 'maze.save';
+
+const isNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+const isOddSize = (value) => Number.isInteger(value) && value >= 3 && value % 2 === 1;
+const isCellKey = (value) => typeof value === 'string' && /^\d+,\d+$/.test(value);
+const isCount = (value) => Number.isInteger(value) && value >= 0;
+const isShare = (value) => isNumber(value) && value >= 0 && value <= 1;
+const isOptional = (value, check) => value === undefined || check(value);
+const isObject = (value) => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+
+function fail(reason) {
+    throw new Error(`Not a usable maze save: ${reason}`);
+}
+
+// --- Levels ---
+// First thing about a level (see maze_levels.js) that would stop it building, or null. Shared by
+// saves and race rooms, where the level comes from another player.
+function findLevelProblem(level) {
+    if (!isObject(level)) return 'missing level';
+    const { generator, braid, ai, items, layout } = level;
+    if (!Number.isInteger(level.seed) || level.seed < 0) return 'level has no seed';
+    if (!isOddSize(level.width) || !isOddSize(level.height)) return 'level size must be odd numbers of at least 3';
+    if (!isObject(generator) || !isObject(braid) || !isObject(ai) || !isNumber(level.timeLimit)) return 'level settings incomplete';
+    if (level.timeLimit <= 0) return 'bad time limit';
+    if (!isCount(level.traps)) return 'bad trap count';
+    if (!isOptional(level.floors, floors => Number.isInteger(floors) && floors >= 1 && floors <= MAX_FLOORS)) return `bad floor count (1-${MAX_FLOORS})`;
+    if (!isOptional(items, value => isObject(value) && [value.doors, value.bonuses, value.relics].every(count => isOptional(count, isCount)))) return 'bad item settings';
+    if (level.targetDifficulty !== undefined && !Object.hasOwn(DIFFICULTY_BANDS, level.targetDifficulty)) return `unknown maze difficulty "${level.targetDifficulty}"`;
+    if (![ai.count, ai.speed, ai.replanInterval, ai.sightRange].every(isNumber) || !isCount(ai.count) || ai.replanInterval <= 0) return 'bad hunter settings';
+
+    if (layout !== undefined) { // Drawn, not carved: the generator and braid are unused
+        let maze;
+        try {
+            maze = parseJsonMaze(layout);
+        } catch (error) {
+            return `bad layout (${error.message})`;
+        }
+        return maze.grid[0].length === level.width && maze.grid.length === level.height ? null : 'layout size does not match the level';
+    }
+    if (!Object.hasOwn(MAZE_GENERATORS, generator.algorithm ?? 'backtracker')) return `unknown maze algorithm "${generator.algorithm}"`;
+    if (!isOptional(generator.pick, pick => Object.hasOwn(GROWING_TREE_PICKS, pick))) return `unknown growing tree pick "${generator.pick}"`;
+    if (![generator.secretChance, generator.portalChance].every(chance => isOptional(chance, isShare))) return 'bad secret or portal chance';
+    if (![braid.deadEndRemoval, braid.loopFraction].every(share => isOptional(share, isShare))) return 'bad braid settings';
+    const cells = (level.width - 1) / 2 * (level.height - 1) / 2;
+    if (!isOptional(braid.rooms, rooms => isNumber(rooms) && rooms >= 0 && rooms <= cells)) return 'bad room count';
+    const { roomMinSize = 2, roomMaxSize = 3 } = braid;
+    if (![roomMinSize, roomMaxSize].every(size => Number.isInteger(size) && size >= 1) || roomMinSize > roomMaxSize) return 'bad room sizes';
+    return null;
+}
+
+// Throws with the first thing wrong; returns the level if it can be built
+export function validateLevel(level) {
+    const problem = findLevelProblem(level);
+    if (problem) throw new Error(`Not a usable level: ${problem}`);
+    return level;
+}
+
+// --- Runs ---
+// Throws with the first thing wrong; returns the run if it can be resumed
+export function validateRun(run) {
+    if (!run || typeof run !== 'object') fail('not an object');
+    if (run.version !== SAVE_VERSION) fail(`version ${run.version} (expected ${SAVE_VERSION})`);
+
+    const { level, player } = run;
+    const problem = findLevelProblem(level);
+    if (problem) fail(problem);
+
+    if (!player || ![player.x, player.y, player.z, player.yaw, player.pitch].every(isNumber)) fail('bad player position');
+    if (!isNumber(run.timeLeft) || !isNumber(run.elapsedTime)) fail('bad timer');
+    if (run.distance !== undefined && !isNumber(run.distance)) fail('bad distance'); // Older saves have none
+    if (run.hints !== undefined && !(Number.isInteger(run.hints) && run.hints >= 0)) fail('bad hint count');
+    if (!Array.isArray(run.revealedSecrets) || !run.revealedSecrets.every(isCellKey)) fail('bad revealed secret list');
+    if (!Array.isArray(run.explored) || !run.explored.every(isCellKey)) fail('bad explored cell list');
+    if (run.exploredAbove !== undefined && !(Array.isArray(run.exploredAbove) && run.exploredAbove.every(cells => Array.isArray(cells) && cells.every(isCellKey)))) {
+        fail('bad explored cell list for the upper floors');
+    }
+    if (!Array.isArray(run.ai) || !run.ai.every(agent => agent && isNumber(agent.x) && isNumber(agent.y))) fail('bad hunter list');
+    if (!Array.isArray(run.traps) || !run.traps.every(trap => trap && Number.isInteger(trap.x) && Number.isInteger(trap.y))) fail('bad trap list');
+    if (run.items !== undefined && !(run.items && [run.items.taken, run.items.opened].every(keys => Array.isArray(keys) && keys.every(isCellKey)))) {
+        fail('bad item list');
+    }
+    return run;
+}
+
+export function serializeRun(run) {
+    return JSON.stringify(validateRun(run));
+}
+
+// Parses exported/stored text; throws a readable Error on anything that can't be resumed
+export function parseRun(text) {
+    let run;
+    try {
+        run = JSON.parse(text);
+    } catch (error) {
+        fail('not JSON');
+    }
+    return validateRun(run);
+}
+
+// --- Autosave Slot ---
+// storage: anything shaped like localStorage; blocked storage just means no autosave
+export function saveRun(storage, run) {
+    try {
+        storage.setItem(SAVE_STORAGE_KEY, serializeRun(run));
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+// The autosaved run, or null if there is none (or it can't be resumed any more)
+export function loadRun(storage) {
+    try {
+        const text = storage.getItem(SAVE_STORAGE_KEY);
+        return text === null ? null : parseRun(text);
+    } catch (error) {
+        return null;
+    }
+}
+
+export function clearRun(storage) {
+    try {
+        storage.removeItem(SAVE_STORAGE_KEY);
+    } catch (error) {
+        // Nothing to clear
+    }
+}
+
+// File name for an exported run, e.g. maze-level-3-2025-01-31.json
+export function exportFileName(run, date = new Date(run.savedAt)) {
+    const name = run.level.campaign ? `level-${run.level.campaign}` : `seed-${run.level.seed}`;
+    return `maze-${name}-${date.toISOString().slice(0, 10)}.json`;
+}
@@ -0,0 +1,121 @@
+import { normalizeVolumes } from './sound_cues.js';
+
+// --- Settings ---
+// Everything a player can change from the settings panel, kept in localStorage. Gameplay values
+// shape free-play mazes (campaign levels keep their own size, time and hunters); display and
+// control values apply straight away.
+//   { mazeSize, timeLimit (s), playerSpeed (units/s), jump, aiCount (null = difficulty's),
+//     hintPenalty (s off the clock per hint, every level),
+//     fov (degrees), shadows ('off' | 'basic' | 'soft'), antialias, sensitivity, invertY,
+//     keys: { [action]: [KeyboardEvent.code] }, volumes (see normalizeVolumes) }
+
+export const SETTINGS_STORAGE_KEY = 'maze.settings';
+
+export const KEY_ACTIONS = ['forward', 'back', 'left', 'right', 'jump', 'interact', 'map', 'hint', 'mute'];
+
+export const DEFAULT_SETTINGS = {
+    mazeSize: 21,
+    timeLimit: 120,
+    playerSpeed: 5,
+    jump: true,
+    aiCount: null,
+    hintPenalty: 15,
+    fov: 75,
+    shadows: 'soft',
+    antialias: true,
+    sensitivity: 1,
+    invertY: false,
+    keys: {
+        forward: ['KeyW', 'ArrowUp'],
+        back: ['KeyS', 'ArrowDown'],
+        left: ['KeyA', 'ArrowLeft'],
+        right: ['KeyD', 'ArrowRight'],
+        jump: ['Space'],
+        interact: ['KeyE'],
+        map: ['KeyM'],
+        hint: ['KeyH'],
+        mute: ['KeyN']
+    },
+    volumes: normalizeVolumes()
+};
+
+// Numeric settings: allowed range and step (mazeSize must also be odd)
+export const SETTING_RANGES = {
+    mazeSize: { min: 7, max: 51, step: 2 },
+    timeLimit: { min: 30, max: 600, step: 10 },
+    playerSpeed: { min: 2, max: 10, step: 0.5 },
+    aiCount: { min: 0, max: 6, step: 1 },
+    hintPenalty: { min: 0, max: 60, step: 5 },
+    fov: { min: 50, max: 110, step: 1 },
+    sensitivity: { min: 0.2, max: 3, step: 0.1 }
+};
+
+export const SHADOW_QUALITIES = ['off', 'basic', 'soft'];
+
+function clampSetting(name, value) {
+    const { min, max, step } = SETTING_RANGES[name];
+    const number = Number(value);
+    if (value === null || value === '' || !Number.isFinite(number)) return DEFAULT_SETTINGS[name];
+    const snapped = min + Math.round((Math.min(Math.max(number, min), max) - min) / step) * step;
+    return Math.round(snapped * 100) / 100; // No 0.30000000000000004
+}
+
+// Fills in missing keys, clamps numbers and drops anything unknown, so stored or hand-edited
+// settings can't break the game
+export function normalizeSettings(raw = {}) {
+    const settings = { ...DEFAULT_SETTINGS, ...raw };
+    const result = {};
+    for (const name of Object.keys(SETTING_RANGES)) {
+        result[name] = name === 'aiCount' && settings.aiCount === null ? null : clampSetting(name, settings[name]);
+    }
+    const keys = {};
+    for (const action of KEY_ACTIONS) {
+        const codes = raw.keys && Array.isArray(raw.keys[action]) ? raw.keys[action].filter(code => typeof code === 'string') : null;
+        keys[action] = codes || [...DEFAULT_SETTINGS.keys[action]];
+    }
+    return {
+        ...result,
+        jump: settings.jump !== false,
+        shadows: SHADOW_QUALITIES.includes(settings.shadows) ? settings.shadows : DEFAULT_SETTINGS.shadows,
+        antialias: settings.antialias !== false,
+        invertY: settings.invertY === true,
+        keys,
+        volumes: normalizeVolumes(settings.volumes)
+    };
+}
+
+export function loadSettings(storage) {
+    try {
+        return normalizeSettings(JSON.parse(storage.getItem(SETTINGS_STORAGE_KEY)) || {});
+    } catch (error) {
+        return normalizeSettings();
+    }
+}
+
+export function saveSettings(storage, settings) {
+    try {
+        storage.setItem(SETTINGS_STORAGE_KEY, JSON.stringify(settings));
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+// --- Key Bindings ---
+// Action bound to a KeyboardEvent.code, or null
+export function actionForKey(keys, code) {
+    return KEY_ACTIONS.find(action => keys[action].includes(code)) || null;
+}
+
+// Binds `code` as the only key for `action`, taking it off whatever action had it before
+export function rebindKey(keys, action, code) {
+    const rebound = {};
+    for (const other of KEY_ACTIONS) rebound[other] = keys[other].filter(existing => existing !== code);
+    rebound[action] = [code];
+    return rebound;
+}
+
+// Readable key name: KeyW -> W, ArrowUp -> Up, Space -> Space
+export function keyLabel(code) {
+    return code.replace(/^Key/, '').replace(/^Digit/, '').replace(/^Arrow/, '');
+}
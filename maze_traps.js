@@ -0,0 +1,116 @@
+import { CELL, cellKey, cloneGrid, isLatticeCell, findReachable, findStartOrEndPos } from './maze_core.js';
+import { findDistances } from './maze_pathfinding.js';
+import { shuffle, pick } from './seeded_random.js';
+
+// --- Traps (grid type 6) ---
+// Traps sit on plain floor cells and are marked CELL.TRAP in the grid; which kind each one is
+// lives in the trap list (keyed by cellKey), the grid only says "something is here".
+//   spikes:   stepping on it sends you back to the start
+//   slow:     movement speed is cut while you stand on it
+//   drain:    takes seconds off the clock each time you step on it
+//   collapse: crumbles shortly after you step on it, then it's a hole (back to start) for good
+// Spikes and collapsed floors can't be crossed, so they are only placed where the exit stays
+// reachable with all of them treated as walls. Traps never go near the start or on start/end.
+// On a floor without an exit (see maze_floors.js) the ramps up are what has to stay reachable.
+
+export const TRAP_KINDS = {
+    spikes: { blocking: true },
+    slow: { blocking: false, speedFactor: 0.45 },
+    drain: { blocking: false, seconds: 10 },
+    collapse: { blocking: true, crumbleTime: 0.8 }
+};
+
+// options: { count, kinds (names to pick from), minStartDistance (steps), goals (cells that must
+// stay reachable, default the end) }
+// Returns [{ x, y, kind }] and marks those cells CELL.TRAP
+export function placeTraps(grid, random, { count = 6, kinds = Object.keys(TRAP_KINDS), minStartDistance = 4, goals = null } = {}) {
+    const start = findStartOrEndPos(grid, true);
+    const targets = goals || [findStartOrEndPos(grid, false)];
+    const distances = findDistances(grid, start, { secretsOpen: true });
+    const candidates = [];
+    for (const [key, distance] of distances) {
+        const [x, y] = key.split(',').map(Number);
+        if (isLatticeCell(x, y) && grid[y][x] === CELL.PATH && distance >= minStartDistance) candidates.push({ x, y });
+    }
+
+    const blocked = cloneGrid(grid); // Grid with every blocking trap so far turned into a wall
+    const traps = [];
+    for (const cell of shuffle(candidates, random)) {
+        if (traps.length >= count) break;
+        const kind = pick(kinds, random);
+        if (TRAP_KINDS[kind].blocking) {
+            blocked[cell.y][cell.x] = CELL.WALL;
+            const reachable = findReachable(blocked, start, { secretsOpen: true });
+            if (!targets.every(target => reachable.has(cellKey(target.x, target.y)))) {
+                blocked[cell.y][cell.x] = CELL.PATH; // Would cut off the exit, try another cell
+                continue;
+            }
+        }
+        grid[cell.y][cell.x] = CELL.TRAP;
+        traps.push({ x: cell.x, y: cell.y, kind });
+    }
+    return traps;
+}
+
+// --- Trap State ---
+// Per-trap runtime state, so the renderer only has to mirror `state` onto meshes.
+// state: armed | crumbling | collapsed (only collapse traps leave "armed")
+export function createTrapField(traps) {
+    const field = { traps: new Map(), occupied: null };
+    for (const trap of traps) field.traps.set(cellKey(trap.x, trap.y), { ...trap, state: 'armed', timer: 0 });
+    return field;
+}
+
+export function resetTrapField(field) {
+    for (const trap of field.traps.values()) {
+        trap.state = 'armed';
+        trap.timer = 0;
+    }
+    field.occupied = null;
+}
+
+// playerCell: grid cell the player stands on (null while in the air, so traps can be jumped over)
+// Returns { speedFactor, timeDrain (seconds to subtract now), respawn, triggered: [trap], changed: [trap] }
+// triggered: traps that went off this frame (for sound cues), changed: traps whose state changed
+export function updateTrapField(field, playerCell, deltaTime) {
+    const result = { speedFactor: 1, timeDrain: 0, respawn: false, triggered: [], changed: [] };
+    const key = playerCell ? cellKey(playerCell.x, playerCell.y) : null;
+    const entered = key !== null && key !== field.occupied;
+    if (key !== null) field.occupied = key; // Landing from a jump on the same cell isn't a new step
+
+    // Crumbling floors keep falling apart whether or not someone is still on them
+    for (const trap of field.traps.values()) {
+        if (trap.state !== 'crumbling') continue;
+        trap.timer -= deltaTime;
+        if (trap.timer <= 0) {
+            trap.state = 'collapsed';
+            result.changed.push(trap);
+        }
+    }
+
+    const trap = key !== null ? field.traps.get(key) : undefined;
+    if (!trap) return result;
+    const settings = TRAP_KINDS[trap.kind];
+
+    if (trap.kind === 'spikes' && entered) {
+        result.respawn = true;
+        result.triggered.push(trap);
+    } else if (trap.kind === 'slow') {
+        result.speedFactor = settings.speedFactor;
+        if (entered) result.triggered.push(trap);
+    } else if (trap.kind === 'drain' && entered) {
+        result.timeDrain = settings.seconds;
+        result.triggered.push(trap);
+    } else if (trap.kind === 'collapse') {
+        if (trap.state === 'armed') {
+            trap.state = 'crumbling';
+            trap.timer = settings.crumbleTime;
+            result.triggered.push(trap);
+            result.changed.push(trap);
+        } else if (trap.state === 'collapsed') {
+            result.respawn = true; // Fell through
+        }
+    }
+    if (result.respawn) field.occupied = null; // Coming back to the same trap counts as stepping on it again
+    return result;
+}
@@ -0,0 +1,82 @@
+import { CELL } from './maze_core.js';
+
+// --- Wall Builder ---
+// Turns the grid into wall boxes (pure math, no Three.js). The grid is read by parity:
+//   (even, even) pillar joint, (odd, even) wall segment along X, (even, odd) wall segment along Z,
+//   (odd, odd) room cell (a wall there fills the whole cell).
+// Consecutive wall squares in an even row become one box along X and consecutive wall squares in
+// an even column one box along Z, so corners are joined by overlapping at the pillar instead of
+// being guessed from the neighbors. Secret walls are always their own box, spanning between the
+// pillar faces, so each can be removed on its own. The boxes are used for both rendering and
+// collision, so what you see is what you bump into.
+// Grid square (x, y) is centered on world (x * cellSize, y * cellSize).
+
+// Returns [{ x, y, z (center), sizeX, sizeY, sizeZ, secret, cell: { x, y } }]
+export function buildWallPlacements(grid, { cellSize, wallHeight, wallThickness }) {
+    const height = grid.length;
+    const width = grid[0].length;
+    const placements = [];
+    const isWall = (x, y) => x >= 0 && y >= 0 && x < width && y < height && grid[y][x] === CELL.WALL;
+    const centerY = wallHeight / 2;
+
+    // World extent of a run end: a pillar ends at its face, a segment reaches its own cell edge
+    const runStart = (index) => index * cellSize - (index % 2 === 0 ? wallThickness / 2 : cellSize / 2);
+    const runEnd = (index) => index * cellSize + (index % 2 === 0 ? wallThickness / 2 : cellSize / 2);
+
+    // Runs along X (even rows) and along Z (even columns)
+    const addRuns = (lineCount, lineLength, cellAt, alongX) => {
+        for (let line = 0; line < lineCount; line += 2) {
+            let start = null;
+            for (let i = 0; i <= lineLength; i++) {
+                const [x, y] = cellAt(line, i);
+                if (i < lineLength && isWall(x, y)) {
+                    if (start === null) start = i;
+                    continue;
+                }
+                if (start !== null && (i - start > 1 || start % 2 === 1)) { // A lone pillar is not a run (a lone segment is)
+                    const from = runStart(start);
+                    const to = runEnd(i - 1);
+                    const [cellX, cellY] = cellAt(line, start);
+                    placements.push(alongX
+                        ? { x: (from + to) / 2, y: centerY, z: line * cellSize, sizeX: to - from, sizeY: wallHeight, sizeZ: wallThickness, secret: false, cell: { x: cellX, y: cellY } }
+                        : { x: line * cellSize, y: centerY, z: (from + to) / 2, sizeX: wallThickness, sizeY: wallHeight, sizeZ: to - from, secret: false, cell: { x: cellX, y: cellY } });
+                }
+                start = null;
+            }
+        }
+    };
+    addRuns(height, width, (row, i) => [i, row], true);
+    addRuns(width, height, (column, i) => [column, i], false);
+
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const cellType = grid[y][x];
+            const evenX = x % 2 === 0;
+            const evenY = y % 2 === 0;
+
+            if (cellType === CELL.WALL && evenX && evenY) {
+                // Pillar with no wall run through it still needs its own joint
+                const joined = isWall(x - 1, y) || isWall(x + 1, y) || isWall(x, y - 1) || isWall(x, y + 1);
+                if (!joined) {
+                    placements.push({ x: x * cellSize, y: centerY, z: y * cellSize, sizeX: wallThickness, sizeY: wallHeight, sizeZ: wallThickness, secret: false, cell: { x, y } });
+                }
+            } else if (cellType === CELL.WALL && !evenX && !evenY) {
+                // Filled room cell: flush with the wall faces around it
+                const size = 2 * cellSize - wallThickness;
+                placements.push({ x: x * cellSize, y: centerY, z: y * cellSize, sizeX: size, sizeY: wallHeight, sizeZ: size, secret: false, cell: { x, y } });
+            } else if (cellType === CELL.SECRET && evenX !== evenY) {
+                // Secret segment fills the gap between the two pillar faces
+                const length = 2 * cellSize - wallThickness;
+                placements.push({
+                    x: x * cellSize, y: centerY, z: y * cellSize,
+                    sizeX: evenY ? length : wallThickness,
+                    sizeY: wallHeight,
+                    sizeZ: evenY ? wallThickness : length,
+                    secret: true,
+                    cell: { x, y }
+                });
+            }
+        }
+    }
+    return placements;
+}
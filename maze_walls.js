@@ -0,0 +1,65 @@
+import * as THREE from 'three';
+
+// --- Instanced Walls ---
+// Every wall is the same unit cube scaled per instance, so all plain walls are one InstancedMesh
+// (one draw call, one shared material) however big the maze is. Secret walls get their own
+// InstancedMesh so a single one can be hidden when revealed without touching the rest.
+
+// placement: { x, y, z (center), sizeX, sizeY, sizeZ, secret: bool, cell: { x, y } (grid cell) }
+// Returns { meshes, walls, secrets }; walls/secrets are records { mesh, index, box, cell, revealed }
+export function createWallInstances(placements, material) {
+    const unitBox = new THREE.BoxGeometry(1, 1, 1);
+    const plain = placements.filter(placement => !placement.secret);
+    const secret = placements.filter(placement => placement.secret);
+
+    const build = (list) => {
+        const mesh = new THREE.InstancedMesh(unitBox, material, Math.max(1, list.length));
+        mesh.count = list.length;
+        mesh.castShadow = true;
+        mesh.receiveShadow = true; // Walls can receive shadows too
+
+        const matrix = new THREE.Matrix4();
+        const records = list.map((placement, index) => {
+            const center = new THREE.Vector3(placement.x, placement.y, placement.z);
+            const size = new THREE.Vector3(placement.sizeX, placement.sizeY, placement.sizeZ);
+            matrix.compose(center, new THREE.Quaternion(), size);
+            mesh.setMatrixAt(index, matrix);
+            // Collision bounds straight from the same numbers, so what you see is what you bump into
+            const box = new THREE.Box3().setFromCenterAndSize(center, size);
+            return { mesh, index, box, cell: placement.cell, revealed: false };
+        });
+        mesh.instanceMatrix.needsUpdate = true;
+        mesh.computeBoundingSphere();
+        mesh.computeBoundingBox();
+        mesh.userData.wallRecords = records; // instanceId -> record, for raycasts
+        return { mesh, records };
+    };
+
+    const plainWalls = build(plain);
+    const secretWalls = build(secret);
+    return { meshes: [plainWalls.mesh, secretWalls.mesh], walls: plainWalls.records, secrets: secretWalls.records };
+}
+
+// Collapses one instance to nothing (InstancedMesh can't drop a single instance)
+const hiddenMatrix = new THREE.Matrix4().makeScale(0, 0, 0);
+export function hideWallInstance(record) {
+    record.revealed = true;
+    record.mesh.setMatrixAt(record.index, hiddenMatrix);
+    record.mesh.instanceMatrix.needsUpdate = true;
+}
+
+// Puts a hidden instance back (a retry rebuilds the secret walls found on the last attempt)
+export function showWallInstance(record) {
+    record.revealed = false;
+    const center = record.box.getCenter(new THREE.Vector3());
+    const size = record.box.getSize(new THREE.Vector3());
+    record.mesh.setMatrixAt(record.index, new THREE.Matrix4().compose(center, new THREE.Quaternion(), size));
+    record.mesh.instanceMatrix.needsUpdate = true;
+}
+
+// Wall record hit by a raycast against the instanced meshes, skipping already hidden ones
+export function wallRecordFromIntersection(intersection) {
+    const records = intersection.object.userData.wallRecords;
+    const record = records && records[intersection.instanceId];
+    return record && !record.revealed ? record : null;
+}
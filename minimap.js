@@ -0,0 +1,178 @@
+import { CELL, cellKey, getCell, findVisibleCells } from './maze_core.js';
+
+// --- Minimap ---
+// 2D view of mazeGrid drawn on a canvas. Fog-of-war: a cell shows up only once the player has
+// seen it (line of sight within SIGHT_RADIUS) or walked on it. Positions are in grid units
+// (world position / CELL_SIZE), so cell (x, y) is centered on (x, y).
+
+const SIGHT_RADIUS = 6; // Cells
+const MINI_CELL_PIXELS = 8; // Zoom of the corner map; the expanded map fits the whole maze
+
+const COLORS = {
+    wall: '#ffffff',
+    secret: '#bbbbbb', // Only differs once revealed (then drawn as floor)
+    floor: '#3a3a3a',
+    visibleFloor: '#5a5a5a',
+    exit: '#ffffff',
+    portal: '#999999',
+    ramp: '#8a8a8a', // Way up or down to another floor
+    item: '#dddd88', // Keys are drawn in their own color
+    route: '#66ffcc', // Hint
+    ai: '#ff5555',
+    player: '#ffffff'
+};
+
+export function createMinimap(container, canvas, grid) {
+    const context = canvas.getContext('2d');
+    const explored = new Set(); // cellKey()s seen or visited so far
+    let visibleNow = new Set();
+    let lastPlayerCell = null;
+    let expanded = false;
+
+    // Recomputes what the player can see; cheap to call every frame (only recomputes on cell change)
+    function reveal(playerCell, secretsOpen, force = false) {
+        const key = cellKey(playerCell.x, playerCell.y);
+        if (!force && key === lastPlayerCell) return;
+        lastPlayerCell = key;
+        visibleNow = findVisibleCells(grid, playerCell, SIGHT_RADIUS, { secretsOpen });
+        visibleNow.add(key);
+        visibleNow.forEach(cell => explored.add(cell));
+    }
+
+    function resizeToContainer() {
+        const width = container.clientWidth;
+        const height = container.clientHeight;
+        if (canvas.width !== width || canvas.height !== height) {
+            canvas.width = width;
+            canvas.height = height;
+        }
+    }
+
+    // state: { player: { x, y, dirX, dirY }, exit: { x, y } (or null, e.g. on another floor),
+    //         portals: [{ x, y, color }], ai: [{ x, y }], secretsOpen: Set, label (e.g. which floor),
+    //         doors: [{ x, y, color }] (locked ones), items: [{ x, y, color }] (still lying there),
+    //         route: [{ x, y }] (a hint, drawn whether explored or not) }
+    function draw({ player, exit, portals = [], ai = [], secretsOpen = new Set(), label = '', doors = [], items = [], route = [] }) {
+        resizeToContainer();
+        context.clearRect(0, 0, canvas.width, canvas.height);
+
+        // Expanded: whole maze fitted and centered. Corner: fixed zoom, centered on the player.
+        let cellPixels, originX, originY;
+        if (expanded) {
+            cellPixels = Math.floor(Math.min(canvas.width / grid[0].length, canvas.height / grid.length));
+            originX = (canvas.width - grid[0].length * cellPixels) / 2 + cellPixels / 2;
+            originY = (canvas.height - grid.length * cellPixels) / 2 + cellPixels / 2;
+        } else {
+            cellPixels = MINI_CELL_PIXELS;
+            originX = canvas.width / 2 - player.x * cellPixels;
+            originY = canvas.height / 2 - player.y * cellPixels;
+        }
+        const toScreen = (x, y) => ({ x: originX + x * cellPixels, y: originY + y * cellPixels });
+
+        // Cells
+        for (let y = 0; y < grid.length; y++) {
+            for (let x = 0; x < grid[y].length; x++) {
+                const key = cellKey(x, y);
+                if (!explored.has(key)) continue;
+                const cellType = getCell(grid, x, y);
+                const isOpenSecret = cellType === CELL.SECRET && secretsOpen.has(key);
+                if (cellType === CELL.WALL) context.fillStyle = COLORS.wall;
+                else if (cellType === CELL.SECRET && !isOpenSecret) context.fillStyle = COLORS.secret;
+                else if (cellType === CELL.RAMP) context.fillStyle = COLORS.ramp;
+                else context.fillStyle = visibleNow.has(key) ? COLORS.visibleFloor : COLORS.floor;
+                const corner = toScreen(x - 0.5, y - 0.5);
+                context.fillRect(corner.x, corner.y, cellPixels, cellPixels);
+            }
+        }
+
+        // Known portals (in their pair color, if given)
+        for (const portal of portals) {
+            if (!explored.has(cellKey(portal.x, portal.y))) continue;
+            context.fillStyle = portal.color || COLORS.portal;
+            const center = toScreen(portal.x, portal.y);
+            context.beginPath();
+            context.arc(center.x, center.y, cellPixels * 0.35, 0, Math.PI * 2);
+            context.fill();
+        }
+
+        // Known locked doors and items
+        for (const door of doors) {
+            if (!explored.has(cellKey(door.x, door.y))) continue;
+            context.fillStyle = door.color;
+            const corner = toScreen(door.x - 0.5, door.y - 0.5);
+            context.fillRect(corner.x, corner.y, cellPixels, cellPixels);
+        }
+        for (const item of items) {
+            if (!explored.has(cellKey(item.x, item.y))) continue;
+            context.fillStyle = item.color || COLORS.item;
+            const center = toScreen(item.x, item.y);
+            context.fillRect(center.x - cellPixels * 0.2, center.y - cellPixels * 0.2, cellPixels * 0.4, cellPixels * 0.4);
+        }
+
+        // Hint route; portal jumps aren't joined up
+        if (route.length > 1) {
+            context.strokeStyle = COLORS.route;
+            context.lineWidth = Math.max(2, cellPixels * 0.25);
+            context.beginPath();
+            route.forEach((cell, index) => {
+                const point = toScreen(cell.x, cell.y);
+                const previous = route[index - 1];
+                const jumps = !previous || Math.abs(cell.x - previous.x) + Math.abs(cell.y - previous.y) > 1;
+                if (jumps) context.moveTo(point.x, point.y);
+                else context.lineTo(point.x, point.y);
+            });
+            context.stroke();
+        }
+
+        // Exit (always marked, it's the goal)
+        if (exit) {
+            const center = toScreen(exit.x, exit.y);
+            context.strokeStyle = COLORS.exit;
+            context.lineWidth = Math.max(1, cellPixels * 0.15);
+            context.strokeRect(center.x - cellPixels * 0.35, center.y - cellPixels * 0.35, cellPixels * 0.7, cellPixels * 0.7);
+        }
+
+        // AI, only while currently in sight
+        context.fillStyle = COLORS.ai;
+        for (const entity of ai) {
+            if (!visibleNow.has(cellKey(Math.round(entity.x), Math.round(entity.y)))) continue;
+            const center = toScreen(entity.x, entity.y);
+            context.beginPath();
+            context.arc(center.x, center.y, cellPixels * 0.3, 0, Math.PI * 2);
+            context.fill();
+        }
+
+        // Player: triangle pointing where the camera looks
+        const center = toScreen(player.x, player.y);
+        const angle = Math.atan2(player.dirY, player.dirX);
+        const size = Math.max(4, cellPixels * 0.6);
+        context.fillStyle = COLORS.player;
+        context.beginPath();
+        context.moveTo(center.x + Math.cos(angle) * size, center.y + Math.sin(angle) * size);
+        context.lineTo(center.x + Math.cos(angle + 2.5) * size * 0.6, center.y + Math.sin(angle + 2.5) * size * 0.6);
+        context.lineTo(center.x + Math.cos(angle - 2.5) * size * 0.6, center.y + Math.sin(angle - 2.5) * size * 0.6);
+        context.closePath();
+        context.fill();
+
+        if (label) {
+            context.font = '12px monospace';
+            context.textBaseline = 'top';
+            context.fillText(label, 4, 4);
+        }
+    }
+
+    function toggleExpanded() {
+        expanded = !expanded;
+        container.classList.toggle('expanded', expanded);
+        return expanded;
+    }
+
+    return {
+        explored,
+        reveal,
+        draw,
+        toggleExpanded,
+        isExpanded: () => expanded,
+        isVisible: (x, y) => visibleNow.has(cellKey(x, y))
+    };
+}
@@ -0,0 +1,41 @@
+// --- Race Connection ---
+// The game's end of race_server.js: a WebSocket carrying JSON messages (see race_rooms.js for
+// what they are). Messages sent while it's still connecting go out once it opens.
+// onMessage(message) gets each message from the server, onClose(reason) runs once when it's gone.
+
+export function createRaceClient(url, { onMessage, onClose }) {
+    let socket;
+    try {
+        socket = new WebSocket(url);
+    } catch (error) {
+        setTimeout(() => onClose(`Bad race server address ${url}`), 0); // Same as any other failure to connect
+        return { send: () => {}, close: () => {} };
+    }
+    const waiting = [];
+    let opened = false;
+
+    socket.addEventListener('open', () => {
+        opened = true;
+        waiting.splice(0).forEach(text => socket.send(text));
+    });
+    socket.addEventListener('message', (event) => {
+        let message;
+        try {
+            message = JSON.parse(event.data);
+        } catch (error) {
+            return; // Not from our server
+        }
+        onMessage(message);
+    });
+    socket.addEventListener('close', () => {
+        onClose(opened ? 'Disconnected from the race server' : `Couldn't reach the race server at ${url} (npm run race-server)`);
+    });
+
+    function send(message) {
+        const text = JSON.stringify(message);
+        if (socket.readyState === WebSocket.OPEN) socket.send(text);
+        else if (socket.readyState === WebSocket.CONNECTING) waiting.push(text);
+    }
+
+    return { send, close: () => socket.close() };
+}
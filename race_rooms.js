@@ -0,0 +1,190 @@
+import { MAX_PLAYERS, MAX_RACE_SIZE, RACE_COUNTDOWN } from './maze_race.js';
+import { validateLevel } from './maze_save.js';
+import { levelId } from './maze_replay.js';
+
+// --- Race Rooms ---
+// The race server's game logic with no networking in it: rooms of players racing the same level,
+// fed one parsed message at a time. race_server.js wires each WebSocket to connect(); tests feed
+// it directly. Messages are JSON objects with a type.
+//   from players: join { room, name, level (opens the room if it doesn't exist yet) },
+//                 start { level (optional, host only) }, pose { x, y, z, yaw },
+//                 finish { levelId (of the maze escaped, see maze_replay.js) }, retire
+//   to players:   welcome { id, room, host, level, players }, players { host, players },
+//                 start { level, countdown (s) }, pose { id, x, y, z, yaw },
+//                 finished { id, name, time, place }, retired { id, name }, over { standings },
+//                 error { message }
+//   players: [{ id, name }], standings: [{ id, name, time, place }] (null time and place: retired)
+// Times are the server's, from the end of the countdown, so a slow or tampered client can't
+// claim a faster one. A race is over once everyone in the room has finished or retired.
+
+const ROOM_NAME = /^[\w-]{1,32}$/;
+const MAX_NAME_LENGTH = 20;
+
+const isNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+const isSize = (value) => Number.isInteger(value) && value >= 3 && value <= MAX_RACE_SIZE;
+
+function fail(reason) {
+    throw new Error(reason);
+}
+
+// A level every player can build (see maze_save.js), small enough for all of them to
+function checkLevel(level) {
+    validateLevel(level);
+    if (!isSize(level.width) || !isSize(level.height)) fail(`Race mazes must be 3 to ${MAX_RACE_SIZE} cells across`);
+    return level;
+}
+
+// What each message from a player may carry, checked; returns only the fields the rooms use
+const MESSAGE_FIELDS = {
+    join: (message) => {
+        if (typeof message.room !== 'string' || !ROOM_NAME.test(message.room)) fail('Room names are 1 to 32 letters, digits, - or _');
+        const name = typeof message.name === 'string' ? message.name.trim() : '';
+        if (name.length === 0 || name.length > MAX_NAME_LENGTH) fail(`Player names are 1 to ${MAX_NAME_LENGTH} characters`);
+        return { room: message.room, name, level: message.level === undefined ? null : checkLevel(message.level) };
+    },
+    start: (message) => ({ level: message.level === undefined ? null : checkLevel(message.level) }),
+    pose: ({ x, y, z, yaw }) => {
+        if (![x, y, z, yaw].every(isNumber)) fail('Bad pose');
+        return { x, y, z, yaw };
+    },
+    finish: (message) => {
+        if (typeof message.levelId !== 'string') fail('Finish needs the id of the level escaped');
+        return { levelId: message.levelId };
+    },
+    retire: () => ({})
+};
+
+// Parses a message from a player; throws a readable Error on anything the rooms can't use
+export function parseClientMessage(text) {
+    let message;
+    try {
+        message = JSON.parse(text);
+    } catch (error) {
+        fail('Race message is not JSON');
+    }
+    if (!message || typeof message !== 'object') fail('Race message is not an object');
+    if (!Object.hasOwn(MESSAGE_FIELDS, message.type)) fail(`Unknown race message "${message.type}"`);
+    return { type: message.type, ...MESSAGE_FIELDS[message.type](message) };
+}
+
+// now: clock in ms (Date.now unless testing)
+export function createRaceHub({ now = () => Date.now() } = {}) {
+    const rooms = new Map(); // Name -> { name, level, host (id), clients: Map(id -> client), racing, startedAt (ms), results: Map(id -> { time, place }) }
+    let nextId = 1;
+
+    const playerList = (room) => [...room.clients.values()].map(({ id, name }) => ({ id, name }));
+
+    function broadcast(room, message, except = null) {
+        room.clients.forEach(client => {
+            if (client !== except) client.send(message);
+        });
+    }
+
+    function roomOf(client) {
+        if (!client.room) fail('Join a room first');
+        return client.room;
+    }
+
+    function join(client, { room: name, name: playerName, level }) {
+        if (client.room) fail(`Already in room "${client.room.name}"`);
+        let room = rooms.get(name);
+        if (!room) {
+            if (!level) fail(`There is no room "${name}" to join`);
+            room = { name, level, host: client.id, clients: new Map(), racing: false, startedAt: 0, results: new Map() };
+            rooms.set(name, room);
+        } else if (room.racing) {
+            fail(`Room "${name}" is racing, join once the race is over`);
+        } else if (room.clients.size >= MAX_PLAYERS) {
+            fail(`Room "${name}" is full (${MAX_PLAYERS} players)`);
+        }
+        client.name = playerName;
+        client.room = room;
+        room.clients.set(client.id, client);
+        client.send({ type: 'welcome', id: client.id, room: name, host: room.host, level: room.level, players: playerList(room) });
+        broadcast(room, { type: 'players', host: room.host, players: playerList(room) }, client);
+    }
+
+    function start(client, { level }) {
+        const room = roomOf(client);
+        if (room.host !== client.id) fail('Only the host can start the race');
+        if (room.racing) fail('The race is already on');
+        if (level) room.level = level;
+        room.racing = true;
+        room.startedAt = now() + RACE_COUNTDOWN * 1000;
+        room.results = new Map();
+        broadcast(room, { type: 'start', level: room.level, countdown: RACE_COUNTDOWN });
+    }
+
+    // Poses from before the race or after crossing the line are dropped, not errors: they
+    // are still in flight when the race starts or ends
+    function pose(client, { x, y, z, yaw }) {
+        const room = roomOf(client);
+        if (!room.racing || room.results.has(client.id)) return;
+        broadcast(room, { type: 'pose', id: client.id, x, y, z, yaw }, client);
+    }
+
+    function finish(client, { levelId: escaped }) {
+        const room = roomOf(client);
+        if (!room.racing) fail('No race to finish');
+        if (room.results.has(client.id)) return;
+        if (escaped !== levelId(room.level)) fail("That wasn't the race's maze");
+        const time = Math.max(0, Math.round((now() - room.startedAt) / 100) / 10);
+        const place = [...room.results.values()].filter(result => result.place !== null).length + 1;
+        room.results.set(client.id, { time, place });
+        broadcast(room, { type: 'finished', id: client.id, name: client.name, time, place });
+        endIfOver(room);
+    }
+
+    function retire(client) {
+        const room = roomOf(client);
+        if (!room.racing || room.results.has(client.id)) return;
+        room.results.set(client.id, { time: null, place: null });
+        broadcast(room, { type: 'retired', id: client.id, name: client.name });
+        endIfOver(room);
+    }
+
+    // Back to the lobby once nobody is still running
+    function endIfOver(room) {
+        if (!room.racing || [...room.clients.keys()].some(id => !room.results.has(id))) return;
+        room.racing = false;
+        const standings = playerList(room)
+            .map(player => ({ ...player, ...room.results.get(player.id) }))
+            .sort((a, b) => (a.place ?? Infinity) - (b.place ?? Infinity));
+        broadcast(room, { type: 'over', standings });
+    }
+
+    function leave(client) {
+        const room = client.room;
+        if (!room) return;
+        client.room = null;
+        room.clients.delete(client.id);
+        if (room.clients.size === 0) {
+            rooms.delete(room.name);
+            return;
+        }
+        if (room.host === client.id) room.host = room.clients.keys().next().value; // Longest in the room
+        broadcast(room, { type: 'players', host: room.host, players: playerList(room) });
+        endIfOver(room);
+    }
+
+    const HANDLERS = { join, start, pose, finish, retire };
+
+    // send(message) delivers a message object to this player; returns { id, receive(text), leave() }
+    function connect(send) {
+        const client = { id: nextId++, name: null, room: null, send };
+        return {
+            id: client.id,
+            receive(text) {
+                try {
+                    const message = parseClientMessage(text);
+                    HANDLERS[message.type](client, message);
+                } catch (error) {
+                    send({ type: 'error', message: error.message });
+                }
+            },
+            leave: () => leave(client)
+        };
+    }
+
+    return { connect, rooms };
+}
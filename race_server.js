@@ -0,0 +1,102 @@
+import { createServer } from 'node:http';
+import { readFile } from 'node:fs/promises';
+import { dirname, extname, resolve, sep } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { acceptWebSocket } from './websocket_server.js';
+import { createRaceHub } from './race_rooms.js';
+import { RACE_PATH, DEFAULT_PORT } from './maze_race.js';
+
+// --- Race Server ---
+// `npm run race-server` serves the game and hosts race rooms on the same port, so every player
+// opens http://<host>:8080/?race=<room> and the page finds the rooms by itself. Listens on
+// localhost only unless HOST says otherwise (HOST=0.0.0.0 to race across a LAN); PORT picks the
+// port. Needs nothing but Node: no packages, no outside services.
+
+const MIME_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.txt': 'text/plain; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.png': 'image/png',
+    '.svg': 'image/svg+xml',
+    '.ico': 'image/x-icon'
+};
+
+const REPO_ROOT = dirname(fileURLToPath(import.meta.url));
+
+// File under `root` for a request path, or null for anything outside it or hidden (.git and the like)
+export function staticFilePath(root, pathname) {
+    let decoded;
+    try {
+        decoded = decodeURIComponent(pathname);
+    } catch (error) {
+        return null;
+    }
+    const parts = decoded.split(/[/\\]/).filter(Boolean);
+    if (parts.some(part => part.startsWith('.'))) return null;
+    const file = resolve(root, ...(parts.length > 0 ? parts : ['index.html']));
+    return file.startsWith(resolve(root) + sep) ? file : null;
+}
+
+async function serveStatic(root, request, response) {
+    if (request.method !== 'GET' && request.method !== 'HEAD') {
+        response.writeHead(405, { Allow: 'GET, HEAD' }).end();
+        return;
+    }
+    const file = staticFilePath(root, new URL(request.url, 'http://localhost').pathname);
+    try {
+        if (!file) throw new Error('Not a file we serve');
+        const body = await readFile(file);
+        response.writeHead(200, { 'Content-Type': MIME_TYPES[extname(file)] || 'application/octet-stream' });
+        response.end(request.method === 'HEAD' ? undefined : body);
+    } catch (error) {
+        response.writeHead(404, { 'Content-Type': 'text/plain; charset=utf-8' }).end('Not found');
+    }
+}
+
+// Resolves to { port (the real one, for port 0), hub, close() } once listening
+export function startRaceServer({ port = DEFAULT_PORT, host = '127.0.0.1', root = REPO_ROOT } = {}) {
+    const hub = createRaceHub();
+    const sockets = new Set(); // Open connections, so close() doesn't wait on them
+    const server = createServer((request, response) => {
+        serveStatic(root, request, response);
+    });
+    server.on('connection', (socket) => {
+        sockets.add(socket);
+        socket.on('close', () => sockets.delete(socket));
+    });
+    server.on('upgrade', (request, socket, head) => {
+        if (new URL(request.url, 'http://localhost').pathname !== RACE_PATH) {
+            socket.end('HTTP/1.1 404 Not Found\r\nConnection: close\r\n\r\n');
+            return;
+        }
+        let player = null;
+        const connection = acceptWebSocket(request, socket, head, {
+            onMessage: (text) => player.receive(text),
+            onClose: () => player.leave()
+        });
+        if (connection) player = hub.connect(message => connection.send(JSON.stringify(message)));
+    });
+
+    return new Promise((resolvePromise, reject) => {
+        server.once('error', reject);
+        server.listen(port, host, () => {
+            resolvePromise({
+                port: server.address().port,
+                hub,
+                close: () => new Promise((done) => {
+                    sockets.forEach(socket => socket.destroy());
+                    server.close(() => done());
+                })
+            });
+        });
+    });
+}
+
+// Run directly: node race_server.js
+if (process.argv[1] && resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+    const host = process.env.HOST || '127.0.0.1';
+    const { port } = await startRaceServer({ port: Number(process.env.PORT) || DEFAULT_PORT, host });
+    console.log(`Maze race server: open http://${host === '0.0.0.0' ? 'localhost' : host}:${port}/?race=<room name>`);
+}
@@ -0,0 +1,69 @@
+// --- Seeded Random Numbers ---
+// Every random choice made while building a maze goes through a generator created here,
+// so the same seed always gives the same grid, secret walls and portal pairs.
+
+const MAX_SEED = 0xFFFFFFFF;
+
+// Mulberry32: tiny, fast and plenty random for level generation
+export function createRandom(seed) {
+    let state = seed >>> 0;
+    const random = () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296; // [0, 1)
+    };
+    random.seed = seed >>> 0;
+    return random;
+}
+
+// Integer in [min, max)
+export function randomInt(random, min, max) {
+    return min + Math.floor(random() * (max - min));
+}
+
+export function pick(array, random) {
+    return array[Math.floor(random() * array.length)];
+}
+
+// Unbiased in-place Fisher-Yates shuffle (sort(() => Math.random() - 0.5) is not uniform)
+export function shuffle(array, random) {
+    for (let i = array.length - 1; i > 0; i--) {
+        const j = Math.floor(random() * (i + 1));
+        [array[i], array[j]] = [array[j], array[i]];
+    }
+    return array;
+}
+
+// --- Seed Helpers ---
+export function generateSeed() {
+    return Math.floor(Math.random() * MAX_SEED) >>> 0;
+}
+
+// Numeric seeds are used as-is, anything else ("tuesday-race") is hashed (FNV-1a)
+export function parseSeed(value) {
+    if (value === null || value === undefined) return null;
+    const text = String(value).trim();
+    if (text === '') return null;
+    if (/^\d+$/.test(text) && Number(text) <= MAX_SEED) return Number(text);
+
+    let hash = 0x811C9DC5;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+}
+
+// Reads ?seed= from a location.search string, null if missing or empty
+export function readSeedFromUrl(search) {
+    return parseSeed(new URLSearchParams(search).get('seed'));
+}
+
+// Same page, other query params kept, seed replaced
+export function buildSeedUrl(href, seed) {
+    const url = new URL(href);
+    url.searchParams.set('seed', String(seed));
+    return url.toString();
+}
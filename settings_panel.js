@@ -0,0 +1,154 @@
+import { KEY_ACTIONS, SETTING_RANGES, SHADOW_QUALITIES, DEFAULT_SETTINGS, normalizeSettings, rebindKey, keyLabel } from './maze_settings.js';
+
+// --- Settings Panel ---
+// Form for maze_settings.js built into `container`. Every change goes through normalizeSettings
+// and is handed to onChange(settings, name) right away; the caller applies and saves it.
+// Key bindings: click an action, then press the key for it (Escape cancels).
+
+const ACTION_LABELS = {
+    forward: 'Forward', back: 'Back', left: 'Left', right: 'Right', jump: 'Jump', interact: 'Interact', map: 'Map', hint: 'Hint', mute: 'Mute'
+};
+
+export function createSettingsPanel(container, initial, onChange) {
+    let settings = initial;
+    let rebinding = null; // Action waiting for a key press
+    const inputs = {}; // Setting name -> { write(value) } to show the current value
+    const keyButtons = {};
+
+    const change = (name, value) => {
+        settings = normalizeSettings({ ...settings, [name]: value });
+        render();
+        onChange(settings, name);
+    };
+
+    function section(title) {
+        const element = document.createElement('fieldset');
+        const legend = document.createElement('legend');
+        legend.textContent = title;
+        element.appendChild(legend);
+        container.appendChild(element);
+        return element;
+    }
+
+    function row(parent, label, control) {
+        const element = document.createElement('label');
+        element.append(`${label} `, control);
+        parent.appendChild(element);
+    }
+
+    // Slider with its value shown next to it
+    function number(parent, name, label, unit = '') {
+        const { min, max, step } = SETTING_RANGES[name];
+        const slider = document.createElement('input');
+        Object.assign(slider, { type: 'range', min, max, step });
+        const value = document.createElement('span');
+        const wrapper = document.createElement('span');
+        wrapper.append(slider, value);
+        slider.addEventListener('change', () => change(name, Number(slider.value)));
+        slider.addEventListener('input', () => { value.textContent = ` ${slider.value}${unit}`; });
+        inputs[name] = {
+            write: (current) => {
+                slider.value = current;
+                value.textContent = ` ${current}${unit}`;
+            }
+        };
+        row(parent, label, wrapper);
+        return { wrapper, slider, value };
+    }
+
+    function checkbox(parent, name, label) {
+        const input = document.createElement('input');
+        input.type = 'checkbox';
+        input.addEventListener('change', () => change(name, input.checked));
+        inputs[name] = { write: (current) => { input.checked = current; } };
+        row(parent, label, input);
+    }
+
+    // Gameplay (free play mazes)
+    const gameplay = section('Gameplay (free play)');
+    number(gameplay, 'mazeSize', 'Maze size');
+    number(gameplay, 'timeLimit', 'Time limit', 's');
+    number(gameplay, 'playerSpeed', 'Speed');
+    checkbox(gameplay, 'jump', 'Jumping');
+    // Hunters: "auto" (null) leaves the count to the difficulty preset
+    const hunters = number(gameplay, 'aiCount', 'Hunters');
+    const auto = document.createElement('input');
+    auto.type = 'checkbox';
+    hunters.wrapper.prepend(auto, ' auto ');
+    auto.addEventListener('change', () => change('aiCount', auto.checked ? null : Number(hunters.slider.value)));
+    inputs.aiCount.write = (current) => {
+        auto.checked = current === null;
+        hunters.slider.disabled = current === null;
+        if (current !== null) hunters.slider.value = current;
+        hunters.value.textContent = current === null ? '' : ` ${current}`;
+    };
+
+    number(gameplay, 'hintPenalty', 'Hint penalty', 's');
+
+    // Display
+    const display = section('Display');
+    number(display, 'fov', 'Field of view', '°');
+    const shadows = document.createElement('select');
+    shadows.append(...SHADOW_QUALITIES.map(quality => new Option(quality, quality)));
+    shadows.addEventListener('change', () => change('shadows', shadows.value));
+    inputs.shadows = { write: (current) => { shadows.value = current; } };
+    row(display, 'Shadows', shadows);
+    checkbox(display, 'antialias', 'Antialiasing');
+
+    // Controls
+    const controls = section('Controls');
+    number(controls, 'sensitivity', 'Mouse sensitivity');
+    checkbox(controls, 'invertY', 'Invert Y');
+    const keys = document.createElement('div');
+    keys.className = 'settings-keys';
+    for (const action of KEY_ACTIONS) {
+        const button = document.createElement('button');
+        button.addEventListener('click', () => {
+            rebinding = rebinding === action ? null : action;
+            render();
+        });
+        keyButtons[action] = button;
+        row(keys, ACTION_LABELS[action], button);
+    }
+    controls.appendChild(keys);
+
+    const reset = document.createElement('button');
+    reset.textContent = 'Reset to defaults';
+    reset.addEventListener('click', () => {
+        settings = normalizeSettings({ volumes: settings.volumes }); // Volume has its own controls
+        rebinding = null;
+        render();
+        onChange(settings, null);
+    });
+    container.appendChild(reset);
+
+    // Captures the next key press while rebinding, before the game sees it
+    window.addEventListener('keydown', (event) => {
+        if (!rebinding) return;
+        event.preventDefault();
+        event.stopImmediatePropagation();
+        const action = rebinding;
+        rebinding = null;
+        if (event.code !== 'Escape') change('keys', rebindKey(settings.keys, action, event.code));
+        else render();
+    }, true);
+
+    function render() {
+        for (const [name, input] of Object.entries(inputs)) input.write(settings[name]);
+        for (const action of KEY_ACTIONS) {
+            const codes = settings.keys[action];
+            keyButtons[action].textContent = rebinding === action ? 'Press a key...' : codes.map(keyLabel).join(' / ') || 'unbound';
+            keyButtons[action].title = `Default: ${DEFAULT_SETTINGS.keys[action].map(keyLabel).join(' / ')}`;
+        }
+    }
+
+    container.addEventListener('click', event => event.stopPropagation()); // Don't start the game
+    render();
+
+    return {
+        update(next) {
+            settings = next;
+            render();
+        }
+    };
+}
@@ -0,0 +1,178 @@
+import { createRandom } from './seeded_random.js';
+
+// --- Sound Cues ---
+// Every game sound is synthesized from a short recipe, so there is nothing to download.
+// A recipe is a few voices mixed together. Each voice is an oscillator (or noise) sliding from
+// `from` to `to` Hz over its duration, with a quick attack and a decay to silence.
+// Pure math (no Web Audio), so a cue renders to the same samples in tests and in the browser.
+
+// voice: { wave: sine | square | triangle | sawtooth | noise, start (s), duration (s), gain,
+//          from / to (Hz, oscillators only), lowpass (Hz, optional) }
+// minInterval: seconds before the same cue can play again from the same source
+export const SOUND_CUES = {
+    footstep: {
+        minInterval: 0.15,
+        voices: [
+            { wave: 'noise', start: 0, duration: 0.07, gain: 0.35, lowpass: 900 },
+            { wave: 'sine', start: 0, duration: 0.06, gain: 0.3, from: 110, to: 60 }
+        ]
+    },
+    jump: {
+        minInterval: 0.2,
+        voices: [{ wave: 'square', start: 0, duration: 0.15, gain: 0.15, from: 220, to: 440 }]
+    },
+    bump: {
+        minInterval: 0.35,
+        voices: [
+            { wave: 'sine', start: 0, duration: 0.12, gain: 0.6, from: 90, to: 45 },
+            { wave: 'noise', start: 0, duration: 0.04, gain: 0.2, lowpass: 400 }
+        ]
+    },
+    portal: {
+        minInterval: 0.5,
+        voices: [
+            { wave: 'sine', start: 0, duration: 0.5, gain: 0.3, from: 300, to: 1200 },
+            { wave: 'triangle', start: 0.05, duration: 0.45, gain: 0.2, from: 600, to: 150 }
+        ]
+    },
+    reveal: {
+        minInterval: 0.3,
+        voices: [
+            { wave: 'noise', start: 0, duration: 0.45, gain: 0.3, lowpass: 500 },
+            { wave: 'triangle', start: 0, duration: 0.4, gain: 0.3, from: 140, to: 90 }
+        ]
+    },
+    alert: { // Hunter spotted the player
+        minInterval: 1,
+        voices: [
+            { wave: 'sawtooth', start: 0, duration: 0.25, gain: 0.15, from: 200, to: 400 },
+            { wave: 'sawtooth', start: 0.2, duration: 0.3, gain: 0.15, from: 300, to: 600 }
+        ]
+    },
+    spikes: { // Metallic snap
+        minInterval: 0.5,
+        voices: [
+            { wave: 'noise', start: 0, duration: 0.1, gain: 0.4 },
+            { wave: 'square', start: 0, duration: 0.2, gain: 0.15, from: 900, to: 300 }
+        ]
+    },
+    slow: { // Sticky, sinking tone
+        minInterval: 0.5,
+        voices: [{ wave: 'sine', start: 0, duration: 0.35, gain: 0.3, from: 180, to: 90 }]
+    },
+    drain: { // Clock ticking away
+        minInterval: 0.5,
+        voices: [0, 0.1, 0.2].map(start => ({ wave: 'square', start, duration: 0.05, gain: 0.12, from: 1400, to: 1400 }))
+    },
+    crumble: {
+        minInterval: 0.5,
+        voices: [
+            { wave: 'noise', start: 0, duration: 0.8, gain: 0.35, lowpass: 300 },
+            { wave: 'sine', start: 0, duration: 0.6, gain: 0.2, from: 70, to: 40 }
+        ]
+    },
+    pickup: { // Two quick bright notes
+        minInterval: 0.1,
+        voices: [988, 1319].map((pitch, i) => ({ wave: 'triangle', start: i * 0.07, duration: 0.12, gain: 0.25, from: pitch, to: pitch }))
+    },
+    unlock: { // Key turning, then the bolt
+        minInterval: 0.3,
+        voices: [
+            { wave: 'square', start: 0, duration: 0.06, gain: 0.15, from: 1800, to: 1200 },
+            { wave: 'noise', start: 0.1, duration: 0.15, gain: 0.35, lowpass: 700 },
+            { wave: 'sine', start: 0.1, duration: 0.2, gain: 0.3, from: 160, to: 100 }
+        ]
+    },
+    win: { // Rising C major arpeggio
+        minInterval: 1,
+        voices: [523, 659, 784, 1047].map((pitch, i) => (
+            { wave: 'triangle', start: i * 0.12, duration: i === 3 ? 0.6 : 0.3, gain: 0.3, from: pitch, to: pitch }
+        ))
+    },
+    lose: { // Falling, slightly detuned
+        minInterval: 1,
+        voices: [392, 349, 311, 262].map((pitch, i) => (
+            { wave: 'square', start: i * 0.2, duration: i === 3 ? 0.7 : 0.25, gain: 0.12, from: pitch, to: pitch * 0.97 }
+        ))
+    }
+};
+
+const ATTACK = 0.005; // Seconds; avoids a click at the start of every voice
+
+const WAVES = {
+    sine: (phase) => Math.sin(phase * 2 * Math.PI),
+    square: (phase) => (phase < 0.5 ? 1 : -1),
+    triangle: (phase) => 1 - 4 * Math.abs(phase - 0.5),
+    sawtooth: (phase) => 2 * phase - 1
+};
+
+function cueDuration(cue) {
+    return Math.max(...cue.voices.map(voice => voice.start + voice.duration));
+}
+
+function renderVoice(samples, voice, sampleRate, random) {
+    const first = Math.round(voice.start * sampleRate);
+    const count = Math.round(voice.duration * sampleRate);
+    const wave = WAVES[voice.wave];
+    const smoothing = voice.lowpass ? 1 - Math.exp(-2 * Math.PI * voice.lowpass / sampleRate) : 1;
+    let phase = 0;
+    let filtered = 0;
+
+    for (let i = 0; i < count && first + i < samples.length; i++) {
+        const t = i / sampleRate;
+        const progress = i / count;
+        const envelope = Math.min(1, t / ATTACK) * (1 - progress) * (1 - progress);
+        let value;
+        if (wave) {
+            const frequency = voice.from * Math.pow(voice.to / voice.from, progress); // Exponential slide sounds even
+            phase = (phase + frequency / sampleRate) % 1;
+            value = wave(phase);
+        } else {
+            value = random() * 2 - 1; // Noise
+        }
+        filtered += smoothing * (value - filtered); // One-pole low-pass (smoothing 1 = unfiltered)
+        samples[first + i] += filtered * envelope * voice.gain;
+    }
+}
+
+// Mono samples in [-1, 1] for a cue name (or recipe)
+export function renderCue(cue, sampleRate) {
+    const recipe = typeof cue === 'string' ? SOUND_CUES[cue] : cue;
+    if (!recipe) throw new Error(`Unknown sound cue "${cue}"`);
+    const samples = new Float32Array(Math.ceil(cueDuration(recipe) * sampleRate));
+    const random = createRandom(0x50D); // Same noise every render
+    recipe.voices.forEach(voice => renderVoice(samples, voice, sampleRate, random));
+    for (let i = 0; i < samples.length; i++) samples[i] = Math.max(-1, Math.min(1, samples[i]));
+    return samples;
+}
+
+// --- Rate Limiting ---
+// Repeated cues from the same source are dropped inside the cue's minInterval, so e.g. pressing
+// into a wall bumps a few times a second rather than every frame.
+export function createCueLimiter(cues = SOUND_CUES) {
+    const lastPlayed = new Map(); // `${name}|${source}` -> time (s)
+
+    // Records the play and returns true if the cue may play now
+    function tryPlay(name, now, source = '') {
+        const key = `${name}|${source}`;
+        const minInterval = (cues[name] && cues[name].minInterval) || 0;
+        const last = lastPlayed.get(key);
+        if (last !== undefined && now - last < minInterval) return false;
+        lastPlayed.set(key, now);
+        return true;
+    }
+
+    return { tryPlay, reset: () => lastPlayed.clear() };
+}
+
+// --- Volume ---
+const clampVolume = (value) => Math.max(0, Math.min(1, Number(value) || 0));
+
+// Gain actually applied to effects: { master, sfx } in [0, 1], muted wins over both
+export function mixVolume({ master, sfx, muted }) {
+    return muted ? 0 : clampVolume(master) * clampVolume(sfx);
+}
+
+export function normalizeVolumes({ master = 0.8, sfx = 1, muted = false } = {}) {
+    return { master: clampVolume(master), sfx: clampVolume(sfx), muted: Boolean(muted) };
+}
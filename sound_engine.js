@@ -0,0 +1,90 @@
+import * as THREE from 'three';
+import { SOUND_CUES, renderCue, createCueLimiter, mixVolume, normalizeVolumes } from './sound_cues.js';
+
+// --- Sound Engine ---
+// Plays the synthesized cues from sound_cues.js through the camera's THREE.AudioListener.
+// Cues are rendered into AudioBuffers on first use. Plain cues rotate through a small pool of
+// THREE.Audio voices; cues played `at` an object (hunters, portals) go through a
+// THREE.PositionalAudio attached to that object, so they pan and fade with distance.
+// Master volume is the listener gain, SFX volume is applied per voice.
+
+const VOICE_COUNT = 6; // Plain cues that can overlap
+
+// options: { master, sfx, muted, refDistance (world units at full volume) }
+export function createSoundEngine(listener, { refDistance = 4, ...volumeOptions } = {}) {
+    const context = listener.context;
+    const buffers = new Map(); // cue name -> AudioBuffer
+    const emitters = new Map(); // Object3D -> THREE.PositionalAudio
+    const voices = Array.from({ length: VOICE_COUNT }, () => new THREE.Audio(listener));
+    const limiter = createCueLimiter();
+    let nextVoice = 0;
+    let volumes = normalizeVolumes(volumeOptions);
+
+    function bufferFor(name) {
+        if (!buffers.has(name)) {
+            const samples = renderCue(name, context.sampleRate);
+            const buffer = context.createBuffer(1, samples.length, context.sampleRate);
+            buffer.copyToChannel(samples, 0);
+            buffers.set(name, buffer);
+        }
+        return buffers.get(name);
+    }
+
+    function emitterFor(object) {
+        if (!emitters.has(object)) {
+            const emitter = new THREE.PositionalAudio(listener);
+            emitter.setRefDistance(refDistance);
+            emitter.setRolloffFactor(1.5);
+            object.add(emitter);
+            emitters.set(object, emitter);
+        }
+        return emitters.get(object);
+    }
+
+    // Returns true if the cue started (false if unknown, muted or rate-limited)
+    function play(name, { at = null } = {}) {
+        if (!SOUND_CUES[name] || mixVolume(volumes) === 0) return false;
+        if (!limiter.tryPlay(name, performance.now() / 1000, at ? at.uuid : '')) return false;
+        resume();
+
+        const audio = at ? emitterFor(at) : voices[nextVoice++ % voices.length];
+        if (audio.isPlaying) audio.stop();
+        audio.setBuffer(bufferFor(name));
+        audio.setVolume(volumes.sfx);
+        audio.play();
+        return true;
+    }
+
+    // Browsers start the context suspended until a user gesture (call from a click/key handler)
+    function resume() {
+        if (context.state === 'suspended') context.resume();
+    }
+
+    function applyVolumes() {
+        listener.setMasterVolume(volumes.muted ? 0 : volumes.master);
+        [...voices, ...emitters.values()].forEach(audio => audio.setVolume(volumes.sfx));
+    }
+
+    function setVolumes(changes) {
+        volumes = normalizeVolumes({ ...volumes, ...changes });
+        applyVolumes();
+    }
+
+    // Drops emitters of objects that are gone (e.g. a rebuilt maze)
+    function detach(object) {
+        const emitter = emitters.get(object);
+        if (!emitter) return;
+        if (emitter.isPlaying) emitter.stop();
+        object.remove(emitter);
+        emitters.delete(object);
+    }
+
+    applyVolumes();
+    return {
+        play,
+        resume,
+        setVolumes,
+        detach,
+        get volumes() { return { ...volumes }; }
+    };
+}
@@ -0,0 +1,79 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { createCollisionGrid } from '../collision_grid.js';
+
+const CELL_SIZE = 4;
+
+function box(minX, minY, minZ, maxX, maxY, maxZ) {
+    return { min: { x: minX, y: minY, z: minZ }, max: { x: maxX, y: maxY, z: maxZ } };
+}
+
+// Player-sized box centered on (x, z)
+function playerBox(x, z, radius = 0.3) {
+    return box(x - radius, 0, z - radius, x + radius, 1.75, z + radius);
+}
+
+describe('createCollisionGrid', () => {
+    it('finds static boxes in the cell the query overlaps', () => {
+        const grid = createCollisionGrid(CELL_SIZE);
+        grid.addStatic('wall', box(3.8, 0, -2, 4.2, 3.5, 2)); // Thin wall around cell (1, 0)
+        assert.equal(grid.findIntersection(playerBox(3.6, 0)), 'wall');
+        assert.equal(grid.findIntersection(playerBox(2, 0)), null);
+    });
+
+    it('finds boxes that span many cells from any of them', () => {
+        const grid = createCollisionGrid(CELL_SIZE);
+        grid.addStatic('outer', box(-4, 0, -4, 84, 3.5, 0)); // Long north wall
+        assert.ok(grid.intersectsBox(playerBox(10, 0.2)));
+        assert.ok(grid.intersectsBox(playerBox(80, 0.2)));
+        assert.equal(grid.intersectsBox(playerBox(80, 2)), false);
+    });
+
+    it('handles queries on cell borders', () => {
+        const grid = createCollisionGrid(CELL_SIZE);
+        grid.addStatic('wall', box(1.9, 0, 1.9, 2.1, 3.5, 2.1)); // Pillar exactly on a corner
+        assert.ok(grid.intersectsBox(playerBox(2.3, 2.3)));
+        assert.ok(grid.intersectsBox(playerBox(1.7, 1.7)));
+    });
+
+    it('ignores boxes above or below', () => {
+        const grid = createCollisionGrid(CELL_SIZE);
+        grid.addStatic('ceiling', box(-2, 5, -2, 2, 6, 2));
+        assert.equal(grid.intersectsBox(playerBox(0, 0)), false);
+    });
+
+    it('removes individual static boxes', () => {
+        const grid = createCollisionGrid(CELL_SIZE);
+        grid.addStatic('secret', box(-0.2, 0, -2, 0.2, 3.5, 2));
+        grid.addStatic('other', box(7.8, 0, -2, 8.2, 3.5, 2));
+        assert.ok(grid.removeStatic('secret'));
+        assert.equal(grid.removeStatic('secret'), false);
+        assert.equal(grid.intersectsBox(playerBox(0, 0)), false);
+        assert.ok(grid.intersectsBox(playerBox(8, 0)));
+        assert.equal(grid.staticCount, 1);
+    });
+
+    it('tracks dynamic boxes by reference', () => {
+        const grid = createCollisionGrid(CELL_SIZE);
+        const aiBox = box(10, 0, 10, 11, 1, 11);
+        grid.setDynamic('ai', aiBox);
+        assert.ok(grid.intersectsBox(playerBox(10.5, 10.5)));
+
+        aiBox.min.x = 20; aiBox.max.x = 21; // Moved
+        assert.equal(grid.intersectsBox(playerBox(10.5, 10.5)), false);
+        assert.equal(grid.findIntersection(playerBox(20.5, 10.5)), 'ai');
+
+        grid.removeDynamic('ai');
+        assert.equal(grid.dynamicCount, 0);
+        assert.equal(grid.intersectsBox(playerBox(20.5, 10.5)), false);
+    });
+
+    it('clears everything', () => {
+        const grid = createCollisionGrid(CELL_SIZE);
+        grid.addStatic('wall', box(0, 0, 0, 1, 1, 1));
+        grid.setDynamic('ai', box(0, 0, 0, 1, 1, 1));
+        grid.clear();
+        assert.equal(grid.intersectsBox(box(0, 0, 0, 1, 1, 1)), false);
+    });
+});
@@ -0,0 +1,125 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { CELL, cellKey, createPortalLinks, pairPortals } from '../maze_core.js';
+import { AI_DIFFICULTY, createAIAgent, pickSpawnCells, updateAIAgent } from '../maze_ai.js';
+import { findDistances } from '../maze_pathfinding.js';
+import { generateMaze } from '../maze_generators.js';
+import { createRandom } from '../seeded_random.js';
+
+function parse(rows) {
+    const codes = { '#': CELL.WALL, '.': CELL.PATH, 'S': CELL.START, 'E': CELL.END, '?': CELL.SECRET, 'O': CELL.PORTAL };
+    return rows.map(row => [...row].map(char => codes[char]));
+}
+
+const SETTINGS = { speed: 2, replanInterval: 0.5, sightRange: 10 };
+
+function run(agent, world, seconds, step = 0.05) {
+    for (let t = 0; t < seconds; t += step) updateAIAgent(agent, step, world);
+}
+
+describe('pickSpawnCells', () => {
+    it('spawns on floor cells far from the start', () => {
+        const grid = generateMaze(21, 21, createRandom(4));
+        const start = { x: 1, y: 1 };
+        const cells = pickSpawnCells(grid, start, 3, createRandom(4), { minDistance: 12 });
+        const distances = findDistances(grid, start, { secretsOpen: true });
+        assert.equal(cells.length, 3);
+        for (const cell of cells) {
+            assert.equal(grid[cell.y][cell.x], CELL.PATH);
+            assert.ok(distances.get(cellKey(cell.x, cell.y)) >= 12);
+        }
+    });
+
+    it('falls back to the farthest cells in small mazes', () => {
+        const grid = parse([
+            '#######',
+            '#S....#',
+            '#######'
+        ]);
+        assert.deepEqual(pickSpawnCells(grid, { x: 1, y: 1 }, 1, createRandom(1), { minDistance: 50 }), [{ x: 5, y: 1 }]);
+    });
+});
+
+describe('updateAIAgent', () => {
+    const corridor = parse([
+        '#########',
+        '#S......#',
+        '#.#####.#',
+        '#.......#',
+        '#########'
+    ]);
+
+    it('chases a player in line of sight', () => {
+        const agent = createAIAgent({ x: 7, y: 1 });
+        const world = { grid: corridor, player: { x: 1, y: 1 }, settings: SETTINGS, random: createRandom(1), secretsOpen: new Set(), portalLinks: new Map() };
+        const { spotted } = updateAIAgent(agent, 0.05, world);
+        assert.ok(spotted);
+        assert.equal(agent.mode, 'chase');
+        run(agent, world, 4);
+        assert.ok(Math.hypot(agent.x - 1, agent.y - 1) < 0.1);
+    });
+
+    it('patrols when the player is out of sight and never leaves the floor', () => {
+        const agent = createAIAgent({ x: 7, y: 3 });
+        const world = { grid: corridor, player: { x: -20, y: -20 }, settings: SETTINGS, random: createRandom(2), secretsOpen: new Set(), portalLinks: new Map() };
+        for (let i = 0; i < 200; i++) {
+            updateAIAgent(agent, 0.05, world);
+            assert.equal(agent.mode, 'patrol');
+            const x = Math.round(agent.x);
+            const y = Math.round(agent.y);
+            assert.notEqual(corridor[y][x], CELL.WALL);
+        }
+    });
+
+    it('ignores a player who is out of reach (null), e.g. on another floor', () => {
+        const agent = createAIAgent({ x: 7, y: 1 });
+        const world = { grid: corridor, player: null, settings: SETTINGS, random: createRandom(3), secretsOpen: new Set(), portalLinks: new Map() };
+        for (let i = 0; i < 50; i++) {
+            assert.equal(updateAIAgent(agent, 0.05, world).spotted, false);
+            assert.equal(agent.mode, 'patrol');
+        }
+    });
+
+    it('does not walk through closed secret walls', () => {
+        const grid = parse([
+            '#######',
+            '#S.?..#',
+            '#######'
+        ]);
+        const agent = createAIAgent({ x: 5, y: 1 });
+        const world = { grid, player: { x: 1, y: 1 }, settings: SETTINGS, random: createRandom(3), secretsOpen: new Set(), portalLinks: new Map() };
+        run(agent, world, 3);
+        assert.ok(agent.x >= 3.5);
+
+        world.secretsOpen = new Set([cellKey(3, 1)]);
+        run(agent, world, 4);
+        assert.ok(agent.x < 1.1);
+    });
+
+    it('uses portals to reach the player', () => {
+        const grid = parse([
+            '#########',
+            '#S..#..O#',
+            '#O#######',
+            '#########'
+        ]);
+        const portalLinks = createPortalLinks(pairPortals(grid).pairs);
+        const agent = createAIAgent({ x: 5, y: 1 });
+        agent.mode = 'chase';
+        agent.lastSeen = { x: 1, y: 1 };
+        const world = { grid, player: { x: 1, y: 1 }, settings: SETTINGS, random: createRandom(4), secretsOpen: new Set(), portalLinks };
+        let teleported = false;
+        for (let t = 0; t < 4; t += 0.05) teleported = updateAIAgent(agent, 0.05, world).teleported || teleported;
+        assert.ok(teleported);
+        assert.ok(Math.hypot(agent.x - 1, agent.y - 1) < 0.1);
+    });
+
+    it('has a setting for every difficulty', () => {
+        for (const name of ['easy', 'normal', 'hard']) {
+            const settings = AI_DIFFICULTY[name];
+            assert.ok(settings.count > 0 && settings.speed > 0 && settings.replanInterval > 0 && settings.sightRange > 0);
+        }
+        assert.ok(AI_DIFFICULTY.hard.speed > AI_DIFFICULTY.easy.speed);
+    });
+});
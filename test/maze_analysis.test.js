@@ -0,0 +1,130 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { CELL, findCells } from '../maze_core.js';
+import { generateMaze } from '../maze_generators.js';
+import { braidMaze } from '../maze_braid.js';
+import {
+    DIFFICULTY_BANDS, MIN_END_SPREAD, analyzeMaze, difficultyScore, difficultyOf, generateInBand
+} from '../maze_analysis.js';
+import { buildLevelGrid } from '../maze_levels.js';
+import { campaignLevel } from '../maze_campaign.js';
+import { createRandom } from '../seeded_random.js';
+
+function parse(rows) {
+    const codes = { '#': CELL.WALL, '.': CELL.PATH, 'S': CELL.START, 'E': CELL.END, '?': CELL.SECRET, 'O': CELL.PORTAL };
+    return rows.map(row => [...row].map(char => codes[char]));
+}
+
+const carve = (size) => (random) => {
+    const grid = generateMaze(size, size, random);
+    braidMaze(grid, random, { deadEndRemoval: 0.25, loopFraction: 0.02 });
+    return grid;
+};
+
+describe('analyzeMaze', () => {
+    // S . . E along the top with a branch down from the middle to a dead end, and a side room
+    // behind a secret wall
+    const grid = parse([
+        '#########',
+        '#S.....E#',
+        '###.###?#',
+        '#.....#.#',
+        '#########'
+    ]);
+
+    it('measures the route, dead ends and junctions in cells', () => {
+        assert.deepEqual(analyzeMaze(grid), {
+            cells: 8,
+            solutionLength: 4,
+            startEndDistance: 3,
+            deadEnds: 3, // (1,3), (5,3) and the room behind the secret wall
+            junctions: 2,
+            decisions: 1,
+            branching: 1.75
+        });
+    });
+
+    it('has no route to score when the end is walled off', () => {
+        const closed = grid.map(row => row.slice());
+        closed[1][6] = CELL.WALL;
+        const metrics = analyzeMaze(closed);
+        assert.equal(metrics.solutionLength, null);
+        assert.equal(difficultyScore(metrics), null);
+        assert.equal(difficultyOf(null), null);
+    });
+
+    it('routes to the given goals instead of the end', () => {
+        assert.equal(analyzeMaze(grid, { goals: [{ x: 1, y: 3 }] }).solutionLength, 4);
+    });
+});
+
+describe('difficultyScore', () => {
+    it('scores a straight corridor low and a winding route through dead ends high', () => {
+        const straight = { cells: 20, solutionLength: 20, startEndDistance: 19, deadEnds: 0, junctions: 0, decisions: 0, branching: 1.9 };
+        const winding = { cells: 100, solutionLength: 60, startEndDistance: 10, deadEnds: 30, junctions: 20, decisions: 20, branching: 2 };
+        assert.ok(difficultyScore(straight) < DIFFICULTY_BANDS.easy.max);
+        assert.ok(difficultyScore(winding) >= DIFFICULTY_BANDS.hard.min);
+        assert.ok(difficultyScore(winding) <= 100);
+    });
+
+    it('names the band a score is in, the harder one on a shared edge', () => {
+        assert.equal(difficultyOf(0), 'easy');
+        assert.equal(difficultyOf(DIFFICULTY_BANDS.normal.min), 'normal');
+        assert.equal(difficultyOf(100), 'hard');
+    });
+});
+
+describe('generateInBand', () => {
+    for (const name of Object.keys(DIFFICULTY_BANDS)) {
+        it(`lands 21x21 mazes in the ${name} band`, () => {
+            const band = DIFFICULTY_BANDS[name];
+            for (const seed of [1, 2, 3]) {
+                const { grid, score, metrics } = generateInBand(carve(21), createRandom(seed), band);
+                assert.ok(score >= band.min && score <= band.max, `seed ${seed}: ${score}`);
+                assert.deepEqual(analyzeMaze(grid), metrics);
+            }
+        });
+    }
+
+    it('is deterministic for a seed', () => {
+        const band = DIFFICULTY_BANDS.hard;
+        assert.deepEqual(generateInBand(carve(21), createRandom(4), band), generateInBand(carve(21), createRandom(4), band));
+    });
+
+    it('stops at the first maze that lands', () => {
+        const { attempts } = generateInBand(carve(21), createRandom(5), { min: 0, max: 100 });
+        assert.equal(attempts, 1);
+    });
+
+    it('moves the end of the closest maze when no maze lands', () => {
+        const band = { min: 0, max: 5 }; // Hardly any maze is this easy as carved
+        const { grid, score, attempts } = generateInBand(carve(21), createRandom(6), band, { attempts: 2 });
+        assert.equal(attempts, 2);
+        assert.equal(findCells(grid, CELL.END).length, 1);
+        assert.equal(findCells(grid, CELL.START).length, 1);
+        assert.ok(score < DIFFICULTY_BANDS.easy.max);
+    });
+
+    it('never moves the end to a few steps from the start', () => {
+        for (const seed of [1, 2, 3, 4, 5]) {
+            const { metrics } = generateInBand(carve(21), createRandom(seed), { min: 0, max: 5 }, { attempts: 2 });
+            assert.ok(metrics.startEndDistance >= MIN_END_SPREAD * (21 + 21) / 2, `seed ${seed}: ${metrics.startEndDistance}`);
+        }
+    });
+});
+
+describe('buildLevelGrid with a target difficulty', () => {
+    it('builds a maze in the asked-for band, deterministically', () => {
+        for (const targetDifficulty of ['easy', 'hard']) {
+            const level = { ...campaignLevel(4), targetDifficulty };
+            const { grid } = buildLevelGrid(level);
+            assert.equal(difficultyOf(difficultyScore(analyzeMaze(grid))), targetDifficulty);
+            assert.deepEqual(buildLevelGrid(level), buildLevelGrid(level));
+        }
+    });
+
+    it('explains an unknown difficulty', () => {
+        assert.throws(() => buildLevelGrid({ ...campaignLevel(4), targetDifficulty: 'brutal' }), /Unknown maze difficulty "brutal"/);
+    });
+});
@@ -0,0 +1,94 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { CELL, cloneGrid, findReachable, findStartOrEndPos, isReachable } from '../maze_core.js';
+import { generateMaze } from '../maze_generators.js';
+import { braidMaze, countDeadEnds } from '../maze_braid.js';
+import { createRandom } from '../seeded_random.js';
+
+function buildMaze(seed, size = 21) {
+    return generateMaze(size, size, createRandom(seed), { secretChance: 0.1, portalChance: 0.05 });
+}
+
+describe('braidMaze', () => {
+    it('does nothing with default options', () => {
+        const grid = buildMaze(1);
+        const before = cloneGrid(grid);
+        braidMaze(grid, createRandom(1));
+        assert.deepEqual(grid, before);
+    });
+
+    it('removes every dead end it can at 100%', () => {
+        const grid = buildMaze(2);
+        assert.ok(countDeadEnds(grid) > 0);
+        const { deadEndsRemoved } = braidMaze(grid, createRandom(2), { deadEndRemoval: 1 });
+        assert.ok(deadEndsRemoved > 0);
+        assert.equal(countDeadEnds(grid), 0);
+    });
+
+    it('removes roughly the requested share of dead ends', () => {
+        const grid = buildMaze(3, 41);
+        const before = countDeadEnds(grid);
+        braidMaze(grid, createRandom(3), { deadEndRemoval: 0.5 });
+        const after = countDeadEnds(grid);
+        assert.ok(after < before && after > 0, `${before} -> ${after}`);
+    });
+
+    it('carves extra loops', () => {
+        const grid = buildMaze(4);
+        const walls = grid.flat().filter(cell => cell === CELL.WALL).length;
+        const { loopsCarved } = braidMaze(grid, createRandom(4), { loopFraction: 0.1 });
+        assert.ok(loopsCarved > 0);
+        assert.equal(grid.flat().filter(cell => cell === CELL.WALL).length, walls - loopsCarved);
+    });
+
+    it('opens rooms inside the grid', () => {
+        const grid = buildMaze(5);
+        const { rooms } = braidMaze(grid, createRandom(5), { rooms: 2, roomMinSize: 3, roomMaxSize: 3 });
+        assert.equal(rooms.length, 2);
+        for (const room of rooms) {
+            assert.equal(room.width, 5);
+            assert.ok(room.x >= 1 && room.x + room.width <= grid[0].length - 1);
+            assert.ok(room.y >= 1 && room.y + room.height <= grid.length - 1);
+            for (let y = room.y; y < room.y + room.height; y++) {
+                for (let x = room.x; x < room.x + room.width; x++) {
+                    assert.notEqual(grid[y][x], CELL.WALL);
+                    assert.notEqual(grid[y][x], CELL.SECRET);
+                }
+            }
+        }
+    });
+
+    it('keeps the border, start, end, portals and the odd size', () => {
+        const grid = buildMaze(6);
+        const before = cloneGrid(grid);
+        braidMaze(grid, createRandom(6), { deadEndRemoval: 1, loopFraction: 0.2 });
+
+        assert.equal(grid.length, 21);
+        assert.ok(grid.every(row => row.length === 21 && row[0] === CELL.WALL && row[20] === CELL.WALL));
+        assert.ok(grid[0].every(cell => cell === CELL.WALL) && grid[20].every(cell => cell === CELL.WALL));
+        before.forEach((row, y) => row.forEach((cell, x) => {
+            if (cell !== CELL.WALL) assert.equal(grid[y][x], cell, `cell ${x},${y} changed`);
+        }));
+    });
+
+    it('leaves the exit reachable and everything connected', () => {
+        for (const seed of [7, 8, 9]) {
+            const grid = buildMaze(seed);
+            braidMaze(grid, createRandom(seed), { deadEndRemoval: 0.5, loopFraction: 0.05, rooms: 2 });
+            const start = findStartOrEndPos(grid, true);
+            assert.ok(isReachable(grid, start, findStartOrEndPos(grid, false), { secretsOpen: true }));
+            const open = grid.flat().filter(cell => cell !== CELL.WALL).length;
+            assert.equal(findReachable(grid, start, { secretsOpen: true }).size, open);
+        }
+    });
+
+    it('is reproducible from a seed', () => {
+        const options = { deadEndRemoval: 0.5, loopFraction: 0.05, rooms: 1 };
+        const a = buildMaze(10);
+        const b = buildMaze(10);
+        braidMaze(a, createRandom(10), options);
+        braidMaze(b, createRandom(10), options);
+        assert.deepEqual(a, b);
+    });
+});
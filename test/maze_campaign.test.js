@@ -0,0 +1,118 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { CELL, findCells, findStartOrEndPos, isReachable } from '../maze_core.js';
+import { buildLevelGrid } from '../maze_levels.js';
+import {
+    CAMPAIGN_LEVELS, CAMPAIGN_STORAGE_KEY, FREE_PLAY_PARAMS, campaignLevel, readLevelFromUrl, buildLevelUrl,
+    createProgress, loadProgress, saveProgress, isLevelUnlocked, recordEscape
+} from '../maze_campaign.js';
+
+function memoryStorage(initial = {}) {
+    const items = new Map(Object.entries(initial));
+    return {
+        getItem: (key) => (items.has(key) ? items.get(key) : null),
+        setItem: (key, value) => { items.set(key, String(value)); }
+    };
+}
+
+describe('campaignLevel', () => {
+    it('gets bigger and busier level by level', () => {
+        for (let number = 2; number <= CAMPAIGN_LEVELS.length; number++) {
+            const previous = campaignLevel(number - 1);
+            const current = campaignLevel(number);
+            assert.ok(current.width >= previous.width, `level ${number} size`);
+            assert.ok(current.ai.count >= previous.ai.count, `level ${number} hunters`);
+            assert.ok(current.traps >= previous.traps, `level ${number} traps`);
+            assert.ok(current.generator.secretChance >= previous.generator.secretChance, `level ${number} secrets`);
+        }
+        assert.ok(campaignLevel(CAMPAIGN_LEVELS.length).width > campaignLevel(1).width);
+    });
+
+    it('has a fixed seed per level', () => {
+        assert.equal(campaignLevel(3).seed, campaignLevel(3).seed);
+        assert.notEqual(campaignLevel(3).seed, campaignLevel(4).seed);
+    });
+
+    it('rejects levels outside the campaign', () => {
+        assert.throws(() => campaignLevel(0), /No campaign level/);
+        assert.throws(() => campaignLevel(CAMPAIGN_LEVELS.length + 1), /No campaign level/);
+    });
+
+    for (let number = 1; number <= CAMPAIGN_LEVELS.length; number++) {
+        it(`builds a solvable maze for level ${number}`, () => {
+            const level = campaignLevel(number);
+            const { grid, traps } = buildLevelGrid(level);
+            assert.equal(grid.length, level.height);
+            assert.equal(traps.length, findCells(grid, CELL.TRAP).length);
+            assert.ok(isReachable(grid, findStartOrEndPos(grid, true), findStartOrEndPos(grid, false), { secretsOpen: true }));
+        });
+    }
+});
+
+describe('buildLevelGrid', () => {
+    it('builds the same grid for the same level', () => {
+        assert.deepEqual(buildLevelGrid(campaignLevel(5)), buildLevelGrid(campaignLevel(5)));
+    });
+});
+
+describe('level links', () => {
+    it('reads ?level= within the campaign only', () => {
+        assert.equal(readLevelFromUrl('?level=3'), 3);
+        assert.equal(readLevelFromUrl('?level=0'), null);
+        assert.equal(readLevelFromUrl(`?level=${CAMPAIGN_LEVELS.length + 1}`), null);
+        assert.equal(readLevelFromUrl('?level=two'), null);
+        assert.equal(readLevelFromUrl(''), null);
+    });
+
+    it('replaces the free-play options with the level', () => {
+        const url = new URL(buildLevelUrl('https://example.com/maze/?seed=42&algorithm=prim&pick=oldest&braid=0.5&debug', 4));
+        assert.equal(url.searchParams.get('level'), '4');
+        assert.ok(FREE_PLAY_PARAMS.every(name => !url.searchParams.has(name)));
+        assert.equal(url.searchParams.has('debug'), true);
+    });
+});
+
+describe('campaign progress', () => {
+    it('starts with only the first level unlocked', () => {
+        const progress = loadProgress(memoryStorage());
+        assert.deepEqual(progress, createProgress());
+        assert.ok(isLevelUnlocked(progress, 1));
+        assert.equal(isLevelUnlocked(progress, 2), false);
+    });
+
+    it('unlocks the next level and keeps the best time', () => {
+        let progress = recordEscape(createProgress(), 1, 40);
+        assert.ok(isLevelUnlocked(progress, 2));
+        progress = recordEscape(progress, 1, 55);
+        assert.equal(progress.best[1], 40);
+        progress = recordEscape(progress, 1, 30);
+        assert.equal(progress.best[1], 30);
+        assert.equal(progress.unlocked, 2); // Replaying level 1 doesn't skip ahead
+    });
+
+    it('never unlocks past the last level', () => {
+        const last = CAMPAIGN_LEVELS.length;
+        const progress = recordEscape({ unlocked: last, best: {} }, last, 100);
+        assert.equal(progress.unlocked, last);
+    });
+
+    it('round-trips through storage', () => {
+        const storage = memoryStorage();
+        const progress = recordEscape(recordEscape(createProgress(), 1, 20), 2, 35);
+        assert.ok(saveProgress(storage, progress));
+        assert.deepEqual(loadProgress(storage), progress);
+    });
+
+    it('falls back to a fresh start on bad or blocked storage', () => {
+        assert.deepEqual(loadProgress(memoryStorage({ [CAMPAIGN_STORAGE_KEY]: '{not json' })), createProgress());
+        assert.deepEqual(loadProgress(memoryStorage({ [CAMPAIGN_STORAGE_KEY]: '{"unlocked":"lots"}' })), createProgress());
+        assert.deepEqual(loadProgress(null), createProgress());
+        assert.equal(saveProgress({ setItem: () => { throw new Error('QuotaExceededError'); } }, createProgress()), false);
+    });
+
+    it('clamps a saved level that no longer exists', () => {
+        const storage = memoryStorage({ [CAMPAIGN_STORAGE_KEY]: JSON.stringify({ unlocked: 99, best: {} }) });
+        assert.equal(loadProgress(storage).unlocked, CAMPAIGN_LEVELS.length);
+    });
+});
@@ -0,0 +1,195 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+    CELL, createGrid, cloneGrid, getCell, setCell, isWalkable, getNeighbors,
+    findCell, findCells, findStartOrEndPos, findStartPos, findReachable, isReachable,
+    placeFeatures, pairPortals, createPortalLinks, cellKey, hasLineOfSight, findVisibleCells
+} from '../maze_core.js';
+import { createRandom } from '../seeded_random.js';
+
+// Rows of characters: # wall, . path, S start, E end, ? secret, O portal
+function parse(rows) {
+    const codes = { '#': CELL.WALL, '.': CELL.PATH, 'S': CELL.START, 'E': CELL.END, '?': CELL.SECRET, 'O': CELL.PORTAL };
+    return rows.map(row => [...row].map(char => codes[char]));
+}
+
+describe('createGrid', () => {
+    it('fills an odd-sized grid', () => {
+        const grid = createGrid(5, 3);
+        assert.equal(grid.length, 3);
+        assert.equal(grid[0].length, 5);
+        assert.ok(grid.every(row => row.every(cell => cell === CELL.WALL)));
+    });
+
+    it('rejects even sizes', () => {
+        assert.throws(() => createGrid(4, 5), /odd/);
+        assert.throws(() => createGrid(5, 6), /odd/);
+    });
+
+    it('rejects sizes that are too small or not whole', () => {
+        assert.throws(() => createGrid(1, 5));
+        assert.throws(() => createGrid(5.5, 5));
+    });
+
+    it('does not share rows', () => {
+        const grid = createGrid(3, 3);
+        grid[0][0] = CELL.PATH;
+        assert.equal(grid[1][0], CELL.WALL);
+    });
+});
+
+describe('cell queries', () => {
+    const grid = parse([
+        '#####',
+        '#S?E#',
+        '#####'
+    ]);
+
+    it('reads outside the grid as wall', () => {
+        assert.equal(getCell(grid, -1, 0), CELL.WALL);
+        assert.equal(getCell(grid, 9, 9), CELL.WALL);
+        assert.equal(getCell(grid, 1, 1), CELL.START);
+    });
+
+    it('treats secret walls as blocking unless opened', () => {
+        assert.equal(isWalkable(grid, 2, 1), false);
+        assert.equal(isWalkable(grid, 2, 1, { secretsOpen: true }), true);
+        assert.equal(isWalkable(grid, 0, 0), false);
+    });
+
+    it('treats locked doors as blocking, however secrets are opened', () => {
+        const locked = cloneGrid(grid);
+        locked[1][2] = CELL.DOOR;
+        assert.equal(isWalkable(locked, 2, 1), false);
+        assert.equal(isWalkable(locked, 2, 1, { secretsOpen: true }), false);
+    });
+
+    it('refuses to write outside the grid', () => {
+        const copy = cloneGrid(grid);
+        assert.throws(() => setCell(copy, 5, 1, CELL.PATH));
+        setCell(copy, 2, 1, CELL.PATH);
+        assert.equal(copy[1][2], CELL.PATH);
+        assert.equal(grid[1][2], CELL.SECRET); // Clone is independent
+    });
+
+    it('finds start and end', () => {
+        assert.deepEqual(findStartOrEndPos(grid, true), { x: 1, y: 1 });
+        assert.deepEqual(findStartOrEndPos(grid, false), { x: 3, y: 1 });
+        assert.deepEqual(findCells(grid, CELL.SECRET), [{ x: 2, y: 1 }]);
+        assert.equal(findCell(grid, CELL.PORTAL), null);
+    });
+
+    it('falls back to the first open lattice cell without a start', () => {
+        assert.deepEqual(findStartPos(parse(['#####', '###.#', '#####'])), { x: 3, y: 1 });
+        assert.deepEqual(findStartOrEndPos(parse(['###', '#.#', '###']), false), { x: 1, y: 1 });
+    });
+});
+
+describe('neighbors and reachability', () => {
+    const grid = parse([
+        '#######',
+        '#S.#O.#',
+        '####?##',
+        '#O..E.#',
+        '#######'
+    ]);
+
+    it('lists walkable orthogonal neighbors', () => {
+        assert.deepEqual(getNeighbors(grid, 2, 1), [{ x: 1, y: 1 }]);
+        assert.deepEqual(getNeighbors(grid, 3, 3), [{ x: 4, y: 3 }, { x: 2, y: 3 }]);
+    });
+
+    it('opens only the listed secret walls when given a set', () => {
+        assert.equal(isWalkable(grid, 4, 2, { secretsOpen: new Set([cellKey(4, 2)]) }), true);
+        assert.equal(isWalkable(grid, 4, 2, { secretsOpen: new Set([cellKey(1, 1)]) }), false);
+    });
+
+    it('only reaches through secret walls when they are open', () => {
+        const end = findStartOrEndPos(grid, false);
+        assert.equal(isReachable(grid, { x: 4, y: 1 }, end), false);
+        assert.equal(isReachable(grid, { x: 4, y: 1 }, end, { secretsOpen: true }), true);
+        assert.equal(isReachable(grid, findStartPos(grid), end, { secretsOpen: true }), false);
+    });
+
+    it('follows portal links', () => {
+        const { pairs } = pairPortals(grid);
+        const portalLinks = createPortalLinks(pairs);
+        const reached = findReachable(grid, { x: 4, y: 1 }, { portalLinks });
+        assert.ok(reached.has(cellKey(4, 3)));
+        assert.equal(isReachable(grid, { x: 1, y: 1 }, { x: 4, y: 3 }, { portalLinks }), false);
+    });
+});
+
+describe('pairPortals', () => {
+    it('pairs in scan order and reports the leftover', () => {
+        const { pairs, unpaired } = pairPortals(parse([
+            '#######',
+            '#O.O.O#',
+            '#######'
+        ]));
+        assert.deepEqual(pairs, [[{ x: 1, y: 1 }, { x: 3, y: 1 }]]);
+        assert.deepEqual(unpaired, [{ x: 5, y: 1 }]);
+    });
+});
+
+describe('placeFeatures', () => {
+    it('marks start, end, and only turns path cells into features', () => {
+        const grid = createGrid(9, 9, CELL.PATH);
+        for (let i = 0; i < 9; i++) grid[0][i] = grid[8][i] = grid[i][0] = grid[i][8] = CELL.WALL;
+        placeFeatures(grid, createRandom(3), { secretChance: 0.5, portalChance: 0.5 });
+
+        assert.equal(grid[1][1], CELL.START);
+        assert.equal(grid[7][7], CELL.END);
+        for (const { x, y } of findCells(grid, CELL.SECRET)) assert.notEqual(x % 2, y % 2);
+        for (const { x, y } of findCells(grid, CELL.PORTAL)) assert.ok(x % 2 === 1 && y % 2 === 1);
+        assert.ok(grid[0].every(cell => cell === CELL.WALL));
+    });
+
+    it('never leaves a portal without a partner', () => {
+        for (let seed = 1; seed <= 20; seed++) {
+            const grid = createGrid(11, 11, CELL.PATH);
+            placeFeatures(grid, createRandom(seed), { secretChance: 0, portalChance: 0.3 });
+            assert.equal(findCells(grid, CELL.PORTAL).length % 2, 0, `seed ${seed}`);
+        }
+    });
+
+    it('is deterministic for a seed', () => {
+        const build = () => placeFeatures(createGrid(9, 9, CELL.PATH), createRandom(11));
+        assert.deepEqual(build(), build());
+    });
+});
+
+describe('line of sight', () => {
+    const grid = parse([
+        '#######',
+        '#.....#',
+        '#.#?#.#',
+        '#.....#',
+        '#######'
+    ]);
+
+    it('sees along open corridors', () => {
+        assert.ok(hasLineOfSight(grid, { x: 1, y: 1 }, { x: 5, y: 1 }));
+        assert.ok(hasLineOfSight(grid, { x: 1, y: 1 }, { x: 1, y: 3 }));
+    });
+
+    it('is blocked by walls and closed secret walls', () => {
+        assert.equal(hasLineOfSight(grid, { x: 2, y: 1 }, { x: 2, y: 3 }), false);
+        assert.equal(hasLineOfSight(grid, { x: 3, y: 1 }, { x: 3, y: 3 }), false);
+        assert.ok(hasLineOfSight(grid, { x: 3, y: 1 }, { x: 3, y: 3 }, { secretsOpen: true }));
+    });
+
+    it('does not peek diagonally through corners', () => {
+        assert.equal(hasLineOfSight(grid, { x: 1, y: 1 }, { x: 3, y: 3 }), false);
+    });
+
+    it('reveals the walls that bound what is visible', () => {
+        const visible = findVisibleCells(grid, { x: 1, y: 1 }, 3);
+        assert.ok(visible.has(cellKey(0, 0)));
+        assert.ok(visible.has(cellKey(2, 2))); // The wall itself is seen
+        assert.ok(visible.has(cellKey(3, 1)));
+        assert.equal(visible.has(cellKey(3, 3)), false); // Out of sight behind the wall
+        assert.equal(visible.has(cellKey(5, 1)), false); // Out of range
+    });
+});
@@ -0,0 +1,108 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { CELL, findCells } from '../maze_core.js';
+import { parseAsciiMaze, mazeToAscii } from '../maze_format.js';
+import { createBlankMaze, createEditor } from '../maze_editor.js';
+
+describe('createBlankMaze', () => {
+    it('is open floor inside a wall with start and exit in the corners', () => {
+        const { grid } = createBlankMaze(7, 5);
+        assert.equal(grid.length, 5);
+        assert.equal(grid[0].length, 7);
+        assert.equal(grid[1][1], CELL.START);
+        assert.equal(grid[3][5], CELL.END);
+        assert.equal(grid[2][3], CELL.PATH);
+        assert.ok(grid[0].every(cell => cell === CELL.WALL));
+    });
+
+    it('rejects sizes the game cannot build', () => {
+        assert.throws(() => createBlankMaze(6, 7), /odd/);
+        assert.throws(() => createBlankMaze(3, 3), /at least 5/);
+    });
+});
+
+describe('createEditor', () => {
+    it('paints cells but never the border', () => {
+        const editor = createEditor(createBlankMaze(7, 7));
+        assert.ok(editor.paint(3, 3, 'wall'));
+        assert.equal(editor.grid[3][3], CELL.WALL);
+        assert.equal(editor.paint(3, 3, 'wall'), false);
+        assert.equal(editor.paint(0, 3, 'path'), false);
+        assert.equal(editor.paint(3, 3, 'lava'), false);
+    });
+
+    it('keeps a single start and exit', () => {
+        const editor = createEditor(createBlankMaze(7, 7));
+        editor.paint(3, 1, 'start');
+        editor.paint(1, 5, 'end');
+        assert.deepEqual(findCells(editor.grid, CELL.START), [{ x: 3, y: 1 }]);
+        assert.deepEqual(findCells(editor.grid, CELL.END), [{ x: 1, y: 5 }]);
+    });
+
+    it('places traps by kind', () => {
+        const editor = createEditor(createBlankMaze(7, 7));
+        editor.paint(3, 3, 'slow');
+        editor.paint(3, 3, 'spikes');
+        assert.equal(editor.trapAt(3, 3), 'spikes');
+        editor.paint(3, 3, 'path');
+        assert.equal(editor.trapAt(3, 3), null);
+        assert.deepEqual(editor.toMaze().traps, []);
+    });
+
+    it('links portals two clicks at a time and removes both ends together', () => {
+        const editor = createEditor(createBlankMaze(9, 9));
+        editor.paint(1, 3, 'portal');
+        assert.deepEqual(editor.pending, { x: 1, y: 3 });
+        assert.equal(editor.check().ok, false); // Half a pair
+        editor.paint(7, 3, 'portal');
+        assert.equal(editor.pending, null);
+        assert.deepEqual(editor.toMaze().portalPairs, [[{ x: 1, y: 3 }, { x: 7, y: 3 }]]);
+
+        editor.paint(7, 3, 'wall');
+        assert.deepEqual(editor.pairs, []);
+        assert.equal(editor.grid[3][1], CELL.PATH);
+        assert.equal(editor.grid[3][7], CELL.WALL);
+    });
+
+    it('undoes and redoes, a stroke at a time', () => {
+        const editor = createEditor(createBlankMaze(7, 7));
+        assert.equal(editor.canUndo(), false);
+        editor.beginStroke();
+        editor.paint(2, 1, 'wall');
+        editor.paint(2, 2, 'wall');
+        editor.paint(2, 3, 'wall');
+        editor.endStroke();
+        editor.paint(4, 4, 'spikes');
+
+        assert.ok(editor.undo());
+        assert.equal(editor.trapAt(4, 4), null);
+        assert.equal(editor.grid[2][2], CELL.WALL);
+        assert.ok(editor.undo());
+        assert.equal(editor.grid[2][2], CELL.PATH);
+        assert.equal(editor.undo(), false);
+
+        assert.ok(editor.redo());
+        assert.equal(editor.grid[3][2], CELL.WALL);
+        editor.paint(5, 5, 'path'); // A new edit drops what could be redone
+        assert.equal(editor.canRedo(), false);
+    });
+
+    it('checks the exit can be reached', () => {
+        const editor = createEditor(createBlankMaze(7, 7));
+        assert.deepEqual(editor.check(), { ok: true });
+        for (let x = 1; x <= 5; x++) editor.paint(x, 3, 'wall');
+        const result = editor.check();
+        assert.equal(result.ok, false);
+        assert.match(result.error, /can't be reached/);
+    });
+
+    it('edits a copy and hands back a maze the file format accepts', () => {
+        const maze = parseAsciiMaze('#######\n#SO#OE#\n#.#.#.#\n#.....#\n#######');
+        const editor = createEditor(maze);
+        editor.paint(1, 2, 'slow');
+        assert.equal(maze.grid[2][1], CELL.PATH);
+        const edited = editor.toMaze();
+        assert.deepEqual(parseAsciiMaze(mazeToAscii(edited.grid, edited.traps)), edited);
+    });
+});
@@ -0,0 +1,152 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { CELL, DIRECTIONS, cellKey, findCells, findReachable, getGridSize } from '../maze_core.js';
+import { generateMaze } from '../maze_generators.js';
+import { braidMaze } from '../maze_braid.js';
+import { linkFloors, rampHeight, groundAt, ceilingAt, floorAt } from '../maze_floors.js';
+import { buildLevelGrid } from '../maze_levels.js';
+import { campaignLevel } from '../maze_campaign.js';
+import { createRandom } from '../seeded_random.js';
+
+function buildFloors(seed, count, size = 15) {
+    const random = createRandom(seed);
+    const floors = [];
+    for (let i = 0; i < count; i++) {
+        const grid = generateMaze(size, size, random);
+        braidMaze(grid, random, { deadEndRemoval: 0.25, loopFraction: 0.02, rooms: 1, roomMinSize: 2, roomMaxSize: 3 });
+        floors.push(grid);
+    }
+    return { floors, ramps: linkFloors(floors, random) };
+}
+
+// Open sides of a lattice cell
+const openSides = (grid, x, y) => DIRECTIONS.filter(dir => grid[y + dir.dy][x + dir.dx] !== CELL.WALL);
+
+// Breadth-first over (floor, cell), taking ramps between floors
+function reachesExit(floors, ramps) {
+    const start = findCells(floors[0], CELL.START)[0];
+    const top = floors.length - 1;
+    const end = findCells(floors[top], CELL.END)[0];
+    const seen = new Set();
+    const queue = [{ floor: 0, ...start }];
+    while (queue.length > 0) {
+        const { floor, x, y } = queue.shift();
+        const key = `${floor}:${cellKey(x, y)}`;
+        if (seen.has(key)) continue;
+        seen.add(key);
+        if (floor === top && x === end.x && y === end.y) return true;
+        for (const next of findReachable(floors[floor], { x, y }, { secretsOpen: true })) {
+            const [nx, ny] = next.split(',').map(Number);
+            queue.push({ floor, x: nx, y: ny });
+        }
+        for (const ramp of ramps) {
+            if (ramp.x !== x || ramp.y !== y) continue;
+            if (ramp.floor === floor) queue.push({ floor: floor + 1, x, y });
+            if (ramp.floor + 1 === floor) queue.push({ floor: floor - 1, x, y });
+        }
+    }
+    return false;
+}
+
+describe('linkFloors', () => {
+    it('keeps the start on the bottom floor and the exit on the top one', () => {
+        const { floors } = buildFloors(1, 3);
+        assert.deepEqual(floors.map(grid => findCells(grid, CELL.START).length), [1, 0, 0]);
+        assert.deepEqual(floors.map(grid => findCells(grid, CELL.END).length), [0, 0, 1]);
+    });
+
+    it('joins each floor to the next with ramps that are only open end to end', () => {
+        const { floors, ramps } = buildFloors(2, 3);
+        assert.ok(ramps.some(ramp => ramp.floor === 0));
+        assert.ok(ramps.some(ramp => ramp.floor === 1));
+        for (const ramp of ramps) {
+            const lower = floors[ramp.floor];
+            const upper = floors[ramp.floor + 1];
+            assert.equal(lower[ramp.y][ramp.x], CELL.RAMP);
+            assert.equal(upper[ramp.y][ramp.x], CELL.RAMP);
+            const [down, ...otherDown] = openSides(lower, ramp.x, ramp.y);
+            assert.ok(otherDown.length === 0 && down.dx === -ramp.dx && down.dy === -ramp.dy); // Entered from below
+            const [up, ...otherUp] = openSides(upper, ramp.x, ramp.y);
+            assert.ok(otherUp.length === 0 && up.dx === ramp.dx && up.dy === ramp.dy); // Comes out uphill
+        }
+    });
+
+    it('leaves every floor in one piece and the exit reachable from the start', () => {
+        for (const seed of [3, 4, 5, 6, 7]) {
+            const { floors, ramps } = buildFloors(seed, 3);
+            for (const grid of floors) {
+                const { width, height } = getGridSize(grid);
+                const from = findCells(grid, CELL.RAMP)[0];
+                const reached = findReachable(grid, from, { secretsOpen: true });
+                for (let y = 1; y < height; y += 2) {
+                    for (let x = 1; x < width; x += 2) {
+                        if (grid[y][x] !== CELL.WALL) assert.ok(reached.has(cellKey(x, y)), `seed ${seed}: ${x},${y} cut off`);
+                    }
+                }
+            }
+            assert.ok(reachesExit(floors, ramps), `seed ${seed}`);
+        }
+    });
+
+    it('is deterministic for a seed', () => {
+        assert.deepEqual(buildFloors(8, 2), buildFloors(8, 2));
+    });
+});
+
+describe('heights', () => {
+    const ramp = { floor: 0, x: 5, y: 3, dx: 1, dy: 0 }; // Rises toward +x across x 4..6
+
+    it('rises across the ramp cell from wall line to wall line', () => {
+        assert.equal(rampHeight(ramp, 4, 3), 0);
+        assert.equal(rampHeight(ramp, 5, 3), 0.5);
+        assert.equal(rampHeight(ramp, 6, 3), 1);
+        assert.equal(rampHeight({ ...ramp, floor: 1, dx: -1 }, 4.5, 3), 1.75);
+    });
+
+    it('finds the ground a step up the ramp, and the floor you are on elsewhere', () => {
+        assert.equal(groundAt([ramp], 2, 5, 3, 0.45, 0.1), 0.5);
+        assert.equal(groundAt([ramp], 2, 5, 3, 0.2, 0.1), 0); // Too far below the ramp: the floor under it
+        assert.equal(groundAt([ramp], 2, 9, 3, 1, 0.1), 1);
+        assert.equal(groundAt([ramp], 2, 9, 3, 0.5, 0.1), 0); // Falling from the floor above lands on the one below
+        assert.equal(groundAt([], 1, 9, 3, 0.3), 0);
+    });
+
+    it('has no floor above the ramp, so nothing to bump your head on there', () => {
+        assert.equal(ceilingAt([ramp], 2, 9, 3, 0), 1);
+        assert.equal(ceilingAt([ramp], 2, 5, 3, 0), Infinity);
+        assert.equal(ceilingAt([ramp], 3, 5, 3, 0.5), 2);
+        assert.equal(ceilingAt([], 1, 9, 3, 0), Infinity);
+    });
+
+    it('counts past halfway up as the floor above', () => {
+        assert.equal(floorAt(0, 3), 0);
+        assert.equal(floorAt(0.4, 3), 0);
+        assert.equal(floorAt(0.6, 3), 1);
+        assert.equal(floorAt(5, 3), 2);
+    });
+});
+
+describe('buildLevelGrid with floors', () => {
+    it('builds a floor per level floor with traps and features on the ground floor only', () => {
+        const level = { ...campaignLevel(5), campaign: null, floors: 3 };
+        const { grid, traps, floors, ramps } = buildLevelGrid(level);
+        assert.equal(floors.length, 3);
+        assert.equal(floors[0], grid);
+        assert.ok(traps.length > 0);
+        for (const upper of floors.slice(1)) {
+            assert.equal(findCells(upper, CELL.TRAP).length, 0);
+            assert.equal(findCells(upper, CELL.SECRET).length, 0);
+            assert.equal(findCells(upper, CELL.PORTAL).length, 0);
+        }
+        assert.ok(reachesExit(floors, ramps));
+        assert.deepEqual(buildLevelGrid(level), buildLevelGrid(level));
+    });
+
+    it('builds single-floor levels as before', () => {
+        const { grid, floors, ramps } = buildLevelGrid(campaignLevel(5));
+        assert.deepEqual(floors, [grid]);
+        assert.deepEqual(ramps, []);
+        assert.deepEqual(buildLevelGrid({ ...campaignLevel(5), floors: 1 }).grid, grid);
+    });
+});
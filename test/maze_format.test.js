@@ -0,0 +1,134 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+
+import { CELL } from '../maze_core.js';
+import { AI_DIFFICULTY } from '../maze_ai.js';
+import { buildLevelGrid, layoutLevel } from '../maze_levels.js';
+import { campaignLevel } from '../maze_campaign.js';
+import { validateRun, SAVE_VERSION } from '../maze_save.js';
+import { parseAsciiMaze, parseJsonMaze, parseMazeFile, mazeToAscii, mazeToJson } from '../maze_format.js';
+
+const SMALL = [
+    '#########',
+    '#S..O..^#',
+    '#.#####.#',
+    '#.?.O.~E#',
+    '#########'
+].join('\n');
+
+describe('parseAsciiMaze', () => {
+    it('reads cells, traps and portal pairs', () => {
+        const maze = parseAsciiMaze(SMALL);
+        assert.equal(maze.grid.length, 5);
+        assert.equal(maze.grid[1][1], CELL.START);
+        assert.equal(maze.grid[3][2], CELL.SECRET);
+        assert.equal(maze.grid[1][7], CELL.TRAP);
+        assert.deepEqual(maze.traps, [{ x: 7, y: 1, kind: 'spikes' }, { x: 6, y: 3, kind: 'slow' }]);
+        assert.deepEqual(maze.portalPairs, [[{ x: 4, y: 1 }, { x: 4, y: 3 }]]);
+    });
+
+    it('skips comments and surrounding blank lines', () => {
+        const maze = parseAsciiMaze(`; A comment\n\n${SMALL}\n\n`);
+        assert.equal(maze.grid.length, 5);
+    });
+
+    it('explains what is wrong', () => {
+        assert.throws(() => parseAsciiMaze(''), /no rows/);
+        assert.throws(() => parseAsciiMaze('#####\n#S.E#\n####\n'), /row 3 is 4 characters wide.*rectangular/);
+        assert.throws(() => parseAsciiMaze('#####\n#S*E#\n#####'), /unknown character "\*" at row 2, column 3/);
+        assert.throws(() => parseAsciiMaze('######\n#S..E#\n######'), /must be odd/);
+        assert.throws(() => parseAsciiMaze('#####\n#S.E.\n#####'), /border must be solid wall/);
+        assert.throws(() => parseAsciiMaze('#####\n#..E#\n#####'), /no start/);
+        assert.throws(() => parseAsciiMaze('#####\n#S.S#\n#.#E#\n#####\n#####'), /2 starts/);
+        assert.throws(() => parseAsciiMaze('#####\n#S..#\n#####'), /no exit/);
+        assert.throws(() => parseAsciiMaze('#####\n#SOE#\n#####'), /portal at row 2, column 3 has no partner/);
+        assert.throws(() => parseAsciiMaze('#####\n#S#E#\n#####'), /exit at row 2, column 4 can't be reached/);
+    });
+
+    it('counts secret walls and portals as ways through, blocking traps as walls', () => {
+        assert.doesNotThrow(() => parseAsciiMaze('#####\n#S?E#\n#####'));
+        assert.doesNotThrow(() => parseAsciiMaze('#######\n#SO#OE#\n#######'));
+        assert.doesNotThrow(() => parseAsciiMaze('#####\n#S~E#\n#####'));
+        assert.throws(() => parseAsciiMaze('#####\n#S^E#\n#####'), /can't be reached/);
+        assert.throws(() => parseAsciiMaze('#####\n#S%E#\n#####'), /can't be reached/);
+    });
+});
+
+describe('parseJsonMaze', () => {
+    const json = (changes = {}) => ({ ...mazeToJson({ ...parseAsciiMaze(SMALL), name: 'Small', timeLimit: 45 }), ...changes });
+
+    it('round-trips through JSON with its metadata', () => {
+        const maze = parseJsonMaze(JSON.stringify(json()));
+        assert.equal(maze.name, 'Small');
+        assert.equal(maze.timeLimit, 45);
+        assert.deepEqual(maze.grid, parseAsciiMaze(SMALL).grid);
+        assert.deepEqual(maze.portalPairs, [[{ x: 4, y: 1 }, { x: 4, y: 3 }]]);
+    });
+
+    it('follows explicit portal links', () => {
+        const grid = ['#########', '#SO#O#OE#', '#########'];
+        const portals = [[[2, 1], [6, 1]], [[4, 1], [4, 1]]];
+        assert.throws(() => parseJsonMaze({ format: 'maze', version: 1, grid, portals }), /linked more than once/);
+        const maze = parseJsonMaze({ format: 'maze', version: 1, grid: ['#######', '#SO#OE#', '#######'], portals: [[[2, 1], [4, 1]]] });
+        assert.deepEqual(maze.portalPairs, [[{ x: 2, y: 1 }, { x: 4, y: 1 }]]);
+    });
+
+    it('explains what is wrong', () => {
+        assert.throws(() => parseJsonMaze('{oops'), /not valid JSON/);
+        assert.throws(() => parseJsonMaze({ grid: [] }), /"format": "maze"/);
+        assert.throws(() => parseJsonMaze(json({ version: 2 })), /unsupported version 2/);
+        assert.throws(() => parseJsonMaze(json({ grid: 'nope' })), /array of row strings/);
+        assert.throws(() => parseJsonMaze(json({ width: 11 })), /"width" is 11/);
+        assert.throws(() => parseJsonMaze(json({ timeLimit: -5 })), /timeLimit/);
+        assert.throws(() => parseJsonMaze(json({ portals: [[[4, 1]]] })), /"portals" must be/);
+        assert.throws(() => parseJsonMaze(json({ portals: [[[4, 1], [1, 3]]] })), /row 4, column 2, which is not a portal/);
+        assert.throws(() => parseJsonMaze(json({ portals: [] })), /has no partner/);
+    });
+});
+
+describe('parseMazeFile', () => {
+    it('tells the formats apart', () => {
+        assert.deepEqual(parseMazeFile(`  ${JSON.stringify(mazeToJson(parseAsciiMaze(SMALL)))}`).grid, parseAsciiMaze(SMALL).grid);
+        assert.deepEqual(parseMazeFile(SMALL).grid, parseAsciiMaze(SMALL).grid);
+    });
+
+    it('reads the bundled example', () => {
+        const maze = parseMazeFile(readFileSync(new URL('../mazes/crossroads.txt', import.meta.url), 'utf8'));
+        assert.equal(maze.portalPairs.length, 1);
+        assert.equal(maze.traps.length, 4);
+    });
+});
+
+describe('export', () => {
+    it('writes back what it read', () => {
+        const maze = parseAsciiMaze(SMALL);
+        assert.equal(mazeToAscii(maze.grid, maze.traps), `${SMALL}\n`);
+    });
+
+    it('exports a generated level that loads again', () => {
+        const { grid, traps } = buildLevelGrid(campaignLevel(6));
+        const maze = parseAsciiMaze(mazeToAscii(grid, traps));
+        assert.deepEqual(maze.grid, grid);
+        const byCell = (a, b) => a.y - b.y || a.x - b.x; // Files list traps in reading order
+        assert.deepEqual(maze.traps, [...traps].sort(byCell));
+    });
+});
+
+describe('layoutLevel', () => {
+    it('builds the file as drawn and survives a save', () => {
+        const maze = parseAsciiMaze(SMALL);
+        const level = layoutLevel(maze, { ai: AI_DIFFICULTY.easy });
+        assert.equal(level.width, 9);
+        assert.equal(level.height, 5);
+        assert.equal(level.seed, layoutLevel(parseAsciiMaze(SMALL), { ai: AI_DIFFICULTY.easy }).seed);
+        assert.deepEqual(buildLevelGrid(level), { grid: maze.grid, traps: maze.traps, portalPairs: maze.portalPairs, floors: [maze.grid], ramps: [], doors: [], items: [] });
+
+        const run = {
+            version: SAVE_VERSION, savedAt: 0, level: JSON.parse(JSON.stringify(level)),
+            player: { x: 4, y: 1.75, z: 4, yaw: 0, pitch: 0 }, timeLeft: 100, elapsedTime: 20,
+            revealedSecrets: [], explored: [], ai: [], traps: []
+        };
+        assert.doesNotThrow(() => validateRun(run));
+    });
+});
@@ -0,0 +1,111 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { CELL, findReachable, findStartOrEndPos, isReachable, cellKey } from '../maze_core.js';
+import { carveMaze, generateMaze, registerGenerator, MAZE_GENERATORS } from '../maze_generators.js';
+import { createRandom } from '../seeded_random.js';
+
+const SIZES = [[5, 5], [21, 21], [31, 15]];
+const SEEDS = [1, 42, 20250326];
+
+function countCells(grid, predicate) {
+    return grid.flat().filter(predicate).length;
+}
+
+describe('generators', () => {
+    for (const algorithm of Object.keys(MAZE_GENERATORS)) {
+        describe(algorithm, () => {
+            it('keeps the requested odd size with a solid border', () => {
+                for (const [width, height] of SIZES) {
+                    const grid = carveMaze(width, height, createRandom(7), { algorithm });
+                    assert.equal(grid.length, height);
+                    assert.ok(grid.every(row => row.length === width));
+                    assert.ok(grid[0].every(cell => cell === CELL.WALL));
+                    assert.ok(grid[height - 1].every(cell => cell === CELL.WALL));
+                    assert.ok(grid.every(row => row[0] === CELL.WALL && row[width - 1] === CELL.WALL));
+                }
+            });
+
+            it('carves a perfect maze: every cell connected, no loops', () => {
+                for (const [width, height] of SIZES) {
+                    for (const seed of SEEDS) {
+                        const grid = carveMaze(width, height, createRandom(seed), { algorithm });
+                        const cells = ((width - 1) / 2) * ((height - 1) / 2);
+                        const open = countCells(grid, cell => cell === CELL.PATH);
+                        // A spanning tree over n cells opens n cells and n - 1 gaps
+                        assert.equal(open, cells * 2 - 1);
+                        assert.equal(findReachable(grid, { x: 1, y: 1 }).size, open);
+                    }
+                }
+            });
+
+            it('only uses wall and path codes', () => {
+                const grid = carveMaze(11, 11, createRandom(3), { algorithm });
+                assert.ok(grid.flat().every(cell => cell === CELL.PATH || cell === CELL.WALL));
+            });
+        });
+    }
+
+    it('supports every growing tree pick strategy', () => {
+        for (const pick of ['newest', 'oldest', 'middle', 'random', 'mixed']) {
+            const grid = carveMaze(15, 15, createRandom(5), { algorithm: 'growingTree', pick });
+            assert.equal(findReachable(grid, { x: 1, y: 1 }).size, 7 * 7 * 2 - 1);
+        }
+        assert.throws(() => carveMaze(15, 15, createRandom(5), { algorithm: 'growingTree', pick: 'sideways' }), /pick/);
+    });
+
+    it('rejects unknown algorithms and even sizes', () => {
+        assert.throws(() => carveMaze(11, 11, createRandom(1), { algorithm: 'nope' }), /Unknown maze algorithm/);
+        assert.throws(() => carveMaze(10, 11, createRandom(1)), /odd/);
+    });
+
+    it('accepts registered generators', () => {
+        registerGenerator('corridor', (width, height) => {
+            const grid = Array(height).fill(null).map(() => Array(width).fill(CELL.WALL));
+            for (let x = 1; x < width - 1; x++) grid[1][x] = CELL.PATH;
+            for (let y = 1; y < height - 1; y++) grid[y][width - 2] = CELL.PATH;
+            return grid;
+        });
+        const grid = generateMaze(7, 7, createRandom(1), { algorithm: 'corridor', secretChance: 0, portalChance: 0 });
+        assert.equal(grid[1][1], CELL.START);
+        assert.equal(grid[5][5], CELL.END);
+        delete MAZE_GENERATORS.corridor;
+    });
+});
+
+describe('generateMaze', () => {
+    it('is reproducible from a seed', () => {
+        for (const algorithm of Object.keys(MAZE_GENERATORS)) {
+            const a = generateMaze(21, 21, createRandom(99), { algorithm });
+            const b = generateMaze(21, 21, createRandom(99), { algorithm });
+            assert.deepEqual(a, b);
+        }
+    });
+
+    it('differs between seeds', () => {
+        assert.notDeepEqual(generateMaze(21, 21, createRandom(1)), generateMaze(21, 21, createRandom(2)));
+    });
+
+    it('places start and end that are connected once secret walls are opened', () => {
+        for (const algorithm of Object.keys(MAZE_GENERATORS)) {
+            for (const seed of SEEDS) {
+                const grid = generateMaze(21, 21, createRandom(seed), { algorithm });
+                const start = findStartOrEndPos(grid, true);
+                const end = findStartOrEndPos(grid, false);
+                assert.equal(grid[start.y][start.x], CELL.START);
+                assert.equal(grid[end.y][end.x], CELL.END);
+                assert.ok(isReachable(grid, start, end, { secretsOpen: true }), `${algorithm} seed ${seed}`);
+            }
+        }
+    });
+
+    it('marks secret walls on gaps and portals on cells', () => {
+        const grid = generateMaze(31, 31, createRandom(8), { secretChance: 0.3, portalChance: 0.3 });
+        const reached = findReachable(grid, { x: 1, y: 1 }, { secretsOpen: true });
+        grid.forEach((row, y) => row.forEach((cell, x) => {
+            if (cell === CELL.SECRET) assert.notEqual(x % 2, y % 2);
+            if (cell === CELL.PORTAL) assert.ok(x % 2 === 1 && y % 2 === 1);
+            if (cell !== CELL.WALL) assert.ok(reached.has(cellKey(x, y)));
+        }));
+    });
+});
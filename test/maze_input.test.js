@@ -0,0 +1,84 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { GAMEPAD_DEADZONE, GAMEPAD_BUTTONS, applyDeadzone, readGamepad, joystickVector, combineMoves } from '../maze_input.js';
+
+const close = (actual, expected) => assert.ok(Math.abs(actual - expected) < 1e-9, `${actual} !== ${expected}`);
+
+function pad(axes = [0, 0, 0, 0], held = []) {
+    const buttons = Array.from({ length: 16 }, (_, index) => ({ pressed: held.includes(index) }));
+    return { axes, buttons };
+}
+
+describe('applyDeadzone', () => {
+    it('ignores small stick drift', () => {
+        assert.deepEqual(applyDeadzone(0.1, -0.05), { x: 0, y: 0 });
+        assert.deepEqual(applyDeadzone(GAMEPAD_DEADZONE, 0), { x: 0, y: 0 });
+    });
+
+    it('rescales so the edge of the deadzone is zero and full tilt is one', () => {
+        close(applyDeadzone(1, 0).x, 1);
+        close(applyDeadzone(0, -1).y, -1);
+        const half = applyDeadzone((1 + GAMEPAD_DEADZONE) / 2, 0);
+        close(half.x, 0.5);
+    });
+
+    it('keeps the direction and caps the length at one', () => {
+        const diagonal = applyDeadzone(1, 1);
+        close(Math.hypot(diagonal.x, diagonal.y), 1);
+        close(diagonal.x, diagonal.y);
+    });
+});
+
+describe('readGamepad', () => {
+    it('maps stick up to forward and look up', () => {
+        const state = readGamepad(pad([0, -1, 0, -1]));
+        close(state.move.y, 1);
+        close(state.look.y, 1);
+        close(state.move.x, 0);
+    });
+
+    it('copes with pads reporting fewer axes or buttons', () => {
+        const state = readGamepad({ axes: [1], buttons: [] });
+        close(state.move.x, 1);
+        close(state.look.x, 0);
+        close(state.look.y, 0);
+        assert.equal(state.held.jump, false);
+    });
+
+    it('reports a button as pressed only on the frame it goes down', () => {
+        const first = readGamepad(pad(undefined, [GAMEPAD_BUTTONS.jump, GAMEPAD_BUTTONS.interact]));
+        assert.equal(first.pressed.jump, true);
+        assert.equal(first.pressed.interact, true);
+        const second = readGamepad(pad(undefined, [GAMEPAD_BUTTONS.jump]), first.held);
+        assert.equal(second.held.jump, true);
+        assert.equal(second.pressed.jump, false);
+        assert.equal(second.held.interact, false);
+        const third = readGamepad(pad(undefined, [GAMEPAD_BUTTONS.interact]), second.held);
+        assert.equal(third.pressed.interact, true);
+    });
+});
+
+describe('joystickVector', () => {
+    it('points up when the finger moves up the screen', () => {
+        assert.deepEqual(joystickVector({ x: 100, y: 100 }, { x: 130, y: 70 }, 60), { x: 0.5, y: 0.5 });
+    });
+
+    it('caps at full speed past the radius', () => {
+        const vector = joystickVector({ x: 0, y: 0 }, { x: 0, y: 600 }, 60);
+        assert.deepEqual(vector, { x: 0, y: -1 });
+    });
+});
+
+describe('combineMoves', () => {
+    it('adds inputs and caps the result at length one', () => {
+        assert.deepEqual(combineMoves({ x: 0.25, y: 0 }, { x: 0.25, y: 0.5 }), { x: 0.5, y: 0.5 });
+        const keys = combineMoves({ x: 1, y: 1 });
+        close(Math.hypot(keys.x, keys.y), 1);
+    });
+
+    it('is still with no input', () => {
+        assert.deepEqual(combineMoves(), { x: 0, y: 0 });
+        assert.deepEqual(combineMoves({ x: 1, y: 0 }, { x: -1, y: 0 }), { x: 0, y: 0 });
+    });
+});
@@ -0,0 +1,214 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { CELL, cellKey, cloneGrid, findCells, findStartOrEndPos, isLatticeCell } from '../maze_core.js';
+import { generateMaze } from '../maze_generators.js';
+import { braidMaze } from '../maze_braid.js';
+import { placeTraps, TRAP_KINDS } from '../maze_traps.js';
+import {
+    KEY_COLORS, exploreWithKeys, placeItems, createItemField, resetItemField, collectItem, unlockDoor, itemFieldState,
+    findHintRoute
+} from '../maze_items.js';
+import { buildLevelGrid } from '../maze_levels.js';
+import { campaignLevel } from '../maze_campaign.js';
+import { createRandom } from '../seeded_random.js';
+
+function buildMaze(seed, size = 21) {
+    const random = createRandom(seed);
+    const grid = generateMaze(size, size, random);
+    braidMaze(grid, random, { deadEndRemoval: 0.25, loopFraction: 0.02 });
+    const traps = placeTraps(grid, random, { count: 6 });
+    return { grid, traps, random };
+}
+
+// Grid with blocking traps as walls, the way the player has to treat them
+function withTrapsBlocking(grid, traps) {
+    const blocked = cloneGrid(grid);
+    traps.filter(trap => TRAP_KINDS[trap.kind].blocking).forEach(({ x, y }) => { blocked[y][x] = CELL.WALL; });
+    return blocked;
+}
+
+describe('placeItems', () => {
+    it('marks door cells CELL.DOOR in the gaps between cells and puts items on plain floor', () => {
+        const { grid, traps, random } = buildMaze(1);
+        const before = cloneGrid(grid);
+        const { doors, items } = placeItems(grid, random, { doors: 2, bonuses: 3, relics: 3, traps });
+        assert.equal(doors.length, 2);
+        assert.deepEqual(doors.map(door => door.color), KEY_COLORS.slice(0, 2));
+        for (const door of doors) {
+            assert.equal(grid[door.y][door.x], CELL.DOOR);
+            assert.ok(!isLatticeCell(door.x, door.y));
+        }
+        assert.deepEqual(items.map(item => item.kind).sort(), ['key', 'key', 'relic', 'relic', 'relic', 'time', 'time', 'time']);
+        for (const item of items) {
+            assert.ok(isLatticeCell(item.x, item.y));
+            assert.equal(before[item.y][item.x], CELL.PATH);
+        }
+        assert.equal(new Set(items.map(item => cellKey(item.x, item.y))).size, items.length);
+        const start = findStartOrEndPos(grid, true);
+        assert.ok(!items.some(item => item.x === start.x && item.y === start.y));
+    });
+
+    it('is deterministic for a seed', () => {
+        const place = () => {
+            const { grid, traps, random } = buildMaze(2);
+            return placeItems(grid, random, { doors: 3, bonuses: 2, relics: 2, traps });
+        };
+        assert.deepEqual(place(), place());
+    });
+
+    for (const seed of [3, 4, 5, 6, 7, 8]) {
+        it(`leaves every key reachable before its door, and the exit after the last (seed ${seed})`, () => {
+            const { grid, traps, random } = buildMaze(seed);
+            const { doors, items } = placeItems(grid, random, { doors: 4, traps });
+            const blocked = withTrapsBlocking(grid, traps);
+            const start = findStartOrEndPos(grid, true);
+            const end = findStartOrEndPos(grid, false);
+            const { reached, opened } = exploreWithKeys(blocked, start, doors, items, { secretsOpen: true });
+            assert.equal(opened.size, doors.length);
+            assert.ok(reached.has(cellKey(end.x, end.y)));
+            for (const door of doors) {
+                // With only this door kept shut, its key is still somewhere you can get to
+                const shut = cloneGrid(blocked);
+                const others = doors.filter(other => other !== door);
+                const key = items.find(item => item.kind === 'key' && item.color === door.color);
+                const before = exploreWithKeys(shut, start, others, items.filter(item => item !== key), { secretsOpen: true });
+                assert.ok(before.reached.has(cellKey(key.x, key.y)), `${door.color} key is behind its own door`);
+            }
+        });
+    }
+
+    it('puts the first door where it cuts the exit off when there is such a gap', () => {
+        const { grid, traps, random } = buildMaze(9);
+        const { doors, items } = placeItems(grid, random, { doors: 1, traps });
+        const start = findStartOrEndPos(grid, true);
+        const end = findStartOrEndPos(grid, false);
+        const withoutKey = exploreWithKeys(withTrapsBlocking(grid, traps), start, doors, [], { secretsOpen: true });
+        assert.ok(!withoutKey.reached.has(cellKey(end.x, end.y)));
+        assert.equal(items.length, 1);
+    });
+
+    it('places nothing and changes nothing when asked for nothing', () => {
+        const { grid, traps, random } = buildMaze(10);
+        const before = cloneGrid(grid);
+        assert.deepEqual(placeItems(grid, random, { traps }), { doors: [], items: [] });
+        assert.deepEqual(grid, before);
+    });
+});
+
+describe('exploreWithKeys', () => {
+    // S . d . k . E with the red key behind the red door: stuck at the door
+    const grid = [
+        [1, 1, 1, 1, 1, 1, 1, 1, 1],
+        [1, 2, 0, 0, 8, 0, 0, 3, 1],
+        [1, 1, 1, 1, 1, 1, 1, 1, 1]
+    ];
+    const door = { x: 4, y: 1, color: 'red' };
+
+    it('stops at a door whose key is behind it', () => {
+        const { reached, opened } = exploreWithKeys(grid, { x: 1, y: 1 }, [door], [{ x: 5, y: 1, kind: 'key', color: 'red' }]);
+        assert.equal(opened.size, 0);
+        assert.ok(!reached.has('7,1'));
+    });
+
+    it('opens a door once its key is in reach', () => {
+        const { reached, opened } = exploreWithKeys(grid, { x: 1, y: 1 }, [door], [{ x: 3, y: 1, kind: 'key', color: 'red' }]);
+        assert.deepEqual([...opened], ['4,1']);
+        assert.ok(reached.has('7,1'));
+    });
+});
+
+describe('item field', () => {
+    const doors = [{ x: 4, y: 1, color: 'red' }];
+    const items = [
+        { x: 3, y: 1, kind: 'key', color: 'red' },
+        { x: 5, y: 1, kind: 'relic' },
+        { x: 5, y: 3, kind: 'time' }
+    ];
+
+    it('picks each item up once', () => {
+        const field = createItemField(doors, items);
+        assert.equal(collectItem(field, { x: 1, y: 1 }), null);
+        assert.equal(collectItem(field, { x: 3, y: 1 }).kind, 'key');
+        assert.equal(collectItem(field, { x: 3, y: 1 }), null);
+        assert.deepEqual([...field.keys], ['red']);
+        collectItem(field, { x: 5, y: 1 });
+        assert.equal(field.relics, 1);
+        assert.equal(field.relicTotal, 1);
+    });
+
+    it('opens a door only with its key, using the key up', () => {
+        const field = createItemField(doors, items);
+        assert.deepEqual(unlockDoor(field, { x: 4, y: 1 }).opened, false);
+        collectItem(field, { x: 3, y: 1 });
+        const { door, opened } = unlockDoor(field, { x: 4, y: 1 });
+        assert.equal(opened, true);
+        assert.equal(door.open, true);
+        assert.equal(field.keys.size, 0);
+        assert.deepEqual(unlockDoor(field, { x: 4, y: 1 }), { door: null, opened: false }); // Already open
+    });
+
+    it('lists what was taken and opened, and puts it all back on reset', () => {
+        const field = createItemField(doors, items);
+        collectItem(field, { x: 3, y: 1 });
+        collectItem(field, { x: 5, y: 1 });
+        unlockDoor(field, { x: 4, y: 1 });
+        assert.deepEqual(itemFieldState(field), { taken: ['3,1', '5,1'], opened: ['4,1'] });
+        resetItemField(field);
+        assert.deepEqual(itemFieldState(field), { taken: [], opened: [] });
+        assert.equal(field.relics, 0);
+    });
+});
+
+describe('findHintRoute', () => {
+    const level = { ...campaignLevel(4), items: { doors: 2, bonuses: 0, relics: 0 } };
+    const routeEnd = (route) => route[route.length - 1];
+
+    it('finds a way on from the start of a level with doors', () => {
+        const { grid, doors, items } = buildLevelGrid(level);
+        const field = createItemField(doors, items);
+        const start = findStartOrEndPos(grid, true);
+        const end = findStartOrEndPos(grid, false);
+        const route = findHintRoute(grid, start, [end], field, { secretsOpen: new Set() });
+        assert.ok(route);
+        const last = routeEnd(route);
+        const atKey = items.some(item => item.kind === 'key' && item.x === last.x && item.y === last.y);
+        assert.ok(atKey || (last.x === end.x && last.y === end.y));
+    });
+
+    it('leads to a key while the exit is locked away, and through doors whose key is held', () => {
+        const { grid, doors, items } = buildLevelGrid(level);
+        const field = createItemField(doors, items);
+        const start = findStartOrEndPos(grid, true);
+        const end = findStartOrEndPos(grid, false);
+        const toKey = routeEnd(findHintRoute(grid, start, [end], field, { secretsOpen: true }));
+        assert.equal(field.items.get(cellKey(toKey.x, toKey.y)).kind, 'key'); // The first door cuts the exit off (see placeItems)
+
+        KEY_COLORS.slice(0, doors.length).forEach(color => field.keys.add(color));
+        const route = findHintRoute(grid, start, [end], field, { secretsOpen: true });
+        assert.deepEqual(routeEnd(route), end);
+        assert.ok(route.some(({ x, y }) => grid[y][x] === CELL.DOOR));
+    });
+});
+
+describe('buildLevelGrid with items', () => {
+    it('places items after everything else, leaving the rest of the level as it was', () => {
+        const plain = buildLevelGrid(campaignLevel(4));
+        const level = { ...campaignLevel(4), items: { doors: 2, bonuses: 2, relics: 1 } };
+        const { grid, traps, doors, items } = buildLevelGrid(level);
+        assert.deepEqual(traps, plain.traps);
+        assert.equal(doors.length, 2);
+        assert.equal(items.length, 5);
+        doors.forEach(({ x, y }) => { grid[y][x] = CELL.PATH; });
+        assert.deepEqual(grid, plain.grid);
+        assert.deepEqual(plain.doors, []);
+        assert.deepEqual(plain.items, []);
+    });
+
+    it('keeps keys and pickups on the ground floor of a multi-floor level', () => {
+        const level = { ...campaignLevel(5), campaign: null, floors: 2, items: { doors: 1, bonuses: 2 } };
+        const { grid, floors, doors } = buildLevelGrid(level);
+        assert.equal(findCells(grid, CELL.DOOR).length, doors.length);
+        assert.equal(findCells(floors[1], CELL.DOOR).length, 0);
+    });
+});
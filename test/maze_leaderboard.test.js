@@ -0,0 +1,126 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { AI_DIFFICULTY } from '../maze_ai.js';
+import { campaignLevel } from '../maze_campaign.js';
+import {
+    BOARD_SIZE, LEADERBOARD_STORAGE_KEY, createLeaderboard, configId, configLabel, recordResult, boardFor,
+    parseLeaderboard, loadLeaderboard, saveLeaderboard, mergeLeaderboards
+} from '../maze_leaderboard.js';
+
+function memoryStorage() {
+    const items = new Map();
+    return {
+        getItem: (key) => (items.has(key) ? items.get(key) : null),
+        setItem: (key, value) => { items.set(key, String(value)); }
+    };
+}
+
+const freePlay = (changes = {}) => ({ ...campaignLevel(4), campaign: null, seed: 1234, ...changes });
+const entry = (time, date = time) => ({ time, timeLeft: 120 - time, secrets: 1, distance: 200, date });
+
+describe('configId / configLabel', () => {
+    it('tells apart everything that shapes the maze or the hunters', () => {
+        const level = freePlay();
+        const ids = new Set([
+            configId(level),
+            configId(freePlay({ seed: 99 })),
+            configId(freePlay({ width: 25, height: 25 })),
+            configId(freePlay({ generator: { algorithm: 'prim' } })),
+            configId(freePlay({ ai: { ...AI_DIFFICULTY.hard, count: 3 } })),
+            configId(freePlay({ floors: 3 })),
+            configId(freePlay({ braid: { ...campaignLevel(4).braid, rooms: 3 } })),
+            configId(freePlay({ traps: 0 })),
+            configId(freePlay({ items: { doors: 1, bonuses: 0, relics: 0 } })),
+            configId(freePlay({ generator: { algorithm: 'growingTree', pick: 'oldest' } })),
+            configId(freePlay({ generator: { ...campaignLevel(4).generator, secretChance: 0.5 } })),
+            configId(freePlay({ targetDifficulty: 'hard' })),
+            configId(freePlay({ ai: { ...AI_DIFFICULTY.normal, count: 5 } })),
+            configId(freePlay({ ai: { speed: 3, sightRange: 1, replanInterval: 1, count: 1 } })),
+            configId(freePlay({ ai: { speed: 3, sightRange: 1, replanInterval: 1, count: 2 } }))
+        ]);
+        assert.equal(ids.size, 15);
+        assert.equal(configId(freePlay({ floors: 1 })), configId(level));
+        assert.equal(configId(level), configId(freePlay()));
+    });
+
+    it('reads like the level', () => {
+        assert.equal(configLabel(campaignLevel(4)), 'Level 4, 17x17, backtracker, normal');
+        assert.equal(configLabel(freePlay({ ai: { speed: 3, sightRange: 1, count: 1 } })), 'Seed 1234, 17x17, backtracker, custom');
+        assert.equal(configLabel(freePlay({ floors: 2 })), 'Seed 1234, 17x17x2, backtracker, normal');
+    });
+});
+
+describe('recordResult', () => {
+    it('ranks escapes and reports the personal best delta', () => {
+        let result = recordResult(createLeaderboard(), freePlay(), entry(50));
+        assert.deepEqual([result.rank, result.best, result.delta], [1, null, null]);
+
+        result = recordResult(result.leaderboard, freePlay(), entry(60));
+        assert.deepEqual([result.rank, result.best, result.delta], [2, 50, 10]);
+
+        result = recordResult(result.leaderboard, freePlay(), entry(45));
+        assert.deepEqual([result.rank, result.best, result.delta], [1, 50, -5]);
+        assert.deepEqual(boardFor(result.leaderboard, freePlay()).entries.map(e => e.time), [45, 50, 60]);
+    });
+
+    it('keeps the board to its size', () => {
+        let leaderboard = createLeaderboard();
+        for (let time = 1; time <= BOARD_SIZE; time++) leaderboard = recordResult(leaderboard, freePlay(), entry(time)).leaderboard;
+        const result = recordResult(leaderboard, freePlay(), entry(99));
+        assert.equal(result.rank, null);
+        assert.equal(boardFor(result.leaderboard, freePlay()).entries.length, BOARD_SIZE);
+    });
+
+    it('leaves the original leaderboard alone', () => {
+        const leaderboard = createLeaderboard();
+        recordResult(leaderboard, freePlay(), entry(50));
+        assert.deepEqual(leaderboard, createLeaderboard());
+        assert.equal(boardFor(leaderboard, freePlay()), null);
+    });
+});
+
+describe('storage and files', () => {
+    it('round-trips through storage', () => {
+        const storage = memoryStorage();
+        const { leaderboard } = recordResult(createLeaderboard(), freePlay(), entry(50));
+        assert.ok(saveLeaderboard(storage, leaderboard));
+        assert.deepEqual(loadLeaderboard(storage), leaderboard);
+    });
+
+    it('starts fresh on missing, broken or blocked storage', () => {
+        const storage = memoryStorage();
+        assert.deepEqual(loadLeaderboard(storage), createLeaderboard());
+        storage.setItem(LEADERBOARD_STORAGE_KEY, '{nope');
+        assert.deepEqual(loadLeaderboard(storage), createLeaderboard());
+        assert.deepEqual(loadLeaderboard(null), createLeaderboard());
+        assert.equal(saveLeaderboard(null, createLeaderboard()), false);
+    });
+
+    it('explains what is wrong with an imported file', () => {
+        assert.throws(() => parseLeaderboard('{oops'), /not JSON/);
+        assert.throws(() => parseLeaderboard('{"version":1}'), /no boards/);
+        assert.throws(() => parseLeaderboard('{"version":2,"boards":{}}'), /version 2/);
+        assert.throws(() => parseLeaderboard('{"version":1,"boards":{"x":{"label":"X","entries":[{"time":"fast"}]}}}'), /bad board "x"/);
+    });
+
+    it('keeps the hint count of an escape, and reads entries from before hints', () => {
+        const withHints = recordResult(createLeaderboard(), freePlay(), { ...entry(50), hints: 2 }).leaderboard;
+        assert.equal(boardFor(parseLeaderboard(JSON.stringify(withHints)), freePlay()).entries[0].hints, 2);
+        const older = recordResult(createLeaderboard(), freePlay(), entry(50)).leaderboard;
+        assert.doesNotThrow(() => parseLeaderboard(JSON.stringify(older)));
+        const broken = recordResult(createLeaderboard(), freePlay(), { ...entry(50), hints: 'lots' }).leaderboard;
+        assert.throws(() => parseLeaderboard(JSON.stringify(broken)), /bad board/);
+    });
+
+    it('merges another machine without duplicating shared escapes', () => {
+        const ours = recordResult(recordResult(createLeaderboard(), freePlay(), entry(50)).leaderboard, freePlay(), entry(70)).leaderboard;
+        let theirs = recordResult(createLeaderboard(), freePlay(), entry(50)).leaderboard;
+        theirs = recordResult(theirs, freePlay(), entry(40, 1)).leaderboard;
+        theirs = recordResult(theirs, campaignLevel(1), entry(30)).leaderboard;
+
+        const merged = mergeLeaderboards(ours, parseLeaderboard(JSON.stringify(theirs)));
+        assert.deepEqual(boardFor(merged, freePlay()).entries.map(e => e.time), [40, 50, 70]);
+        assert.deepEqual(boardFor(merged, campaignLevel(1)).entries.map(e => e.time), [30]);
+    });
+});
@@ -0,0 +1,112 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { CELL, cellKey, createPortalLinks, pairPortals, findStartOrEndPos } from '../maze_core.js';
+import { findPath, findPathToNearest, findDistances } from '../maze_pathfinding.js';
+import { generateMaze } from '../maze_generators.js';
+import { createRandom } from '../seeded_random.js';
+
+function parse(rows) {
+    const codes = { '#': CELL.WALL, '.': CELL.PATH, 'S': CELL.START, 'E': CELL.END, '?': CELL.SECRET, 'O': CELL.PORTAL };
+    return rows.map(row => [...row].map(char => codes[char]));
+}
+
+function isContinuous(path, portalLinks = new Map()) {
+    return path.every((cell, i) => {
+        if (i === 0) return true;
+        const previous = path[i - 1];
+        const linked = portalLinks.get(cellKey(previous.x, previous.y));
+        const isTeleport = linked && linked.x === cell.x && linked.y === cell.y;
+        return isTeleport || Math.abs(cell.x - previous.x) + Math.abs(cell.y - previous.y) === 1;
+    });
+}
+
+describe('findPath', () => {
+    const grid = parse([
+        '#########',
+        '#S....O.#',
+        '#.#####?#',
+        '#.....#.#',
+        '#####.#E#',
+        '#O....#.#',
+        '#########'
+    ]);
+    const start = { x: 1, y: 1 };
+    const end = { x: 7, y: 4 };
+
+    it('returns the shortest route, both ends included', () => {
+        const path = findPath(grid, start, { x: 5, y: 5 });
+        assert.deepEqual(path[0], start);
+        assert.deepEqual(path[path.length - 1], { x: 5, y: 5 });
+        assert.equal(path.length, 9);
+        assert.ok(isContinuous(path));
+    });
+
+    it('returns null when the target is walled off', () => {
+        assert.equal(findPath(grid, start, end), null);
+    });
+
+    it('goes through secret walls only when they are open', () => {
+        const path = findPath(grid, start, end, { secretsOpen: new Set([cellKey(7, 2)]) });
+        assert.equal(path.length, 10);
+    });
+
+    it('takes portals when that is shorter', () => {
+        const portalLinks = createPortalLinks(pairPortals(grid).pairs);
+        const withoutPortals = findPath(grid, { x: 6, y: 1 }, { x: 1, y: 5 });
+        const withPortals = findPath(grid, { x: 6, y: 1 }, { x: 1, y: 5 }, { portalLinks });
+        assert.equal(withoutPortals.length, 18);
+        assert.deepEqual(withPortals, [{ x: 6, y: 1 }, { x: 1, y: 5 }]);
+        assert.ok(isContinuous(withPortals, portalLinks));
+    });
+
+    it('finds a route from start to end in generated mazes', () => {
+        for (const seed of [1, 2, 3, 4, 5]) {
+            const maze = generateMaze(21, 21, createRandom(seed));
+            const path = findPath(maze, findStartOrEndPos(maze, true), findStartOrEndPos(maze, false), { secretsOpen: true });
+            assert.ok(path && isContinuous(path), `seed ${seed}`);
+        }
+    });
+});
+
+describe('findPathToNearest', () => {
+    const grid = parse([
+        '#########',
+        '#S....O.#',
+        '#.#####?#',
+        '#.....#.#',
+        '#####.#E#',
+        '#O....#.#',
+        '#########'
+    ]);
+
+    it('heads for the closest goal', () => {
+        const path = findPathToNearest(grid, { x: 1, y: 1 }, [{ x: 5, y: 5 }, { x: 5, y: 1 }]);
+        assert.deepEqual(path[path.length - 1], { x: 5, y: 1 });
+        assert.equal(path.length, 5);
+    });
+
+    it('skips goals it cannot reach and returns null if none can be', () => {
+        const path = findPathToNearest(grid, { x: 1, y: 1 }, [{ x: 7, y: 4 }, { x: 1, y: 5 }]);
+        assert.deepEqual(path[path.length - 1], { x: 1, y: 5 });
+        assert.equal(findPathToNearest(grid, { x: 1, y: 1 }, [{ x: 7, y: 4 }]), null);
+        assert.equal(findPathToNearest(grid, { x: 1, y: 1 }, []), null);
+    });
+});
+
+describe('findDistances', () => {
+    it('counts steps to every reachable cell', () => {
+        const grid = parse([
+            '#####',
+            '#S..#',
+            '###.#',
+            '#E..#',
+            '#####'
+        ]);
+        const distances = findDistances(grid, { x: 1, y: 1 });
+        assert.equal(distances.get(cellKey(1, 1)), 0);
+        assert.equal(distances.get(cellKey(3, 1)), 2);
+        assert.equal(distances.get(cellKey(1, 3)), 6);
+        assert.equal(distances.size, 7);
+    });
+});
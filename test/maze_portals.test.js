@@ -0,0 +1,95 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { CELL, DIRECTIONS, findCells, isWalkable } from '../maze_core.js';
+import { generateMaze } from '../maze_generators.js';
+import { buildPortalPairs, portalExit, portalFacing, portalPairHue } from '../maze_portals.js';
+import { createRandom } from '../seeded_random.js';
+
+// Rows of characters: # wall, . path, ? secret, O portal
+function parse(rows) {
+    const codes = { '#': CELL.WALL, '.': CELL.PATH, '?': CELL.SECRET, 'O': CELL.PORTAL };
+    return rows.map(row => [...row].map(char => codes[char]));
+}
+
+const [NORTH, EAST, SOUTH, WEST] = DIRECTIONS;
+
+describe('portalFacing', () => {
+    it('faces out of a dead end', () => {
+        const grid = parse([
+            '#####',
+            '#O..#',
+            '#####'
+        ]);
+        assert.deepEqual(portalFacing(grid, { x: 1, y: 1 }), EAST);
+    });
+
+    it('faces away from the wall it stands against', () => {
+        const grid = parse([
+            '#######',
+            '###.###',
+            '#..O..#',
+            '#######'
+        ]);
+        assert.deepEqual(portalFacing(grid, { x: 3, y: 2 }), NORTH); // South is solid, north is open
+    });
+
+    it('uses its own cell, not the partner cell', () => {
+        const grid = parse([
+            '#######',
+            '#O.#.O#',
+            '###.###',
+            '#.....#',
+            '#######'
+        ]);
+        const [pair] = buildPortalPairs(grid);
+        assert.deepEqual(pair.a.facing, EAST);
+        assert.deepEqual(pair.b.facing, WEST);
+    });
+});
+
+describe('buildPortalPairs', () => {
+    it('turns an odd leftover portal back into floor', () => {
+        const grid = parse([
+            '#######',
+            '#O.O.O#',
+            '#######'
+        ]);
+        const pairs = buildPortalPairs(grid);
+        assert.equal(pairs.length, 1);
+        assert.equal(grid[1][5], CELL.PATH);
+    });
+
+    it('gives each pair a distinct hue', () => {
+        const hues = [0, 1, 2, 3, 4].map(portalPairHue);
+        assert.equal(new Set(hues.map(Math.round)).size, hues.length);
+        hues.forEach(hue => assert.ok(hue >= 0 && hue < 360));
+    });
+
+    it('faces a secret wall when that is the only way out', () => {
+        const grid = parse([
+            '#####',
+            '#O?.#',
+            '#####'
+        ]);
+        assert.deepEqual(portalFacing(grid, { x: 1, y: 1 }), EAST);
+    });
+
+    it('pairs every portal of generated mazes, facing a way out', () => {
+        for (let seed = 1; seed <= 10; seed++) {
+            const grid = generateMaze(21, 21, createRandom(seed), { portalChance: 0.1 });
+            const pairs = buildPortalPairs(grid);
+            assert.equal(pairs.length * 2, findCells(grid, CELL.PORTAL).length);
+            for (const end of pairs.flatMap(pair => [pair.a, pair.b])) {
+                assert.ok(isWalkable(grid, end.x + end.facing.dx, end.y + end.facing.dy, { secretsOpen: true }), `seed ${seed} portal ${end.x},${end.y}`);
+            }
+        }
+    });
+});
+
+describe('portalExit', () => {
+    it('steps out along the facing', () => {
+        assert.deepEqual(portalExit({ x: 3, y: 5, facing: WEST }), { x: 2.75, y: 5, facing: WEST });
+        assert.deepEqual(portalExit({ x: 3, y: 5, facing: SOUTH }, 1), { x: 3, y: 6, facing: SOUTH });
+    });
+});
@@ -0,0 +1,50 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { RACE_PATH, raceServerUrl, interpolatePose, playerHue } from '../maze_race.js';
+
+describe('raceServerUrl', () => {
+    it('finds the rooms on the server the page came from', () => {
+        assert.equal(raceServerUrl({ protocol: 'http:', host: 'localhost:8080' }, ''), `ws://localhost:8080${RACE_PATH}`);
+        assert.equal(raceServerUrl({ protocol: 'https:', host: 'maze.lan' }, ''), `wss://maze.lan${RACE_PATH}`);
+    });
+
+    it('takes ?server= over that, and gives up on a page opened as a file', () => {
+        assert.equal(raceServerUrl({ protocol: 'http:', host: 'localhost:8000' }, '?server=ws://127.0.0.1:9000/race'), 'ws://127.0.0.1:9000/race');
+        assert.equal(raceServerUrl({ protocol: 'file:', host: '' }, '?race=lunch'), null);
+    });
+});
+
+describe('interpolatePose', () => {
+    const snapshots = [
+        { time: 1, x: 4, y: 1.75, z: 4, yaw: 3 },
+        { time: 1.1, x: 4.5, y: 1.75, z: 4, yaw: -3 },
+        { time: 1.2, x: 20, y: 1.75, z: 12, yaw: -3 } // Through a portal
+    ];
+
+    it('slides between the two poses around the time, the short way round for yaw', () => {
+        const pose = interpolatePose(snapshots, 1.05);
+        assert.ok(Math.abs(pose.x - 4.25) < 1e-9);
+        assert.ok(Math.abs(pose.yaw - (3 + (2 * Math.PI - 6) / 2)) < 1e-9);
+    });
+
+    it('snaps across portal jumps and holds at either end', () => {
+        assert.equal(interpolatePose(snapshots, 1.15).x, 4.5);
+        assert.equal(interpolatePose(snapshots, 0), snapshots[0]);
+        assert.equal(interpolatePose(snapshots, 5), snapshots[2]);
+        assert.equal(interpolatePose([], 1), null);
+    });
+});
+
+describe('playerHue', () => {
+    it('gives the first players hues well apart', () => {
+        const hues = [1, 2, 3, 4].map(playerHue);
+        hues.forEach(hue => assert.ok(hue >= 0 && hue < 1));
+        for (let i = 0; i < hues.length; i++) {
+            for (let j = i + 1; j < hues.length; j++) {
+                const apart = Math.abs(hues[i] - hues[j]);
+                assert.ok(Math.min(apart, 1 - apart) > 0.1);
+            }
+        }
+    });
+});
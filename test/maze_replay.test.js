@@ -0,0 +1,147 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { campaignLevel } from '../maze_campaign.js';
+import {
+    RECORD_INTERVAL, GHOST_STORAGE_KEY, createRecorder, poseAt, eventsBetween,
+    encodeRecording, decodeRecording, recordingFileName, levelId, loadGhost, saveGhost
+} from '../maze_replay.js';
+
+function memoryStorage() {
+    const items = new Map();
+    return {
+        getItem: (key) => (items.has(key) ? items.get(key) : null),
+        setItem: (key, value) => { items.set(key, String(value)); }
+    };
+}
+
+// Walks along +X at 2 units/s for `seconds`, sampled every 1/60 s like the game loop
+function recordWalk(seconds, result = 'escaped', level = campaignLevel(2)) {
+    const recorder = createRecorder(level);
+    const pose = (time) => ({ x: 4 + time * 2, y: 1.75, z: 4, yaw: -Math.PI / 2, pitch: 0 });
+    let time = 0;
+    for (; time < seconds; time += 1 / 60) recorder.sample(time, pose(time));
+    recorder.event(1, 'secret', { x: 3, y: 2 });
+    return recorder.finish(seconds, result, pose(seconds));
+}
+
+describe('createRecorder', () => {
+    it('samples at a fixed rate, whatever the frame rate', () => {
+        const recording = recordWalk(2);
+        assert.equal(recording.frames.length, Math.floor(2 / RECORD_INTERVAL) + 1);
+        assert.equal(recording.duration, 2);
+        assert.equal(recording.result, 'escaped');
+        assert.deepEqual(recording.events.map(event => event.type), ['secret', 'escaped']);
+    });
+
+    it('stops recording once finished', () => {
+        const recorder = createRecorder(campaignLevel(1));
+        recorder.finish(1, 'caught', { x: 0, y: 0, z: 0, yaw: 0, pitch: 0 });
+        const frames = recorder.recording.frames.length;
+        recorder.sample(5, { x: 1, y: 0, z: 0, yaw: 0, pitch: 0 });
+        recorder.event(5, 'portal');
+        assert.equal(recorder.recording.frames.length, frames);
+        assert.equal(recorder.recording.events.length, 1);
+    });
+});
+
+describe('poseAt', () => {
+    it('interpolates between frames and clamps to the run', () => {
+        const recording = recordWalk(2);
+        assert.ok(Math.abs(poseAt(recording, 0.55).x - 5.1) < 0.05); // Samples land on the first game frame of each tick
+        assert.equal(poseAt(recording, -1).x, 4);
+        assert.equal(poseAt(recording, 99).x, 8);
+    });
+
+    it('turns the short way round and jumps across teleports', () => {
+        const recording = {
+            interval: 1,
+            frames: [[0, 1, 0, Math.PI - 0.1, 0], [0.5, 1, 0, -Math.PI + 0.1, 0], [20, 1, 0, 0, 0]]
+        };
+        const halfway = poseAt(recording, 0.5);
+        assert.ok(Math.abs(Math.abs(halfway.yaw) - Math.PI) < 1e-9);
+        assert.equal(poseAt(recording, 1.5).x, 0.5); // Portal jump: no sliding through walls
+    });
+});
+
+describe('eventsBetween', () => {
+    it('returns events after `from` up to and including `to`', () => {
+        const recording = recordWalk(2);
+        assert.deepEqual(eventsBetween(recording, 0, 1).map(event => event.type), ['secret']);
+        assert.deepEqual(eventsBetween(recording, 1, 2).map(event => event.type), ['escaped']);
+    });
+});
+
+describe('encodeRecording / decodeRecording', () => {
+    it('round-trips to within the stored precision', () => {
+        const recording = recordWalk(3);
+        const decoded = decodeRecording(encodeRecording(recording));
+        assert.equal(decoded.frames.length, recording.frames.length);
+        decoded.frames.forEach((frame, i) => frame.forEach((value, j) => {
+            assert.ok(Math.abs(value - recording.frames[i][j]) < 0.01, `frame ${i} value ${j}`);
+        }));
+        assert.deepEqual(decoded.level, recording.level);
+        assert.deepEqual(decoded.events, recording.events);
+        assert.equal(decoded.result, 'escaped');
+    });
+
+    it('is compact', () => {
+        const recording = recordWalk(60);
+        assert.ok(encodeRecording(recording).length < recording.frames.length * 20);
+    });
+
+    it('explains what is wrong with a bad file', () => {
+        const good = JSON.parse(encodeRecording(recordWalk(1)));
+        const bad = (changes) => JSON.stringify({ ...good, ...changes });
+        assert.throws(() => decodeRecording('{oops'), /not JSON/);
+        assert.throws(() => decodeRecording(bad({ format: 'maze' })), /not a maze replay/);
+        assert.throws(() => decodeRecording(bad({ version: 9 })), /version 9/);
+        assert.throws(() => decodeRecording(bad({ level: null })), /missing level/);
+        assert.throws(() => decodeRecording(bad({ level: { ...campaignLevel(3), braid: { rooms: 1e9 } } })), /room count/);
+        assert.throws(() => decodeRecording(bad({ frames: [1, 2, 3] })), /bad frame data/);
+        assert.throws(() => decodeRecording(bad({ events: [{ type: 'secret' }] })), /bad event list/);
+    });
+});
+
+describe('recordingFileName', () => {
+    it('names files by level or seed', () => {
+        const date = new Date(Date.UTC(2025, 0, 31));
+        assert.equal(recordingFileName(recordWalk(1), date), 'maze-replay-level-2-2025-01-31.json');
+        const freePlay = recordWalk(1, 'escaped', { ...campaignLevel(2), campaign: null, seed: 77 });
+        assert.equal(recordingFileName(freePlay, date), 'maze-replay-seed-77-2025-01-31.json');
+    });
+});
+
+describe('ghosts', () => {
+    it('tells levels apart by more than the seed', () => {
+        const level = campaignLevel(3);
+        assert.equal(levelId(level), levelId(campaignLevel(3)));
+        assert.notEqual(levelId(level), levelId({ ...level, generator: { ...level.generator, algorithm: 'prim' } }));
+    });
+
+    it('counts the target difficulty only where it shapes the maze', () => {
+        const level = campaignLevel(3);
+        assert.notEqual(levelId(level), levelId({ ...level, targetDifficulty: 'hard' }));
+        const stacked = { ...level, floors: 2 };
+        assert.equal(levelId(stacked), levelId({ ...stacked, targetDifficulty: 'hard' }));
+    });
+
+    it('keeps only the fastest escape per level', () => {
+        const storage = memoryStorage();
+        assert.equal(loadGhost(storage, campaignLevel(2)), null);
+        assert.equal(saveGhost(storage, recordWalk(3, 'caught')), false);
+        assert.ok(saveGhost(storage, recordWalk(3)));
+        assert.equal(saveGhost(storage, recordWalk(4)), false);
+        assert.ok(saveGhost(storage, recordWalk(2)));
+        assert.equal(loadGhost(storage, campaignLevel(2)).duration, 2);
+        assert.equal(loadGhost(storage, campaignLevel(3)), null);
+    });
+
+    it('copes with broken or blocked storage', () => {
+        const storage = memoryStorage();
+        storage.setItem(GHOST_STORAGE_KEY, '{not json');
+        assert.equal(loadGhost(storage, campaignLevel(2)), null);
+        assert.equal(saveGhost({ getItem: () => null, setItem: () => { throw new Error('QuotaExceededError'); } }, recordWalk(2)), false);
+        assert.equal(loadGhost(null, campaignLevel(2)), null);
+    });
+});
@@ -0,0 +1,149 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { campaignLevel } from '../maze_campaign.js';
+import { layoutLevel } from '../maze_levels.js';
+import { parseAsciiMaze } from '../maze_format.js';
+import {
+    SAVE_VERSION, SAVE_STORAGE_KEY, validateLevel, validateRun, serializeRun, parseRun,
+    saveRun, loadRun, clearRun, exportFileName
+} from '../maze_save.js';
+
+function memoryStorage() {
+    const items = new Map();
+    return {
+        getItem: (key) => (items.has(key) ? items.get(key) : null),
+        setItem: (key, value) => { items.set(key, String(value)); },
+        removeItem: (key) => { items.delete(key); }
+    };
+}
+
+function sampleRun(changes = {}) {
+    return {
+        version: SAVE_VERSION,
+        savedAt: Date.UTC(2025, 0, 31),
+        level: campaignLevel(3),
+        player: { x: 12, y: 1.75, z: 20.5, yaw: 1.2, pitch: -0.1 },
+        timeLeft: 42.5,
+        elapsedTime: 47.5,
+        revealedSecrets: ['4,7'],
+        explored: ['1,1', '1,2', '1,3'],
+        ai: [{ x: 9.4, y: 5, mode: 'chase', lastSeen: { x: 3, y: 5 } }],
+        traps: [{ x: 7, y: 3, state: 'collapsed', timer: 0 }],
+        ...changes
+    };
+}
+
+describe('serializeRun / parseRun', () => {
+    it('round-trips a run', () => {
+        assert.deepEqual(parseRun(serializeRun(sampleRun())), sampleRun());
+    });
+
+    it('explains what is wrong with a bad save', () => {
+        assert.throws(() => parseRun('{oops'), /not JSON/);
+        assert.throws(() => parseRun('null'), /not an object/);
+        assert.throws(() => parseRun(JSON.stringify(sampleRun({ version: 99 }))), /version 99/);
+        assert.throws(() => parseRun(JSON.stringify(sampleRun({ level: { ...campaignLevel(1), width: 10 } }))), /odd/);
+        assert.throws(() => parseRun(JSON.stringify(sampleRun({ player: { x: 1 } }))), /player/);
+        assert.throws(() => parseRun(JSON.stringify(sampleRun({ revealedSecrets: ['north wall'] }))), /secret/);
+        assert.throws(() => parseRun(JSON.stringify(sampleRun({ ai: [{ x: 'here' }] }))), /hunter/);
+    });
+
+    it('refuses to write a broken run', () => {
+        assert.throws(() => serializeRun(sampleRun({ timeLeft: NaN })), /timer/);
+    });
+
+    it('accepts saves with or without the distance walked', () => {
+        assert.doesNotThrow(() => validateRun(sampleRun({ distance: 123.4 })));
+        assert.throws(() => validateRun(sampleRun({ distance: 'far' })), /distance/);
+    });
+
+    it('accepts saves with or without a hint count', () => {
+        assert.doesNotThrow(() => validateRun(sampleRun({ hints: 3 })));
+        assert.throws(() => validateRun(sampleRun({ hints: -1 })), /hint count/);
+    });
+
+    it('checks the floor count and upper floor map when there are any', () => {
+        assert.doesNotThrow(() => validateRun(sampleRun({ exploredAbove: [['1,1'], []] })));
+        assert.throws(() => validateRun(sampleRun({ exploredAbove: ['1,1'] })), /upper floors/);
+        const run = sampleRun();
+        assert.doesNotThrow(() => validateRun({ ...run, level: { ...run.level, floors: 3 } }));
+        assert.throws(() => validateRun({ ...run, level: { ...run.level, floors: 0 } }), /floor count/);
+    });
+
+    it('checks picked up items and opened doors when there are any', () => {
+        assert.doesNotThrow(() => validateRun(sampleRun({ items: { taken: ['3,5'], opened: ['4,5'] } })));
+        assert.throws(() => validateRun(sampleRun({ items: { taken: ['3,5'] } })), /item list/);
+        assert.throws(() => validateRun(sampleRun({ items: null })), /item list/);
+        const run = sampleRun();
+        assert.doesNotThrow(() => validateRun({ ...run, level: { ...run.level, items: { doors: 2 } } }));
+        assert.throws(() => validateRun({ ...run, level: { ...run.level, items: 2 } }), /item settings/);
+    });
+
+    it('only accepts maze difficulties there is a band for', () => {
+        const run = sampleRun();
+        assert.doesNotThrow(() => validateRun({ ...run, level: { ...run.level, targetDifficulty: 'hard' } }));
+        assert.throws(() => validateRun({ ...run, level: { ...run.level, targetDifficulty: 'brutal' } }), /maze difficulty "brutal"/);
+    });
+
+    it('accepts a run without hunters or traps', () => {
+        assert.doesNotThrow(() => validateRun(sampleRun({ ai: [], traps: [] })));
+    });
+});
+
+describe('validateLevel', () => {
+    const level = campaignLevel(3);
+
+    it('accepts every level the game makes', () => {
+        assert.equal(validateLevel(level), level);
+        assert.doesNotThrow(() => validateLevel({ ...level, floors: 3, items: { doors: 2, bonuses: 3, relics: 3 }, targetDifficulty: 'easy' }));
+        assert.doesNotThrow(() => validateLevel(layoutLevel(parseAsciiMaze('#####\n#S.E#\n#####'), { ai: level.ai })));
+    });
+
+    it('explains the first setting that would stop it building', () => {
+        assert.throws(() => validateLevel(null), /Not a usable level: missing level/);
+        assert.throws(() => validateLevel({ ...level, generator: { algorithm: 'hedge' } }), /algorithm "hedge"/);
+        assert.throws(() => validateLevel({ ...level, generator: { algorithm: 'growingTree', pick: 'first' } }), /pick "first"/);
+        assert.throws(() => validateLevel({ ...level, generator: { ...level.generator, secretChance: 2 } }), /secret or portal chance/);
+        assert.throws(() => validateLevel({ ...level, braid: { ...level.braid, loopFraction: -1 } }), /braid settings/);
+        assert.throws(() => validateLevel({ ...level, braid: { ...level.braid, rooms: 1e9 } }), /room count/);
+        assert.throws(() => validateLevel({ ...level, braid: { ...level.braid, roomMinSize: 4 } }), /room sizes/);
+        assert.throws(() => validateLevel({ ...level, traps: -1 }), /trap count/);
+        assert.throws(() => validateLevel({ ...level, ai: { ...level.ai, speed: 'fast' } }), /hunter settings/);
+        assert.throws(() => validateLevel({ ...level, timeLimit: 0 }), /time limit/);
+        assert.throws(() => validateLevel({ ...level, floors: 6 }), /floor count/);
+        assert.throws(() => validateLevel({ ...level, items: { doors: 'all' } }), /item settings/);
+        assert.throws(() => validateLevel({ ...level, layout: { format: 'maze' } }), /bad layout/);
+    });
+});
+
+describe('autosave slot', () => {
+    it('saves, loads and clears', () => {
+        const storage = memoryStorage();
+        assert.equal(loadRun(storage), null);
+        assert.ok(saveRun(storage, sampleRun()));
+        assert.deepEqual(loadRun(storage), sampleRun());
+        clearRun(storage);
+        assert.equal(loadRun(storage), null);
+    });
+
+    it('ignores a save it can no longer resume', () => {
+        const storage = memoryStorage();
+        storage.setItem(SAVE_STORAGE_KEY, JSON.stringify(sampleRun({ version: 0 })));
+        assert.equal(loadRun(storage), null);
+    });
+
+    it('copes with blocked storage', () => {
+        assert.equal(saveRun(null, sampleRun()), false);
+        assert.equal(loadRun(null), null);
+        assert.doesNotThrow(() => clearRun(null));
+    });
+});
+
+describe('exportFileName', () => {
+    it('names campaign runs by level and free play by seed', () => {
+        assert.equal(exportFileName(sampleRun()), 'maze-level-3-2025-01-31.json');
+        const freePlay = sampleRun({ level: { ...campaignLevel(3), campaign: null, seed: 1234 } });
+        assert.equal(exportFileName(freePlay), 'maze-seed-1234-2025-01-31.json');
+    });
+});
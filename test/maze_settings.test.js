@@ -0,0 +1,86 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+    SETTINGS_STORAGE_KEY, DEFAULT_SETTINGS, KEY_ACTIONS, normalizeSettings, loadSettings, saveSettings,
+    actionForKey, rebindKey, keyLabel
+} from '../maze_settings.js';
+
+function memoryStorage() {
+    const items = new Map();
+    return {
+        getItem: (key) => (items.has(key) ? items.get(key) : null),
+        setItem: (key, value) => { items.set(key, String(value)); }
+    };
+}
+
+describe('normalizeSettings', () => {
+    it('fills in defaults', () => {
+        assert.deepEqual(normalizeSettings(), DEFAULT_SETTINGS);
+        assert.deepEqual(normalizeSettings({ fov: 90 }), { ...DEFAULT_SETTINGS, fov: 90 });
+    });
+
+    it('clamps numbers to their range and step', () => {
+        const settings = normalizeSettings({ mazeSize: 20, timeLimit: 5, playerSpeed: 99, fov: 'wide', sensitivity: 0.33 });
+        assert.equal(settings.mazeSize % 2, 1);
+        assert.equal(settings.timeLimit, 30);
+        assert.equal(settings.playerSpeed, 10);
+        assert.equal(settings.fov, DEFAULT_SETTINGS.fov);
+        assert.equal(settings.sensitivity, 0.3);
+    });
+
+    it('keeps "auto" hunters apart from a count', () => {
+        assert.equal(normalizeSettings({ aiCount: null }).aiCount, null);
+        assert.equal(normalizeSettings({ aiCount: 0 }).aiCount, 0);
+        assert.equal(normalizeSettings({ aiCount: 40 }).aiCount, 6);
+    });
+
+    it('repairs unknown choices and broken key lists', () => {
+        const settings = normalizeSettings({ shadows: 'ultra', keys: { forward: 'KeyW', jump: ['KeyJ', 7] }, extra: true });
+        assert.equal(settings.shadows, DEFAULT_SETTINGS.shadows);
+        assert.deepEqual(settings.keys.forward, DEFAULT_SETTINGS.keys.forward);
+        assert.deepEqual(settings.keys.jump, ['KeyJ']);
+        assert.equal('extra' in settings, false);
+    });
+});
+
+describe('loadSettings / saveSettings', () => {
+    it('round-trips through storage', () => {
+        const storage = memoryStorage();
+        const settings = normalizeSettings({ invertY: true, shadows: 'off', antialias: false });
+        assert.ok(saveSettings(storage, settings));
+        assert.deepEqual(loadSettings(storage), settings);
+    });
+
+    it('falls back to defaults on bad or blocked storage', () => {
+        const storage = memoryStorage();
+        storage.setItem(SETTINGS_STORAGE_KEY, '{nope');
+        assert.deepEqual(loadSettings(storage), DEFAULT_SETTINGS);
+        assert.deepEqual(loadSettings(null), DEFAULT_SETTINGS);
+        assert.equal(saveSettings(null, DEFAULT_SETTINGS), false);
+    });
+});
+
+describe('key bindings', () => {
+    it('finds the action for a key', () => {
+        assert.equal(actionForKey(DEFAULT_SETTINGS.keys, 'ArrowUp'), 'forward');
+        assert.equal(actionForKey(DEFAULT_SETTINGS.keys, 'KeyE'), 'interact');
+        assert.equal(actionForKey(DEFAULT_SETTINGS.keys, 'KeyQ'), null);
+    });
+
+    it('moves a key from one action to another', () => {
+        const keys = rebindKey(DEFAULT_SETTINGS.keys, 'interact', 'KeyW');
+        assert.deepEqual(keys.interact, ['KeyW']);
+        assert.deepEqual(keys.forward, ['ArrowUp']);
+        assert.equal(actionForKey(keys, 'KeyE'), null);
+        assert.deepEqual(Object.keys(keys).sort(), [...KEY_ACTIONS].sort());
+        assert.deepEqual(DEFAULT_SETTINGS.keys.forward, ['KeyW', 'ArrowUp']); // Defaults untouched
+    });
+
+    it('labels keys readably', () => {
+        assert.equal(keyLabel('KeyW'), 'W');
+        assert.equal(keyLabel('ArrowLeft'), 'Left');
+        assert.equal(keyLabel('Digit3'), '3');
+        assert.equal(keyLabel('Space'), 'Space');
+    });
+});
@@ -0,0 +1,132 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { CELL, cloneGrid, findCells, findStartOrEndPos, isReachable } from '../maze_core.js';
+import { findDistances } from '../maze_pathfinding.js';
+import { generateMaze } from '../maze_generators.js';
+import { braidMaze } from '../maze_braid.js';
+import { TRAP_KINDS, placeTraps, createTrapField, resetTrapField, updateTrapField } from '../maze_traps.js';
+import { createRandom } from '../seeded_random.js';
+
+function buildMaze(seed, size = 21) {
+    const grid = generateMaze(size, size, createRandom(seed));
+    braidMaze(grid, createRandom(seed), { deadEndRemoval: 0.25, loopFraction: 0.02 });
+    return grid;
+}
+
+describe('placeTraps', () => {
+    it('marks each trap cell as CELL.TRAP', () => {
+        const grid = buildMaze(1);
+        const traps = placeTraps(grid, createRandom(1), { count: 8 });
+        assert.equal(traps.length, 8);
+        assert.deepEqual(findCells(grid, CELL.TRAP).length, 8);
+        for (const trap of traps) {
+            assert.equal(grid[trap.y][trap.x], CELL.TRAP);
+            assert.ok(TRAP_KINDS[trap.kind]);
+        }
+    });
+
+    it('is deterministic for a seed', () => {
+        const a = placeTraps(buildMaze(2), createRandom(2));
+        const b = placeTraps(buildMaze(2), createRandom(2));
+        assert.deepEqual(a, b);
+    });
+
+    it('keeps away from the start', () => {
+        const grid = buildMaze(3);
+        const distances = findDistances(grid, findStartOrEndPos(grid, true), { secretsOpen: true });
+        for (const trap of placeTraps(grid, createRandom(3), { count: 10, minStartDistance: 6 })) {
+            assert.ok(distances.get(`${trap.x},${trap.y}`) >= 6);
+        }
+    });
+
+    for (const seed of [4, 5, 6, 7]) {
+        it(`keeps the exit reachable with every blocking trap as a wall (seed ${seed})`, () => {
+            const grid = generateMaze(21, 21, createRandom(seed)); // Perfect maze: most cells are choke points
+            const traps = placeTraps(grid, createRandom(seed), { count: 20, kinds: ['spikes', 'collapse'] });
+            assert.ok(traps.length > 0);
+            const blocked = cloneGrid(grid);
+            traps.forEach(trap => { blocked[trap.y][trap.x] = CELL.WALL; });
+            assert.ok(isReachable(blocked, findStartOrEndPos(grid, true), findStartOrEndPos(grid, false), { secretsOpen: true }));
+        });
+    }
+
+    it('keeps every goal reachable when given goals instead of the exit', () => {
+        const grid = generateMaze(21, 21, createRandom(9));
+        const goals = [{ x: 19, y: 1 }, { x: 1, y: 19 }, { x: 19, y: 19 }];
+        const traps = placeTraps(grid, createRandom(9), { count: 20, kinds: ['spikes', 'collapse'], goals });
+        const blocked = cloneGrid(grid);
+        traps.forEach(trap => { blocked[trap.y][trap.x] = CELL.WALL; });
+        for (const goal of goals) assert.ok(isReachable(blocked, findStartOrEndPos(grid, true), goal, { secretsOpen: true }));
+    });
+
+    it('places any number of non-blocking traps', () => {
+        const grid = generateMaze(21, 21, createRandom(8));
+        assert.equal(placeTraps(grid, createRandom(8), { count: 15, kinds: ['slow', 'drain'] }).length, 15);
+    });
+});
+
+describe('updateTrapField', () => {
+    const cell = { x: 5, y: 5 };
+    const elsewhere = { x: 1, y: 1 };
+    const fieldWith = (kind) => createTrapField([{ ...cell, kind }]);
+
+    it('sends the player back from spikes once per step', () => {
+        const field = fieldWith('spikes');
+        const result = updateTrapField(field, cell, 0.1);
+        assert.equal(result.respawn, true);
+        assert.equal(result.triggered.length, 1);
+        assert.equal(updateTrapField(field, elsewhere, 0.1).respawn, false);
+    });
+
+    it('slows the player while standing in a slow zone', () => {
+        const field = fieldWith('slow');
+        assert.equal(updateTrapField(field, cell, 0.1).speedFactor, TRAP_KINDS.slow.speedFactor);
+        const stillThere = updateTrapField(field, cell, 0.1);
+        assert.equal(stillThere.speedFactor, TRAP_KINDS.slow.speedFactor);
+        assert.equal(stillThere.triggered.length, 0); // Cue only on entering
+        assert.equal(updateTrapField(field, elsewhere, 0.1).speedFactor, 1);
+    });
+
+    it('drains time once per step, not per frame', () => {
+        const field = fieldWith('drain');
+        assert.equal(updateTrapField(field, cell, 0.1).timeDrain, TRAP_KINDS.drain.seconds);
+        assert.equal(updateTrapField(field, cell, 0.1).timeDrain, 0);
+        updateTrapField(field, elsewhere, 0.1);
+        assert.equal(updateTrapField(field, cell, 0.1).timeDrain, TRAP_KINDS.drain.seconds);
+    });
+
+    it('can be jumped over', () => {
+        const field = fieldWith('spikes');
+        updateTrapField(field, elsewhere, 0.1);
+        assert.equal(updateTrapField(field, null, 0.1).respawn, false); // Airborne above the spikes
+    });
+
+    it('collapses a floor after it starts crumbling', () => {
+        const field = fieldWith('collapse');
+        const trap = field.traps.get('5,5');
+        const first = updateTrapField(field, cell, 0.1);
+        assert.equal(trap.state, 'crumbling');
+        assert.equal(first.respawn, false);
+
+        updateTrapField(field, elsewhere, 0.1); // Got off in time
+        const later = updateTrapField(field, elsewhere, TRAP_KINDS.collapse.crumbleTime);
+        assert.equal(trap.state, 'collapsed');
+        assert.deepEqual(later.changed, [trap]);
+        assert.equal(updateTrapField(field, cell, 0.1).respawn, true); // It's a hole now
+    });
+
+    it('drops the player who stays on a collapsing floor', () => {
+        const field = fieldWith('collapse');
+        updateTrapField(field, cell, 0.1);
+        assert.equal(updateTrapField(field, cell, TRAP_KINDS.collapse.crumbleTime).respawn, true);
+    });
+
+    it('re-arms everything on reset', () => {
+        const field = fieldWith('collapse');
+        updateTrapField(field, cell, 0.1);
+        updateTrapField(field, cell, 5);
+        resetTrapField(field);
+        assert.equal(field.traps.get('5,5').state, 'armed');
+    });
+});
@@ -0,0 +1,140 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { CELL } from '../maze_core.js';
+import { buildWallPlacements } from '../maze_wall_builder.js';
+import { generateMaze } from '../maze_generators.js';
+import { braidMaze } from '../maze_braid.js';
+import { createRandom } from '../seeded_random.js';
+
+const DIMENSIONS = { cellSize: 4, wallHeight: 3.5, wallThickness: 0.4 };
+const EPSILON = 1e-6;
+
+function parse(rows) {
+    const codes = { '#': CELL.WALL, '.': CELL.PATH, 'S': CELL.START, 'E': CELL.END, '?': CELL.SECRET };
+    return rows.map(row => [...row].map(char => codes[char]));
+}
+
+function contains(placement, x, z) {
+    return Math.abs(x - placement.x) <= placement.sizeX / 2 + EPSILON &&
+        Math.abs(z - placement.z) <= placement.sizeZ / 2 + EPSILON;
+}
+
+function isCovered(placements, x, z) {
+    return placements.some(placement => contains(placement, x, z));
+}
+
+describe('buildWallPlacements', () => {
+    const grid = parse([
+        '#######',
+        '#S..?.#',
+        '#.###.#',
+        '#.#E..#',
+        '#######'
+    ]);
+    const placements = buildWallPlacements(grid, DIMENSIONS);
+
+    it('merges straight walls into single runs', () => {
+        const north = placements.filter(placement => placement.z === 0 && placement.sizeZ === 0.4);
+        assert.equal(north.length, 1);
+        assert.equal(north[0].sizeX, 6 * 4 + 0.4); // Pillar face to pillar face across 7 squares
+    });
+
+    it('gives each secret wall its own box between the pillar faces', () => {
+        const secrets = placements.filter(placement => placement.secret);
+        assert.equal(secrets.length, 1);
+        assert.deepEqual(secrets[0].cell, { x: 4, y: 1 });
+        assert.equal(secrets[0].sizeZ, 2 * 4 - 0.4);
+        assert.equal(secrets[0].sizeX, 0.4);
+    });
+
+    it('honors wall height and thickness', () => {
+        const tall = buildWallPlacements(grid, { cellSize: 4, wallHeight: 6, wallThickness: 1 });
+        for (const placement of tall) {
+            assert.equal(placement.sizeY, 6);
+            assert.equal(placement.y, 3);
+            assert.ok(placement.sizeX === 1 || placement.sizeZ === 1 || placement.sizeX === placement.sizeZ);
+        }
+    });
+
+    it('leaves a lone pillar as its own joint', () => {
+        const pillar = buildWallPlacements(parse([
+            '#####',
+            '#...#',
+            '#.#.#',
+            '#...#',
+            '#####'
+        ]), DIMENSIONS).filter(placement => placement.x === 8 && placement.z === 8);
+        assert.equal(pillar.length, 1);
+        assert.equal(pillar[0].sizeX, 0.4);
+        assert.equal(pillar[0].sizeZ, 0.4);
+    });
+
+    it('builds a wall segment between two open pillars', () => {
+        const segments = buildWallPlacements(parse([
+            '#######',
+            '#.....#',
+            '#..#..#',
+            '#...#.#',
+            '#.....#',
+            '#######'
+        ]), DIMENSIONS);
+        const alongX = segments.filter(placement => placement.x === 12 && placement.z === 8);
+        assert.deepEqual(alongX.map(({ sizeX, sizeZ }) => [sizeX, sizeZ]), [[4, 0.4]]);
+        const alongZ = segments.filter(placement => placement.x === 16 && placement.z === 12);
+        assert.deepEqual(alongZ.map(({ sizeX, sizeZ }) => [sizeX, sizeZ]), [[0.4, 4]]);
+    });
+
+    it('fills walled-in room cells', () => {
+        const filled = buildWallPlacements(parse([
+            '#######',
+            '#.###.#',
+            '#.....#',
+            '#######'
+        ]), DIMENSIONS);
+        const block = filled.filter(placement => placement.x === 12 && placement.z === 4 && placement.sizeX === placement.sizeZ);
+        assert.equal(block.length, 1); // (3, 1) is a wall on a room cell
+        assert.equal(block[0].sizeX, 2 * 4 - 0.4);
+    });
+});
+
+describe('generated mazes', () => {
+    for (const seed of [1, 2, 3]) {
+        const grid = generateMaze(21, 21, createRandom(seed));
+        braidMaze(grid, createRandom(seed), { deadEndRemoval: 0.5, loopFraction: 0.05, rooms: 1 });
+        const placements = buildWallPlacements(grid, DIMENSIONS);
+        const solid = placements.filter(placement => !placement.secret);
+        const { cellSize, wallThickness } = DIMENSIONS;
+
+        it(`covers every wall and joint without gaps (seed ${seed})`, () => {
+            grid.forEach((row, y) => row.forEach((cell, x) => {
+                if (cell !== CELL.WALL) return;
+                assert.ok(isCovered(solid, x * cellSize, y * cellSize), `wall ${x},${y}`);
+                // Joint with the next wall square: no gap along the line between their centers
+                for (const [dx, dy] of [[1, 0], [0, 1]]) {
+                    if (grid[y + dy] && grid[y + dy][x + dx] === CELL.WALL && (x % 2 === 0 || y % 2 === 0) && ((x + dx) % 2 === 0 || (y + dy) % 2 === 0)) {
+                        for (let t = 0; t <= 1; t += 0.125) {
+                            assert.ok(isCovered(solid, (x + dx * t) * cellSize, (y + dy * t) * cellSize), `gap between ${x},${y} and ${x + dx},${y + dy}`);
+                        }
+                    }
+                }
+            }));
+        });
+
+        it(`keeps corridors clear up to the wall faces (seed ${seed})`, () => {
+            const clearance = cellSize - wallThickness / 2 - 0.01;
+            grid.forEach((row, y) => row.forEach((cell, x) => {
+                if (x % 2 === 0 || y % 2 === 0 || cell === CELL.WALL) return; // Open room cells only
+                assert.equal(isCovered(placements, x * cellSize, y * cellSize), false, `cell ${x},${y}`);
+                for (const [dx, dy] of [[1, 0], [-1, 0], [0, 1], [0, -1]]) {
+                    assert.equal(isCovered(placements, x * cellSize + dx * clearance, y * cellSize + dy * clearance), false, `cell ${x},${y} edge`);
+                }
+            }));
+        });
+
+        it(`places one removable box per secret wall (seed ${seed})`, () => {
+            const secretCells = grid.flat().filter(cell => cell === CELL.SECRET).length;
+            assert.equal(placements.filter(placement => placement.secret).length, secretCells);
+        });
+    }
+});
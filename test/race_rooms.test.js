@@ -0,0 +1,158 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { campaignLevel } from '../maze_campaign.js';
+import { MAX_PLAYERS, RACE_COUNTDOWN } from '../maze_race.js';
+import { levelId } from '../maze_replay.js';
+import { parseClientMessage, createRaceHub } from '../race_rooms.js';
+
+// A hub on a clock the test moves, and players that keep what they're sent
+function createTestHub() {
+    const clock = { now: 1000 };
+    const hub = createRaceHub({ now: () => clock.now });
+    const connect = () => {
+        const inbox = [];
+        const player = hub.connect(message => inbox.push(message));
+        const send = (message) => player.receive(JSON.stringify(message));
+        const last = (type) => inbox.filter(message => message.type === type).at(-1);
+        return { ...player, inbox, send, last };
+    };
+    return { hub, clock, connect };
+}
+
+const level = campaignLevel(2);
+const finish = { type: 'finish', levelId: levelId(level) };
+
+describe('parseClientMessage', () => {
+    it('keeps only the fields a message needs', () => {
+        assert.deepEqual(parseClientMessage(JSON.stringify({ type: 'pose', x: 1, y: 1.75, z: 3, yaw: 0.5, pitch: 2 })), { type: 'pose', x: 1, y: 1.75, z: 3, yaw: 0.5 });
+        assert.deepEqual(parseClientMessage(JSON.stringify({ type: 'join', room: 'lunch', name: '  Sam ' })), { type: 'join', room: 'lunch', name: 'Sam', level: null });
+    });
+
+    it('explains what is wrong with a bad message', () => {
+        assert.throws(() => parseClientMessage('{oops'), /not JSON/);
+        assert.throws(() => parseClientMessage('{"type":"dance"}'), /Unknown race message "dance"/);
+        assert.throws(() => parseClientMessage(JSON.stringify({ type: 'join', room: 'a b', name: 'Sam' })), /Room names/);
+        assert.throws(() => parseClientMessage(JSON.stringify({ type: 'join', room: 'lunch', name: 'x'.repeat(21) })), /Player names/);
+        assert.throws(() => parseClientMessage(JSON.stringify({ type: 'join', room: 'lunch', name: 'Sam', level: { ...level, width: 1001 } })), /3 to 101/);
+        assert.throws(() => parseClientMessage(JSON.stringify({ type: 'start', level: { ...level, braid: { ...level.braid, rooms: 1e9 } } })), /room count/);
+        assert.throws(() => parseClientMessage(JSON.stringify({ type: 'start', level: { ...level, layout: 'not a maze' } })), /bad layout/);
+        assert.throws(() => parseClientMessage(JSON.stringify({ type: 'pose', x: 'here' })), /Bad pose/);
+        assert.throws(() => parseClientMessage(JSON.stringify({ type: 'finish' })), /id of the level/);
+    });
+});
+
+describe('createRaceHub', () => {
+    it('opens a room with the first player and hands later ones its level', () => {
+        const { hub, connect } = createTestHub();
+        const host = connect();
+        const guest = connect();
+        host.send({ type: 'join', room: 'lunch', name: 'Sam', level });
+        guest.send({ type: 'join', room: 'lunch', name: 'Alex', level: campaignLevel(5) });
+        assert.deepEqual(guest.last('welcome'), {
+            type: 'welcome', id: guest.id, room: 'lunch', host: host.id, level,
+            players: [{ id: host.id, name: 'Sam' }, { id: guest.id, name: 'Alex' }]
+        });
+        assert.deepEqual(host.last('players').players.map(player => player.name), ['Sam', 'Alex']);
+        assert.equal(hub.rooms.size, 1);
+    });
+
+    it('turns players away from missing, full and racing rooms', () => {
+        const { connect } = createTestHub();
+        const lost = connect();
+        lost.send({ type: 'join', room: 'nowhere', name: 'Sam' });
+        assert.match(lost.last('error').message, /no room "nowhere"/);
+
+        const host = connect();
+        host.send({ type: 'join', room: 'lunch', name: 'Host', level });
+        for (let i = 1; i < MAX_PLAYERS; i++) connect().send({ type: 'join', room: 'lunch', name: `P${i}` });
+        const late = connect();
+        late.send({ type: 'join', room: 'lunch', name: 'Late' });
+        assert.match(late.last('error').message, /full/);
+
+        const other = connect();
+        other.send({ type: 'join', room: 'dinner', name: 'Solo', level });
+        other.send({ type: 'start' });
+        late.send({ type: 'join', room: 'dinner', name: 'Late' });
+        assert.match(late.last('error').message, /racing/);
+    });
+
+    it('lets only the host start, with a countdown, on the level they send', () => {
+        const { connect } = createTestHub();
+        const host = connect();
+        const guest = connect();
+        host.send({ type: 'join', room: 'lunch', name: 'Sam', level });
+        guest.send({ type: 'join', room: 'lunch', name: 'Alex' });
+        guest.send({ type: 'start' });
+        assert.match(guest.last('error').message, /Only the host/);
+        host.send({ type: 'start', level: campaignLevel(4) });
+        assert.deepEqual(guest.last('start'), { type: 'start', level: campaignLevel(4), countdown: RACE_COUNTDOWN });
+    });
+
+    it('relays poses to the others only while racing', () => {
+        const { connect } = createTestHub();
+        const host = connect();
+        const guest = connect();
+        host.send({ type: 'join', room: 'lunch', name: 'Sam', level });
+        guest.send({ type: 'join', room: 'lunch', name: 'Alex' });
+        host.send({ type: 'pose', x: 4, y: 1.75, z: 4, yaw: 0 });
+        assert.equal(guest.last('pose'), undefined);
+        host.send({ type: 'start' });
+        host.send({ type: 'pose', x: 5, y: 1.75, z: 4, yaw: 1 });
+        assert.deepEqual(guest.last('pose'), { type: 'pose', id: host.id, x: 5, y: 1.75, z: 4, yaw: 1 });
+        assert.equal(host.last('pose'), undefined);
+    });
+
+    it('times and places finishers from the end of the countdown, then goes back to the lobby', () => {
+        const { clock, connect } = createTestHub();
+        const host = connect();
+        const guest = connect();
+        const third = connect();
+        host.send({ type: 'join', room: 'lunch', name: 'Sam', level });
+        guest.send({ type: 'join', room: 'lunch', name: 'Alex' });
+        third.send({ type: 'join', room: 'lunch', name: 'Kim' });
+        host.send({ type: 'start' });
+
+        clock.now += RACE_COUNTDOWN * 1000 + 42340;
+        guest.send(finish);
+        assert.deepEqual(host.last('finished'), { type: 'finished', id: guest.id, name: 'Alex', time: 42.3, place: 1 });
+        guest.send(finish); // Counted once
+        third.send({ type: 'retire' });
+        assert.equal(host.last('over'), undefined);
+
+        clock.now += 5000;
+        host.send(finish);
+        assert.deepEqual(guest.last('over').standings, [
+            { id: guest.id, name: 'Alex', time: 42.3, place: 1 },
+            { id: host.id, name: 'Sam', time: 47.3, place: 2 },
+            { id: third.id, name: 'Kim', time: null, place: null }
+        ]);
+        host.send({ type: 'start' }); // Ready for another
+        assert.equal(third.inbox.filter(message => message.type === 'start').length, 2);
+    });
+
+    it("doesn't count an escape from some other maze", () => {
+        const { connect } = createTestHub();
+        const host = connect();
+        host.send({ type: 'join', room: 'lunch', name: 'Sam', level });
+        host.send({ type: 'start' });
+        host.send({ type: 'finish', levelId: levelId(campaignLevel(1)) });
+        assert.match(host.last('error').message, /race's maze/);
+        assert.equal(host.last('finished'), undefined);
+    });
+
+    it('passes the room on when the host leaves and closes it when everyone has', () => {
+        const { hub, connect } = createTestHub();
+        const host = connect();
+        const guest = connect();
+        host.send({ type: 'join', room: 'lunch', name: 'Sam', level });
+        guest.send({ type: 'join', room: 'lunch', name: 'Alex' });
+        host.send({ type: 'start' });
+        host.leave();
+        assert.deepEqual(guest.last('players'), { type: 'players', host: guest.id, players: [{ id: guest.id, name: 'Alex' }] });
+        guest.send(finish); // Last one running: the race is over
+        assert.ok(guest.last('over'));
+        guest.leave();
+        assert.equal(hub.rooms.size, 0);
+    });
+});
@@ -0,0 +1,113 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { request } from 'node:http';
+import { join } from 'node:path';
+
+import { campaignLevel } from '../maze_campaign.js';
+import { RACE_PATH } from '../maze_race.js';
+import { levelId } from '../maze_replay.js';
+import { OPCODES, encodeFrame, createFrameReader } from '../websocket_server.js';
+import { staticFilePath, startRaceServer } from '../race_server.js';
+
+const MASK = Buffer.from([1, 2, 3, 4]);
+
+// A bare WebSocket client on a raw socket: sends masked JSON, queues what comes back
+function connectPlayer(port) {
+    return new Promise((resolve, reject) => {
+        const upgrade = request({
+            port,
+            host: '127.0.0.1',
+            path: RACE_PATH,
+            headers: { Connection: 'Upgrade', Upgrade: 'websocket', 'Sec-WebSocket-Version': '13', 'Sec-WebSocket-Key': 'dGhlIHNhbXBsZSBub25jZQ==' }
+        });
+        upgrade.on('error', reject);
+        upgrade.on('upgrade', (response, socket, head) => {
+            const received = [];
+            let waiting = null;
+            const push = createFrameReader(({ opcode, payload }) => {
+                if (opcode !== OPCODES.text) return;
+                received.push(JSON.parse(payload.toString()));
+                if (waiting) waiting();
+            });
+            socket.on('data', push);
+            if (head.length > 0) push(head);
+            resolve({
+                socket,
+                send: (message) => socket.write(encodeFrame(OPCODES.text, JSON.stringify(message), MASK)),
+                // Next message of this type (earlier ones of other types are skipped)
+                next: (type) => new Promise((found) => {
+                    const check = () => {
+                        const index = received.findIndex(message => message.type === type);
+                        if (index === -1) return;
+                        waiting = null;
+                        found(received.splice(0, index + 1).at(-1));
+                    };
+                    waiting = check;
+                    check();
+                })
+            });
+        });
+        upgrade.end();
+    });
+}
+
+function get(port, path) {
+    return new Promise((resolve, reject) => {
+        request({ port, host: '127.0.0.1', path }, (response) => {
+            response.resume();
+            response.on('end', () => resolve(response));
+        }).on('error', reject).end();
+    });
+}
+
+describe('staticFilePath', () => {
+    it('serves the page and files under the root, nothing outside it or hidden', () => {
+        assert.equal(staticFilePath('/srv/maze', '/'), join('/srv/maze', 'index.html'));
+        assert.equal(staticFilePath('/srv/maze', '/mazes/spiral.txt'), join('/srv/maze', 'mazes', 'spiral.txt'));
+        assert.equal(staticFilePath('/srv/maze', '/../etc/passwd'), null);
+        assert.equal(staticFilePath('/srv/maze', '/%2e%2e/etc/passwd'), null);
+        assert.equal(staticFilePath('/srv/maze', '/.git/config'), null);
+        assert.equal(staticFilePath('/srv/maze', '/%E0%A4%A'), null);
+    });
+});
+
+describe('startRaceServer', () => {
+    let server;
+    const players = [];
+    before(async () => {
+        server = await startRaceServer({ port: 0 });
+    });
+    after(async () => {
+        players.forEach(player => player.socket.destroy());
+        await server.close();
+    });
+
+    it('serves the game itself', async () => {
+        assert.equal((await get(server.port, '/')).headers['content-type'], 'text/html; charset=utf-8');
+        assert.equal((await get(server.port, '/maze_race.js')).statusCode, 200);
+        assert.equal((await get(server.port, '/package.json/..%2f..%2f..%2fetc%2fpasswd')).statusCode, 404);
+    });
+
+    it('runs a race between two players over WebSockets', async () => {
+        const host = await connectPlayer(server.port);
+        const guest = await connectPlayer(server.port);
+        players.push(host, guest);
+        const level = campaignLevel(3);
+
+        host.send({ type: 'join', room: 'lunch', name: 'Sam', level });
+        const { id: hostId } = await host.next('welcome');
+        guest.send({ type: 'join', room: 'lunch', name: 'Alex' });
+        assert.deepEqual((await guest.next('welcome')).level, level);
+
+        host.send({ type: 'start' });
+        await guest.next('start');
+        host.send({ type: 'pose', x: 6, y: 1.75, z: 4, yaw: 0.5 });
+        assert.deepEqual(await guest.next('pose'), { type: 'pose', id: hostId, x: 6, y: 1.75, z: 4, yaw: 0.5 });
+
+        host.send({ type: 'finish', levelId: levelId(level) });
+        const finished = await guest.next('finished');
+        assert.deepEqual([finished.id, finished.place], [hostId, 1]);
+        guest.send({ type: 'retire' });
+        assert.equal((await host.next('over')).standings.length, 2);
+    });
+});
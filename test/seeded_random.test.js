@@ -0,0 +1,58 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { createRandom, randomInt, shuffle, parseSeed, readSeedFromUrl, buildSeedUrl } from '../seeded_random.js';
+
+describe('createRandom', () => {
+    it('repeats the same sequence for the same seed', () => {
+        const a = createRandom(1234);
+        const b = createRandom(1234);
+        for (let i = 0; i < 100; i++) assert.equal(a(), b());
+    });
+
+    it('stays in [0, 1)', () => {
+        const random = createRandom(5);
+        for (let i = 0; i < 1000; i++) {
+            const value = random();
+            assert.ok(value >= 0 && value < 1);
+        }
+    });
+
+    it('remembers its seed', () => {
+        assert.equal(createRandom(77).seed, 77);
+    });
+});
+
+describe('helpers', () => {
+    it('randomInt stays within [min, max)', () => {
+        const random = createRandom(9);
+        for (let i = 0; i < 500; i++) {
+            const value = randomInt(random, 3, 6);
+            assert.ok(value >= 3 && value < 6 && Number.isInteger(value));
+        }
+    });
+
+    it('shuffle keeps every element and is seeded', () => {
+        const a = shuffle([1, 2, 3, 4, 5, 6], createRandom(2));
+        const b = shuffle([1, 2, 3, 4, 5, 6], createRandom(2));
+        assert.deepEqual(a, b);
+        assert.deepEqual(a.slice().sort(), [1, 2, 3, 4, 5, 6]);
+    });
+});
+
+describe('seeds in URLs', () => {
+    it('parses numbers and hashes words', () => {
+        assert.equal(parseSeed('123'), 123);
+        assert.equal(parseSeed('hello'), parseSeed('hello'));
+        assert.notEqual(parseSeed('hello'), parseSeed('world'));
+        assert.equal(parseSeed(''), null);
+        assert.equal(parseSeed(null), null);
+    });
+
+    it('reads ?seed= and builds shareable links', () => {
+        assert.equal(readSeedFromUrl('?seed=42&algorithm=prim'), 42);
+        assert.equal(readSeedFromUrl('?algorithm=prim'), null);
+        const link = buildSeedUrl('http://localhost:8080/index.html?algorithm=prim&seed=1', 42);
+        assert.equal(link, 'http://localhost:8080/index.html?algorithm=prim&seed=42');
+    });
+});
@@ -0,0 +1,80 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { SOUND_CUES, renderCue, createCueLimiter, mixVolume, normalizeVolumes } from '../sound_cues.js';
+
+const SAMPLE_RATE = 8000;
+
+describe('renderCue', () => {
+    for (const name of ['footstep', 'jump', 'bump', 'portal', 'reveal', 'spikes', 'slow', 'drain', 'crumble', 'win', 'lose']) {
+        it(`renders an audible, bounded ${name}`, () => {
+            const samples = renderCue(name, SAMPLE_RATE);
+            assert.ok(samples.length > 0 && samples.length < SAMPLE_RATE * 2); // Short cue
+            const peak = samples.reduce((max, value) => Math.max(max, Math.abs(value)), 0);
+            assert.ok(peak > 0.05, `peak ${peak}`);
+            assert.ok(peak <= 1);
+        });
+    }
+
+    it('is deterministic, noise included', () => {
+        assert.deepEqual(renderCue('reveal', SAMPLE_RATE), renderCue('reveal', SAMPLE_RATE));
+    });
+
+    it('fades out to silence', () => {
+        const samples = renderCue('bump', SAMPLE_RATE);
+        assert.ok(Math.abs(samples[samples.length - 1]) < 0.01);
+    });
+
+    it('lasts as long as its longest voice', () => {
+        const samples = renderCue({ voices: [
+            { wave: 'sine', start: 0, duration: 0.1, gain: 1, from: 440, to: 440 },
+            { wave: 'sine', start: 0.2, duration: 0.3, gain: 1, from: 440, to: 440 }
+        ] }, SAMPLE_RATE);
+        assert.equal(samples.length, 0.5 * SAMPLE_RATE);
+    });
+
+    it('rejects unknown cues', () => {
+        assert.throws(() => renderCue('kazoo', SAMPLE_RATE), /Unknown sound cue/);
+    });
+});
+
+describe('createCueLimiter', () => {
+    it('drops repeats inside the minimum interval', () => {
+        const limiter = createCueLimiter();
+        const interval = SOUND_CUES.bump.minInterval;
+        assert.ok(limiter.tryPlay('bump', 0));
+        assert.equal(limiter.tryPlay('bump', interval / 2), false);
+        assert.ok(limiter.tryPlay('bump', interval));
+    });
+
+    it('limits each cue and source separately', () => {
+        const limiter = createCueLimiter();
+        assert.ok(limiter.tryPlay('footstep', 0));
+        assert.ok(limiter.tryPlay('jump', 0));
+        assert.ok(limiter.tryPlay('footstep', 0, 'hunter-1'));
+        assert.ok(limiter.tryPlay('footstep', 0, 'hunter-2'));
+        assert.equal(limiter.tryPlay('footstep', 0, 'hunter-1'), false);
+    });
+
+    it('forgets everything on reset', () => {
+        const limiter = createCueLimiter();
+        limiter.tryPlay('win', 0);
+        limiter.reset();
+        assert.ok(limiter.tryPlay('win', 0));
+    });
+});
+
+describe('volume', () => {
+    it('multiplies master and effects volume', () => {
+        assert.equal(mixVolume({ master: 0.5, sfx: 0.5, muted: false }), 0.25);
+    });
+
+    it('silences everything when muted', () => {
+        assert.equal(mixVolume({ master: 1, sfx: 1, muted: true }), 0);
+    });
+
+    it('clamps and fills in volumes', () => {
+        assert.deepEqual(normalizeVolumes({ master: 2, sfx: -1 }), { master: 1, sfx: 0, muted: false });
+        assert.deepEqual(normalizeVolumes(), { master: 0.8, sfx: 1, muted: false });
+    });
+});
@@ -0,0 +1,48 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { OPCODES, acceptKey, encodeFrame, createFrameReader } from '../websocket_server.js';
+
+const MASK = Buffer.from([0x37, 0xfa, 0x21, 0x3d]);
+
+function readAll(bytes, options) {
+    const frames = [];
+    createFrameReader(frame => frames.push(frame), options)(bytes);
+    return frames;
+}
+
+describe('acceptKey', () => {
+    it('answers the handshake from the RFC', () => {
+        assert.equal(acceptKey('dGhlIHNhbXBsZSBub25jZQ=='), 's3pPLMBiTxaQ9kYGzzhZRbK+xOo=');
+    });
+});
+
+describe('encodeFrame / createFrameReader', () => {
+    it('matches the masked "Hello" frame from the RFC', () => {
+        assert.deepEqual([...encodeFrame(OPCODES.text, 'Hello', MASK)], [0x81, 0x85, 0x37, 0xfa, 0x21, 0x3d, 0x7f, 0x9f, 0x4d, 0x51, 0x58]);
+        const [frame] = readAll(encodeFrame(OPCODES.text, 'Hello', MASK));
+        assert.deepEqual({ ...frame, payload: frame.payload.toString() }, { fin: true, opcode: OPCODES.text, masked: true, payload: 'Hello' });
+    });
+
+    it('round-trips every length encoding', () => {
+        for (const size of [0, 125, 126, 65535, 65536]) {
+            const payload = Buffer.alloc(size, 'a');
+            const [frame] = readAll(encodeFrame(OPCODES.text, payload), { maxSize: 70000 });
+            assert.equal(frame.payload.length, size);
+            assert.equal(frame.masked, false);
+        }
+    });
+
+    it('waits for the rest of a frame split over several chunks', () => {
+        const frames = [];
+        const push = createFrameReader(frame => frames.push(frame));
+        const bytes = Buffer.concat([encodeFrame(OPCODES.text, 'one', MASK), encodeFrame(OPCODES.ping, 'two', MASK)]);
+        for (const byte of bytes) push(Buffer.from([byte]));
+        assert.deepEqual(frames.map(frame => [frame.opcode, frame.payload.toString()]), [[OPCODES.text, 'one'], [OPCODES.ping, 'two']]);
+    });
+
+    it('refuses a frame over the size limit before it arrives', () => {
+        const header = encodeFrame(OPCODES.text, Buffer.alloc(2000)).subarray(0, 4);
+        assert.throws(() => readAll(header, { maxSize: 1000 }), /2000 bytes is over the 1000 byte limit/);
+    });
+});
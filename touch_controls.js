@@ -0,0 +1,119 @@
+import { joystickVector } from './maze_input.js';
+
+// --- Touch Controls ---
+// On-screen layout for phones and tablets, built into `container` (a full-screen overlay):
+// a virtual joystick wherever the left half is touched, drag-to-look on the right half, and
+// jump / interact / map / hint / pause buttons. Several fingers at once are fine (pointer ids).
+//   state: { move: { x, y } (length <= 1, y forward), jump (held) }
+//   takeLook(): { dx, dy } pixels dragged since the last call
+//   onPress(action) for 'interact', 'map', 'hint' and 'pause'
+
+const JOYSTICK_RADIUS = 60; // Pixels to full speed
+
+export function createTouchControls(container, { onPress }) {
+    const state = { move: { x: 0, y: 0 }, jump: false };
+    let look = { dx: 0, dy: 0 };
+    let joystick = null; // { id, origin }
+    const lookPointers = new Map(); // pointerId -> last { x, y }
+
+    const base = document.createElement('div');
+    base.className = 'touch-joystick';
+    const knob = document.createElement('div');
+    knob.className = 'touch-knob';
+    base.appendChild(knob);
+    base.style.display = 'none';
+
+    const buttons = document.createElement('div');
+    buttons.className = 'touch-buttons';
+    const addButton = (label, action) => {
+        const button = document.createElement('button');
+        button.textContent = label;
+        button.addEventListener('pointerdown', (event) => {
+            event.stopPropagation(); // Not a look drag
+            if (action === 'jump') state.jump = true;
+            else onPress(action);
+        });
+        if (action === 'jump') {
+            const release = () => { state.jump = false; };
+            button.addEventListener('pointerup', release);
+            button.addEventListener('pointercancel', release);
+        }
+        buttons.appendChild(button);
+    };
+    addButton('Jump', 'jump');
+    addButton('Use', 'interact');
+    addButton('Map', 'map');
+    addButton('Hint', 'hint');
+    const pause = document.createElement('button');
+    pause.className = 'touch-pause';
+    pause.textContent = 'II';
+    pause.addEventListener('pointerdown', (event) => {
+        event.stopPropagation();
+        onPress('pause');
+    });
+    container.append(base, buttons, pause);
+
+    function placeKnob(vector) {
+        knob.style.transform = `translate(${vector.x * JOYSTICK_RADIUS}px, ${-vector.y * JOYSTICK_RADIUS}px)`;
+    }
+
+    container.addEventListener('pointerdown', (event) => {
+        event.preventDefault();
+        const point = { x: event.clientX, y: event.clientY };
+        if (point.x < window.innerWidth / 2 && !joystick) {
+            joystick = { id: event.pointerId, origin: point };
+            base.style.display = '';
+            base.style.left = `${point.x - JOYSTICK_RADIUS}px`;
+            base.style.top = `${point.y - JOYSTICK_RADIUS}px`;
+            placeKnob({ x: 0, y: 0 });
+        } else {
+            lookPointers.set(event.pointerId, point);
+        }
+    });
+    container.addEventListener('pointermove', (event) => {
+        const point = { x: event.clientX, y: event.clientY };
+        if (joystick && event.pointerId === joystick.id) {
+            state.move = joystickVector(joystick.origin, point, JOYSTICK_RADIUS);
+            placeKnob(state.move);
+        } else if (lookPointers.has(event.pointerId)) {
+            const last = lookPointers.get(event.pointerId);
+            look.dx += point.x - last.x;
+            look.dy += point.y - last.y;
+            lookPointers.set(event.pointerId, point);
+        }
+    });
+    const release = (event) => {
+        if (joystick && event.pointerId === joystick.id) {
+            joystick = null;
+            state.move = { x: 0, y: 0 };
+            base.style.display = 'none';
+        }
+        lookPointers.delete(event.pointerId);
+    };
+    container.addEventListener('pointerup', release);
+    container.addEventListener('pointercancel', release);
+
+    function takeLook() {
+        const taken = look;
+        look = { dx: 0, dy: 0 };
+        return taken;
+    }
+
+    function show() {
+        container.style.display = '';
+    }
+
+    // Everything let go, so nothing keeps moving while hidden
+    function hide() {
+        container.style.display = 'none';
+        joystick = null;
+        lookPointers.clear();
+        state.move = { x: 0, y: 0 };
+        state.jump = false;
+        look = { dx: 0, dy: 0 };
+        base.style.display = 'none';
+    }
+
+    hide();
+    return { state, takeLook, show, hide };
+}
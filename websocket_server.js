@@ -0,0 +1,141 @@
+import { createHash } from 'node:crypto';
+
+// --- WebSocket Server Side ---
+// Just enough of RFC 6455 for the race server, on plain Node with nothing to install: the
+// handshake, text messages (fragmented or not), ping/pong and close. No extensions, no binary.
+
+const HANDSHAKE_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11'; // Fixed by the RFC
+export const OPCODES = { continuation: 0x0, text: 0x1, binary: 0x2, close: 0x8, ping: 0x9, pong: 0xa };
+export const MAX_MESSAGE_SIZE = 64 * 1024; // Bytes; a level with a custom layout is the biggest message
+
+// Sec-WebSocket-Accept for a client's Sec-WebSocket-Key
+export function acceptKey(key) {
+    return createHash('sha1').update(key + HANDSHAKE_GUID).digest('base64');
+}
+
+function applyMask(data, mask) {
+    const out = Buffer.alloc(data.length);
+    for (let i = 0; i < data.length; i++) out[i] = data[i] ^ mask[i % 4];
+    return out;
+}
+
+// One final frame. Clients must mask what they send (mask: 4 bytes); servers send unmasked.
+export function encodeFrame(opcode, payload = Buffer.alloc(0), mask = null) {
+    const data = Buffer.from(payload);
+    const extended = data.length < 126 ? 0 : data.length < 0x10000 ? 2 : 8; // Extra length bytes
+    const header = Buffer.alloc(2 + extended + (mask ? 4 : 0));
+    header[0] = 0x80 | opcode;
+    header[1] = (mask ? 0x80 : 0) | (extended === 0 ? data.length : extended === 2 ? 126 : 127);
+    if (extended === 2) header.writeUInt16BE(data.length, 2);
+    if (extended === 8) header.writeBigUInt64BE(BigInt(data.length), 2);
+    if (!mask) return Buffer.concat([header, data]);
+    Buffer.from(mask).copy(header, 2 + extended);
+    return Buffer.concat([header, applyMask(data, mask)]);
+}
+
+// Takes socket data as it arrives and calls onFrame({ fin, opcode, masked, payload (unmasked) })
+// for each whole frame. Throws on a frame over maxSize bytes, before buffering it.
+export function createFrameReader(onFrame, { maxSize = MAX_MESSAGE_SIZE } = {}) {
+    let buffered = Buffer.alloc(0);
+    return function push(chunk) {
+        buffered = Buffer.concat([buffered, chunk]);
+        while (buffered.length >= 2) {
+            const masked = (buffered[1] & 0x80) !== 0;
+            let length = buffered[1] & 0x7f;
+            let offset = 2;
+            if (length === 126) {
+                if (buffered.length < 4) return;
+                length = buffered.readUInt16BE(2);
+                offset = 4;
+            } else if (length === 127) {
+                if (buffered.length < 10) return;
+                length = Number(buffered.readBigUInt64BE(2));
+                offset = 10;
+            }
+            if (length > maxSize) throw new Error(`WebSocket frame of ${length} bytes is over the ${maxSize} byte limit`);
+            const mask = masked ? buffered.subarray(offset, offset + 4) : null;
+            if (masked) offset += 4;
+            if (buffered.length < offset + length) return;
+            const data = buffered.subarray(offset, offset + length);
+            onFrame({ fin: (buffered[0] & 0x80) !== 0, opcode: buffered[0] & 0x0f, masked, payload: mask ? applyMask(data, mask) : Buffer.from(data) });
+            buffered = buffered.subarray(offset + length);
+        }
+    };
+}
+
+// --- Connections ---
+// Answers the handshake of an HTTP 'upgrade' request and speaks WebSocket on its socket (head:
+// whatever arrived after the request, as the 'upgrade' event hands it over). onMessage(text) gets each whole text message, onClose() runs once however it ends.
+// Returns { send(text), close(code, reason) }, or null (after a 400) for anything but a WebSocket handshake.
+export function acceptWebSocket(request, socket, head, { onMessage, onClose, maxSize = MAX_MESSAGE_SIZE }) {
+    const key = request.headers['sec-websocket-key'];
+    if ((request.headers.upgrade || '').toLowerCase() !== 'websocket' || !key) {
+        socket.end('HTTP/1.1 400 Bad Request\r\nConnection: close\r\n\r\n');
+        return null;
+    }
+    socket.write([
+        'HTTP/1.1 101 Switching Protocols',
+        'Upgrade: websocket',
+        'Connection: Upgrade',
+        `Sec-WebSocket-Accept: ${acceptKey(key)}`,
+        '', ''
+    ].join('\r\n'));
+    socket.setNoDelay(true); // Poses are small and late ones are useless
+
+    let closed = false;
+    let fragments = []; // Parts of a text message split over frames
+    let fragmentSize = 0;
+
+    function ended() {
+        if (closed) return;
+        closed = true;
+        onClose();
+    }
+
+    function send(text) {
+        if (!closed) socket.write(encodeFrame(OPCODES.text, Buffer.from(text)));
+    }
+
+    function close(code = 1000, reason = '') {
+        if (closed) return;
+        const payload = Buffer.alloc(2 + Buffer.byteLength(reason));
+        payload.writeUInt16BE(code, 0);
+        payload.write(reason, 2);
+        socket.end(encodeFrame(OPCODES.close, payload));
+        ended();
+    }
+
+    function onFrame({ fin, opcode, masked, payload }) {
+        if (closed) return;
+        if (!masked) return close(1002, 'Client frames must be masked');
+        if (opcode === OPCODES.ping) return socket.write(encodeFrame(OPCODES.pong, payload));
+        if (opcode === OPCODES.pong) return;
+        if (opcode === OPCODES.close) return close(); // Answer it, then hang up
+        if (opcode === OPCODES.binary) return close(1003, 'Text messages only');
+        if (opcode !== OPCODES.text && opcode !== OPCODES.continuation) return close(1002, `Unknown opcode ${opcode}`);
+        if ((opcode === OPCODES.text) !== (fragments.length === 0)) return close(1002, 'Bad fragment order');
+
+        fragmentSize += payload.length;
+        if (fragmentSize > maxSize) return close(1009, 'Message too big');
+        fragments.push(payload);
+        if (!fin) return;
+        const text = Buffer.concat(fragments).toString('utf8');
+        fragments = [];
+        fragmentSize = 0;
+        onMessage(text);
+    }
+
+    const push = createFrameReader(onFrame, { maxSize });
+    function receive(chunk) {
+        try {
+            push(chunk);
+        } catch (error) {
+            close(1009, 'Message too big');
+        }
+    }
+    if (head && head.length > 0) socket.unshift(head); // Read first, once the caller has the connection
+    socket.on('data', receive);
+    socket.on('error', () => socket.destroy()); // 'close' follows
+    socket.on('close', ended);
+    return { send, close };
+}